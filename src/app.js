@@ -5,10 +5,12 @@ const helmet = require('helmet')
 const { initDB } = require('./models/db')
 require('./models/index.js') // Importa todos los modelos y relaciones antes de sincronizar
 const { createSuperAdmin } = require('./scripts/createSuperAdmin')
+const roleService = require('./services/role.service')
 const logger = require('./config/logger')
 const { PORT } = require('./config')
 const jobScheduler = require('./jobs/scheduler')
 const { generalLimiter } = require('./middlewares/rateLimiter')
+const { requestContext } = require('./middlewares/requestContext')
 const paymentService = require('./services/payment')
 const SiigoInitializer = require('./services/siigoInitializer')
 const EnvironmentValidator = require('./config/envValidator')
@@ -24,6 +26,9 @@ app.use(helmet({
   crossOriginEmbedderPolicy: false
 }))
 
+// Request id and context (IP, user agent) for the audit log
+app.use(requestContext)
+
 // Rate limiting for all requests
 app.use('/api', generalLimiter)
 
@@ -31,7 +36,8 @@ app.use('/api', generalLimiter)
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id'],
   credentials: false
 }))
 
@@ -189,6 +195,18 @@ async function initializeServer () {
       logger.check(`${dbResult.modelsCount} modelos sincronizados en ${dbResult.syncDuration}ms`)
     }
 
+    // Roles de sistema (READ_ONLY, EDITOR, SUPER_ADMIN)
+    try {
+      const roleResult = await roleService.ensureSystemRoles()
+      if (roleResult.created.length > 0) {
+        logger.check(`Roles creados: ${roleResult.created.join(', ')}`)
+      } else {
+        logger.detail('Roles', 'ya existen')
+      }
+    } catch (error) {
+      logger.detail('Roles error', error.message)
+    }
+
     // Crear super administrador
     try {
       const adminResult = await createSuperAdmin({ silent: true })
@@ -208,7 +226,7 @@ async function initializeServer () {
 
     if (process.env.NODE_ENV !== 'test') {
       // Job Scheduler
-      const schedulerResult = jobScheduler.start({ silent: true })
+      const schedulerResult = await jobScheduler.start({ silent: true })
       const activeJobs = schedulerResult.active || []
       const pausedJobs = schedulerResult.paused || []
 
@@ -224,7 +242,7 @@ async function initializeServer () {
       // Email Queue Service
       const emailQueueService = require('./services/emailQueue.service')
       const emailResult = emailQueueService.initialize({ silent: true })
-      logger.check(`Email Queue: ${emailResult.mode || 'modo directo v2.0'}`)
+      logger.check(`Email Queue: ${emailResult.mode}`)
     } else {
       logger.check('Servicios omitidos (modo test)')
     }
@@ -66,8 +66,14 @@ class EnvironmentValidator {
         JWT_EXPIRES_IN: {
           required: true,
           type: 'string',
-          default: '24h',
-          description: 'Tiempo de expiración de los tokens JWT'
+          default: '15m',
+          description: 'Tiempo de expiración de los access tokens JWT'
+        },
+        JWT_REFRESH_EXPIRES_IN_DAYS: {
+          required: false,
+          type: 'number',
+          default: 7,
+          description: 'Días de validez del refresh token de administradores (se renueva en cada uso)'
         }
       },
 
@@ -164,6 +170,23 @@ class EnvironmentValidator {
           type: 'number',
           description: 'ID del tipo de pago en Siigo'
         },
+        SIIGO_TAX_ID: {
+          required: false,
+          type: 'number',
+          description: 'ID del impuesto IVA 19% en Siigo (productos con taxClass IVA_19)'
+        },
+        SIIGO_TAX_EXEMPT_ID: {
+          required: false,
+          type: 'number',
+          description: 'ID del impuesto IVA exento en Siigo (productos con taxClass EXEMPT)'
+        },
+        PRICES_INCLUDE_TAX: {
+          required: false,
+          type: 'string',
+          enum: ['true', 'false'],
+          default: 'true',
+          description: 'Indica si los precios de los productos incluyen IVA'
+        },
         INVOICE_PROVIDER: {
           required: false,
           type: 'string',
@@ -182,13 +205,13 @@ class EnvironmentValidator {
           type: 'string',
           enum: ['true', 'false'],
           default: 'false',
-          description: 'Habilita/deshabilita el job de facturación automática'
+          description: 'Habilita el job de facturación automática si no hay programación guardada en job_schedules'
         },
         INVOICE_JOB_SCHEDULE: {
           required: false,
           type: 'string',
           default: '0 2 * * *',
-          description: 'Cron schedule para el job de facturación (defecto: 2 AM)'
+          description: 'Cron por defecto del job de facturación en America/Bogota (defecto: 2 AM); job_schedules tiene prioridad'
         }
       },
 
@@ -216,7 +239,54 @@ class EnvironmentValidator {
           required: false,
           type: 'string',
           default: 'Innovate Learning',
-          description: 'Nombre de la empresa (aparece en checkouts)'
+          description: 'Nombre de la empresa (aparece en checkouts y en la app de 2FA)'
+        },
+        ADMIN_2FA_REQUIRED_ROLES: {
+          required: false,
+          type: 'string',
+          description: 'Roles de administrador con 2FA obligatorio, separados por coma (p. ej. SUPER_ADMIN)'
+        },
+        ACCOUNT_LOCKOUT_MAX_ATTEMPTS: {
+          required: false,
+          type: 'number',
+          default: 5,
+          description: 'Intentos fallidos de login u OTP antes de bloquear la cuenta'
+        },
+        ACCOUNT_LOCKOUT_WINDOW_MINUTES: {
+          required: false,
+          type: 'number',
+          default: 15,
+          description: 'Minutos en los que se acumulan los intentos fallidos'
+        },
+        ACCOUNT_LOCKOUT_MINUTES: {
+          required: false,
+          type: 'number',
+          default: 15,
+          description: 'Duración del primer bloqueo; cada bloqueo siguiente dura el doble'
+        },
+        ACCOUNT_LOCKOUT_MAX_MINUTES: {
+          required: false,
+          type: 'number',
+          default: 1440,
+          description: 'Duración máxima de un bloqueo progresivo (defecto: 24 horas)'
+        },
+        RATE_LIMIT_STORE: {
+          required: false,
+          type: 'string',
+          enum: ['memory', 'postgres'],
+          default: 'postgres',
+          description: 'Almacén de contadores de rate limiting (postgres se comparte entre réplicas)'
+        },
+        ORDER_EMAIL_RATE_LIMIT_MAX: {
+          required: false,
+          type: 'number',
+          default: 10,
+          description: 'Órdenes por email de cliente cada hora'
+        },
+        RATE_LIMIT_POLICIES: {
+          required: false,
+          type: 'json',
+          description: 'Ajustes por política de rate limiting en JSON (ver docs/rate-limiting.md)'
         }
       }
     }
@@ -425,6 +495,14 @@ class EnvironmentValidator {
         // String es válido por defecto
         break
 
+      case 'json':
+        try {
+          JSON.parse(value)
+        } catch {
+          result.error = `Variable '${varName}' debe ser JSON válido. Valor actual: '${value}'`
+        }
+        break
+
       default:
         result.error = `Tipo desconocido '${type}' para variable '${varName}'`
     }
@@ -20,7 +20,26 @@ module.exports = {
   // JWT Configuration
   JWT: {
     secret: process.env.JWT_SECRET || 'your-super-secret-key-change-in-production',
-    expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+    // Access token de administradores (corto: se renueva con el refresh token)
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+    refreshExpiresInDays: parseInt(process.env.JWT_REFRESH_EXPIRES_IN_DAYS) || 7
+  },
+
+  // Segundo factor (TOTP) de administradores
+  ADMIN_2FA: {
+    issuer: process.env.COMPANY_NAME || 'Innovate Learning',
+    // Roles que deben usar 2FA obligatoriamente (p. ej. SUPER_ADMIN); para el resto es opcional
+    requiredRoles: (process.env.ADMIN_2FA_REQUIRED_ROLES || '').split(',').map(role => role.trim()).filter(Boolean)
+  },
+
+  // Bloqueo por cuenta tras intentos fallidos (login de administradores y OTP de clientes)
+  ACCOUNT_LOCKOUT: {
+    maxAttempts: parseInt(process.env.ACCOUNT_LOCKOUT_MAX_ATTEMPTS) || 5,
+    // Ventana en la que se acumulan los fallos; un fallo más antiguo reinicia el conteo
+    attemptWindowMinutes: parseInt(process.env.ACCOUNT_LOCKOUT_WINDOW_MINUTES) || 15,
+    // El primer bloqueo dura lockMinutes y cada bloqueo siguiente el doble, hasta maxLockMinutes
+    lockMinutes: parseInt(process.env.ACCOUNT_LOCKOUT_MINUTES) || 15,
+    maxLockMinutes: parseInt(process.env.ACCOUNT_LOCKOUT_MAX_MINUTES) || 24 * 60
   },
 
   // Logging Configuration
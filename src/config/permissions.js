@@ -0,0 +1,95 @@
+/**
+ * Catálogo de permisos de administradores
+ *
+ * Las rutas exigen permisos con requirePermission(); los roles (tabla roles) son
+ * conjuntos de permisos. Un permiso nuevo se agrega aquí y en SYSTEM_ROLES si
+ * algún rol de sistema debe tenerlo (SUPER_ADMIN siempre recibe todos).
+ */
+const PERMISSIONS = Object.freeze({
+  'products:read': 'Ver productos inactivos y stock',
+  'products:write': 'Crear, editar, activar y cargar productos',
+  'products:prices': 'Cambiar precios por moneda',
+  'products:delete': 'Eliminar productos',
+  'discounts:write': 'Crear y editar descuentos y cupones',
+  'licenses:read': 'Ver licencias e inventario',
+  'licenses:write': 'Crear, editar y cargar licencias',
+  'licenses:reveal': 'Ver claves de licencia completas',
+  'licenses:resend_email': 'Reenviar el email de licencias de una orden',
+  'licenses:annul': 'Anular licencias',
+  'licenses:return': 'Devolver licencias a inventario',
+  'licenses:change': 'Cambiar la licencia de una orden',
+  'licenses:dismount': 'Desmontar licencias en lote',
+  'licenses:delete': 'Eliminar licencias',
+  'orders:read': 'Ver órdenes y reembolsos',
+  'orders:status': 'Cambiar el estado de órdenes',
+  'orders:cancel': 'Cancelar órdenes',
+  'orders:revive': 'Reactivar órdenes',
+  'orders:refund': 'Crear, confirmar y rechazar reembolsos',
+  'transactions:verify': 'Verificar transacciones con la pasarela',
+  'invoices:read': 'Ver facturas',
+  'invoices:run': 'Ejecutar facturación',
+  'invoices:write': 'Cambiar el estado de facturas',
+  'customers:read': 'Buscar clientes',
+  'customers:write': 'Editar datos de clientes',
+  'waitlist:read': 'Ver la lista de espera',
+  'waitlist:write': 'Reservar, procesar y retirar entradas de la lista de espera',
+  'webhooks:read': 'Ver webhooks entrantes y salientes',
+  'webhooks:manage': 'Administrar suscripciones y reenviar entregas',
+  'jobs:manage': 'Programar, ejecutar y detener jobs',
+  'email_queue:manage': 'Administrar la cola de emails',
+  'providers:manage': 'Autenticar proveedores de pago',
+  'admins:manage': 'Administrar administradores',
+  'accounts:unlock': 'Ver y desbloquear cuentas bloqueadas por intentos fallidos',
+  'roles:manage': 'Administrar roles y permisos',
+  'audit:read': 'Consultar la bitácora de auditoría'
+})
+
+const READ_ONLY_PERMISSIONS = [
+  'products:read',
+  'licenses:read',
+  'orders:read',
+  'invoices:read',
+  'waitlist:read',
+  'webhooks:read'
+]
+
+const EDITOR_PERMISSIONS = [
+  ...READ_ONLY_PERMISSIONS,
+  'products:write',
+  'products:prices',
+  'discounts:write',
+  'licenses:write',
+  'licenses:reveal',
+  'licenses:resend_email',
+  'orders:status',
+  'orders:cancel',
+  'orders:revive',
+  'orders:refund',
+  'transactions:verify',
+  'invoices:run',
+  'invoices:write',
+  'customers:read',
+  'customers:write',
+  'waitlist:write'
+]
+
+// Roles de sistema: equivalen a la jerarquía anterior READ_ONLY < EDITOR < SUPER_ADMIN
+const SYSTEM_ROLES = Object.freeze({
+  READ_ONLY: {
+    description: 'Solo lectura',
+    permissions: READ_ONLY_PERMISSIONS
+  },
+  EDITOR: {
+    description: 'Lectura y operación diaria',
+    permissions: EDITOR_PERMISSIONS
+  },
+  SUPER_ADMIN: {
+    description: 'Acceso total',
+    permissions: Object.keys(PERMISSIONS)
+  }
+})
+
+module.exports = {
+  PERMISSIONS,
+  SYSTEM_ROLES
+}
@@ -0,0 +1,54 @@
+/**
+ * Políticas de rate limiting por ruta
+ *
+ * Cada política define su ventana (windowMs) y su límite (max; delayAfter en el
+ * slow down de consultas). Las variables *_RATE_LIMIT_MAX existentes siguen
+ * funcionando y RATE_LIMIT_POLICIES (JSON) sobrescribe cualquier campo, p. ej.
+ * RATE_LIMIT_POLICIES='{"orderCreationPerEmail":{"max":5,"windowMs":1800000}}'
+ */
+const MINUTE_MS = 60 * 1000
+
+const envInt = (name, fallback) => parseInt(process.env[name]) || fallback
+
+const DEFAULT_POLICIES = {
+  // Toda la API pública, por IP
+  general: { windowMs: 15 * MINUTE_MS, max: envInt('GENERAL_RATE_LIMIT_MAX', 500) },
+  // Creación de órdenes, por IP
+  orderCreation: { windowMs: 15 * MINUTE_MS, max: envInt('ORDER_RATE_LIMIT_MAX', 100) },
+  // Creación de órdenes, por email del cliente (aunque cambie de IP)
+  orderCreationPerEmail: { windowMs: 60 * MINUTE_MS, max: envInt('ORDER_EMAIL_RATE_LIMIT_MAX', 10) },
+  // Inicio de pagos, por IP
+  payment: { windowMs: 5 * MINUTE_MS, max: 5 },
+  // Consulta de órdenes: sin bloqueo, con demora creciente tras delayAfter consultas
+  orderLookup: { windowMs: 15 * MINUTE_MS, delayAfter: 5 },
+  // Webhooks entrantes, por IP
+  webhook: { windowMs: MINUTE_MS, max: envInt('WEBHOOK_RATE_LIMIT_MAX', 1000) },
+  // Reenvíos del email de licencias, por cliente autenticado
+  licenseResend: { windowMs: 60 * MINUTE_MS, max: envInt('LICENSE_RESEND_RATE_LIMIT_MAX', 3) },
+  // Consultas de estado de checkout a la API de Cobre, por checkout
+  cobreCheckoutStatus: { windowMs: MINUTE_MS, max: 10 }
+}
+
+function parseOverrides () {
+  if (!process.env.RATE_LIMIT_POLICIES) {
+    return {}
+  }
+  try {
+    return JSON.parse(process.env.RATE_LIMIT_POLICIES)
+  } catch (error) {
+    // EnvironmentValidator reporta el JSON inválido al iniciar; aquí se usan los valores por defecto
+    return {}
+  }
+}
+
+const overrides = parseOverrides()
+
+const RATE_LIMIT_POLICIES = Object.freeze(Object.fromEntries(
+  Object.entries(DEFAULT_POLICIES).map(([name, policy]) => [name, Object.freeze({ ...policy, ...overrides[name] })])
+))
+
+module.exports = {
+  // memory: por proceso (tests y una sola réplica); postgres: compartido entre réplicas
+  RATE_LIMIT_STORE: process.env.RATE_LIMIT_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'postgres'),
+  RATE_LIMIT_POLICIES
+}
@@ -1,4 +1,47 @@
 const adminService = require('../services/admin.service')
+const twoFactorService = require('../services/twoFactor.service')
+const accountLockoutService = require('../services/accountLockout.service')
+
+/**
+ * Responder 429 con Retry-After a una cuenta bloqueada por intentos fallidos
+ */
+function sendAccountLocked (res, error) {
+  res.set('Retry-After', String(accountLockoutService.retryAfterSeconds(error.lockedUntil)))
+  return res.status(429).json({
+    success: false,
+    message: 'Cuenta bloqueada temporalmente por demasiados intentos fallidos. Intenta nuevamente más tarde.',
+    code: error.code,
+    lockedUntil: error.lockedUntil
+  })
+}
+
+/**
+ * Responder un error del segundo factor con su código HTTP
+ */
+function sendTwoFactorError (res, error) {
+  if (error.code === 'ACCOUNT_LOCKED') {
+    return sendAccountLocked(res, error)
+  }
+
+  let status = 500
+  if (error.code === 'TWO_FACTOR_INVALID_CODE' || error.code === 'TWO_FACTOR_CHALLENGE_INVALID') {
+    status = 401
+  } else if (error.code === 'TWO_FACTOR_REQUIRED' || error.code === 'ROLE_ESCALATION') {
+    status = 403
+  } else if (error.code === 'TWO_FACTOR_ALREADY_ENABLED') {
+    status = 409
+  } else if (error.code === 'TWO_FACTOR_NOT_SETUP') {
+    status = 400
+  } else if (error.message === 'Administrador no encontrado') {
+    status = 404
+  }
+
+  return res.status(status).json({
+    success: false,
+    message: error.message,
+    code: error.code
+  })
+}
 
 /**
  * Controlador para la gestión de administradores
@@ -10,14 +53,17 @@ class AdminsController {
   async login (req, res) {
     try {
       const { email, password } = req.body
-      const result = await adminService.login(email, password)
+      const result = await adminService.login(email, password, { ipAddress: req.ip })
 
       return res.status(200).json({
         success: true,
         data: result,
-        message: 'Autenticación exitosa'
+        message: result.twoFactorRequired ? 'Se requiere el segundo factor de autenticación' : 'Autenticación exitosa'
       })
     } catch (error) {
+      if (error.code === 'ACCOUNT_LOCKED') {
+        return sendAccountLocked(res, error)
+      }
       return res.status(401).json({
         success: false,
         message: error.message
@@ -25,12 +71,179 @@ class AdminsController {
     }
   }
 
+  /**
+   * Completar el login con un código TOTP o de respaldo
+   */
+  async loginTwoFactor (req, res) {
+    try {
+      const { challengeToken, code, backupCode } = req.body
+      const result = await adminService.completeTwoFactorLogin(challengeToken, { code, backupCode }, { ipAddress: req.ip })
+
+      return res.status(200).json({
+        success: true,
+        data: result,
+        message: 'Autenticación exitosa'
+      })
+    } catch (error) {
+      return sendTwoFactorError(res, error)
+    }
+  }
+
+  /**
+   * Iniciar el registro obligatorio del segundo factor durante el login
+   */
+  async loginTwoFactorSetup (req, res) {
+    try {
+      const admin = await twoFactorService.resolveChallenge(req.body.challengeToken)
+      const result = await twoFactorService.beginSetup(admin)
+
+      return res.status(200).json({
+        success: true,
+        data: result
+      })
+    } catch (error) {
+      return sendTwoFactorError(res, error)
+    }
+  }
+
+  /**
+   * Iniciar el registro del segundo factor del administrador autenticado
+   */
+  async setupTwoFactor (req, res) {
+    try {
+      const admin = await adminService.getAdminById(req.user.id)
+      const result = await twoFactorService.beginSetup(admin)
+
+      return res.status(200).json({
+        success: true,
+        data: result
+      })
+    } catch (error) {
+      return sendTwoFactorError(res, error)
+    }
+  }
+
+  /**
+   * Confirmar el registro con el primer código; devuelve los códigos de respaldo
+   */
+  async enableTwoFactor (req, res) {
+    try {
+      const admin = await adminService.getAdminById(req.user.id)
+      const backupCodes = await twoFactorService.enable(admin, req.body.code)
+
+      return res.status(200).json({
+        success: true,
+        data: { backupCodes },
+        message: 'Segundo factor activado. Guarda los códigos de respaldo en un lugar seguro.'
+      })
+    } catch (error) {
+      return sendTwoFactorError(res, error)
+    }
+  }
+
+  /**
+   * Desactivar el segundo factor propio (si el rol no lo exige)
+   */
+  async disableTwoFactor (req, res) {
+    try {
+      const admin = await adminService.getAdminById(req.user.id)
+      await twoFactorService.disable(admin, req.body.code)
+
+      return res.status(200).json({
+        success: true,
+        message: 'Segundo factor desactivado'
+      })
+    } catch (error) {
+      return sendTwoFactorError(res, error)
+    }
+  }
+
+  /**
+   * Generar nuevos códigos de respaldo
+   */
+  async regenerateBackupCodes (req, res) {
+    try {
+      const admin = await adminService.getAdminById(req.user.id)
+      const backupCodes = await twoFactorService.regenerateBackupCodes(admin, req.body.code)
+
+      return res.status(200).json({
+        success: true,
+        data: { backupCodes }
+      })
+    } catch (error) {
+      return sendTwoFactorError(res, error)
+    }
+  }
+
+  /**
+   * Restablecer el segundo factor de otro administrador
+   */
+  async resetTwoFactor (req, res) {
+    try {
+      const admin = await adminService.getAdminById(req.params.id)
+      await twoFactorService.reset(admin, req.user.id, req.user.role)
+
+      return res.status(200).json({
+        success: true,
+        message: 'Segundo factor restablecido. Las sesiones del administrador fueron cerradas.'
+      })
+    } catch (error) {
+      return sendTwoFactorError(res, error)
+    }
+  }
+
+  /**
+   * Renovar el access token con el refresh token (el refresh token también se rota)
+   */
+  async refresh (req, res) {
+    try {
+      const result = await adminService.refreshSession(req.body.refreshToken)
+
+      return res.status(200).json({
+        success: true,
+        data: result,
+        message: 'Sesión renovada exitosamente'
+      })
+    } catch (error) {
+      if (error.code === 'REFRESH_TOKEN_INVALID' || error.code === 'REFRESH_TOKEN_REUSED') {
+        return res.status(401).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        })
+      }
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      })
+    }
+  }
+
+  /**
+   * Cerrar la sesión actual
+   */
+  async logout (req, res) {
+    try {
+      await adminService.logout(req.user.sessionId)
+
+      return res.status(200).json({
+        success: true,
+        message: 'Sesión cerrada exitosamente'
+      })
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      })
+    }
+  }
+
   /**
    * Crear un nuevo administrador
    */
   async createAdmin (req, res) {
     try {
-      const admin = await adminService.createAdmin(req.body)
+      const admin = await adminService.createAdmin(req.body, req.user.id, req.user.role)
 
       // Excluir passwordHash de la respuesta
       const adminData = admin.toJSON()
@@ -42,9 +255,10 @@ class AdminsController {
         message: 'Administrador creado exitosamente'
       })
     } catch (error) {
-      return res.status(400).json({
+      return res.status(error.code === 'ROLE_ESCALATION' ? 403 : 400).json({
         success: false,
-        message: error.message
+        message: error.message,
+        code: error.code
       })
     }
   }
@@ -107,7 +321,7 @@ class AdminsController {
   async updateAdmin (req, res) {
     try {
       const { id } = req.params
-      const admin = await adminService.updateAdmin(id, req.body)
+      const admin = await adminService.updateAdmin(id, req.body, req.user.id, req.user.role)
 
       return res.status(200).json({
         success: true,
@@ -115,9 +329,10 @@ class AdminsController {
         message: 'Administrador actualizado exitosamente'
       })
     } catch (error) {
-      return res.status(400).json({
+      return res.status(error.code === 'ROLE_ESCALATION' ? 403 : 400).json({
         success: false,
-        message: error.message
+        message: error.message,
+        code: error.code
       })
     }
   }
@@ -137,16 +352,45 @@ class AdminsController {
         })
       }
 
-      await adminService.resetPassword(id, newPassword)
+      await adminService.resetPassword(id, newPassword, req.user.id, req.user.role)
 
       return res.status(200).json({
         success: true,
         message: 'Contraseña restablecida exitosamente'
       })
     } catch (error) {
-      return res.status(400).json({
+      return res.status(error.code === 'ROLE_ESCALATION' ? 403 : 400).json({
         success: false,
-        message: error.message
+        message: error.message,
+        code: error.code
+      })
+    }
+  }
+
+  /**
+   * Cerrar todas las sesiones de un administrador
+   */
+  async revokeSessions (req, res) {
+    try {
+      const { id } = req.params
+      const revoked = await adminService.revokeSessions(id, req.user.id, req.user.role)
+
+      return res.status(200).json({
+        success: true,
+        data: { revoked },
+        message: 'Sesiones revocadas exitosamente'
+      })
+    } catch (error) {
+      let status = 400
+      if (error.message === 'Administrador no encontrado') {
+        status = 404
+      } else if (error.code === 'ROLE_ESCALATION') {
+        status = 403
+      }
+      return res.status(status).json({
+        success: false,
+        message: error.message,
+        code: error.code
       })
     }
   }
@@ -166,16 +410,17 @@ class AdminsController {
         })
       }
 
-      await adminService.deleteAdmin(id)
+      await adminService.deleteAdmin(id, req.user.id, req.user.role)
 
       return res.status(200).json({
         success: true,
         message: 'Administrador eliminado exitosamente'
       })
     } catch (error) {
-      return res.status(400).json({
+      return res.status(error.code === 'ROLE_ESCALATION' ? 403 : 400).json({
         success: false,
-        message: error.message
+        message: error.message,
+        code: error.code
       })
     }
   }
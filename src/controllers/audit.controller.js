@@ -0,0 +1,39 @@
+const auditService = require('../services/audit.service')
+const logger = require('../config/logger')
+
+/**
+ * Controlador de la bitácora de auditoría
+ */
+class AuditController {
+  /**
+   * Consultar la bitácora con filtros y paginación
+   */
+  async getEntries (req, res) {
+    try {
+      const result = await auditService.list({
+        actorId: parseInt(req.query.actorId) || undefined,
+        action: req.query.action,
+        entityType: req.query.entityType,
+        entityId: req.query.entityId,
+        requestId: req.query.requestId,
+        from: req.query.from,
+        to: req.query.to,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 50
+      })
+
+      return res.status(200).json({
+        success: true,
+        data: result
+      })
+    } catch (error) {
+      logger.logError(error, { operation: 'audit.getEntries', query: req.query })
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      })
+    }
+  }
+}
+
+module.exports = new AuditController()
@@ -0,0 +1,251 @@
+const orderService = require('../services/order.service')
+const licenseService = require('../services/license.service')
+const waitlistService = require('../services/waitlist.service')
+const transactionStatusVerifier = require('../services/payment/transactionStatusVerifier')
+const logger = require('../config/logger')
+const { getOrderCurrency } = require('../utils/currency')
+
+// Estados de transacción que prevalecen sobre el último intento al resumir el pago
+const PAYMENT_STATUS_PRIORITY = ['REVERSED', 'REFUNDED', 'PAID']
+
+/**
+ * Resumen del estado de pago de una orden a partir de sus transacciones
+ */
+const getPaymentStatus = (transactions = []) => {
+  for (const status of PAYMENT_STATUS_PRIORITY) {
+    if (transactions.some(t => t.status === status)) {
+      return status
+    }
+  }
+
+  const latest = [...transactions].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0]
+  return latest ? latest.status : 'NONE'
+}
+
+const formatTransaction = (transaction) => ({
+  id: transaction.id,
+  gateway: transaction.gateway,
+  status: transaction.status,
+  amount: transaction.amount,
+  currency: transaction.currency,
+  createdAt: transaction.createdAt,
+  updatedAt: transaction.updatedAt
+})
+
+const formatOrder = (order) => ({
+  id: order.id,
+  status: order.status,
+  paymentStatus: getPaymentStatus(order.transactions),
+  items: (order.items || []).map(item => ({
+    productRef: item.productRef,
+    productName: item.product?.name,
+    qty: item.qty,
+    unitPrice: item.unitPrice,
+    discountTotal: item.discountTotal,
+    taxTotal: item.taxTotal,
+    grandTotal: item.grandTotal
+  })),
+  subtotal: order.subtotal,
+  discountTotal: order.discountTotal,
+  taxTotal: order.taxTotal,
+  grandTotal: order.grandTotal,
+  currency: getOrderCurrency(order),
+  createdAt: order.createdAt
+})
+
+/**
+ * Controlador del portal de clientes
+ * Todas las acciones se limitan al cliente autenticado (req.user del token OTP)
+ */
+class CustomerPortalController {
+  /**
+   * Listar mis órdenes
+   */
+  async getMyOrders (req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+
+      const result = await orderService.getOrdersByCustomer(req.user.id, {
+        page,
+        limit,
+        status: req.query.status
+      })
+
+      return res.status(200).json({
+        success: true,
+        data: result.orders.map(formatOrder),
+        pagination: result.pagination
+      })
+    } catch (error) {
+      logger.logError(error, { operation: 'customerPortal.getMyOrders', customerId: req.user.id })
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      })
+    }
+  }
+
+  /**
+   * Ver una de mis órdenes con sus transacciones y estado de pago
+   */
+  async getMyOrder (req, res) {
+    try {
+      const order = await orderService.getCustomerOrder(req.user.id, parseInt(req.params.orderId))
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          ...formatOrder(order),
+          transactions: (order.transactions || []).map(formatTransaction)
+        }
+      })
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      })
+    }
+  }
+
+  /**
+   * Listar mis licencias entregadas
+   */
+  async getMyLicenses (req, res) {
+    try {
+      const licenses = await licenseService.getCustomerLicenses(req.user.id)
+
+      return res.status(200).json({
+        success: true,
+        data: licenses.map(license => ({
+          id: license.id,
+          productRef: license.productRef,
+          productName: license.Product?.name,
+          licenseKey: license.licenseKey,
+          instructions: license.instructions,
+          orderId: license.orderId,
+          soldAt: license.soldAt
+        }))
+      })
+    } catch (error) {
+      logger.logError(error, { operation: 'customerPortal.getMyLicenses', customerId: req.user.id })
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      })
+    }
+  }
+
+  /**
+   * Reenviarme el email de licencias de una orden
+   */
+  async resendMyLicenseEmail (req, res) {
+    let order
+    try {
+      order = await orderService.getCustomerOrder(req.user.id, parseInt(req.params.orderId))
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      })
+    }
+
+    try {
+      const result = await transactionStatusVerifier.verifyAndResendLicenseEmail(order.id, { force: true })
+
+      logger.logBusiness('customerPortal:licenseEmail.resent', {
+        customerId: req.user.id,
+        orderId: order.id
+      })
+
+      return res.status(200).json({
+        success: true,
+        message: 'Email de licencias en cola de envío',
+        data: {
+          orderId: order.id,
+          recipient: result.recipient,
+          queuedAt: result.queuedAt
+        }
+      })
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      })
+    }
+  }
+
+  /**
+   * Mis unidades en lista de espera con posición en la fila y entrega estimada
+   */
+  async getMyWaitlist (req, res) {
+    try {
+      const entries = await waitlistService.getCustomerWaitlist(req.user.id)
+
+      return res.status(200).json({
+        success: true,
+        data: entries.map(({ entry, position, eta }) => ({
+          id: entry.id,
+          orderId: entry.orderId,
+          productRef: entry.productRef,
+          productName: entry.product?.name,
+          status: entry.status,
+          position,
+          estimatedDelivery: eta,
+          createdAt: entry.createdAt
+        }))
+      })
+    } catch (error) {
+      logger.logError(error, { operation: 'customerPortal.getMyWaitlist', customerId: req.user.id })
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      })
+    }
+  }
+
+  /**
+   * Salir de la lista de espera y solicitar el reembolso de la unidad
+   */
+  async cancelMyWaitlistEntry (req, res) {
+    try {
+      const { entry, refund } = await waitlistService.cancelCustomerEntry(req.user.id, parseInt(req.params.entryId))
+
+      return res.status(200).json({
+        success: true,
+        message: refund.status === 'COMPLETED'
+          ? 'Saliste de la lista de espera y tu reembolso fue procesado'
+          : 'Saliste de la lista de espera; tu reembolso está en proceso',
+        data: {
+          id: entry.id,
+          orderId: entry.orderId,
+          status: entry.status,
+          refund: {
+            id: refund.id,
+            status: refund.status,
+            amount: refund.amount,
+            currency: refund.currency
+          }
+        }
+      })
+    } catch (error) {
+      let statusCode = 500
+
+      if (error.code === 'WAITLIST_ENTRY_NOT_FOUND') {
+        statusCode = 404
+      } else if (error.code === 'WAITLIST_ENTRY_NOT_CANCELABLE') {
+        statusCode = 409 // La licencia ya está apartada para el cliente
+      } else if (error.code === 'WAITLIST_REFUND_FAILED') {
+        statusCode = 502 // No se pudo solicitar el reembolso; la entrada sigue en la fila
+      }
+
+      return res.status(statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      })
+    }
+  }
+}
+
+module.exports = new CustomerPortalController()
@@ -1,4 +1,5 @@
 const discountService = require('../services/discount.service')
+const couponService = require('../services/coupon.service')
 
 /**
  * Controlador para la gestión de descuentos
@@ -55,16 +56,17 @@ class DiscountsController {
   }
 
   /**
-   * Obtener un descuento por ID
+   * Obtener un descuento por ID, con sus cupones y su uso
    */
   async getDiscountById (req, res) {
     try {
       const { id } = req.params
       const discount = await discountService.getDiscountById(id)
+      const usage = await couponService.getDiscountUsage(discount.id)
 
       return res.status(200).json({
         success: true,
-        data: discount
+        data: { ...discount.toJSON(), usage }
       })
     } catch (error) {
       return res.status(404).json({
@@ -115,6 +117,87 @@ class DiscountsController {
       })
     }
   }
+
+  /**
+   * Listar los cupones de un descuento
+   */
+  async getCoupons (req, res) {
+    try {
+      const coupons = await couponService.listCoupons(req.params.id)
+
+      return res.status(200).json({
+        success: true,
+        data: coupons
+      })
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      })
+    }
+  }
+
+  /**
+   * Crear un cupón para un descuento
+   */
+  async createCoupon (req, res) {
+    try {
+      const coupon = await couponService.createCoupon(req.params.id, req.body)
+
+      return res.status(201).json({
+        success: true,
+        data: coupon,
+        message: 'Cupón creado exitosamente'
+      })
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      })
+    }
+  }
+
+  /**
+   * Actualizar un cupón
+   */
+  async updateCoupon (req, res) {
+    try {
+      const { id, couponId } = req.params
+      const coupon = await couponService.updateCoupon(id, couponId, req.body)
+
+      return res.status(200).json({
+        success: true,
+        data: coupon,
+        message: 'Cupón actualizado exitosamente'
+      })
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      })
+    }
+  }
+
+  /**
+   * Cambiar el estado de un cupón (activo/inactivo)
+   */
+  async toggleCouponStatus (req, res) {
+    try {
+      const { id, couponId } = req.params
+      const coupon = await couponService.toggleCouponStatus(id, couponId)
+
+      return res.status(200).json({
+        success: true,
+        data: coupon,
+        message: `Cupón ${coupon.isActive ? 'activado' : 'desactivado'} exitosamente`
+      })
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      })
+    }
+  }
 }
 
 module.exports = new DiscountsController()
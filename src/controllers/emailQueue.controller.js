@@ -2,16 +2,16 @@ const emailQueueService = require('../services/emailQueue.service')
 const logger = require('../config/logger')
 
 /**
- * Controlador simplificado para gestión de email queue v2.0
- * Solo mantiene funcionalidad de testing y estadísticas básicas
+ * Controlador de la bandeja de salida de correos
+ * Estadísticas reales de la tabla email_outbox y envío de prueba
  */
 class EmailQueueController {
   /**
-   * Obtener estadísticas de la cola de correos (compatibilidad)
+   * Obtener estadísticas de la bandeja de salida (pendientes, enviados, fallidos)
    */
   async getQueueStats (req, res) {
     try {
-      const stats = emailQueueService.getQueueStats()
+      const stats = await emailQueueService.getQueueStats()
 
       res.json({
         success: true,
@@ -1,6 +1,7 @@
 const InvoiceService = require('../services/invoices')
 const logger = require('../config/logger')
 const InvoiceProcessingJob = require('../jobs/invoiceProcessing')
+const jobScheduler = require('../jobs/scheduler')
 
 /**
  * Controlador para la gestión de facturas
@@ -155,11 +156,10 @@ class InvoicesController {
    */
   async executeInvoicing (req, res) {
     try {
-      // Forzar la ejecución del job independientemente de la configuración
+      // La ejecución manual no depende de que el job esté habilitado en el scheduler
       const job = new InvoiceProcessingJob()
-      job.isEnabled = true // Forzar habilitación para ejecución manual
 
-      const result = await job.run()
+      const result = await jobScheduler.runExclusive('invoiceProcessing', () => job.run(), { adminId: req.user.id })
 
       // Registrar evento de negocio
       logger.logBusiness('invoices.executeInvoicing', {
@@ -179,6 +179,13 @@ class InvoicesController {
         }
       })
     } catch (error) {
+      if (error.code === 'JOB_ALREADY_RUNNING') {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        })
+      }
+
       logger.logError(error, {
         operation: 'invoices.executeInvoicing',
         adminId: req.user?.id,
@@ -1,5 +1,7 @@
 const service = require('../services/license.service')
+const inventoryService = require('../services/inventory.service')
 const logger = require('../config/logger')
+const licenseKeyVault = require('../utils/licenseKeyVault')
 
 /**
  * Get all licenses
@@ -35,6 +37,31 @@ exports.getAll = async (req, res) => {
   }
 }
 
+/**
+ * Inventory report: available/reserved/sold per product and days of stock left
+ */
+exports.getInventory = async (req, res) => {
+  try {
+    const report = await inventoryService.getInventoryReport({
+      productRef: req.query.productRef
+    })
+
+    res.json({
+      success: true,
+      data: report
+    })
+  } catch (error) {
+    logger.logError(error, {
+      operation: 'getInventory',
+      query: req.query
+    })
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
 /**
  * Get license by ID
  */
@@ -60,6 +87,37 @@ exports.getById = async (req, res) => {
   }
 }
 
+/**
+ * Reveal the full license key (audited)
+ */
+exports.reveal = async (req, res) => {
+  try {
+    const license = await service.reveal(req.params.id, {
+      adminId: req.user.id,
+      reason: req.body.reason,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    })
+
+    res.json({
+      success: true,
+      data: license
+    })
+  } catch (error) {
+    logger.logError(error, {
+      operation: 'revealLicense',
+      id: req.params.id,
+      adminId: req.user?.id
+    })
+
+    const statusCode = error.message === 'License not found' ? 404 : 500
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
 /**
  * Create new license
  */
@@ -75,7 +133,7 @@ exports.create = async (req, res) => {
   } catch (error) {
     logger.logError(error, {
       operation: 'createLicense',
-      body: req.body
+      productRef: req.body.productRef
     })
     res.status(400).json({
       success: false,
@@ -100,7 +158,7 @@ exports.update = async (req, res) => {
     logger.logError(error, {
       operation: 'updateLicense',
       id: req.params.id,
-      body: req.body
+      fields: Object.keys(req.body || {})
     })
 
     const statusCode = error.message === 'License not found' ? 404 : 500
@@ -138,7 +196,7 @@ exports.delete = async (req, res) => {
  */
 exports.annul = async (req, res) => {
   try {
-    const license = await service.annul(req.params.code, req.admin?.id)
+    const license = await service.annul(req.params.code, req.admin?.id || req.user?.id)
 
     res.json({
       success: true,
@@ -148,8 +206,8 @@ exports.annul = async (req, res) => {
   } catch (error) {
     logger.logError(error, {
       operation: 'annulLicense',
-      code: req.params.code,
-      actorId: req.admin?.id
+      code: licenseKeyVault.mask(req.params.code),
+      actorId: req.admin?.id || req.user?.id
     })
     res.status(400).json({
       success: false,
@@ -180,14 +238,14 @@ exports.return = async (req, res) => {
       data: {
         returnedLicense: {
           id: result.returnedLicense.id,
-          licenseKey: result.returnedLicense.licenseKey,
+          licenseKey: licenseKeyVault.mask(result.returnedLicense.licenseKey),
           status: result.returnedLicense.status,
           orderId: result.returnedLicense.orderId,
           soldAt: result.returnedLicense.soldAt
         },
         newAvailableLicense: {
           id: result.newAvailableLicense.id,
-          licenseKey: result.newAvailableLicense.licenseKey,
+          licenseKey: licenseKeyVault.mask(result.newAvailableLicense.licenseKey),
           status: result.newAvailableLicense.status,
           productRef: result.newAvailableLicense.productRef
         },
@@ -207,7 +265,7 @@ exports.return = async (req, res) => {
   } catch (error) {
     logger.logError(error, {
       operation: 'returnLicense',
-      code: req.params.code,
+      code: licenseKeyVault.mask(req.params.code),
       reason: req.body.reason,
       adminId: req.admin?.id || req.user?.id
     })
@@ -242,7 +300,7 @@ exports.templateCsv = (req, res) => {
     res.send(csvTemplate)
 
     logger.logBusiness('downloadTemplate', {
-      adminId: req.admin?.id
+      adminId: req.admin?.id || req.user?.id
     })
   } catch (error) {
     logger.logError(error, {
@@ -296,14 +354,16 @@ exports.bulkUpload = async (req, res) => {
       })
     }
 
-    const result = await service.bulkImport(rows)
+    const { licenses, waitlist } = await service.bulkImport(rows)
 
     res.status(201).json({
       success: true,
-      message: `Successfully imported ${result.length} licenses`,
+      message: `Successfully imported ${licenses.length} licenses`,
       data: {
-        imported: result.length,
-        total: rows.length
+        imported: licenses.length,
+        total: rows.length,
+        waitlistServed: waitlist.served,
+        waitlistPendingDelivery: waitlist.failed
       }
     })
   } catch (error) {
@@ -361,7 +421,7 @@ exports.bulkDismount = async (req, res) => {
       })
     }
 
-    const result = await service.bulkDismount(rows, req.admin?.id)
+    const result = await service.bulkDismount(rows, req.admin?.id || req.user?.id)
 
     res.status(200).json({
       success: true,
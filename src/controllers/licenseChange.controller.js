@@ -1,5 +1,6 @@
 const licenseChangeService = require('../services/licenseChange.service')
 const logger = require('../config/logger')
+const licenseKeyVault = require('../utils/licenseKeyVault')
 
 /**
  * Change license to different product
@@ -34,7 +35,7 @@ exports.changeLicense = async (req, res) => {
       licenseKey,
       customerDocumentNumber,
       newProductRef,
-      adminId: req.admin?.id
+      adminId: req.admin?.id || req.user?.id
     })
 
     // Execute license change
@@ -42,7 +43,7 @@ exports.changeLicense = async (req, res) => {
       licenseKey,
       customerDocumentNumber,
       newProductRef,
-      req.admin?.id
+      req.admin?.id || req.user?.id
     )
 
     res.status(200).json({
@@ -65,12 +66,12 @@ exports.changeLicense = async (req, res) => {
         },
         licenses: {
           old: {
-            licenseKey: result.oldLicense.licenseKey,
+            licenseKey: licenseKeyVault.mask(result.oldLicense.licenseKey),
             productRef: result.oldLicense.productRef,
             status: result.oldLicense.status
           },
           new: {
-            licenseKey: result.newLicense.licenseKey,
+            licenseKey: licenseKeyVault.mask(result.newLicense.licenseKey),
             productRef: result.newLicense.productRef,
             status: result.newLicense.status
           }
@@ -80,10 +81,10 @@ exports.changeLicense = async (req, res) => {
   } catch (error) {
     logger.logError(error, {
       operation: 'changeLicense',
-      licenseKey: req.body.licenseKey,
+      licenseKey: licenseKeyVault.mask(req.body.licenseKey),
       customerDocumentNumber: req.body.customerDocumentNumber,
       newProductRef: req.body.newProductRef,
-      adminId: req.admin?.id
+      adminId: req.admin?.id || req.user?.id
     })
 
     let statusCode = 500
@@ -0,0 +1,62 @@
+const accountLockoutService = require('../services/accountLockout.service')
+const logger = require('../config/logger')
+
+/**
+ * Controlador de cuentas bloqueadas por intentos fallidos
+ */
+class LockoutsController {
+  /**
+   * Listar cuentas bloqueadas en este momento
+   */
+  async getLockouts (req, res) {
+    try {
+      const result = await accountLockoutService.listLocked({
+        scope: req.query.scope,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 50
+      })
+
+      return res.status(200).json({
+        success: true,
+        data: result
+      })
+    } catch (error) {
+      logger.logError(error, { operation: 'lockouts.getLockouts', query: req.query })
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      })
+    }
+  }
+
+  /**
+   * Desbloquear una cuenta y reiniciar su conteo de intentos
+   */
+  async unlock (req, res) {
+    try {
+      const { scope, email } = req.body
+      await accountLockoutService.unlock(scope, email, req.user.id)
+
+      return res.status(200).json({
+        success: true,
+        message: 'Cuenta desbloqueada exitosamente'
+      })
+    } catch (error) {
+      if (error.code === 'LOCKOUT_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        })
+      }
+
+      logger.logError(error, { operation: 'lockouts.unlock', body: req.body })
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      })
+    }
+  }
+}
+
+module.exports = new LockoutsController()
@@ -0,0 +1,167 @@
+const merchantWebhookService = require('../services/merchantWebhook.service')
+const logger = require('../config/logger')
+
+/**
+ * Controlador de webhooks salientes (suscripciones de comercios y log de entregas)
+ */
+class MerchantWebhooksController {
+  /**
+   * Listar suscripciones
+   */
+  async getSubscriptions (req, res) {
+    try {
+      const subscriptions = await merchantWebhookService.listSubscriptions()
+
+      return res.status(200).json({
+        success: true,
+        data: subscriptions
+      })
+    } catch (error) {
+      logger.logError(error, { operation: 'merchantWebhooks.getSubscriptions' })
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      })
+    }
+  }
+
+  /**
+   * Obtener una suscripción
+   */
+  async getSubscriptionById (req, res) {
+    try {
+      const subscription = await merchantWebhookService.getSubscription(req.params.id)
+
+      return res.status(200).json({
+        success: true,
+        data: subscription
+      })
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      })
+    }
+  }
+
+  /**
+   * Registrar una suscripción (la respuesta incluye el secreto de firma)
+   */
+  async createSubscription (req, res) {
+    try {
+      const subscription = await merchantWebhookService.createSubscription(req.body, req.user.id)
+
+      return res.status(201).json({
+        success: true,
+        data: subscription,
+        message: 'Suscripción creada exitosamente. Guarda el secreto: no se volverá a mostrar'
+      })
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      })
+    }
+  }
+
+  /**
+   * Actualizar una suscripción (rotateSecret: true genera un secreto nuevo)
+   */
+  async updateSubscription (req, res) {
+    try {
+      const subscription = await merchantWebhookService.updateSubscription(req.params.id, req.body)
+
+      return res.status(200).json({
+        success: true,
+        data: subscription,
+        message: 'Suscripción actualizada exitosamente'
+      })
+    } catch (error) {
+      const status = error.message === 'Suscripción de webhook no encontrada' ? 404 : 400
+      return res.status(status).json({
+        success: false,
+        message: error.message
+      })
+    }
+  }
+
+  /**
+   * Eliminar una suscripción
+   */
+  async deleteSubscription (req, res) {
+    try {
+      await merchantWebhookService.deleteSubscription(req.params.id)
+
+      return res.status(200).json({
+        success: true,
+        message: 'Suscripción eliminada exitosamente'
+      })
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      })
+    }
+  }
+
+  /**
+   * Log de entregas con filtros
+   */
+  async getDeliveries (req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+
+      const result = await merchantWebhookService.listDeliveries({
+        subscriptionId: req.query.subscriptionId ? parseInt(req.query.subscriptionId) : undefined,
+        status: req.query.status,
+        eventType: req.query.eventType,
+        page,
+        limit
+      })
+
+      return res.status(200).json({
+        success: true,
+        data: result.deliveries,
+        pagination: result.pagination
+      })
+    } catch (error) {
+      logger.logError(error, { operation: 'merchantWebhooks.getDeliveries' })
+      return res.status(500).json({
+        success: false,
+        message: error.message
+      })
+    }
+  }
+
+  /**
+   * Reenviar una entrega
+   */
+  async replayDelivery (req, res) {
+    try {
+      const delivery = await merchantWebhookService.replayDelivery(parseInt(req.params.id))
+
+      logger.logBusiness('merchantWebhooks:replay.requested', {
+        adminId: req.user.id,
+        deliveryId: parseInt(req.params.id),
+        replayId: delivery.id,
+        status: delivery.status
+      })
+
+      return res.status(200).json({
+        success: true,
+        data: delivery,
+        message: delivery.status === 'DELIVERED'
+          ? 'Webhook reenviado exitosamente'
+          : 'El reenvío falló, se reintentará automáticamente'
+      })
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      })
+    }
+  }
+}
+
+module.exports = new MerchantWebhooksController()
@@ -1,19 +1,75 @@
 const orderService = require('../services/order.service')
 const paymentService = require('../services/payment')
+const refundService = require('../services/refund.service')
 const logger = require('../config/logger')
+const { getOrderCurrency } = require('../utils/currency')
+
+/**
+ * Format an order line item for API responses
+ */
+const formatOrderItem = (item) => ({
+  id: item.id,
+  productRef: item.productRef,
+  productName: item.product?.name,
+  qty: item.qty,
+  unitPrice: item.unitPrice,
+  subtotal: item.subtotal,
+  discountTotal: item.discountTotal,
+  taxClass: item.taxClass,
+  taxRate: item.taxRate,
+  taxTotal: item.taxTotal,
+  grandTotal: item.grandTotal
+})
+
+/**
+ * Format a refund ledger entry for API responses
+ */
+const formatRefund = (refund) => ({
+  id: refund.id,
+  orderId: refund.orderId,
+  transactionId: refund.transactionId,
+  gateway: refund.gateway,
+  gatewayRefundRef: refund.gatewayRefundRef,
+  type: refund.type,
+  amount: refund.amount,
+  currency: refund.currency,
+  status: refund.status,
+  reason: refund.reason,
+  licenseAction: refund.licenseAction,
+  licenseIds: refund.licenseIds,
+  requestedBy: refund.requestedBy,
+  confirmedBy: refund.confirmedBy,
+  processedAt: refund.processedAt,
+  createdAt: refund.createdAt
+})
+
+/**
+ * Map refund service errors to HTTP status codes
+ */
+const getRefundErrorStatus = (error) => {
+  if (error.message === 'Order not found' || error.message === 'Refund not found') return 404
+  if (error.message.includes('No paid transaction') ||
+    error.message.includes('already fully refunded') ||
+    error.message.includes('Cannot process refund')) return 409
+  if (error.message.includes('exceeds refundable balance') ||
+    error.message.includes('do not belong to this order')) return 400
+  if (error.message.includes('does not support refunds')) return 422
+  return 500
+}
 
 /**
  * Create new order with customer auto-creation
  */
 exports.createOrder = async (req, res) => {
   try {
-    const { productRef, qty = 1, provider = 'mock', customer, shippingInfo } = req.body
+    const { items, productRef, qty = 1, provider = 'mock', customer, shippingInfo, couponCode, currency } = req.body
 
     // Validate required fields
-    if (!productRef) {
+    const hasItems = Array.isArray(items) && items.length > 0
+    if (!hasItems && !productRef) {
       return res.status(400).json({
         success: false,
-        message: 'productRef is required'
+        message: 'items or productRef is required'
       })
     }
 
@@ -34,11 +90,14 @@ exports.createOrder = async (req, res) => {
 
     // Create order
     const result = await orderService.createOrder({
+      items: hasItems ? items : undefined,
       productRef,
       qty,
       provider,
       customer,
-      shippingInfo
+      shippingInfo,
+      couponCode,
+      currency
     })
 
     // If provider is cobre or epayco, create payment intent automatically
@@ -107,9 +166,12 @@ exports.createOrder = async (req, res) => {
         id: result.order.id,
         productRef: result.order.productRef,
         qty: result.order.qty,
+        items: result.items.map(formatOrderItem),
         status: result.order.status,
+        discountTotal: result.order.discountTotal,
         grandTotal: result.order.grandTotal,
-        currency: transactionData.currency
+        currency: transactionData.currency,
+        coupon: result.coupon
       },
       transaction: transactionData
     }
@@ -247,10 +309,12 @@ exports.getOrderById = async (req, res) => {
           license_type: order.product.license_type
         },
         qty: order.qty,
+        items: (order.items || []).map(formatOrderItem),
         subtotal: order.subtotal,
         discountTotal: order.discountTotal,
         taxTotal: order.taxTotal,
         grandTotal: order.grandTotal,
+        currency: getOrderCurrency(order),
         status: order.status,
         shippingInfo: order.shippingInfo,
         transactions: order.transactions.map(t => ({
@@ -308,7 +372,9 @@ exports.getOrdersByCustomer = async (req, res) => {
           currency: order.product.currency
         },
         qty: order.qty,
+        items: (order.items || []).map(formatOrderItem),
         grandTotal: order.grandTotal,
+        currency: getOrderCurrency(order),
         status: order.status,
         createdAt: order.createdAt,
         transactions: order.transactions.map(t => ({
@@ -443,9 +509,11 @@ exports.getAllOrders = async (req, res) => {
           currency: order.product.currency
         },
         qty: order.qty,
+        items: (order.items || []).map(formatOrderItem),
         subtotal: order.subtotal,
         discountTotal: order.discountTotal,
         grandTotal: order.grandTotal,
+        currency: getOrderCurrency(order),
         status: order.status,
         createdAt: order.createdAt,
         updatedAt: order.updatedAt,
@@ -495,7 +563,7 @@ exports.updateOrderStatus = async (req, res) => {
       })
     }
 
-    const order = await orderService.updateOrderStatus(orderId, status)
+    const order = await orderService.updateOrderStatus(orderId, status, null, req.user?.id)
 
     res.status(200).json({
       success: true,
@@ -549,8 +617,8 @@ exports.reviveOrder = async (req, res) => {
         transactionId: result.transactionId,
         status: result.status,
         licenseAssigned: result.licenseAssigned,
-        emailSent: result.emailSent,
-        emailMessageId: result.emailMessageId,
+        emailQueued: result.emailQueued,
+        outboxIds: result.outboxIds,
         emailRecipient: result.emailRecipient,
         revivedAt: result.revivedAt,
         reason: result.reason,
@@ -582,3 +650,127 @@ exports.reviveOrder = async (req, res) => {
     })
   }
 }
+
+/**
+ * List the refund ledger of an order (Admin only)
+ */
+exports.getRefunds = async (req, res) => {
+  try {
+    const refunds = await refundService.getRefunds(req.params.orderId)
+
+    res.status(200).json({
+      success: true,
+      data: refunds.map(formatRefund)
+    })
+  } catch (error) {
+    logger.logError(error, {
+      operation: 'getRefunds',
+      orderId: req.params.orderId
+    })
+
+    res.status(500).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Create a full or partial refund (Admin only)
+ */
+exports.createRefund = async (req, res) => {
+  try {
+    const { orderId } = req.params
+    const { amount, reason, licenseAction, licenseIds } = req.body
+    const adminId = req.user?.id
+
+    const refund = await refundService.createRefund(orderId, {
+      amount,
+      reason,
+      licenseAction,
+      licenseIds
+    }, adminId)
+
+    const isPendingManual = refund.status === 'PENDING_MANUAL'
+
+    res.status(isPendingManual ? 202 : 201).json({
+      success: true,
+      data: formatRefund(refund),
+      message: isPendingManual
+        ? 'Refund registered. Process it in the gateway panel and confirm it'
+        : 'Refund processed successfully'
+    })
+  } catch (error) {
+    logger.logError(error, {
+      operation: 'createRefund',
+      orderId: req.params.orderId,
+      body: req.body,
+      adminId: req.user?.id
+    })
+
+    res.status(getRefundErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Confirm a manual refund (Admin only)
+ */
+exports.confirmRefund = async (req, res) => {
+  try {
+    const { orderId, refundId } = req.params
+    const { gatewayRefundRef, notes } = req.body
+
+    const refund = await refundService.confirmRefund(orderId, refundId, { gatewayRefundRef, notes }, req.user?.id)
+
+    res.status(200).json({
+      success: true,
+      data: formatRefund(refund),
+      message: 'Refund confirmed successfully'
+    })
+  } catch (error) {
+    logger.logError(error, {
+      operation: 'confirmRefund',
+      orderId: req.params.orderId,
+      refundId: req.params.refundId,
+      adminId: req.user?.id
+    })
+
+    res.status(getRefundErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
+
+/**
+ * Reject a pending manual refund (Admin only)
+ */
+exports.rejectRefund = async (req, res) => {
+  try {
+    const { orderId, refundId } = req.params
+    const { reason } = req.body
+
+    const refund = await refundService.rejectRefund(orderId, refundId, reason, req.user?.id)
+
+    res.status(200).json({
+      success: true,
+      data: formatRefund(refund),
+      message: 'Refund rejected'
+    })
+  } catch (error) {
+    logger.logError(error, {
+      operation: 'rejectRefund',
+      orderId: req.params.orderId,
+      refundId: req.params.refundId,
+      adminId: req.user?.id
+    })
+
+    res.status(getRefundErrorStatus(error)).json({
+      success: false,
+      message: error.message
+    })
+  }
+}
@@ -99,6 +99,25 @@ class ProductsController {
     }
   }
 
+  /**
+   * Obtener el stock de licencias de un producto (disponibles vs retenidas en checkout)
+   */
+  async getProductStock (req, res) {
+    try {
+      const stock = await productService.getProductStock(req.params.id)
+
+      return res.status(200).json({
+        success: true,
+        data: stock
+      })
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      })
+    }
+  }
+
   /**
    * Obtener un producto por referencia
    */
@@ -125,7 +144,7 @@ class ProductsController {
   async updateProduct (req, res) {
     try {
       const { id } = req.params
-      const product = await productService.updateProduct(id, req.body)
+      const product = await productService.updateProduct(id, req.body, req.user?.id)
 
       return res.status(200).json({
         success: true,
@@ -186,6 +205,45 @@ class ProductsController {
     }
   }
 
+  /**
+   * Obtener la lista de precios por moneda de un producto
+   */
+  async getProductPrices (req, res) {
+    try {
+      const prices = await productService.getProductPrices(req.params.id)
+
+      return res.status(200).json({
+        success: true,
+        data: prices
+      })
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      })
+    }
+  }
+
+  /**
+   * Reemplazar la lista de precios por moneda de un producto
+   */
+  async updateProductPrices (req, res) {
+    try {
+      const prices = await productService.setProductPrices(req.params.id, req.body.prices, req.user?.id)
+
+      return res.status(200).json({
+        success: true,
+        data: prices,
+        message: 'Lista de precios actualizada exitosamente'
+      })
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      })
+    }
+  }
+
   /**
    * Eliminar un producto
    */
@@ -258,10 +316,10 @@ class ProductsController {
       }
 
       // Llamar al servicio para importar
-      const result = await productService.bulkImport(rows, req.admin?.id)
+      const result = await productService.bulkImport(rows, req.admin?.id || req.user?.id)
 
       logger.logBusiness('bulkUploadProducts.success', {
-        adminId: req.admin?.id,
+        adminId: req.admin?.id || req.user?.id,
         filename: req.file.originalname,
         imported: result.imported,
         total: rows.length
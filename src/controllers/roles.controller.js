@@ -0,0 +1,111 @@
+const roleService = require('../services/role.service')
+const logger = require('../config/logger')
+
+/**
+ * Responder un error de roles con su código HTTP
+ */
+function sendRoleError (res, error, operation) {
+  let status = 500
+  if (error.code === 'ROLE_NOT_FOUND') {
+    status = 404
+  } else if (error.code === 'ROLE_ALREADY_EXISTS' || error.code === 'ROLE_IN_USE') {
+    status = 409
+  } else if (error.code === 'ROLE_PROTECTED' || error.code === 'ROLE_ESCALATION') {
+    status = 403
+  } else if (error.code === 'INVALID_PERMISSION') {
+    status = 400
+  } else {
+    logger.logError(error, { operation })
+  }
+
+  return res.status(status).json({
+    success: false,
+    message: error.message,
+    code: error.code
+  })
+}
+
+/**
+ * Controlador de roles y permisos de administradores
+ */
+class RolesController {
+  /**
+   * Listar roles con sus permisos y administradores asignados
+   */
+  async getRoles (req, res) {
+    try {
+      const roles = await roleService.listRoles()
+
+      return res.status(200).json({
+        success: true,
+        data: roles
+      })
+    } catch (error) {
+      return sendRoleError(res, error, 'roles.getRoles')
+    }
+  }
+
+  /**
+   * Catálogo de permisos disponibles
+   */
+  async getPermissions (req, res) {
+    return res.status(200).json({
+      success: true,
+      data: roleService.listPermissions()
+    })
+  }
+
+  /**
+   * Crear un rol
+   */
+  async createRole (req, res) {
+    try {
+      const { name, description, permissions } = req.body
+      const role = await roleService.createRole({ name, description, permissions }, req.user)
+
+      return res.status(201).json({
+        success: true,
+        data: role,
+        message: 'Rol creado exitosamente'
+      })
+    } catch (error) {
+      return sendRoleError(res, error, 'roles.createRole')
+    }
+  }
+
+  /**
+   * Actualizar descripción o permisos de un rol
+   */
+  async updateRole (req, res) {
+    try {
+      const { description, permissions } = req.body
+      const role = await roleService.updateRole(req.params.name, { description, permissions }, req.user)
+
+      return res.status(200).json({
+        success: true,
+        data: role,
+        message: 'Rol actualizado exitosamente'
+      })
+    } catch (error) {
+      return sendRoleError(res, error, 'roles.updateRole')
+    }
+  }
+
+  /**
+   * Eliminar un rol sin administradores asignados
+   */
+  async deleteRole (req, res) {
+    try {
+      await roleService.deleteRole(req.params.name, req.user)
+
+      return res.status(200).json({
+        success: true,
+        message: 'Rol eliminado exitosamente'
+      })
+    } catch (error) {
+      return sendRoleError(res, error, 'roles.deleteRole')
+    }
+  }
+}
+
+module.exports = new RolesController()
@@ -1,8 +1,22 @@
 const userService = require('../services/user.service')
 const otpService = require('../services/otp.service')
 const logger = require('../config/logger')
+const accountLockoutService = require('../services/accountLockout.service')
 const { DOCUMENT_TYPES } = require('../models')
 
+/**
+ * Responder 429 con Retry-After a una cuenta bloqueada por intentos fallidos
+ */
+function sendAccountLocked (res, error) {
+  res.set('Retry-After', String(accountLockoutService.retryAfterSeconds(error.lockedUntil)))
+  return res.status(429).json({
+    success: false,
+    message: 'Demasiados intentos fallidos. Tu cuenta está bloqueada temporalmente, intenta nuevamente más tarde.',
+    code: error.code,
+    lockedUntil: error.lockedUntil
+  })
+}
+
 /**
  * Controlador para la gestión de usuarios
  */
@@ -126,11 +140,22 @@ class UsersController {
         }
       })
     } catch (error) {
+      if (error.code === 'ACCOUNT_LOCKED') {
+        return sendAccountLocked(res, error)
+      }
+
       logger.logError(error, {
         operation: 'requestOtp',
         email: req.body.email
       })
 
+      if (error.code === 'OTP_DELIVERY_FAILED') {
+        return res.status(502).json({
+          success: false,
+          message: 'No fue posible enviar el código a tu correo, intenta nuevamente'
+        })
+      }
+
       res.status(500).json({
         success: false,
         message: 'Error interno del servidor'
@@ -157,12 +182,13 @@ class UsersController {
       const normalizedEmail = email.toLowerCase().trim()
 
       // Verificar el código OTP
-      const otpResult = await otpService.verifyOtp(normalizedEmail, code)
+      const otpResult = await otpService.verifyOtp(normalizedEmail, code, { ipAddress: req.ip })
 
       if (!otpResult.success) {
         return res.status(400).json({
           success: false,
-          message: otpResult.message
+          message: otpResult.message,
+          code: otpResult.code
         })
       }
 
@@ -190,6 +216,10 @@ class UsersController {
         }
       })
     } catch (error) {
+      if (error.code === 'ACCOUNT_LOCKED') {
+        return sendAccountLocked(res, error)
+      }
+
       logger.logError(error, {
         operation: 'verifyOtp',
         email: req.body.email
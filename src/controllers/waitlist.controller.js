@@ -209,7 +209,7 @@ exports.getJobStatus = async (req, res) => {
 exports.runJob = async (req, res) => {
   try {
     const jobScheduler = require('../jobs/scheduler')
-    const result = await jobScheduler.runJob('waitlistProcessing')
+    const result = await jobScheduler.runJob('waitlistProcessing', req.user.id)
 
     res.json({
       success: true,
@@ -217,6 +217,13 @@ exports.runJob = async (req, res) => {
       message: 'Job executed successfully'
     })
   } catch (error) {
+    if (error.code === 'JOB_ALREADY_RUNNING') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      })
+    }
+
     logger.logError(error, {
       operation: 'runWaitlistJob'
     })
@@ -227,30 +234,24 @@ exports.runJob = async (req, res) => {
   }
 }
 
-// Variable para evitar ejecuciones concurrentes del procesamiento manual completo
-let isManualRunInProgress = false
-
 /**
  * Ejecutar procesamiento manual completo de lista de espera
  * Procesa TODAS las entradas PENDING → reserva licencias → envía emails → marca COMPLETED
+ * Usa el lease de waitlistProcessing: no se solapa con el job programado ni con otra corrida en cualquier réplica
  */
 exports.runFullProcessing = async (req, res) => {
-  if (isManualRunInProgress) {
-    return res.status(409).json({
-      success: false,
-      message: 'A manual processing run is already in progress'
-    })
-  }
-
-  isManualRunInProgress = true
   const startedAt = new Date()
 
   try {
+    const jobScheduler = require('../jobs/scheduler')
     const WaitlistProcessingJob = require('../jobs/waitlistProcessing')
     const job = new WaitlistProcessingJob()
 
-    // Ejecuta el flujo completo ya existente
-    const result = await job.executeManual()
+    // Ejecuta el flujo completo ya existente y lo registra en el historial del job
+    const result = await jobScheduler.runExclusive('waitlistProcessing', () => job.executeManual(), {
+      adminId: req.user.id,
+      options: { processAll: true }
+    })
 
     return res.json({
       success: true,
@@ -262,6 +263,13 @@ exports.runFullProcessing = async (req, res) => {
       data: result
     })
   } catch (error) {
+    if (error.code === 'JOB_ALREADY_RUNNING') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      })
+    }
+
     logger.logError(error, {
       operation: 'runFullProcessing'
     })
@@ -269,7 +277,5 @@ exports.runFullProcessing = async (req, res) => {
       success: false,
       message: error.message
     })
-  } finally {
-    isManualRunInProgress = false
   }
 }
@@ -0,0 +1,55 @@
+const logger = require('../config/logger')
+const cron = require('../utils/cron')
+const emailQueueService = require('../services/emailQueue.service')
+
+/**
+ * Email outbox job - sends queued emails and retries failed ones with exponential backoff
+ */
+class EmailOutboxJob {
+  constructor () {
+    this.name = 'emailOutbox'
+    this.intervalSeconds = emailQueueService.intervalSeconds
+  }
+
+  /**
+   * Execute the outbox job
+   */
+  async execute () {
+    return await emailQueueService.processPending()
+  }
+
+  /**
+   * Run the job
+   */
+  async run () {
+    const startTime = Date.now()
+
+    try {
+      const result = await this.execute()
+
+      if (result.processed > 0) {
+        logger.info(`${this.name} job completed in ${Date.now() - startTime}ms`, result)
+      }
+      return result
+    } catch (error) {
+      logger.error(`${this.name} job failed after ${Date.now() - startTime}ms:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Get cron configuration for this job
+   */
+  getCronConfig () {
+    return {
+      name: this.name,
+      cronTime: cron.fromIntervalSeconds(this.intervalSeconds),
+      onTick: () => this.run(),
+      start: true,
+      timeZone: 'America/Bogota',
+      recordIdleRuns: false
+    }
+  }
+}
+
+module.exports = EmailOutboxJob
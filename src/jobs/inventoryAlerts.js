@@ -0,0 +1,50 @@
+const logger = require('../config/logger')
+const inventoryService = require('../services/inventory.service')
+
+/**
+ * Inventory alerts job - emails admins when stock drops below threshold or the waitlist grows
+ */
+class InventoryAlertsJob {
+  constructor () {
+    this.name = 'inventoryAlerts'
+  }
+
+  /**
+   * Execute the inventory check
+   */
+  async execute () {
+    return await inventoryService.checkAlerts()
+  }
+
+  /**
+   * Run the job
+   */
+  async run () {
+    const startTime = Date.now()
+
+    try {
+      const result = await this.execute()
+
+      logger.info(`${this.name} job completed in ${Date.now() - startTime}ms`, result)
+      return result
+    } catch (error) {
+      logger.error(`${this.name} job failed after ${Date.now() - startTime}ms:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Get cron configuration for this job
+   */
+  getCronConfig () {
+    return {
+      name: this.name,
+      cronTime: process.env.INVENTORY_ALERT_SCHEDULE || '0 * * * *', // Every hour
+      onTick: () => this.run(),
+      start: process.env.ENABLE_INVENTORY_ALERTS === 'true',
+      timeZone: 'America/Bogota'
+    }
+  }
+}
+
+module.exports = InventoryAlertsJob
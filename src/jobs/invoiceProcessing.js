@@ -1,5 +1,6 @@
 const InvoiceService = require('../services/invoices')
 const logger = require('../config/logger')
+const orderLines = require('../utils/orderLines')
 const { Transaction, Invoice, Order, User, Product } = require('../models')
 
 /**
@@ -12,21 +13,9 @@ class InvoiceProcessingJob {
     this.invoiceService = new InvoiceService()
     this.isRunning = false
     this.lastRun = null
-    this.isEnabled = process.env.ENABLE_INVOICE_PROCESSING === 'true'
     this.schedule = process.env.INVOICE_JOB_SCHEDULE || '0 2 * * *' // 2 AM todos los días por defecto
   }
 
-  /**
-   * Verifica si el job debe ejecutarse
-   */
-  shouldRun () {
-    if (!this.isEnabled) {
-      logger.info('Job de facturación deshabilitado por configuración')
-      return false
-    }
-    return true
-  }
-
   /**
    * Ejecuta el job de procesamiento de facturas
    */
@@ -64,7 +53,8 @@ class InvoiceProcessingJob {
           as: 'order',
           include: [
             { model: User, as: 'customer' },
-            { model: Product, as: 'product' }
+            { model: Product, as: 'product' },
+            orderLines.ITEMS_INCLUDE
           ]
         }],
         order: [['id', 'ASC']]
@@ -237,52 +227,28 @@ class InvoiceProcessingJob {
 
   /**
    * Obtiene el estado del job
+   * La próxima ejecución la reporta el scheduler (GET /api/admin/jobs/invoiceProcessing/schedule)
    */
   getStatus () {
     return {
       isRunning: this.isRunning,
       lastRun: this.lastRun,
-      schedule: this.schedule,
-      nextScheduledRun: this.getNextScheduledRun()
-    }
-  }
-
-  /**
-   * Calcula la próxima ejecución programada (simplificado)
-   */
-  getNextScheduledRun () {
-    // Para simplificar, calculamos la próxima ejecución a las 2 AM
-    const now = new Date()
-    const next = new Date(now)
-    next.setHours(2, 0, 0, 0)
-
-    // Si ya pasaron las 2 AM de hoy, programar para mañana
-    if (next <= now) {
-      next.setDate(next.getDate() + 1)
+      schedule: this.schedule
     }
-
-    return next
   }
 
   /**
-   * Verifica si es tiempo de ejecutar el job
+   * Configuración por defecto del scheduler
+   * Se habilita con ENABLE_INVOICE_PROCESSING; la expresión sale de INVOICE_JOB_SCHEDULE
    */
-  shouldRun () {
-    if (this.isRunning) return false
-
-    const now = new Date()
-    const nextRun = this.getNextScheduledRun()
-
-    // Si no hay última ejecución, verificar si es tiempo
-    if (!this.lastRun) {
-      return now.getHours() === 2 && now.getMinutes() < 5 // Ventana de 5 minutos
+  getCronConfig () {
+    return {
+      name: this.name,
+      cronTime: this.schedule,
+      onTick: () => this.run(),
+      start: process.env.ENABLE_INVOICE_PROCESSING === 'true',
+      timeZone: 'America/Bogota'
     }
-
-    // Verificar si han pasado más de 23 horas desde la última ejecución
-    const timeSinceLastRun = now.getTime() - this.lastRun.getTime()
-    const hoursThreshold = 23 * 60 * 60 * 1000 // 23 horas en milisegundos
-
-    return timeSinceLastRun > hoursThreshold && now.getHours() === 2
   }
 }
 
@@ -0,0 +1,55 @@
+const logger = require('../config/logger')
+const cron = require('../utils/cron')
+const merchantWebhookService = require('../services/merchantWebhook.service')
+
+/**
+ * Merchant webhooks job - delivers outgoing webhook events and retries failed ones with exponential backoff
+ */
+class MerchantWebhooksJob {
+  constructor () {
+    this.name = 'merchantWebhooks'
+    this.intervalSeconds = merchantWebhookService.intervalSeconds
+  }
+
+  /**
+   * Execute the webhook delivery job
+   */
+  async execute () {
+    return await merchantWebhookService.processPending()
+  }
+
+  /**
+   * Run the job
+   */
+  async run () {
+    const startTime = Date.now()
+
+    try {
+      const result = await this.execute()
+
+      if (result.processed > 0) {
+        logger.info(`${this.name} job completed in ${Date.now() - startTime}ms`, result)
+      }
+      return result
+    } catch (error) {
+      logger.error(`${this.name} job failed after ${Date.now() - startTime}ms:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Get cron configuration for this job
+   */
+  getCronConfig () {
+    return {
+      name: this.name,
+      cronTime: cron.fromIntervalSeconds(this.intervalSeconds),
+      onTick: () => this.run(),
+      start: true,
+      timeZone: 'America/Bogota',
+      recordIdleRuns: false
+    }
+  }
+}
+
+module.exports = MerchantWebhooksJob
@@ -2,6 +2,8 @@ const { Order, Transaction, License, sequelize } = require('../models')
 const { Op } = require('sequelize')
 const logger = require('../config/logger')
 const TransactionManager = require('../utils/transactionManager')
+const merchantWebhookService = require('../services/merchantWebhook.service')
+const licenseHoldService = require('../services/licenseHold.service')
 
 /**
  * Order timeout job - cancels orders that have been pending too long
@@ -21,6 +23,9 @@ class OrderTimeoutJob {
         timeoutMinutes: this.timeoutMinutes
       })
 
+      // Return checkout holds left behind by orders that are no longer pending
+      const holdsReleased = await licenseHoldService.releaseExpiredHolds()
+
       const cutoffTime = new Date(Date.now() - (this.timeoutMinutes * 60 * 1000))
 
       // Find expired orders
@@ -46,7 +51,7 @@ class OrderTimeoutJob {
         logger.logBusiness('job:orderTimeout.noExpired', {
           checkedAt: new Date()
         })
-        return { processed: 0, message: 'No expired orders found' }
+        return { processed: 0, holdsReleased, message: 'No expired orders found' }
       }
 
       let processedCount = 0
@@ -78,6 +83,7 @@ class OrderTimeoutJob {
       return {
         processed: processedCount,
         total: expiredOrders.length,
+        holdsReleased,
         errors
       }
     } catch (error) {
@@ -117,7 +123,9 @@ class OrderTimeoutJob {
         }
       )
 
-      // Check if any licenses were reserved for this order and return them
+      // Release the checkout hold, then return any other licenses assigned to this order
+      const heldReleased = await licenseHoldService.releaseForOrder(order.id, t, 'ORDER_TIMEOUT')
+
       const reservedLicenses = await License.findAll({
         where: {
           orderId: order.id,
@@ -131,6 +139,7 @@ class OrderTimeoutJob {
           await license.update({
             status: 'AVAILABLE',
             orderId: null,
+            orderItemId: null,
             reservedAt: null,
             soldAt: null
           }, { transaction: t })
@@ -143,9 +152,15 @@ class OrderTimeoutJob {
         }
       }
 
+      // Notify subscribed merchants (outgoing webhook, same transaction)
+      await merchantWebhookService.emitOrderCanceled(order, {
+        reason: 'ORDER_TIMEOUT',
+        licensesReturned: heldReleased + reservedLicenses.length
+      }, t)
+
       logger.logBusiness('order:timeout.processed', {
         orderId: order.id,
-        licensesReturned: reservedLicenses.length
+        licensesReturned: heldReleased + reservedLicenses.length
       })
     })
   }
@@ -178,7 +193,7 @@ class OrderTimeoutJob {
       name: this.name,
       cronTime: '*/10 * * * *', // Every 10 minutes (changed from 5)
       onTick: () => this.run(),
-      start: false,
+      start: true,
       timeZone: 'America/Bogota'
     }
   }
@@ -1,16 +1,33 @@
 const logger = require('../config/logger')
+const { JobSchedule } = require('../models')
+const jobLeaseManager = require('../utils/jobLeaseManager')
+const jobRunService = require('../services/jobRun.service')
+const cron = require('../utils/cron')
 const OrderTimeoutJob = require('./orderTimeout')
 const WaitlistProcessingJob = require('./waitlistProcessing')
 const InvoiceProcessingJob = require('./invoiceProcessing')
-const EmailRetryJob = require('./emailRetry')
+const EmailOutboxJob = require('./emailOutbox')
+const MerchantWebhooksJob = require('./merchantWebhooks')
+const InventoryAlertsJob = require('./inventoryAlerts')
+
+// setTimeout no admite esperas mayores a ~24.8 días; las más largas se reprograman por tramos
+const MAX_TIMEOUT_MS = 2147483647
+
+// Cada cuánto se releen las programaciones de la base de datos (cambios hechos desde otra réplica)
+const SCHEDULE_REFRESH_MS = (parseInt(process.env.JOB_SCHEDULE_REFRESH_SECONDS) || 60) * 1000
 
 /**
- * Simple job scheduler for background tasks
+ * Job scheduler for background tasks
+ * Cada job corre según su expresión cron (con zona horaria). La programación por defecto sale de
+ * getCronConfig() y puede sobrescribirse por job en la tabla job_schedules, que sobrevive reinicios.
  */
 class JobScheduler {
   constructor () {
     this.jobs = new Map()
-    this.intervals = new Map()
+    this.schedules = new Map()
+    this.timers = new Map()
+    this.nextRuns = new Map()
+    this.refreshTimer = null
     this.running = false
   }
 
@@ -40,9 +57,9 @@ class JobScheduler {
    * Start all registered jobs
    * @param {Object} options - Opciones
    * @param {boolean} options.silent - Si es true, no emite logs (retorna resumen)
-   * @returns {Object} Resumen de jobs iniciados
+   * @returns {Promise<Object>} Resumen de jobs iniciados
    */
-  start (options = {}) {
+  async start (options = {}) {
     const { silent = false } = options
 
     if (this.running) {
@@ -63,27 +80,33 @@ class JobScheduler {
     // Register default jobs (silenciosamente)
     this.registerJob(OrderTimeoutJob, { silent: true })
     this.registerJob(WaitlistProcessingJob, { silent: true })
-    this.registerJob(EmailRetryJob, { silent: true })
+    this.registerJob(InvoiceProcessingJob, { silent: true })
+    this.registerJob(EmailOutboxJob, { silent: true })
+    this.registerJob(MerchantWebhooksJob, { silent: true })
+    this.registerJob(InventoryAlertsJob, { silent: true })
 
-    // Determinar qué jobs están activos vs pausados
-    const activeJobs = []
-    const pausedJobs = []
+    await this.loadSchedules()
 
-    // Start each job based on its schedule
+    // Todos los jobs siguen su cron; los deshabilitados omiten la ejecución en cada tick
     for (const [name] of this.jobs) {
-      // Verificar si el job debe iniciar automáticamente
-      const shouldStart =
-        (name === 'waitlistProcessing' && process.env.ENABLE_WAITLIST_PROCESSING === 'true') ||
-        (name === 'emailRetry' && process.env.ENABLE_EMAIL_RETRY === 'true') ||
-        (name !== 'waitlistProcessing' && name !== 'emailRetry')
-
-      if (shouldStart) {
-        this.startJob(name, { silent })
+      this.scheduleNext(name)
+    }
+
+    this.refreshTimer = setInterval(() => {
+      this.loadSchedules().catch(error => {
+        logger.logError(error, { operation: 'scheduler.refreshSchedules' })
+      })
+    }, SCHEDULE_REFRESH_MS)
+
+    const activeJobs = []
+    const pausedJobs = []
+    for (const [name, schedule] of this.schedules) {
+      if (schedule.enabled) {
         activeJobs.push(name)
       } else {
         pausedJobs.push(name)
         if (!silent) {
-          logger.info(`Job ${name} registrado pero no iniciado automáticamente`)
+          logger.info(`Job ${name} registrado pero deshabilitado`)
         }
       }
     }
@@ -100,80 +123,259 @@ class JobScheduler {
   }
 
   /**
-   * Start a specific job
+   * Programación por defecto de un job (getCronConfig y variables de entorno)
+   */
+  getDefaultSchedule (job) {
+    const config = job.getCronConfig()
+
+    return {
+      cronExpression: config.cronTime,
+      timezone: config.timeZone || cron.DEFAULT_TIMEZONE,
+      enabled: config.start !== false,
+      source: 'default'
+    }
+  }
+
+  /**
+   * Cargar (o recargar) las programaciones persistidas y reprogramar los jobs que cambiaron
+   */
+  async loadSchedules () {
+    const rows = await JobSchedule.findAll()
+    const persisted = new Map(rows.map(row => [row.jobName, row]))
+
+    for (const [name, job] of this.jobs) {
+      const row = persisted.get(name)
+      const schedule = row
+        ? { cronExpression: row.cronExpression, timezone: row.timezone, enabled: row.enabled, source: 'database' }
+        : this.getDefaultSchedule(job)
+
+      const current = this.schedules.get(name)
+      this.schedules.set(name, schedule)
+
+      const changed = current && (
+        current.cronExpression !== schedule.cronExpression ||
+        current.timezone !== schedule.timezone
+      )
+      if (changed && this.timers.has(name)) {
+        this.scheduleNext(name)
+      }
+    }
+  }
+
+  /**
+   * Programar el próximo tick de un job según su expresión cron
    * @param {string} jobName - Nombre del job
-   * @param {Object} options - Opciones
-   * @param {boolean} options.silent - Si es true, no emite logs
    */
-  startJob (jobName, options = {}) {
-    const { silent = false } = options
+  scheduleNext (jobName) {
+    this.clearTimer(jobName)
+
+    const schedule = this.schedules.get(jobName)
+    let nextRunAt = null
+
+    try {
+      nextRunAt = cron.getNextRun(schedule.cronExpression, { timezone: schedule.timezone })
+    } catch (error) {
+      logger.logError(error, { operation: 'scheduler.scheduleNext', jobName, cronExpression: schedule.cronExpression })
+    }
+
+    if (!nextRunAt) {
+      logger.warn(`Job ${jobName} sin próxima ejecución para "${schedule.cronExpression}"`)
+      return
+    }
+
+    const delay = Math.min(nextRunAt.getTime() - Date.now(), MAX_TIMEOUT_MS)
+    const timer = setTimeout(() => this.onTick(jobName, nextRunAt), Math.max(delay, 0))
+
+    this.timers.set(jobName, timer)
+    this.nextRuns.set(jobName, nextRunAt)
+  }
+
+  /**
+   * Tick de un job: ejecutar si está habilitado y programar el siguiente
+   */
+  async onTick (jobName, plannedAt) {
+    // Esperas mayores al máximo de setTimeout: aún no es la hora, seguir esperando
+    if (Date.now() < plannedAt.getTime() - 1000) {
+      this.scheduleNext(jobName)
+      return
+    }
+
+    try {
+      if (this.schedules.get(jobName)?.enabled) {
+        await this.runScheduled(jobName)
+      }
+    } catch (error) {
+      logger.error(`Job ${jobName} execution failed:`, error)
+    }
+
+    if (this.running && this.timers.has(jobName)) {
+      this.scheduleNext(jobName)
+    }
+  }
+
+  clearTimer (jobName) {
+    const timer = this.timers.get(jobName)
+    if (timer) {
+      clearTimeout(timer)
+      this.timers.delete(jobName)
+      this.nextRuns.delete(jobName)
+    }
+  }
+
+  /**
+   * Actualizar y persistir la programación de un job
+   * @param {string} jobName - Nombre del job
+   * @param {Object} changes - { cronExpression, timezone, enabled }
+   * @param {number} adminId - Administrador que hace el cambio
+   * @returns {Promise<Object>} Programación resultante
+   * @throws {Error} code INVALID_SCHEDULE si la expresión o la zona horaria no son válidas
+   */
+  async updateSchedule (jobName, changes, adminId = null) {
     const job = this.jobs.get(jobName)
     if (!job) {
       throw new Error(`Job ${jobName} not found`)
     }
 
+    const current = this.schedules.get(jobName) || this.getDefaultSchedule(job)
+    const schedule = {
+      cronExpression: changes.cronExpression ?? current.cronExpression,
+      timezone: changes.timezone ?? current.timezone,
+      enabled: changes.enabled ?? current.enabled,
+      source: 'database'
+    }
+
     try {
-      // For now, use simple intervals instead of cron
-      // In production, you might want to use node-cron or similar
-      let intervalMs
-
-      switch (jobName) {
-        case 'orderTimeout':
-          intervalMs = 10 * 60 * 1000 // 10 minutes
-          break
-        case 'waitlistProcessing':
-          intervalMs = 30 * 1000 // 30 seconds
-          break
-        case 'emailRetry':
-          intervalMs = 15 * 60 * 1000 // 15 minutes
-          break
-        case 'invoiceProcessing':
-          intervalMs = 60 * 60 * 1000 // 1 hour (check if should run)
-          break
-        default:
-          intervalMs = 10 * 60 * 1000 // 10 minutes default
-      }
+      cron.parse(schedule.cronExpression)
+    } catch (parseError) {
+      const error = new Error(`Expresión cron inválida: ${parseError.message}`)
+      error.code = 'INVALID_SCHEDULE'
+      throw error
+    }
+    if (!cron.isValidTimezone(schedule.timezone)) {
+      const error = new Error(`Zona horaria inválida: ${schedule.timezone}`)
+      error.code = 'INVALID_SCHEDULE'
+      throw error
+    }
 
-      const interval = setInterval(async () => {
-        try {
-          // Para el job de facturas, verificar si debe ejecutarse
-          if (jobName === 'invoiceProcessing') {
-            if (job.shouldRun()) {
-              await job.run()
-            }
-          } else {
-            await job.run()
-          }
-        } catch (error) {
-          logger.error(`Job ${jobName} execution failed:`, error)
-        }
-      }, intervalMs)
+    await JobSchedule.upsert({
+      jobName,
+      cronExpression: schedule.cronExpression,
+      timezone: schedule.timezone,
+      enabled: schedule.enabled,
+      updatedBy: adminId
+    })
 
-      this.intervals.set(jobName, interval)
+    this.schedules.set(jobName, schedule)
+    if (this.running) {
+      this.scheduleNext(jobName)
+    }
 
-      if (!silent) {
-        logger.info(`Job ${jobName} started with ${intervalMs}ms interval`)
+    // Ceder el lease al deshabilitar para no retener el liderazgo de un job pausado
+    if (!schedule.enabled) {
+      await jobLeaseManager.release(jobName)
+    }
+
+    logger.logBusiness('job:schedule.updated', {
+      jobName,
+      cronExpression: schedule.cronExpression,
+      timezone: schedule.timezone,
+      enabled: schedule.enabled,
+      adminId
+    })
+
+    return this.getJobSchedule(jobName)
+  }
+
+  /**
+   * Habilitar un job (persistente)
+   */
+  async startJob (jobName, adminId = null) {
+    const schedule = await this.updateSchedule(jobName, { enabled: true }, adminId)
+    logger.info(`Job ${jobName} enabled`)
+    return schedule
+  }
+
+  /**
+   * Deshabilitar un job (persistente, aplica a todas las réplicas)
+   */
+  async stopJob (jobName, adminId = null) {
+    const schedule = await this.updateSchedule(jobName, { enabled: false }, adminId)
+    logger.info(`Job ${jobName} disabled`)
+    return schedule
+  }
+
+  /**
+   * Programación actual de un job con su próxima ejecución
+   * @param {string} jobName - Nombre del job
+   */
+  getJobSchedule (jobName) {
+    const job = this.jobs.get(jobName)
+    if (!job) {
+      throw new Error(`Job ${jobName} not found`)
+    }
+
+    const schedule = this.schedules.get(jobName) || this.getDefaultSchedule(job)
+    const nextRunAt = this.nextRuns.get(jobName) || null
+
+    return {
+      jobName,
+      cronExpression: schedule.cronExpression,
+      timezone: schedule.timezone,
+      enabled: schedule.enabled,
+      source: schedule.source,
+      nextRunAt: schedule.enabled ? nextRunAt : null
+    }
+  }
+
+  /**
+   * Duración del lease de un job: el periodo de su cron más el margen JOB_LEASE_TTL_SECONDS
+   * Así el dueño lo renueva en cada tick y otra réplica lo toma si deja de hacerlo
+   */
+  getLeaseDuration (jobName) {
+    const schedule = this.schedules.get(jobName)
+    let periodMs = 10 * 60 * 1000
+
+    if (schedule) {
+      try {
+        const first = cron.getNextRun(schedule.cronExpression, { timezone: schedule.timezone })
+        const second = first && cron.getNextRun(schedule.cronExpression, { from: first, timezone: schedule.timezone })
+        if (second) {
+          periodMs = second.getTime() - first.getTime()
+        }
+      } catch (error) {
+        // Expresión inválida: se usa el periodo por defecto
       }
-    } catch (error) {
-      logger.error(`Failed to start job ${jobName}:`, error)
-      throw error
     }
+
+    return periodMs + jobLeaseManager.graceMs
   }
 
   /**
-   * Stop a specific job
+   * Ejecución programada: solo la réplica dueña del lease corre el job
    */
-  stopJob (jobName) {
-    const interval = this.intervals.get(jobName)
-    if (interval) {
-      clearInterval(interval)
-      this.intervals.delete(jobName)
-      logger.info(`Job ${jobName} stopped`)
+  async runScheduled (jobName) {
+    const job = this.jobs.get(jobName)
+    const leaseMs = this.getLeaseDuration(jobName)
+
+    if (!await jobLeaseManager.acquire(jobName, leaseMs)) {
+      return { executed: false, reason: 'lease held by another node' }
     }
+
+    // Los jobs de sondeo frecuente (recordIdleRuns: false) solo guardan en job_runs las corridas con trabajo
+    const recordIdle = job.getCronConfig().recordIdleRuns !== false
+    const { executed, result, runningBy } = await jobLeaseManager.runExclusive(jobName, leaseMs, () => {
+      return jobRunService.track(jobName, { trigger: 'CRON', recordIdle }, () => job.run())
+    })
+
+    if (!executed) {
+      logger.info(`Job ${jobName} skipped: already running on ${runningBy}`)
+    }
+
+    return { executed, result }
   }
 
   /**
-   * Stop all jobs
+   * Stop all jobs (solo en esta réplica; no cambia la programación persistida)
    */
   stop () {
     if (!this.running) {
@@ -182,9 +384,11 @@ class JobScheduler {
 
     logger.info('Stopping job scheduler...')
 
-    for (const [jobName] of this.intervals) {
-      this.stopJob(jobName)
+    for (const [jobName] of this.timers) {
+      this.clearTimer(jobName)
     }
+    clearInterval(this.refreshTimer)
+    this.refreshTimer = null
 
     this.running = false
     logger.info('Job scheduler stopped')
@@ -192,14 +396,40 @@ class JobScheduler {
 
   /**
    * Run a job manually
+   * @param {string} jobName - Nombre del job
+   * @param {number} adminId - Administrador que lanza la ejecución
    */
-  async runJob (jobName) {
+  async runJob (jobName, adminId = null) {
     const job = this.jobs.get(jobName)
     if (!job) {
       throw new Error(`Job ${jobName} not found`)
     }
 
-    return await job.run()
+    return await this.runExclusive(jobName, () => job.run(), { adminId })
+  }
+
+  /**
+   * Ejecutar trabajo manual de un job sin solaparse con otra corrida en curso en cualquier réplica
+   * Una ejecución manual no requiere ser dueño del lease y queda registrada en job_runs
+   * @param {string} jobName - Nombre del job
+   * @param {Function} fn - Trabajo a ejecutar
+   * @param {Object} runOptions - { adminId, options } para el historial
+   * @throws {Error} code JOB_ALREADY_RUNNING si otra corrida está en curso
+   */
+  async runExclusive (jobName, fn, { adminId = null, options = null } = {}) {
+    const { executed, result, runningBy } = await jobLeaseManager.runExclusive(
+      jobName,
+      this.getLeaseDuration(jobName),
+      () => jobRunService.track(jobName, { trigger: 'MANUAL', adminId, options }, fn)
+    )
+
+    if (!executed) {
+      const error = new Error(`Job ${jobName} ya se está ejecutando en el nodo ${runningBy}`)
+      error.code = 'JOB_ALREADY_RUNNING'
+      throw error
+    }
+
+    return result
   }
 
   /**
@@ -207,11 +437,12 @@ class JobScheduler {
    */
   getStatus () {
     return {
+      nodeId: jobLeaseManager.nodeId,
       running: this.running,
       totalJobs: this.jobs.size,
-      activeJobs: this.intervals.size,
+      activeJobs: Array.from(this.schedules.values()).filter(schedule => schedule.enabled).length,
       jobs: Array.from(this.jobs.keys()),
-      activeIntervals: Array.from(this.intervals.keys())
+      schedules: Array.from(this.jobs.keys()).map(jobName => this.getJobSchedule(jobName))
     }
   }
 
@@ -220,8 +451,12 @@ class JobScheduler {
    */
   async shutdown () {
     logger.info('Shutting down job scheduler...')
+    const jobNames = Array.from(this.timers.keys())
     this.stop()
 
+    // Liberar los leases de este nodo para que otra réplica tome los jobs de inmediato
+    await Promise.allSettled(jobNames.map(jobName => jobLeaseManager.release(jobName)))
+
     // Give running jobs time to complete
     await new Promise(resolve => setTimeout(resolve, 1000))
 
@@ -145,6 +145,10 @@ class WaitlistProcessingJob {
             include: ['customer', 'product'],
             required: true
           },
+          {
+            association: 'orderItem',
+            include: ['product']
+          },
           {
             association: 'license',
             required: true
@@ -168,7 +172,10 @@ class WaitlistProcessingJob {
       // Procesar cada entrada
       for (const entry of readyEntries) {
         try {
-          await waitlistService.processWaitlistEntryWithEmail(entry)
+          if (!(await waitlistService.processWaitlistEntryWithEmail(entry))) {
+            // Ya la tomó otro proceso (p. ej. la entrega inmediata tras una importación)
+            continue
+          }
           results.processed++
           results.queued++
 
@@ -301,8 +308,9 @@ class WaitlistProcessingJob {
       name: this.name,
       cronTime: '*/30 * * * * *', // Cada 30 segundos
       onTick: () => this.run(),
-      start: false,
-      timeZone: 'America/Bogota'
+      start: process.env.ENABLE_WAITLIST_PROCESSING === 'true',
+      timeZone: 'America/Bogota',
+      recordIdleRuns: false
     }
   }
 
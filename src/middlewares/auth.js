@@ -1,8 +1,24 @@
 const jwt = require('jsonwebtoken')
 const { JWT } = require('../config')
 const { Admin, User } = require('../models')
+const adminSessionService = require('../services/adminSession.service')
 const logger = require('../config/logger')
 
+const SESSION_CLOSED_MESSAGE = 'Acceso no autorizado. La sesión fue cerrada o expiró.'
+
+/**
+ * Construye req.user para un administrador autenticado
+ * El id de sesión (sid) permite cerrar la sesión actual en logout
+ */
+const adminPrincipal = (admin, decoded) => ({
+  id: admin.id,
+  name: admin.name,
+  email: admin.email,
+  role: admin.role,
+  type: 'admin',
+  sessionId: decoded.sid
+})
+
 /**
  * Middleware de autenticación para administradores
  * Verifica el token JWT y adjunta el administrador al objeto req
@@ -45,15 +61,17 @@ const authenticate = async (req, res, next) => {
       })
     }
 
-    // Adjuntar el administrador al objeto req
-    req.user = {
-      id: admin.id,
-      name: admin.name,
-      email: admin.email,
-      role: admin.role,
-      type: 'admin'
+    // La sesión del token debe seguir abierta (logout, revocación, cambio de contraseña)
+    if (!await adminSessionService.isSessionActive(decoded.sid, admin.id)) {
+      return res.status(401).json({
+        success: false,
+        message: SESSION_CLOSED_MESSAGE
+      })
     }
 
+    // Adjuntar el administrador al objeto req
+    req.user = adminPrincipal(admin, decoded)
+
     next()
   } catch (error) {
     return res.status(401).json({
@@ -182,13 +200,14 @@ const authenticateAny = async (req, res, next) => {
         })
       }
 
-      req.user = {
-        id: admin.id,
-        name: admin.name,
-        email: admin.email,
-        role: admin.role,
-        type: 'admin'
+      if (!await adminSessionService.isSessionActive(decoded.sid, admin.id)) {
+        return res.status(401).json({
+          success: false,
+          message: SESSION_CLOSED_MESSAGE
+        })
       }
+
+      req.user = adminPrincipal(admin, decoded)
     }
 
     next()
@@ -1,6 +1,18 @@
 const rateLimit = require('express-rate-limit')
 const slowDown = require('express-slow-down')
 const logger = require('../config/logger')
+const { RATE_LIMIT_POLICIES } = require('../config/rateLimits')
+const { createStore } = require('../utils/rateLimitStore')
+
+const {
+  general,
+  orderCreation,
+  orderCreationPerEmail,
+  payment,
+  orderLookup,
+  webhook,
+  licenseResend
+} = RATE_LIMIT_POLICIES
 
 /**
  * Custom key generator that handles trusted proxies safely
@@ -12,17 +24,41 @@ const generateKey = (req) => {
   return req.ip || req.connection.remoteAddress || 'unknown'
 }
 
+/**
+ * Opciones comunes: store compartido entre réplicas (uno por limitador) y
+ * fail-open si el store no responde, para que una caída de la base no bloquee la API
+ */
+const sharedStore = (prefix) => ({
+  store: createStore(prefix),
+  passOnStoreError: true
+})
+
+/**
+ * Texto de la ventana para los mensajes ("15 minutos", "una hora")
+ */
+const describeWindow = (windowMs) => {
+  const minutes = Math.round(windowMs / 60000)
+  if (minutes < 60) return `${minutes} minutos`
+  if (minutes === 60) return 'una hora'
+  return `${Math.round(minutes / 60)} horas`
+}
+
+const isAuthenticatedRequest = (req) => Boolean(req.headers.authorization && req.headers.authorization.startsWith('Bearer '))
+
+const normalizeEmail = (email) => typeof email === 'string' ? email.toLowerCase().trim() : ''
+
 /**
  * Rate limiter for order creation - Optimizado para alto volumen
  * Prevents abuse of the public order endpoint
  */
 const orderCreationLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: process.env.ORDER_RATE_LIMIT_MAX ? parseInt(process.env.ORDER_RATE_LIMIT_MAX) : 100, // Aumentado a 100 órdenes por IP
+  ...sharedStore('order-creation:'),
+  windowMs: orderCreation.windowMs,
+  max: orderCreation.max,
   keyGenerator: generateKey,
   message: {
     success: false,
-    message: 'Demasiadas órdenes creadas desde esta IP. Intenta nuevamente en 15 minutos.',
+    message: `Demasiadas órdenes creadas desde esta IP. Intenta nuevamente en ${describeWindow(orderCreation.windowMs)}.`,
     code: 'RATE_LIMIT_EXCEEDED'
   },
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
@@ -30,7 +66,7 @@ const orderCreationLimiter = rateLimit({
   skip: (req) => {
     // Skip para IPs confiables o usuarios autenticados
     const trustedIP = req.headers['x-trusted-ip'] === 'true'
-    const isAuthenticated = req.headers.authorization && req.headers.authorization.startsWith('Bearer ')
+    const isAuthenticated = isAuthenticatedRequest(req)
     const isWhitelistedIP = process.env.WHITELISTED_IPS && process.env.WHITELISTED_IPS.split(',').includes(req.ip)
 
     return trustedIP || isAuthenticated || isWhitelistedIP
@@ -46,7 +82,7 @@ const orderCreationLimiter = rateLimit({
 
     res.status(429).json({
       success: false,
-      message: 'Demasiadas órdenes creadas desde esta IP. Intenta nuevamente en 15 minutos.',
+      message: `Demasiadas órdenes creadas desde esta IP. Intenta nuevamente en ${describeWindow(orderCreation.windowMs)}.`,
       code: 'RATE_LIMIT_EXCEEDED',
       retryAfter: Math.round(req.rateLimit.resetTime / 1000),
       limit: req.rateLimit.limit,
@@ -55,17 +91,51 @@ const orderCreationLimiter = rateLimit({
   }
 })
 
+/**
+ * Rate limiter for order creation keyed by customer email
+ * Complements the per-IP limit: rotating IPs does not reset the count for the same email.
+ * Must run after express.json() so customer.email is available.
+ */
+const orderCreationEmailLimiter = rateLimit({
+  ...sharedStore('order-creation-email:'),
+  windowMs: orderCreationPerEmail.windowMs,
+  max: orderCreationPerEmail.max,
+  keyGenerator: (req) => `email:${normalizeEmail(req.body?.customer?.email)}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  // La creación de órdenes es pública: un header Authorization no prueba nada, así que no exime de este límite
+  skip: (req) => !normalizeEmail(req.body?.customer?.email),
+  handler: (req, res) => {
+    logger.logError(new Error('Rate limit exceeded for order creation by email'), {
+      email: normalizeEmail(req.body?.customer?.email),
+      ip: req.ip,
+      endpoint: req.path,
+      currentLimit: req.rateLimit.limit
+    })
+
+    res.status(429).json({
+      success: false,
+      message: `Demasiadas órdenes creadas con este email. Intenta nuevamente en ${describeWindow(orderCreationPerEmail.windowMs)}.`,
+      code: 'ORDER_EMAIL_RATE_LIMIT_EXCEEDED',
+      retryAfter: Math.round(req.rateLimit.resetTime / 1000),
+      limit: req.rateLimit.limit,
+      remaining: req.rateLimit.remaining
+    })
+  }
+})
+
 /**
  * Rate limiter for payment initiation
  * More restrictive than order creation
  */
 const paymentLimiter = rateLimit({
-  windowMs: 5 * 60 * 1000, // 5 minutes
-  max: 5, // limit each IP to 5 payment requests per windowMs
+  ...sharedStore('payment:'),
+  windowMs: payment.windowMs,
+  max: payment.max,
   keyGenerator: generateKey,
   message: {
     success: false,
-    message: 'Demasiados intentos de pago desde esta IP. Intenta nuevamente en 5 minutos.',
+    message: `Demasiados intentos de pago desde esta IP. Intenta nuevamente en ${describeWindow(payment.windowMs)}.`,
     code: 'PAYMENT_RATE_LIMIT_EXCEEDED'
   },
   standardHeaders: true,
@@ -80,7 +150,7 @@ const paymentLimiter = rateLimit({
 
     res.status(429).json({
       success: false,
-      message: 'Demasiados intentos de pago desde esta IP. Intenta nuevamente en 5 minutos.',
+      message: `Demasiados intentos de pago desde esta IP. Intenta nuevamente en ${describeWindow(payment.windowMs)}.`,
       code: 'PAYMENT_RATE_LIMIT_EXCEEDED',
       retryAfter: Math.round(req.rateLimit.resetTime / 1000)
     })
@@ -92,8 +162,9 @@ const paymentLimiter = rateLimit({
  * Applied to all public endpoints
  */
 const generalLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: process.env.GENERAL_RATE_LIMIT_MAX ? parseInt(process.env.GENERAL_RATE_LIMIT_MAX) : 500, // Aumentado a 500 requests por IP
+  ...sharedStore('general:'),
+  windowMs: general.windowMs,
+  max: general.max,
   keyGenerator: generateKey,
   message: {
     success: false,
@@ -104,7 +175,7 @@ const generalLimiter = rateLimit({
   legacyHeaders: false,
   skip: (req) => {
     // Skip rate limiting for authenticated admin requests, trusted IPs, and health checks
-    const isAuthenticated = req.headers.authorization && req.headers.authorization.startsWith('Bearer ')
+    const isAuthenticated = isAuthenticatedRequest(req)
     const trustedIP = req.headers['x-trusted-ip'] === 'true'
     const isWhitelistedIP = process.env.WHITELISTED_IPS && process.env.WHITELISTED_IPS.split(',').includes(req.ip)
     const isHealthCheck = req.path === '/health' || req.path === '/api/health'
@@ -136,8 +207,9 @@ const generalLimiter = rateLimit({
  * Gradually increases delay for repeated requests
  */
 const orderLookupSlowDown = slowDown({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  delayAfter: 5, // allow 5 requests per windowMs without delay
+  ...sharedStore('order-lookup:'),
+  windowMs: orderLookup.windowMs,
+  delayAfter: orderLookup.delayAfter, // requests per windowMs without delay
   delayMs: (used, req) => {
     // Add 500ms of delay per request after delayAfter
     const delayAfter = req.slowDown.limit
@@ -154,8 +226,9 @@ const orderLookupSlowDown = slowDown({
  * More permissive but still protected
  */
 const webhookLimiter = rateLimit({
-  windowMs: 1 * 60 * 1000, // 1 minute
-  max: process.env.WEBHOOK_RATE_LIMIT_MAX ? parseInt(process.env.WEBHOOK_RATE_LIMIT_MAX) : 1000, // Aumentado a 1000 webhooks por minuto
+  ...sharedStore('webhook:'),
+  windowMs: webhook.windowMs,
+  max: webhook.max,
   keyGenerator: generateKey,
   message: {
     success: false,
@@ -191,8 +264,44 @@ const webhookLimiter = rateLimit({
   }
 })
 
+/**
+ * Rate limiter for license email resends requested by customers
+ * Keyed by the authenticated customer (must run after authenticateUser)
+ */
+const licenseResendLimiter = rateLimit({
+  ...sharedStore('license-resend:'),
+  windowMs: licenseResend.windowMs,
+  max: licenseResend.max,
+  keyGenerator: (req) => `customer:${req.user?.id || generateKey(req)}`,
+  message: {
+    success: false,
+    message: `Demasiados reenvíos de licencias. Intenta nuevamente en ${describeWindow(licenseResend.windowMs)}.`,
+    code: 'LICENSE_RESEND_RATE_LIMIT_EXCEEDED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.logError(new Error('Rate limit exceeded for license email resend'), {
+      customerId: req.user?.id,
+      ip: req.ip,
+      orderId: req.params.orderId
+    })
+
+    res.status(429).json({
+      success: false,
+      message: `Demasiados reenvíos de licencias. Intenta nuevamente en ${describeWindow(licenseResend.windowMs)}.`,
+      code: 'LICENSE_RESEND_RATE_LIMIT_EXCEEDED',
+      retryAfter: Math.round(req.rateLimit.resetTime / 1000),
+      limit: req.rateLimit.limit,
+      remaining: req.rateLimit.remaining
+    })
+  }
+})
+
 module.exports = {
+  licenseResendLimiter,
   orderCreationLimiter,
+  orderCreationEmailLimiter,
   paymentLimiter,
   generalLimiter,
   orderLookupSlowDown,
@@ -0,0 +1,40 @@
+const crypto = require('crypto')
+const { AsyncLocalStorage } = require('async_hooks')
+
+/**
+ * Contexto de la petición HTTP en curso
+ * Permite que los servicios lean la IP, el user agent y el id de la petición
+ * sin recibirlos por parámetro (p. ej. para la bitácora de auditoría)
+ */
+const storage = new AsyncLocalStorage()
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/
+
+/**
+ * Middleware que asigna un id a cada petición (o respeta un X-Request-Id válido)
+ * y lo devuelve en la cabecera de la respuesta
+ */
+const requestContext = (req, res, next) => {
+  const incoming = req.get('X-Request-Id')
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID()
+
+  req.requestId = requestId
+  res.set('X-Request-Id', requestId)
+
+  storage.run({
+    requestId,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent') || null
+  }, next)
+}
+
+/**
+ * Contexto de la petición actual (null fuera de una petición, p. ej. en jobs)
+ * @returns {{ requestId: string, ipAddress: string, userAgent: string }|null}
+ */
+const getRequestContext = () => storage.getStore() || null
+
+module.exports = {
+  requestContext,
+  getRequestContext
+}
@@ -1,6 +1,10 @@
+const roleService = require('../services/role.service')
+const logger = require('../config/logger')
+
 /**
- * Middleware para verificar roles de usuario
- * Los roles son jerárquicos: SUPER_ADMIN > EDITOR > READ_ONLY
+ * Middleware para verificar roles y permisos de administradores
+ * requirePermission() valida permisos con nombre según el rol del administrador (tabla roles).
+ * requireRole() conserva la jerarquía SUPER_ADMIN > EDITOR > READ_ONLY para código existente.
  */
 
 // Mapeo de roles a nivel de jerarquía
@@ -39,6 +43,42 @@ const requireRole = (minRole) => {
   }
 }
 
+/**
+ * Middleware para exigir uno o varios permisos (todos deben estar en el rol)
+ * @param {...string} permissions - Permisos requeridos, p. ej. 'licenses:annul'
+ */
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Usuario no autenticado'
+      })
+    }
+
+    try {
+      const allowed = req.user.type === 'admin' && await roleService.hasPermissions(req.user.role, permissions)
+
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          message: `Acceso denegado. Se requiere el permiso ${permissions.join(', ')}.`,
+          code: 'PERMISSION_DENIED'
+        })
+      }
+
+      next()
+    } catch (error) {
+      logger.logError(error, { operation: 'requirePermission', permissions, role: req.user.role })
+      return res.status(500).json({
+        success: false,
+        message: 'No se pudieron verificar los permisos'
+      })
+    }
+  }
+}
+
 module.exports = {
-  requireRole
+  requireRole,
+  requirePermission
 }
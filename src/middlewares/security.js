@@ -1,12 +1,32 @@
 const { body, param, query, validationResult } = require('express-validator')
 const logger = require('../config/logger')
+const { SUPPORTED_CURRENCIES } = require('../utils/currency')
 
 /**
  * Validation middleware for order creation
  */
 const validateOrderCreation = [
-  // Product validation
+  // Cart validation (optional; replaces productRef/qty when present)
+  body('items')
+    .optional()
+    .isArray({ min: 1, max: 20 })
+    .withMessage('items debe ser un arreglo con entre 1 y 20 productos'),
+
+  body('items.*.productRef')
+    .notEmpty()
+    .withMessage('items.productRef es requerido')
+    .isLength({ min: 3, max: 50 })
+    .withMessage('items.productRef debe tener entre 3 y 50 caracteres')
+    .matches(/^[A-Z0-9-_]+$/)
+    .withMessage('items.productRef solo puede contener letras mayúsculas, números, guiones y guiones bajos'),
+
+  body('items.*.qty')
+    .isInt({ min: 1, max: 10 })
+    .withMessage('items.qty debe ser un número entero entre 1 y 10'),
+
+  // Product validation (single product orders)
   body('productRef')
+    .if(body('items').not().exists())
     .notEmpty()
     .withMessage('productRef es requerido')
     .isLength({ min: 3, max: 50 })
@@ -16,6 +36,7 @@ const validateOrderCreation = [
 
   // Quantity validation
   body('qty')
+    .if(body('items').not().exists())
     .isInt({ min: 1, max: 10 })
     .withMessage('qty debe ser un número entero entre 1 y 10'),
 
@@ -80,7 +101,22 @@ const validateOrderCreation = [
   body('discountId')
     .optional()
     .isInt({ min: 1 })
-    .withMessage('discountId debe ser un número entero positivo')
+    .withMessage('discountId debe ser un número entero positivo'),
+
+  // Optional currency (defaults to the first product currency)
+  body('currency')
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage(`currency debe ser uno de: ${SUPPORTED_CURRENCIES.join(', ')}`),
+
+  // Optional coupon code
+  body('couponCode')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 40 })
+    .withMessage('couponCode debe tener entre 3 y 40 caracteres')
+    .matches(/^[A-Za-z0-9-_]+$/)
+    .withMessage('couponCode solo puede contener letras, números, guiones y guiones bajos')
 ]
 
 /**
@@ -106,6 +142,59 @@ const validateOrderLookup = [
     .withMessage('orderId debe ser un número entero positivo')
 ]
 
+/**
+ * Validation middleware for refund creation (admin)
+ */
+const validateRefundCreation = [
+  param('orderId')
+    .isInt({ min: 1 })
+    .withMessage('orderId debe ser un número entero positivo'),
+
+  body('amount')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('amount debe ser un número entero positivo en centavos'),
+
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage('reason no puede exceder 255 caracteres'),
+
+  body('licenseAction')
+    .optional()
+    .isIn(['RETURN_TO_STOCK', 'ANNUL', 'NONE'])
+    .withMessage('licenseAction debe ser uno de: RETURN_TO_STOCK, ANNUL, NONE'),
+
+  body('licenseIds')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('licenseIds debe ser un arreglo no vacío'),
+
+  body('licenseIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Cada licenseId debe ser un número entero positivo')
+]
+
+/**
+ * Validation middleware for manual refund confirmation/rejection (admin)
+ */
+const validateRefundAction = [
+  param('orderId')
+    .isInt({ min: 1 })
+    .withMessage('orderId debe ser un número entero positivo'),
+
+  param('refundId')
+    .isInt({ min: 1 })
+    .withMessage('refundId debe ser un número entero positivo'),
+
+  body('gatewayRefundRef')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('gatewayRefundRef no puede exceder 100 caracteres')
+]
+
 /**
  * Validation middleware for customer orders lookup
  */
@@ -273,6 +362,8 @@ module.exports = {
   validateOrderCreation,
   validatePaymentInitiation,
   validateOrderLookup,
+  validateRefundCreation,
+  validateRefundAction,
   validateCustomerOrdersLookup,
   validateTransactionLookup,
   handleValidationErrors,
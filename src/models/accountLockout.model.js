@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize')
+const { sequelize } = require('./db')
+
+/**
+ * Intentos fallidos por cuenta (no por IP)
+ * Una fila por email y ámbito: ADMIN (login con contraseña y 2FA) o CUSTOMER (OTP).
+ * Se guarda aunque la cuenta no exista para no revelar qué emails están registrados.
+ */
+const AccountLockout = sequelize.define('AccountLockout', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  scope: {
+    type: DataTypes.ENUM('ADMIN', 'CUSTOMER'),
+    allowNull: false
+  },
+  // Email normalizado de la cuenta
+  identifier: {
+    type: DataTypes.STRING(120),
+    allowNull: false
+  },
+  // Fallos acumulados desde el último bloqueo o acceso exitoso
+  failedAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Bloqueos consecutivos; cada uno dura el doble que el anterior
+  lockoutCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastFailedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastFailedIp: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  }
+}, {
+  tableName: 'account_lockouts',
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['scope', 'identifier'] },
+    { fields: ['locked_until'] }
+  ]
+})
+
+module.exports = AccountLockout
@@ -2,7 +2,7 @@ const { DataTypes } = require('sequelize')
 const { sequelize } = require('./db')
 const bcrypt = require('bcryptjs')
 
-// Definir los valores del ENUM
+// Roles de sistema; se pueden definir más en la tabla roles
 const ADMIN_ROLES = ['READ_ONLY', 'EDITOR', 'SUPER_ADMIN']
 
 const Admin = sequelize.define('Admin', {
@@ -30,17 +30,43 @@ const Admin = sequelize.define('Admin', {
     type: DataTypes.STRING,
     allowNull: false
   },
+  // Nombre de un rol de la tabla roles (admin.service valida que exista)
   role: {
     type: DataTypes.STRING,
     allowNull: false,
     defaultValue: 'READ_ONLY',
     validate: {
-      isIn: [ADMIN_ROLES]
+      is: /^[A-Z][A-Z0-9_]*$/
     }
   },
   isActive: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
+  },
+  // Segundo factor (TOTP)
+  twoFactorEnabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  twoFactorSecret: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Secreto TOTP cifrado; existe sin twoFactorEnabled mientras se completa el registro'
+  },
+  twoFactorBackupCodes: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'SHA-256 de los códigos de respaldo sin usar'
+  },
+  twoFactorLastStep: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Último paso TOTP aceptado (evita reutilizar un código)'
+  },
+  twoFactorEnabledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   hooks: {
@@ -63,6 +89,15 @@ Admin.prototype.validatePassword = async function (password) {
   return bcrypt.compare(password, this.passwordHash)
 }
 
+// Los datos del segundo factor nunca salen en las respuestas
+Admin.prototype.toJSON = function () {
+  const values = { ...this.get() }
+  delete values.twoFactorSecret
+  delete values.twoFactorBackupCodes
+  delete values.twoFactorLastStep
+  return values
+}
+
 // Exportar también los roles para uso en otras partes de la aplicación
 module.exports = {
   Admin,
@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize')
+const { sequelize } = require('./db')
+
+/**
+ * Sesiones de administrador
+ * Cada login crea una sesión; el access token lleva su id (sid) y el refresh token
+ * se rota en cada uso. Solo se guarda el hash del refresh token vigente.
+ */
+const AdminSession = sequelize.define('AdminSession', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: DataTypes.UUIDV4
+  },
+  adminId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  refreshTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'SHA-256 del refresh token vigente'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Vencimiento del refresh token vigente'
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedReason: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: 'LOGOUT, REVOKED, PASSWORD_RESET, DEACTIVATED, TWO_FACTOR_RESET, REUSE_DETECTED'
+  },
+  ipAddress: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  }
+}, {
+  tableName: 'admin_sessions',
+  underscored: true,
+  indexes: [
+    { fields: ['admin_id', 'revoked_at'] },
+    { fields: ['expires_at'] }
+  ]
+})
+
+module.exports = AdminSession
@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize')
+const { sequelize } = require('./db')
+
+/**
+ * Bitácora de acciones administrativas (solo inserción)
+ * Cada fila guarda quién hizo qué sobre qué entidad, el estado antes/después y desde qué petición
+ */
+const AuditLog = sequelize.define('AuditLog', {
+  id: {
+    type: DataTypes.BIGINT,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  actorType: {
+    type: DataTypes.ENUM('ADMIN', 'SYSTEM'),
+    allowNull: false,
+    defaultValue: 'ADMIN'
+  },
+  actorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Administrador que ejecutó la acción (null en acciones del sistema)'
+  },
+  action: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Acción en formato entidad.verbo, p. ej. license.annul'
+  },
+  entityType: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  entityId: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  before: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  after: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  changes: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Campos que cambiaron: { campo: { from, to } }'
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  requestId: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  }
+}, {
+  tableName: 'audit_logs',
+  underscored: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['actor_id', 'created_at'] },
+    { fields: ['entity_type', 'entity_id'] },
+    { fields: ['action'] },
+    { fields: ['request_id'] },
+    { fields: ['created_at'] }
+  ],
+  hooks: {
+    // La bitácora no se edita ni se borra desde la aplicación
+    beforeUpdate: () => { throw immutableError() },
+    beforeBulkUpdate: () => { throw immutableError() },
+    beforeDestroy: () => { throw immutableError() },
+    beforeBulkDestroy: () => { throw immutableError() }
+  }
+})
+
+function immutableError () {
+  const error = new Error('Audit log entries cannot be modified or deleted')
+  error.code = 'AUDIT_LOG_IMMUTABLE'
+  return error
+}
+
+module.exports = AuditLog
@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize')
+const { sequelize } = require('./db')
+
+/**
+ * Cupón redimible asociado a un descuento
+ * El cupón toma el valor y la vigencia de su descuento y agrega las reglas de redención.
+ */
+const Coupon = sequelize.define('Coupon', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  code: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    set (value) {
+      this.setDataValue('code', typeof value === 'string' ? value.trim().toUpperCase() : value)
+    }
+  },
+  discountId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Discounts',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  maxRedemptions: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    },
+    comment: 'Redenciones totales permitidas; null = ilimitado'
+  },
+  perCustomerLimit: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    },
+    comment: 'Redenciones permitidas por cliente; null = ilimitado'
+  },
+  minOrderAmount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    comment: 'Monto mínimo de la orden (después de descuentos automáticos) en centavos'
+  },
+  productRefs: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Productos a los que aplica; null = todos'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'coupons',
+  underscored: true,
+  indexes: [
+    {
+      fields: ['discount_id']
+    }
+  ]
+})
+
+module.exports = Coupon
@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize')
+const { sequelize } = require('./db')
+
+/**
+ * Redención de un cupón en una orden
+ * Las redenciones de órdenes canceladas no cuentan para los límites del cupón.
+ */
+const CouponRedemption = sequelize.define('CouponRedemption', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  couponId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'coupons',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'orders',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  customerId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  code: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Código redimido (copia para historial)'
+  },
+  discountTotal: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Descuento otorgado por el cupón en centavos'
+  }
+}, {
+  tableName: 'coupon_redemptions',
+  underscored: true,
+  indexes: [
+    {
+      fields: ['coupon_id']
+    },
+    {
+      fields: ['coupon_id', 'customer_id']
+    }
+  ]
+})
+
+module.exports = CouponRedemption
@@ -11,12 +11,28 @@ const Discount = sequelize.define('Discount', {
     type: DataTypes.STRING,
     allowNull: false
   },
+  type: {
+    type: DataTypes.ENUM('PERCENTAGE', 'FIXED', 'TIERED'),
+    allowNull: false,
+    defaultValue: 'PERCENTAGE'
+  },
   amount: {
     type: DataTypes.INTEGER,
-    allowNull: false,
+    allowNull: true,
     validate: {
       min: 1
-    }
+    },
+    comment: 'Percentage (1-100) for PERCENTAGE discounts'
+  },
+  fixedAmounts: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'FIXED: amount off per unit in minor units by currency, e.g. { "COP": 500000, "USD": 500 }'
+  },
+  tiers: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'TIERED: [{ minQty, percent }], the highest tier reached by the line qty applies'
   },
   startDate: {
     type: DataTypes.DATE,
@@ -36,6 +52,17 @@ const Discount = sequelize.define('Discount', {
       if (this.startDate >= this.endDate) {
         throw new Error('La fecha de inicio debe ser anterior a la fecha de fin')
       }
+    },
+    typeConfig () {
+      if (this.type === 'PERCENTAGE' && !this.amount) {
+        throw new Error('Un descuento porcentual requiere amount')
+      }
+      if (this.type === 'FIXED' && (!this.fixedAmounts || Object.keys(this.fixedAmounts).length === 0)) {
+        throw new Error('Un descuento de monto fijo requiere fixedAmounts')
+      }
+      if (this.type === 'TIERED' && (!Array.isArray(this.tiers) || this.tiers.length === 0)) {
+        throw new Error('Un descuento escalonado requiere tiers')
+      }
     }
   }
 })
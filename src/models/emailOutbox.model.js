@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize')
+const { sequelize } = require('./db')
+
+/**
+ * Bandeja de salida de correos
+ * Los correos se encolan dentro de la transacción del negocio y un worker
+ * los envía por Brevo con reintentos y backoff exponencial.
+ */
+const EmailOutbox = sequelize.define('EmailOutbox', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  type: {
+    type: DataTypes.ENUM('LICENSE_DELIVERY', 'WAITLIST_NOTIFICATION', 'LICENSE_CHANGE', 'OTP', 'INVENTORY_ALERT', 'ACCOUNT_LOCKED', 'TEST'),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('PENDING', 'SENDING', 'SENT', 'FAILED'),
+    allowNull: false,
+    defaultValue: 'PENDING'
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Orden relacionada (correos de licencias, lista de espera y cambios)'
+  },
+  recipient: {
+    type: DataTypes.STRING(120),
+    allowNull: false
+  },
+  recipientName: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  subject: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  templateName: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  variables: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Variables de la plantilla handlebars'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  maxAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 5
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  messageId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'messageId de Brevo del envío exitoso'
+  },
+  sentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'email_outbox',
+  underscored: true,
+  indexes: [
+    {
+      fields: ['status', 'next_attempt_at']
+    },
+    {
+      fields: ['order_id']
+    }
+  ]
+})
+
+module.exports = EmailOutbox
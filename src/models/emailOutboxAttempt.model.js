@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize')
+const { sequelize } = require('./db')
+
+/**
+ * Registro de cada intento de envío de un correo de la bandeja de salida
+ */
+const EmailOutboxAttempt = sequelize.define('EmailOutboxAttempt', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  outboxId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'email_outbox',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  attempt: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  success: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false
+  },
+  messageId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'email_outbox_attempts',
+  underscored: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['outbox_id']
+    }
+  ]
+})
+
+module.exports = EmailOutboxAttempt
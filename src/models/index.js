@@ -1,21 +1,50 @@
 const Product = require('./product.model')
+const ProductPrice = require('./productPrice.model')
 const Discount = require('./discount.model')
 const { Admin } = require('./admin.model')
 const { User, DOCUMENT_TYPES } = require('./user.model')
 const OtpCode = require('./otp.model')
 const License = require('./license.model')
 const Order = require('./order.model')
+const OrderItem = require('./orderItem.model')
 const Transaction = require('./transaction.model')
 const CobreCheckout = require('./cobreCheckout')
 const WebhookEvent = require('./webhookEvent.model')
 const WaitlistEntry = require('./waitlistEntry.model')
 const Invoice = require('./invoice.model')
+const Refund = require('./refund.model')
+const Coupon = require('./coupon.model')
+const CouponRedemption = require('./couponRedemption.model')
+const EmailOutbox = require('./emailOutbox.model')
+const EmailOutboxAttempt = require('./emailOutboxAttempt.model')
+const { WebhookSubscription, WEBHOOK_EVENT_TYPES } = require('./webhookSubscription.model')
+const WebhookDelivery = require('./webhookDelivery.model')
+const JobLease = require('./jobLease.model')
+const JobSchedule = require('./jobSchedule.model')
+const JobRun = require('./jobRun.model')
+const StockAlert = require('./stockAlert.model')
+const LicenseReveal = require('./licenseReveal.model')
+const AuditLog = require('./auditLog.model')
+const AdminSession = require('./adminSession.model')
+const Role = require('./role.model')
+const AccountLockout = require('./accountLockout.model')
+const RateLimitHit = require('./rateLimitHit.model')
 const { initDB, sequelize } = require('./db')
 
 // Establecer relaciones entre modelos
 Product.belongsTo(Discount, { foreignKey: 'discountId', as: 'discount' })
 Discount.hasMany(Product, { foreignKey: 'discountId', as: 'products' })
 
+// Price list per currency
+Product.hasMany(ProductPrice, { foreignKey: 'productId', as: 'prices' })
+ProductPrice.belongsTo(Product, { foreignKey: 'productId', as: 'product' })
+
+// Coupon associations
+Coupon.belongsTo(Discount, { foreignKey: 'discountId', as: 'discount' })
+Discount.hasMany(Coupon, { foreignKey: 'discountId', as: 'coupons' })
+CouponRedemption.belongsTo(Coupon, { foreignKey: 'couponId', as: 'coupon' })
+Coupon.hasMany(CouponRedemption, { foreignKey: 'couponId', as: 'redemptions' })
+
 // License associations
 License.belongsTo(Product, {
   foreignKey: 'productRef',
@@ -48,6 +77,31 @@ Product.hasMany(Order, {
   as: 'orders'
 })
 
+// OrderItem associations
+Order.hasMany(OrderItem, {
+  foreignKey: 'orderId',
+  as: 'items'
+})
+OrderItem.belongsTo(Order, {
+  foreignKey: 'orderId',
+  as: 'order'
+})
+OrderItem.belongsTo(Product, {
+  foreignKey: 'productRef',
+  targetKey: 'productRef',
+  as: 'product'
+})
+
+// Coupon redemption per order
+CouponRedemption.belongsTo(Order, {
+  foreignKey: 'orderId',
+  as: 'order'
+})
+Order.hasOne(CouponRedemption, {
+  foreignKey: 'orderId',
+  as: 'couponRedemption'
+})
+
 // Transaction associations
 Transaction.belongsTo(Order, {
   foreignKey: 'orderId',
@@ -68,6 +122,24 @@ Transaction.hasOne(Invoice, {
   as: 'invoice'
 })
 
+// Refund associations (ledger)
+Refund.belongsTo(Order, {
+  foreignKey: 'orderId',
+  as: 'order'
+})
+Order.hasMany(Refund, {
+  foreignKey: 'orderId',
+  as: 'refunds'
+})
+Refund.belongsTo(Transaction, {
+  foreignKey: 'transactionId',
+  as: 'transaction'
+})
+Transaction.hasMany(Refund, {
+  foreignKey: 'transactionId',
+  as: 'refunds'
+})
+
 // License-Order relationship (for fulfillment tracking)
 License.belongsTo(Order, {
   foreignKey: 'orderId',
@@ -78,12 +150,35 @@ Order.hasMany(License, {
   foreignKey: 'orderId',
   as: 'licenses'
 })
+License.belongsTo(OrderItem, {
+  foreignKey: 'orderItemId',
+  as: 'orderItem',
+  allowNull: true
+})
+OrderItem.hasMany(License, {
+  foreignKey: 'orderItemId',
+  as: 'licenses'
+})
+
+// Auditoría de claves reveladas
+LicenseReveal.belongsTo(License, {
+  foreignKey: 'licenseId',
+  as: 'license'
+})
+LicenseReveal.belongsTo(Admin, {
+  foreignKey: 'adminId',
+  as: 'admin'
+})
 
 // WaitlistEntry associations
 WaitlistEntry.belongsTo(Order, {
   foreignKey: 'orderId',
   as: 'order'
 })
+WaitlistEntry.belongsTo(OrderItem, {
+  foreignKey: 'orderItemId',
+  as: 'orderItem'
+})
 WaitlistEntry.belongsTo(User, {
   foreignKey: 'customerId',
   as: 'customer'
@@ -106,10 +201,49 @@ WaitlistEntry.belongsTo(License, {
 //   allowNull: true
 // })
 
-// Order-WaitlistEntry relationship
-Order.hasOne(WaitlistEntry, {
+// Order-WaitlistEntry relationship (una entrada por unidad pendiente de cada línea)
+Order.hasMany(WaitlistEntry, {
   foreignKey: 'orderId',
-  as: 'waitlistEntry'
+  as: 'waitlistEntries'
+})
+
+// EmailOutbox associations (log de intentos de envío)
+EmailOutbox.hasMany(EmailOutboxAttempt, {
+  foreignKey: 'outboxId',
+  as: 'deliveryAttempts'
+})
+EmailOutboxAttempt.belongsTo(EmailOutbox, {
+  foreignKey: 'outboxId',
+  as: 'outbox'
+})
+
+// Outgoing webhook associations (log de entregas por suscripción)
+WebhookSubscription.hasMany(WebhookDelivery, {
+  foreignKey: 'subscriptionId',
+  as: 'deliveries',
+  onDelete: 'CASCADE'
+})
+WebhookDelivery.belongsTo(WebhookSubscription, {
+  foreignKey: 'subscriptionId',
+  as: 'subscription'
+})
+
+// Audit log associations (sin FK: la bitácora se conserva si se elimina el administrador)
+AuditLog.belongsTo(Admin, {
+  foreignKey: 'actorId',
+  as: 'actor',
+  constraints: false
+})
+
+// Sesiones de administrador (se eliminan con el administrador)
+Admin.hasMany(AdminSession, {
+  foreignKey: 'adminId',
+  as: 'sessions',
+  onDelete: 'CASCADE'
+})
+AdminSession.belongsTo(Admin, {
+  foreignKey: 'adminId',
+  as: 'admin'
 })
 
 // CobreCheckout associations
@@ -124,18 +258,38 @@ Transaction.hasOne(CobreCheckout, {
 
 module.exports = {
   Product,
+  ProductPrice,
   Discount,
   Admin,
   User,
   OtpCode,
   License,
   Order,
+  OrderItem,
   Transaction,
   CobreCheckout,
   WebhookEvent,
   WaitlistEntry,
   Invoice,
+  Refund,
+  Coupon,
+  CouponRedemption,
+  EmailOutbox,
+  EmailOutboxAttempt,
+  WebhookSubscription,
+  WebhookDelivery,
+  JobLease,
+  JobSchedule,
+  JobRun,
+  StockAlert,
+  LicenseReveal,
+  AuditLog,
+  AdminSession,
+  Role,
+  AccountLockout,
+  RateLimitHit,
   DOCUMENT_TYPES,
+  WEBHOOK_EVENT_TYPES,
   initDB,
   sequelize
 }
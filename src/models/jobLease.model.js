@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize')
+const { sequelize } = require('./db')
+
+/**
+ * Lease de un job programado
+ * Coordina varias réplicas de la API: solo el nodo dueño del lease ejecuta el job programado
+ * y solo un nodo a la vez puede tener una ejecución en curso (programada o manual).
+ */
+const JobLease = sequelize.define('JobLease', {
+  jobName: {
+    type: DataTypes.STRING(50),
+    primaryKey: true
+  },
+  ownerId: {
+    type: DataTypes.STRING(120),
+    allowNull: true,
+    comment: 'Nodo dueño de las ejecuciones programadas'
+  },
+  acquiredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Vencido este momento otro nodo puede tomar el lease'
+  },
+  runningBy: {
+    type: DataTypes.STRING(120),
+    allowNull: true,
+    comment: 'Nodo con una ejecución en curso'
+  },
+  runningSince: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  heartbeatAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Último latido de la ejecución en curso'
+  },
+  lastRunAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastRunBy: {
+    type: DataTypes.STRING(120),
+    allowNull: true
+  }
+}, {
+  tableName: 'job_leases',
+  underscored: true
+})
+
+module.exports = JobLease
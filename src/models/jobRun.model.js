@@ -0,0 +1,84 @@
+const { DataTypes } = require('sequelize')
+const { sequelize } = require('./db')
+
+/**
+ * Historial de ejecuciones de jobs
+ * Una fila por corrida, programada (CRON) o lanzada por un administrador (MANUAL)
+ */
+const JobRun = sequelize.define('JobRun', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  jobName: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  trigger: {
+    type: DataTypes.ENUM('CRON', 'MANUAL'),
+    allowNull: false
+  },
+  triggeredBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Administrador que lanzó la ejecución manual'
+  },
+  nodeId: {
+    type: DataTypes.STRING(120),
+    allowNull: true,
+    comment: 'Réplica que ejecutó el job'
+  },
+  status: {
+    type: DataTypes.ENUM('RUNNING', 'SUCCEEDED', 'FAILED'),
+    allowNull: false,
+    defaultValue: 'RUNNING'
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  durationMs: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  processedCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  failedCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  errorMessage: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Error que abortó la ejecución'
+  },
+  errorSummary: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Errores por elemento reportados por el job (truncado)'
+  },
+  options: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Parámetros de la ejecución manual'
+  }
+}, {
+  tableName: 'job_runs',
+  underscored: true,
+  indexes: [
+    { fields: ['job_name', 'started_at'] },
+    { fields: ['status'] }
+  ]
+})
+
+module.exports = JobRun
@@ -0,0 +1,38 @@
+const { DataTypes } = require('sequelize')
+const { sequelize } = require('./db')
+
+/**
+ * Configuración persistida de un job programado
+ * Sin fila, el job usa su programación por defecto (getCronConfig) y las variables de entorno.
+ */
+const JobSchedule = sequelize.define('JobSchedule', {
+  jobName: {
+    type: DataTypes.STRING(50),
+    primaryKey: true
+  },
+  cronExpression: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Expresión cron de 5 campos (o 6 con segundos)'
+  },
+  timezone: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'America/Bogota'
+  },
+  enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  updatedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Administrador que modificó la programación'
+  }
+}, {
+  tableName: 'job_schedules',
+  underscored: true
+})
+
+module.exports = JobSchedule
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize')
 const { sequelize } = require('./db')
+const licenseKeyVault = require('../utils/licenseKeyVault')
 
 const License = sequelize.define('License', {
   id: {
@@ -16,9 +17,28 @@ const License = sequelize.define('License', {
     }
   },
   licenseKey: {
-    type: DataTypes.STRING,
+    type: DataTypes.TEXT,
     allowNull: false,
-    unique: true
+    comment: 'Clave cifrada en reposo (envelope encryption); el getter la descifra',
+    get () {
+      return licenseKeyVault.decrypt(this.getDataValue('licenseKey'))
+    },
+    set (value) {
+      // Un sobre ya cifrado (re-cifrado con otra llave maestra) se guarda tal cual
+      if (licenseKeyVault.isEncrypted(value)) {
+        this.setDataValue('licenseKey', value)
+        return
+      }
+      const licenseKey = licenseKeyVault.normalize(value)
+      this.setDataValue('licenseKey', licenseKeyVault.encrypt(licenseKey))
+      this.setDataValue('licenseKeyHash', licenseKeyVault.hash(licenseKey))
+    }
+  },
+  licenseKeyHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    unique: true,
+    comment: 'HMAC de la clave para búsquedas y unicidad (null en filas aún no migradas)'
   },
   instructions: {
     type: DataTypes.TEXT
@@ -26,15 +46,25 @@ const License = sequelize.define('License', {
   status: {
     type: DataTypes.ENUM('AVAILABLE', 'RESERVED', 'SOLD', 'ANNULLED', 'RETURNED'),
     defaultValue: 'AVAILABLE',
-    comment: 'RESERVED: Licencia reservada para lista de espera'
+    comment: 'RESERVED: Licencia apartada para lista de espera o retenida durante el checkout (holdExpiresAt)'
   },
   orderId: {
     type: DataTypes.INTEGER,
     allowNull: true
   },
+  orderItemId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Línea de la orden a la que se asignó la licencia'
+  },
   reservedAt: {
     type: DataTypes.DATE
   },
+  holdExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Vencimiento de la retención de checkout; null en reservas de lista de espera'
+  },
   soldAt: {
     type: DataTypes.DATE
   }
@@ -43,4 +73,14 @@ const License = sequelize.define('License', {
   underscored: true
 })
 
+// Las respuestas JSON muestran la clave enmascarada; la clave completa solo sale por el endpoint de revelado
+License.prototype.toJSON = function () {
+  const values = { ...this.get() }
+  delete values.licenseKeyHash
+  if (values.licenseKey) {
+    values.licenseKey = licenseKeyVault.mask(values.licenseKey)
+  }
+  return values
+}
+
 module.exports = License
@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize')
+const { sequelize } = require('./db')
+
+/**
+ * Auditoría de claves de licencia reveladas en claro
+ * Cada consulta al endpoint de revelado deja una fila (solo inserción)
+ */
+const LicenseReveal = sequelize.define('LicenseReveal', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  licenseId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  adminId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.STRING(500),
+    allowNull: false,
+    comment: 'Motivo declarado por el administrador'
+  },
+  ipAddress: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  }
+}, {
+  tableName: 'license_reveals',
+  underscored: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['license_id'] },
+    { fields: ['admin_id'] }
+  ]
+})
+
+module.exports = LicenseReveal
@@ -21,14 +21,16 @@ const Order = sequelize.define('Order', {
     references: {
       model: 'products',
       key: 'product_ref'
-    }
+    },
+    comment: 'Primary product (first line item); the full cart lives in order_items'
   },
   qty: {
     type: DataTypes.INTEGER,
     allowNull: false,
     validate: {
       min: 1
-    }
+    },
+    comment: 'Total units across all line items'
   },
   subtotal: {
     type: DataTypes.INTEGER,
@@ -50,6 +52,11 @@ const Order = sequelize.define('Order', {
     allowNull: false,
     comment: 'Final amount in minor units'
   },
+  currency: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Currency the order was priced in; null for orders created before price lists (use the product currency)'
+  },
   status: {
     type: DataTypes.ENUM('PENDING', 'IN_PROCESS', 'SHIPPED', 'DELIVERED', 'COMPLETED', 'CANCELED'),
     defaultValue: 'PENDING'
@@ -0,0 +1,87 @@
+const { DataTypes } = require('sequelize')
+const { sequelize } = require('./db')
+
+const OrderItem = sequelize.define('OrderItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'orders',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  productRef: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'product_ref'
+    }
+  },
+  qty: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  unitPrice: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Product unit price in minor units at the time of purchase'
+  },
+  subtotal: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'unitPrice * qty in minor units'
+  },
+  discountTotal: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Line discount amount in minor units'
+  },
+  taxClass: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Product tax class at the time of purchase (IVA_19, EXEMPT, EXCLUDED)'
+  },
+  taxRate: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Tax rate in percent'
+  },
+  taxBase: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Taxable base in minor units (amount after discounts, before tax)'
+  },
+  taxTotal: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Line tax amount in minor units'
+  },
+  grandTotal: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Line final amount in minor units'
+  }
+}, {
+  tableName: 'order_items',
+  underscored: true,
+  indexes: [
+    {
+      fields: ['order_id']
+    },
+    {
+      fields: ['product_ref']
+    }
+  ]
+})
+
+module.exports = OrderItem
@@ -30,6 +30,26 @@ const OtpCode = sequelize.define('OtpCode', {
     type: DataTypes.BOOLEAN,
     allowNull: false,
     defaultValue: false
+  },
+  // Códigos incorrectos ingresados mientras este OTP estaba vigente
+  failedAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Resultado del envío por correo
+  deliveryStatus: {
+    type: DataTypes.ENUM('PENDING', 'SENT', 'FAILED'),
+    allowNull: false,
+    defaultValue: 'PENDING'
+  },
+  deliveryError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  messageId: {
+    type: DataTypes.STRING,
+    allowNull: true
   }
 }, {
   indexes: [
@@ -1,6 +1,7 @@
 const { DataTypes } = require('sequelize')
 const { sequelize } = require('./db')
 const slugify = require('slugify')
+const { SUPPORTED_CURRENCIES } = require('../utils/currency')
 
 const Product = sequelize.define('Product', {
   id: {
@@ -43,12 +44,17 @@ const Product = sequelize.define('Product', {
     allowNull: false,
     defaultValue: 'USD',
     validate: {
-      isIn: [['USD', 'EUR', 'COP', 'MXN']] // Monedas soportadas
+      isIn: [SUPPORTED_CURRENCIES]
     }
   },
   provider: {
     type: DataTypes.STRING
   },
+  taxClass: {
+    type: DataTypes.ENUM('IVA_19', 'EXEMPT', 'EXCLUDED'),
+    allowNull: false,
+    defaultValue: 'IVA_19'
+  },
   hasDiscount: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
@@ -65,6 +71,12 @@ const Product = sequelize.define('Product', {
     type: DataTypes.BOOLEAN,
     defaultValue: false,
     allowNull: false
+  },
+  lowStockThreshold: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: { min: 0 },
+    comment: 'Alerta de stock bajo con menos licencias disponibles; null usa INVENTORY_LOW_STOCK_THRESHOLD'
   }
 }, {
   hooks: {
@@ -0,0 +1,51 @@
+const { DataTypes } = require('sequelize')
+const { sequelize } = require('./db')
+const { SUPPORTED_CURRENCIES } = require('../utils/currency')
+
+/**
+ * Price list entry
+ * A product is sold at `Product.price` in `Product.currency`; each entry adds
+ * the price for another currency so orders can be charged in that currency.
+ */
+const ProductPrice = sequelize.define('ProductPrice', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'Products',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  currency: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [SUPPORTED_CURRENCIES]
+    }
+  },
+  price: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 0
+    },
+    comment: 'Price in minor units of the entry currency'
+  }
+}, {
+  tableName: 'product_prices',
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['product_id', 'currency']
+    }
+  ]
+})
+
+module.exports = ProductPrice
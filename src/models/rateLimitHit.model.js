@@ -0,0 +1,33 @@
+const { DataTypes } = require('sequelize')
+const { sequelize } = require('./db')
+
+/**
+ * Contador de rate limiting compartido entre réplicas
+ * Una fila por clave (prefijo del limitador + IP, email, cliente o checkout) con
+ * una ventana fija: al vencer resetAt el siguiente golpe reinicia el conteo.
+ */
+const RateLimitHit = sequelize.define('RateLimitHit', {
+  key: {
+    type: DataTypes.STRING(255),
+    primaryKey: true
+  },
+  hits: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  resetAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Fin de la ventana actual'
+  }
+}, {
+  tableName: 'rate_limit_hits',
+  underscored: true,
+  timestamps: false,
+  indexes: [
+    { fields: ['reset_at'] }
+  ]
+})
+
+module.exports = RateLimitHit
@@ -0,0 +1,117 @@
+const { DataTypes } = require('sequelize')
+const { sequelize } = require('./db')
+
+/**
+ * Refund ledger
+ * One row per refund request against a paid transaction. Gateways without a
+ * refund API (ePayco, Cobre) leave the row in PENDING_MANUAL until an admin
+ * confirms the refund was made in the provider's panel.
+ */
+const Refund = sequelize.define('Refund', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'orders',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  transactionId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'transactions',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  gateway: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Payment provider that processes the refund'
+  },
+  gatewayRefundRef: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Refund reference returned by the gateway or entered on manual confirmation'
+  },
+  type: {
+    type: DataTypes.ENUM('FULL', 'PARTIAL'),
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    },
+    comment: 'Refunded amount in minor units (cents)'
+  },
+  currency: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('PROCESSING', 'PENDING_MANUAL', 'COMPLETED', 'FAILED'),
+    allowNull: false,
+    defaultValue: 'PROCESSING',
+    comment: 'PROCESSING: gateway call in progress; PENDING_MANUAL: waiting for admin confirmation in the gateway panel'
+  },
+  reason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  licenseAction: {
+    type: DataTypes.ENUM('RETURN_TO_STOCK', 'ANNUL', 'NONE'),
+    allowNull: false,
+    defaultValue: 'RETURN_TO_STOCK',
+    comment: 'What happens to the delivered licenses once the refund completes'
+  },
+  licenseIds: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Licenses affected by this refund'
+  },
+  requestedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Admin that requested the refund'
+  },
+  confirmedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Admin that confirmed a manual refund'
+  },
+  processedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  meta: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Gateway response and processing details'
+  }
+}, {
+  tableName: 'refunds',
+  underscored: true,
+  indexes: [
+    {
+      fields: ['order_id']
+    },
+    {
+      fields: ['transaction_id']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+})
+
+module.exports = Refund
@@ -0,0 +1,42 @@
+const { DataTypes } = require('sequelize')
+const { sequelize } = require('./db')
+
+/**
+ * Roles de administrador: conjuntos de permisos con nombre
+ * Admin.role guarda el nombre del rol. Los roles de sistema (READ_ONLY, EDITOR,
+ * SUPER_ADMIN) se crean al iniciar y no se pueden eliminar.
+ */
+const Role = sequelize.define('Role', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true,
+    validate: {
+      is: /^[A-Z][A-Z0-9_]*$/
+    }
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  permissions: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  isSystem: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  }
+}, {
+  tableName: 'roles',
+  underscored: true
+})
+
+module.exports = Role
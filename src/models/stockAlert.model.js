@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize')
+const { sequelize } = require('./db')
+
+/**
+ * Alertas de inventario enviadas a los administradores
+ * Una alerta queda abierta (resolvedAt null) mientras dure la condición; así no se repite en cada ejecución del job
+ */
+const StockAlert = sequelize.define('StockAlert', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  productRef: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.ENUM('LOW_STOCK', 'WAITLIST_GROWTH'),
+    allowNull: false
+  },
+  available: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Licencias disponibles al generar la alerta'
+  },
+  threshold: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  waitlistCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Clientes en lista de espera al generar la alerta'
+  },
+  daysOfStockLeft: {
+    type: DataTypes.DECIMAL(10, 1),
+    allowNull: true
+  },
+  notifiedAdmins: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'stock_alerts',
+  underscored: true,
+  indexes: [
+    { fields: ['product_ref', 'type', 'resolved_at'] }
+  ]
+})
+
+module.exports = StockAlert
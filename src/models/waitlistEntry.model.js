@@ -16,6 +16,16 @@ const WaitlistEntry = sequelize.define('WaitlistEntry', {
     },
     onDelete: 'CASCADE'
   },
+  orderItemId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'order_items',
+      key: 'id'
+    },
+    onDelete: 'CASCADE',
+    comment: 'Línea de la orden que espera licencia'
+  },
   customerId: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -41,7 +51,7 @@ const WaitlistEntry = sequelize.define('WaitlistEntry', {
     }
   },
   status: {
-    type: DataTypes.ENUM('PENDING', 'RESERVED', 'PROCESSING', 'READY_FOR_EMAIL', 'COMPLETED', 'FAILED'),
+    type: DataTypes.ENUM('PENDING', 'RESERVED', 'PROCESSING', 'READY_FOR_EMAIL', 'COMPLETED', 'FAILED', 'CANCELED'),
     defaultValue: 'PENDING',
     comment: 'Estado del procesamiento de la lista de espera'
   },
@@ -70,15 +80,21 @@ const WaitlistEntry = sequelize.define('WaitlistEntry', {
     type: DataTypes.INTEGER,
     defaultValue: 0,
     comment: 'Número de intentos de procesamiento'
+  },
+  refundId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Reembolso solicitado cuando el cliente cancela la espera'
   }
 }, {
   tableName: 'waitlist_entries',
   underscored: true,
   indexes: [
     {
-      fields: ['order_id'],
-      unique: true,
-      name: 'unique_order_waitlist'
+      fields: ['order_id']
+    },
+    {
+      fields: ['order_item_id']
     },
     {
       fields: ['product_ref']
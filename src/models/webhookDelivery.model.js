@@ -0,0 +1,99 @@
+const { DataTypes } = require('sequelize')
+const { sequelize } = require('./db')
+
+/**
+ * Log de entregas de webhooks salientes
+ * Una fila por evento y suscripción; el worker la envía con reintentos y backoff exponencial
+ */
+const WebhookDelivery = sequelize.define('WebhookDelivery', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  subscriptionId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'webhook_subscriptions',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  eventId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Identificador del evento (igual en reenvíos, permite deduplicar)'
+  },
+  eventType: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('PENDING', 'SENDING', 'DELIVERED', 'FAILED'),
+    allowNull: false,
+    defaultValue: 'PENDING'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  maxAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 8
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  responseStatus: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Código HTTP de la última respuesta del comercio'
+  },
+  responseBody: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Cuerpo de la última respuesta (truncado)'
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  durationMs: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  deliveredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  replayOf: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Entrega original cuando esta fila es un reenvío manual'
+  }
+}, {
+  tableName: 'webhook_deliveries',
+  underscored: true,
+  indexes: [
+    {
+      fields: ['status', 'next_attempt_at']
+    },
+    {
+      fields: ['subscription_id']
+    },
+    {
+      fields: ['event_type']
+    }
+  ]
+})
+
+module.exports = WebhookDelivery
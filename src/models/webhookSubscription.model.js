@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize')
+const { sequelize } = require('./db')
+
+// Eventos que se pueden suscribir desde sistemas externos (LMS, ERP...)
+const WEBHOOK_EVENT_TYPES = Object.freeze([
+  'order.paid',
+  'license.delivered',
+  'license.changed',
+  'order.canceled',
+  'invoice.issued',
+  'waitlist.fulfilled',
+  'waitlist.canceled'
+])
+
+/**
+ * Suscripción de webhooks salientes
+ * Endpoint HTTPS de un comercio que recibe los eventos firmados con HMAC
+ */
+const WebhookSubscription = sequelize.define('WebhookSubscription', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  url: {
+    type: DataTypes.STRING(500),
+    allowNull: false,
+    validate: {
+      isUrl: {
+        protocols: ['https'],
+        require_protocol: true
+      }
+    }
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  events: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Tipos de evento suscritos (WEBHOOK_EVENT_TYPES)'
+  },
+  secret: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'Secreto compartido para la firma HMAC-SHA256'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Administrador que registró la suscripción'
+  }
+}, {
+  tableName: 'webhook_subscriptions',
+  underscored: true
+})
+
+module.exports = { WebhookSubscription, WEBHOOK_EVENT_TYPES }
@@ -0,0 +1,32 @@
+const express = require('express')
+const { query } = require('express-validator')
+const router = express.Router()
+const auditController = require('../../controllers/audit.controller')
+const { authenticate } = require('../../middlewares/auth')
+const { requirePermission } = require('../../middlewares/role')
+const { validateRequest } = require('../../middlewares/validator')
+
+// La bitácora solo es visible con el permiso audit:read (SUPER_ADMIN por defecto)
+router.use(authenticate)
+router.use(requirePermission('audit:read'))
+
+/**
+ * @route GET /api/admin/audit
+ * @desc Consultar la bitácora de acciones administrativas, más recientes primero
+ * @access audit:read
+ */
+router.get('/',
+  query('actorId').optional().isInt({ min: 1 }).withMessage('actorId debe ser un número entero positivo'),
+  query('action').optional().isString().isLength({ max: 100 }).withMessage('action debe ser texto (p. ej. license.annul o license.*)'),
+  query('entityType').optional().isString().isLength({ max: 50 }).withMessage('entityType debe ser texto'),
+  query('entityId').optional().isString().isLength({ max: 100 }).withMessage('entityId debe ser texto'),
+  query('requestId').optional().isString().isLength({ max: 64 }).withMessage('requestId debe ser texto'),
+  query('from').optional().isISO8601().withMessage('from debe ser una fecha ISO 8601'),
+  query('to').optional().isISO8601().withMessage('to debe ser una fecha ISO 8601'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page debe ser un número entero positivo'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit debe estar entre 1 y 200'),
+  validateRequest,
+  auditController.getEntries
+)
+
+module.exports = router
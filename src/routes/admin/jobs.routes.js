@@ -1,18 +1,37 @@
 const express = require('express')
+const { body, query } = require('express-validator')
 const router = express.Router()
 const { authenticate } = require('../../middlewares/auth')
-const { requireRole } = require('../../middlewares/role')
+const { requirePermission } = require('../../middlewares/role')
+const { validateRequest } = require('../../middlewares/validator')
 const jobScheduler = require('../../jobs/scheduler')
 const InvoiceProcessingJob = require('../../jobs/invoiceProcessing')
-const EmailRetryJob = require('../../jobs/emailRetry')
+const emailQueueService = require('../../services/emailQueue.service')
+const jobLeaseManager = require('../../utils/jobLeaseManager')
+const jobRunService = require('../../services/jobRun.service')
 const logger = require('../../config/logger')
 
+const VALID_JOBS = ['orderTimeout', 'waitlistProcessing', 'emailOutbox', 'merchantWebhooks', 'invoiceProcessing', 'inventoryAlerts']
+
+/**
+ * Validar que :jobName sea un job registrado
+ */
+const validateJobName = (req, res, next) => {
+  if (!VALID_JOBS.includes(req.params.jobName)) {
+    return res.status(400).json({
+      success: false,
+      message: `Job inválido. Debe ser uno de: ${VALID_JOBS.join(', ')}`
+    })
+  }
+  next()
+}
+
 /**
  * @route GET /api/admin/jobs/status
  * @desc Obtener estado de todos los jobs
- * @access SUPER_ADMIN
+ * @access jobs:manage
  */
-router.get('/status', authenticate, requireRole('SUPER_ADMIN'), async (req, res) => {
+router.get('/status', authenticate, requirePermission('jobs:manage'), async (req, res) => {
   try {
     const schedulerStatus = jobScheduler.getStatus()
 
@@ -20,6 +39,9 @@ router.get('/status', authenticate, requireRole('SUPER_ADMIN'), async (req, res)
     const invoiceJob = jobScheduler.jobs.get('invoiceProcessing')
     const invoiceJobStatus = invoiceJob ? invoiceJob.getStatus() : null
 
+    // Dueño y ejecución en curso de cada job entre las réplicas
+    const leases = await jobLeaseManager.getLeases()
+
     logger.logBusiness('admin.jobs.getStatus', {
       adminId: req.user.id,
       schedulerStatus
@@ -29,7 +51,8 @@ router.get('/status', authenticate, requireRole('SUPER_ADMIN'), async (req, res)
       success: true,
       data: {
         scheduler: schedulerStatus,
-        invoiceJob: invoiceJobStatus
+        invoiceJob: invoiceJobStatus,
+        leases
       }
     })
   } catch (error) {
@@ -48,9 +71,9 @@ router.get('/status', authenticate, requireRole('SUPER_ADMIN'), async (req, res)
 /**
  * @route POST /api/admin/jobs/invoice/run
  * @desc Ejecutar manualmente el job de facturación
- * @access SUPER_ADMIN
+ * @access jobs:manage
  */
-router.post('/invoice/run', authenticate, requireRole('SUPER_ADMIN'), async (req, res) => {
+router.post('/invoice/run', authenticate, requirePermission('jobs:manage'), async (req, res) => {
   try {
     const {
       provider = 'siigo',
@@ -77,11 +100,15 @@ router.post('/invoice/run', authenticate, requireRole('SUPER_ADMIN'), async (req
     // Crear instancia temporal del job para ejecución manual
     const invoiceJob = new InvoiceProcessingJob()
 
-    // Ejecutar job manual
-    const result = await invoiceJob.runManual({
+    // Ejecutar job manual (sin solaparse con la corrida programada de otra réplica)
+    const options = {
       provider,
       includeAll: Boolean(includeAll),
       delayBetweenInvoices: parseInt(delayBetweenInvoices, 10)
+    }
+    const result = await jobScheduler.runExclusive('invoiceProcessing', () => invoiceJob.runManual(options), {
+      adminId: req.user.id,
+      options
     })
 
     logger.logBusiness('admin.jobs.invoice.runManual.completed', {
@@ -95,6 +122,13 @@ router.post('/invoice/run', authenticate, requireRole('SUPER_ADMIN'), async (req
       data: result
     })
   } catch (error) {
+    if (error.code === 'JOB_ALREADY_RUNNING') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      })
+    }
+
     logger.logError(error, {
       operation: 'admin.jobs.invoice.runManual',
       adminId: req.user?.id,
@@ -110,32 +144,150 @@ router.post('/invoice/run', authenticate, requireRole('SUPER_ADMIN'), async (req
 })
 
 /**
- * @route POST /api/admin/jobs/:jobName/start
- * @desc Iniciar un job específico
- * @access SUPER_ADMIN
+ * @route GET /api/admin/jobs/:jobName/schedule
+ * @desc Obtener la programación de un job (expresión cron, zona horaria, estado y próxima ejecución)
+ * @access jobs:manage
  */
-router.post('/:jobName/start', authenticate, requireRole('SUPER_ADMIN'), async (req, res) => {
+router.get('/:jobName/schedule', authenticate, requirePermission('jobs:manage'), validateJobName, async (req, res) => {
   try {
-    const { jobName } = req.params
+    res.status(200).json({
+      success: true,
+      data: jobScheduler.getJobSchedule(req.params.jobName)
+    })
+  } catch (error) {
+    logger.logError(error, {
+      operation: 'admin.jobs.getSchedule',
+      adminId: req.user?.id,
+      jobName: req.params.jobName
+    })
 
-    const validJobs = ['orderTimeout', 'waitlistProcessing', 'emailRetry', 'invoiceProcessing']
-    if (!validJobs.includes(jobName)) {
-      return res.status(400).json({
+    res.status(500).json({
+      success: false,
+      message: 'Error obteniendo la programación del job',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }
+})
+
+/**
+ * @route PUT /api/admin/jobs/:jobName/schedule
+ * @desc Cambiar la expresión cron, la zona horaria o el estado de un job (se guarda en base de datos)
+ * @access jobs:manage
+ */
+router.put('/:jobName/schedule',
+  authenticate,
+  requirePermission('jobs:manage'),
+  validateJobName,
+  body('cronExpression').optional().isString().trim().notEmpty().withMessage('cronExpression debe ser una expresión cron'),
+  body('timezone').optional().isString().trim().notEmpty().withMessage('timezone debe ser una zona horaria IANA'),
+  body('enabled').optional().isBoolean().withMessage('enabled debe ser un valor booleano').toBoolean(),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { jobName } = req.params
+      const { cronExpression, timezone, enabled } = req.body
+
+      logger.logBusiness('admin.jobs.updateSchedule', {
+        adminId: req.user.id,
+        jobName,
+        cronExpression,
+        timezone,
+        enabled
+      })
+
+      const schedule = await jobScheduler.updateSchedule(jobName, { cronExpression, timezone, enabled }, req.user.id)
+
+      res.status(200).json({
+        success: true,
+        message: `Programación del job ${jobName} actualizada exitosamente`,
+        data: schedule
+      })
+    } catch (error) {
+      if (error.code === 'INVALID_SCHEDULE') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        })
+      }
+
+      logger.logError(error, {
+        operation: 'admin.jobs.updateSchedule',
+        adminId: req.user?.id,
+        jobName: req.params.jobName
+      })
+
+      res.status(500).json({
+        success: false,
+        message: 'Error actualizando la programación del job',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    }
+  }
+)
+
+/**
+ * @route GET /api/admin/jobs/:jobName/runs
+ * @desc Historial de ejecuciones de un job (programadas y manuales), más recientes primero
+ * @access jobs:manage
+ */
+router.get('/:jobName/runs',
+  authenticate,
+  requirePermission('jobs:manage'),
+  validateJobName,
+  query('status').optional().isIn(['RUNNING', 'SUCCEEDED', 'FAILED']).withMessage('status debe ser RUNNING, SUCCEEDED o FAILED'),
+  query('trigger').optional().isIn(['CRON', 'MANUAL']).withMessage('trigger debe ser CRON o MANUAL'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page debe ser un número entero positivo'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit debe estar entre 1 y 100'),
+  validateRequest,
+  async (req, res) => {
+    try {
+      const result = await jobRunService.listRuns(req.params.jobName, {
+        status: req.query.status,
+        trigger: req.query.trigger,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      })
+
+      res.status(200).json({
+        success: true,
+        data: result
+      })
+    } catch (error) {
+      logger.logError(error, {
+        operation: 'admin.jobs.getRuns',
+        adminId: req.user?.id,
+        jobName: req.params.jobName
+      })
+
+      res.status(500).json({
         success: false,
-        message: `Job inválido. Debe ser uno de: ${validJobs.join(', ')}`
+        message: 'Error obteniendo el historial del job',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
       })
     }
+  }
+)
+
+/**
+ * @route POST /api/admin/jobs/:jobName/start
+ * @desc Habilitar un job específico (persistente, aplica a todas las réplicas)
+ * @access jobs:manage
+ */
+router.post('/:jobName/start', authenticate, requirePermission('jobs:manage'), validateJobName, async (req, res) => {
+  try {
+    const { jobName } = req.params
 
     logger.logBusiness('admin.jobs.start', {
       adminId: req.user.id,
       jobName
     })
 
-    jobScheduler.startJob(jobName)
+    const schedule = await jobScheduler.startJob(jobName, req.user.id)
 
     res.status(200).json({
       success: true,
-      message: `Job ${jobName} iniciado exitosamente`
+      message: `Job ${jobName} iniciado exitosamente`,
+      data: schedule
     })
   } catch (error) {
     logger.logError(error, {
@@ -154,31 +306,24 @@ router.post('/:jobName/start', authenticate, requireRole('SUPER_ADMIN'), async (
 
 /**
  * @route POST /api/admin/jobs/:jobName/stop
- * @desc Detener un job específico
- * @access SUPER_ADMIN
+ * @desc Deshabilitar un job específico (persistente, aplica a todas las réplicas)
+ * @access jobs:manage
  */
-router.post('/:jobName/stop', authenticate, requireRole('SUPER_ADMIN'), async (req, res) => {
+router.post('/:jobName/stop', authenticate, requirePermission('jobs:manage'), validateJobName, async (req, res) => {
   try {
     const { jobName } = req.params
 
-    const validJobs = ['orderTimeout', 'waitlistProcessing', 'emailRetry', 'invoiceProcessing']
-    if (!validJobs.includes(jobName)) {
-      return res.status(400).json({
-        success: false,
-        message: `Job inválido. Debe ser uno de: ${validJobs.join(', ')}`
-      })
-    }
-
     logger.logBusiness('admin.jobs.stop', {
       adminId: req.user.id,
       jobName
     })
 
-    jobScheduler.stopJob(jobName)
+    const schedule = await jobScheduler.stopJob(jobName, req.user.id)
 
     res.status(200).json({
       success: true,
-      message: `Job ${jobName} detenido exitosamente`
+      message: `Job ${jobName} detenido exitosamente`,
+      data: schedule
     })
   } catch (error) {
     logger.logError(error, {
@@ -196,38 +341,46 @@ router.post('/:jobName/stop', authenticate, requireRole('SUPER_ADMIN'), async (r
 })
 
 /**
- * @route POST /api/admin/jobs/email-retry/run
- * @desc Ejecutar manualmente el job de reintento de emails
- * @access SUPER_ADMIN
+ * @route POST /api/admin/jobs/email-outbox/run
+ * @desc Procesar manualmente los correos pendientes de la bandeja de salida
+ * @access jobs:manage
  */
-router.post('/email-retry/run', authenticate, requireRole('SUPER_ADMIN'), async (req, res) => {
+router.post('/email-outbox/run', authenticate, requirePermission('jobs:manage'), async (req, res) => {
   try {
-    logger.logBusiness('admin.jobs.emailRetry.runManual', {
+    logger.logBusiness('admin.jobs.emailOutbox.runManual', {
       adminId: req.user.id
     })
 
-    // Ejecutar job manual
-    const result = await EmailRetryJob.run()
+    const result = await jobScheduler.runExclusive('emailOutbox', () => emailQueueService.processPending(), {
+      adminId: req.user.id
+    })
 
-    logger.logBusiness('admin.jobs.emailRetry.runManual.completed', {
+    logger.logBusiness('admin.jobs.emailOutbox.runManual.completed', {
       adminId: req.user.id,
       result
     })
 
     res.status(200).json({
       success: true,
-      message: 'Job de reintento de emails ejecutado exitosamente',
+      message: 'Bandeja de salida de correos procesada exitosamente',
       data: result
     })
   } catch (error) {
+    if (error.code === 'JOB_ALREADY_RUNNING') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      })
+    }
+
     logger.logError(error, {
-      operation: 'admin.jobs.emailRetry.runManual',
+      operation: 'admin.jobs.emailOutbox.runManual',
       adminId: req.user?.id
     })
 
     res.status(500).json({
       success: false,
-      message: 'Error ejecutando job de reintento de emails',
+      message: 'Error procesando la bandeja de salida de correos',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     })
   }
@@ -0,0 +1,40 @@
+const express = require('express')
+const { body, query } = require('express-validator')
+const router = express.Router()
+const lockoutsController = require('../../controllers/lockouts.controller')
+const { authenticate } = require('../../middlewares/auth')
+const { requirePermission } = require('../../middlewares/role')
+const { validateRequest } = require('../../middlewares/validator')
+
+// Requiere el permiso accounts:unlock (SUPER_ADMIN por defecto)
+router.use(authenticate)
+router.use(requirePermission('accounts:unlock'))
+
+const SCOPES = ['ADMIN', 'CUSTOMER']
+
+/**
+ * @route GET /api/admin/lockouts
+ * @desc Listar cuentas bloqueadas por intentos fallidos de login u OTP
+ * @access accounts:unlock
+ */
+router.get('/',
+  query('scope').optional().isIn(SCOPES).withMessage(`scope debe ser uno de: ${SCOPES.join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('page debe ser un número entero positivo'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit debe estar entre 1 y 200'),
+  validateRequest,
+  lockoutsController.getLockouts
+)
+
+/**
+ * @route POST /api/admin/lockouts/unlock
+ * @desc Desbloquear una cuenta y reiniciar su conteo de intentos fallidos
+ * @access accounts:unlock
+ */
+router.post('/unlock',
+  body('scope').isIn(SCOPES).withMessage(`scope debe ser uno de: ${SCOPES.join(', ')}`),
+  body('email').isEmail().withMessage('Debe proporcionar un email válido'),
+  validateRequest,
+  lockoutsController.unlock
+)
+
+module.exports = router
@@ -1,7 +1,7 @@
 const express = require('express')
 const router = express.Router()
 const { authenticate } = require('../../middlewares/auth')
-const { requireRole } = require('../../middlewares/role')
+const { requirePermission } = require('../../middlewares/role')
 const paymentService = require('../../services/payment')
 const AuthenticationManager = require('../../utils/authenticationManager')
 const logger = require('../../config/logger')
@@ -48,7 +48,7 @@ router.get('/status', authenticate, async (req, res) => {
 /**
  * Re-authenticate a specific provider
  */
-router.post('/:provider/authenticate', authenticate, requireRole('SUPER_ADMIN'), async (req, res) => {
+router.post('/:provider/authenticate', authenticate, requirePermission('providers:manage'), async (req, res) => {
   try {
     const { provider: providerName } = req.params
 
@@ -92,7 +92,7 @@ router.post('/:provider/authenticate', authenticate, requireRole('SUPER_ADMIN'),
 /**
  * Refresh token for a specific provider
  */
-router.post('/:provider/refresh', authenticate, requireRole('SUPER_ADMIN'), async (req, res) => {
+router.post('/:provider/refresh', authenticate, requirePermission('providers:manage'), async (req, res) => {
   try {
     const { provider: providerName } = req.params
 
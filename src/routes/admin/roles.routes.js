@@ -0,0 +1,66 @@
+const express = require('express')
+const { body, param } = require('express-validator')
+const router = express.Router()
+const rolesController = require('../../controllers/roles.controller')
+const { authenticate } = require('../../middlewares/auth')
+const { requirePermission } = require('../../middlewares/role')
+const { validateRequest } = require('../../middlewares/validator')
+
+// La administración de roles requiere el permiso roles:manage (SUPER_ADMIN por defecto)
+router.use(authenticate)
+router.use(requirePermission('roles:manage'))
+
+const ROLE_NAME_PATTERN = /^[A-Z][A-Z0-9_]*$/
+
+const nameParam = param('name').matches(ROLE_NAME_PATTERN).withMessage('Nombre de rol no válido')
+
+/**
+ * @route GET /api/admin/roles
+ * @desc Listar roles con sus permisos y cantidad de administradores
+ * @access roles:manage
+ */
+router.get('/', rolesController.getRoles)
+
+/**
+ * @route GET /api/admin/roles/permissions
+ * @desc Catálogo de permisos disponibles
+ * @access roles:manage
+ */
+router.get('/permissions', rolesController.getPermissions)
+
+/**
+ * @route POST /api/admin/roles
+ * @desc Crear un rol con un conjunto de permisos
+ * @access roles:manage
+ */
+router.post('/',
+  body('name').isString().isLength({ max: 50 }).matches(ROLE_NAME_PATTERN).withMessage('El nombre debe estar en mayúsculas (A-Z, 0-9, _), p. ej. SOPORTE'),
+  body('description').optional({ values: 'null' }).isString().isLength({ max: 255 }).withMessage('description debe ser texto de hasta 255 caracteres'),
+  body('permissions').isArray().withMessage('permissions debe ser una lista'),
+  body('permissions.*').isString().withMessage('Cada permiso debe ser texto'),
+  validateRequest,
+  rolesController.createRole
+)
+
+/**
+ * @route PUT /api/admin/roles/:name
+ * @desc Actualizar descripción o permisos de un rol (SUPER_ADMIN no se puede modificar)
+ * @access roles:manage
+ */
+router.put('/:name',
+  nameParam,
+  body('description').optional({ values: 'null' }).isString().isLength({ max: 255 }).withMessage('description debe ser texto de hasta 255 caracteres'),
+  body('permissions').optional().isArray().withMessage('permissions debe ser una lista'),
+  body('permissions.*').isString().withMessage('Cada permiso debe ser texto'),
+  validateRequest,
+  rolesController.updateRole
+)
+
+/**
+ * @route DELETE /api/admin/roles/:name
+ * @desc Eliminar un rol que no sea de sistema ni esté asignado
+ * @access roles:manage
+ */
+router.delete('/:name', nameParam, validateRequest, rolesController.deleteRole)
+
+module.exports = router
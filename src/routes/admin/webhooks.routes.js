@@ -0,0 +1,117 @@
+const express = require('express')
+const { body, param, query } = require('express-validator')
+const router = express.Router()
+const merchantWebhooksController = require('../../controllers/merchantWebhooks.controller')
+const { authenticate } = require('../../middlewares/auth')
+const { requirePermission } = require('../../middlewares/role')
+const { validateRequest } = require('../../middlewares/validator')
+const { WEBHOOK_EVENT_TYPES } = require('../../models')
+
+// Todas las rutas de webhooks salientes requieren autenticación
+router.use(authenticate)
+
+const urlValidation = (field) => body(field)
+  .isURL({ protocols: ['https'], require_protocol: true })
+  .withMessage('La URL debe ser HTTPS')
+
+const eventsValidation = [
+  body('events').isArray({ min: 1 }).withMessage('events debe ser un arreglo con al menos un evento'),
+  body('events.*').isIn(WEBHOOK_EVENT_TYPES).withMessage(`Cada evento debe ser uno de: ${WEBHOOK_EVENT_TYPES.join(', ')}`)
+]
+
+const idValidation = param('id').isInt({ min: 1 }).withMessage('id debe ser un número entero positivo')
+
+/**
+ * @route GET /api/admin/webhooks/subscriptions
+ * @desc Listar suscripciones de webhooks salientes
+ * @access webhooks:read
+ */
+router.get('/subscriptions',
+  requirePermission('webhooks:read'),
+  merchantWebhooksController.getSubscriptions
+)
+
+/**
+ * @route GET /api/admin/webhooks/subscriptions/:id
+ * @desc Obtener una suscripción
+ * @access webhooks:read
+ */
+router.get('/subscriptions/:id',
+  requirePermission('webhooks:read'),
+  idValidation,
+  validateRequest,
+  merchantWebhooksController.getSubscriptionById
+)
+
+/**
+ * @route POST /api/admin/webhooks/subscriptions
+ * @desc Registrar un endpoint HTTPS y los eventos que recibe
+ * @access webhooks:manage
+ */
+router.post('/subscriptions',
+  requirePermission('webhooks:manage'),
+  urlValidation('url'),
+  eventsValidation,
+  body('description').optional().isString().withMessage('description debe ser texto'),
+  body('isActive').optional().isBoolean().withMessage('isActive debe ser un valor booleano'),
+  validateRequest,
+  merchantWebhooksController.createSubscription
+)
+
+/**
+ * @route PUT /api/admin/webhooks/subscriptions/:id
+ * @desc Actualizar una suscripción o rotar su secreto
+ * @access webhooks:manage
+ */
+router.put('/subscriptions/:id',
+  requirePermission('webhooks:manage'),
+  idValidation,
+  urlValidation('url').optional(),
+  body('events').optional().isArray({ min: 1 }).withMessage('events debe ser un arreglo con al menos un evento'),
+  body('events.*').optional().isIn(WEBHOOK_EVENT_TYPES).withMessage(`Cada evento debe ser uno de: ${WEBHOOK_EVENT_TYPES.join(', ')}`),
+  body('description').optional({ values: 'null' }).isString().withMessage('description debe ser texto'),
+  body('isActive').optional().isBoolean().withMessage('isActive debe ser un valor booleano'),
+  body('rotateSecret').optional().isBoolean().withMessage('rotateSecret debe ser un valor booleano'),
+  validateRequest,
+  merchantWebhooksController.updateSubscription
+)
+
+/**
+ * @route DELETE /api/admin/webhooks/subscriptions/:id
+ * @desc Eliminar una suscripción y su log de entregas
+ * @access webhooks:manage
+ */
+router.delete('/subscriptions/:id',
+  requirePermission('webhooks:manage'),
+  idValidation,
+  validateRequest,
+  merchantWebhooksController.deleteSubscription
+)
+
+/**
+ * @route GET /api/admin/webhooks/deliveries
+ * @desc Log de entregas (filtros: subscriptionId, status, eventType)
+ * @access webhooks:read
+ */
+router.get('/deliveries',
+  requirePermission('webhooks:read'),
+  query('subscriptionId').optional().isInt({ min: 1 }).withMessage('subscriptionId debe ser un número entero positivo'),
+  query('status').optional().isIn(['PENDING', 'SENDING', 'DELIVERED', 'FAILED']).withMessage('status debe ser PENDING, SENDING, DELIVERED o FAILED'),
+  query('eventType').optional().isIn(WEBHOOK_EVENT_TYPES).withMessage(`eventType debe ser uno de: ${WEBHOOK_EVENT_TYPES.join(', ')}`),
+  validateRequest,
+  merchantWebhooksController.getDeliveries
+)
+
+/**
+ * @route POST /api/admin/webhooks/deliveries/:id/replay
+ * @desc Reenviar una entrega (mismo eventId, nueva fila en el log)
+ * @access webhooks:manage
+ */
+router.post('/deliveries/:id/replay',
+  requirePermission('webhooks:manage'),
+  idValidation,
+  validateRequest,
+  merchantWebhooksController.replayDelivery
+)
+
+module.exports = router
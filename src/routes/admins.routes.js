@@ -3,7 +3,7 @@ const { body } = require('express-validator')
 const router = express.Router()
 const adminsController = require('../controllers/admins.controller')
 const { authenticate } = require('../middlewares/auth')
-const { requireRole } = require('../middlewares/role')
+const { requirePermission } = require('../middlewares/role')
 const { validateRequest } = require('../middlewares/validator')
 
 // Ruta pública para login
@@ -16,16 +16,58 @@ router.post('/login',
   adminsController.login
 )
 
-// Todas las demás rutas requieren autenticación como SUPER_ADMIN
+// Segundo paso del login cuando el administrador tiene (o debe registrar) 2FA
+router.post('/login/2fa',
+  [
+    body('challengeToken').isString().notEmpty().withMessage('El challengeToken es requerido'),
+    body('code').optional().isString().withMessage('El código debe ser texto'),
+    body('backupCode').optional().isString().withMessage('El código de respaldo debe ser texto'),
+    body().custom(value => !!(value.code || value.backupCode)).withMessage('Debe enviar code o backupCode')
+  ],
+  validateRequest,
+  adminsController.loginTwoFactor
+)
+
+router.post('/login/2fa/setup',
+  [
+    body('challengeToken').isString().notEmpty().withMessage('El challengeToken es requerido')
+  ],
+  validateRequest,
+  adminsController.loginTwoFactorSetup
+)
+
+// Ruta pública para renovar el access token (rota el refresh token)
+router.post('/refresh',
+  [
+    body('refreshToken').isString().notEmpty().withMessage('El refresh token es requerido')
+  ],
+  validateRequest,
+  adminsController.refresh
+)
+
+// Cerrar la sesión actual (cualquier administrador autenticado)
+router.post('/logout', authenticate, adminsController.logout)
+
+// Segundo factor propio (cualquier administrador autenticado)
+const codeValidation = [
+  body('code').isString().notEmpty().withMessage('El código de verificación es requerido')
+]
+
+router.post('/me/2fa/setup', authenticate, adminsController.setupTwoFactor)
+router.post('/me/2fa/enable', authenticate, codeValidation, validateRequest, adminsController.enableTwoFactor)
+router.post('/me/2fa/disable', authenticate, codeValidation, validateRequest, adminsController.disableTwoFactor)
+router.post('/me/2fa/backup-codes', authenticate, codeValidation, validateRequest, adminsController.regenerateBackupCodes)
+
+// Todas las demás rutas requieren el permiso admins:manage (SUPER_ADMIN por defecto)
 router.use(authenticate)
-router.use(requireRole('SUPER_ADMIN'))
+router.use(requirePermission('admins:manage'))
 
 // Validaciones para administradores
 const adminValidations = [
   body('name').isString().notEmpty().withMessage('El nombre es requerido'),
   body('email').isEmail().withMessage('Debe proporcionar un email válido'),
   body('phone').optional().isString(),
-  body('role').isIn(['READ_ONLY', 'EDITOR', 'SUPER_ADMIN']).withMessage('Rol no válido'),
+  body('role').isString().matches(/^[A-Z][A-Z0-9_]*$/).withMessage('Rol no válido'),
   body('isActive').optional().isBoolean().withMessage('isActive debe ser un valor booleano')
 ]
 
@@ -53,6 +95,12 @@ router.put('/:id',
 
 router.delete('/:id', adminsController.deleteAdmin)
 
+// Cerrar todas las sesiones de un administrador
+router.post('/:id/revoke-sessions', adminsController.revokeSessions)
+
+// Restablecer el segundo factor de un administrador (pérdida del dispositivo)
+router.post('/:id/2fa/reset', adminsController.resetTwoFactor)
+
 // Restablecer contraseña
 router.post('/:id/reset-password',
   [
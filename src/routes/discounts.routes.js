@@ -3,7 +3,7 @@ const { body } = require('express-validator')
 const router = express.Router()
 const discountsController = require('../controllers/discounts.controller')
 const { authenticate } = require('../middlewares/auth')
-const { requireRole } = require('../middlewares/role')
+const { requirePermission } = require('../middlewares/role')
 const { validateRequest } = require('../middlewares/validator')
 
 // Todas las rutas de descuentos requieren autenticación
@@ -12,35 +12,87 @@ router.use(authenticate)
 // Validaciones para descuentos
 const discountValidations = [
   body('name').isString().notEmpty().withMessage('El nombre es requerido'),
-  body('amount').isInt({ min: 1 }).withMessage('El monto debe ser un número entero mayor a 0'),
+  body('type').optional().isIn(['PERCENTAGE', 'FIXED', 'TIERED']).withMessage('type debe ser PERCENTAGE, FIXED o TIERED'),
+  body('amount')
+    .if((value, { req }) => !req.body.type || req.body.type === 'PERCENTAGE')
+    .isInt({ min: 1, max: 100 }).withMessage('El porcentaje debe ser un número entero entre 1 y 100'),
+  body('fixedAmounts')
+    .if(body('type').equals('FIXED'))
+    .isObject().withMessage('fixedAmounts debe ser un objeto { moneda: monto en centavos }'),
+  body('fixedAmounts.*')
+    .if(body('type').equals('FIXED'))
+    .isInt({ min: 1 }).withMessage('Cada monto fijo debe ser un entero mayor a 0 en centavos'),
+  body('tiers')
+    .if(body('type').equals('TIERED'))
+    .isArray({ min: 1 }).withMessage('tiers debe ser un arreglo con al menos un escalón'),
+  body('tiers.*.minQty')
+    .if(body('type').equals('TIERED'))
+    .isInt({ min: 1 }).withMessage('tiers.minQty debe ser un entero mayor a 0'),
+  body('tiers.*.percent')
+    .if(body('type').equals('TIERED'))
+    .isInt({ min: 1, max: 100 }).withMessage('tiers.percent debe ser un entero entre 1 y 100'),
   body('startDate').isISO8601().withMessage('La fecha de inicio debe ser una fecha válida'),
   body('endDate').isISO8601().withMessage('La fecha de fin debe ser una fecha válida'),
   body('isActive').optional().isBoolean().withMessage('isActive debe ser un valor booleano')
 ]
 
+// Validaciones para cupones
+const couponValidations = [
+  body('code').optional().isString().trim()
+    .matches(/^[A-Za-z0-9-_]{3,40}$/).withMessage('El código debe tener entre 3 y 40 letras, números, guiones o guiones bajos'),
+  body('maxRedemptions').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('maxRedemptions debe ser un entero mayor a 0'),
+  body('perCustomerLimit').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('perCustomerLimit debe ser un entero mayor a 0'),
+  body('minOrderAmount').optional().isInt({ min: 0 }).withMessage('minOrderAmount debe ser un entero mayor o igual a 0'),
+  body('productRefs').optional({ values: 'null' }).isArray().withMessage('productRefs debe ser un arreglo de referencias'),
+  body('isActive').optional().isBoolean().withMessage('isActive debe ser un valor booleano')
+]
+
 // Listado de descuentos (disponible para todos los roles)
 router.get('/', discountsController.getDiscounts)
 router.get('/:id', discountsController.getDiscountById)
 
-// EDITOR puede crear y actualizar descuentos
+// discounts:write permite crear y actualizar descuentos
 router.post('/',
-  requireRole('EDITOR'),
+  requirePermission('discounts:write'),
   discountValidations,
   validateRequest,
   discountsController.createDiscount
 )
 
 router.put('/:id',
-  requireRole('EDITOR'),
+  requirePermission('discounts:write'),
   discountValidations,
   validateRequest,
   discountsController.updateDiscount
 )
 
-// EDITOR puede activar/desactivar descuentos
+// discounts:write permite activar/desactivar descuentos
 router.patch('/:id/status',
-  requireRole('EDITOR'),
+  requirePermission('discounts:write'),
   discountsController.toggleDiscountStatus
 )
 
+// Cupones asociados a un descuento
+router.get('/:id/coupons', discountsController.getCoupons)
+
+router.post('/:id/coupons',
+  requirePermission('discounts:write'),
+  body('code').notEmpty().withMessage('El código es requerido'),
+  couponValidations,
+  validateRequest,
+  discountsController.createCoupon
+)
+
+router.put('/:id/coupons/:couponId',
+  requirePermission('discounts:write'),
+  couponValidations,
+  validateRequest,
+  discountsController.updateCoupon
+)
+
+router.patch('/:id/coupons/:couponId/status',
+  requirePermission('discounts:write'),
+  discountsController.toggleCouponStatus
+)
+
 module.exports = router
@@ -2,32 +2,31 @@ const express = require('express')
 const router = express.Router()
 const emailQueueController = require('../controllers/emailQueue.controller')
 const { authenticate } = require('../middlewares/auth')
-const { requireRole } = require('../middlewares/role')
+const { requirePermission } = require('../middlewares/role')
 
 /**
- * Rutas simplificadas para email queue v2.0
- * Solo testing y estadísticas básicas de compatibilidad
+ * Rutas de la bandeja de salida de correos
  */
 
 /**
  * @route GET /api/email-queue/stats
- * @desc Obtener estadísticas de la cola de correos (compatibilidad)
- * @access Super Administrador
+ * @desc Obtener estadísticas de la bandeja de salida de correos
+ * @access email_queue:manage
  */
 router.get('/stats',
   authenticate,
-  requireRole('SUPER_ADMIN'),
+  requirePermission('email_queue:manage'),
   emailQueueController.getQueueStats
 )
 
 /**
  * @route POST /api/email-queue/test
  * @desc Test del sistema de envío de correos
- * @access Super Administrador
+ * @access email_queue:manage
  */
 router.post('/test',
   authenticate,
-  requireRole('SUPER_ADMIN'),
+  requirePermission('email_queue:manage'),
   emailQueueController.testQueue
 )
 
@@ -12,6 +12,10 @@ const ordersRoutes = require('./orders.routes')
 // webhook routes are mounted directly in app.js to avoid body parsing
 const providersRoutes = require('./admin/providers.routes')
 const jobsRoutes = require('./admin/jobs.routes')
+const merchantWebhooksRoutes = require('./admin/webhooks.routes')
+const auditRoutes = require('./admin/audit.routes')
+const rolesRoutes = require('./admin/roles.routes')
+const lockoutsRoutes = require('./admin/lockouts.routes')
 const waitlistRoutes = require('./waitlist.routes')
 const emailQueueRoutes = require('./emailQueue.routes')
 const invoicesRoutes = require('./invoices.routes')
@@ -28,6 +32,10 @@ router.use('/orders', ordersRoutes)
 // webhooks excluded - mounted directly in app.js
 router.use('/providers', providersRoutes)
 router.use('/admin/jobs', jobsRoutes)
+router.use('/admin/webhooks', merchantWebhooksRoutes)
+router.use('/admin/audit', auditRoutes)
+router.use('/admin/roles', rolesRoutes)
+router.use('/admin/lockouts', lockoutsRoutes)
 router.use('/waitlist', waitlistRoutes)
 router.use('/email-queue', emailQueueRoutes)
 router.use('/invoices', invoicesRoutes)
@@ -2,7 +2,7 @@ const express = require('express')
 const router = express.Router()
 const invoicesController = require('../controllers/invoices.controller')
 const { authenticate } = require('../middlewares/auth')
-const { requireRole } = require('../middlewares/role')
+const { requirePermission } = require('../middlewares/role')
 
 // Todas las rutas de facturas requieren autenticación
 router.use(authenticate)
@@ -10,60 +10,60 @@ router.use(authenticate)
 /**
  * @route GET /api/invoices
  * @desc Obtener todas las facturas con paginación y filtros
- * @access READ_ONLY+
+ * @access invoices:read
  */
 router.get('/',
-  requireRole('READ_ONLY'),
+  requirePermission('invoices:read'),
   invoicesController.getAllInvoices
 )
 
 /**
  * @route GET /api/invoices/stats
  * @desc Obtener estadísticas de facturación
- * @access READ_ONLY+
+ * @access invoices:read
  */
 router.get('/stats',
-  requireRole('READ_ONLY'),
+  requirePermission('invoices:read'),
   invoicesController.getInvoiceStats
 )
 
 /**
  * @route GET /api/invoices/:id
  * @desc Obtener una factura específica por ID
- * @access READ_ONLY+
+ * @access invoices:read
  */
 router.get('/:id',
-  requireRole('READ_ONLY'),
+  requirePermission('invoices:read'),
   invoicesController.getInvoiceById
 )
 
 /**
  * @route POST /api/invoices/execute
  * @desc Ejecutar proceso de facturación para transacciones pendientes
- * @access EDITOR+
+ * @access invoices:run
  */
 router.post('/execute',
-  requireRole('EDITOR'),
+  requirePermission('invoices:run'),
   invoicesController.executeInvoicing
 )
 
 /**
  * @route PUT /api/invoices/:id/status
  * @desc Actualizar estado de una factura consultando al proveedor
- * @access EDITOR+
+ * @access invoices:write
  */
 router.put('/:id/status',
-  requireRole('EDITOR'),
+  requirePermission('invoices:write'),
   invoicesController.updateInvoiceStatus
 )
 
 /**
  * @route POST /api/invoices/fix-failed-status
  * @desc Corregir estados de transacciones con facturas generadas pero marcadas como FAILED
- * @access EDITOR+
+ * @access invoices:write
  */
 router.post('/fix-failed-status',
-  requireRole('EDITOR'),
+  requirePermission('invoices:write'),
   invoicesController.fixFailedInvoiceStatus
 )
 
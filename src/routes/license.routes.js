@@ -1,8 +1,10 @@
 const express = require('express')
 const router = express.Router()
+const { body, param } = require('express-validator')
 const ctrl = require('../controllers/license.controller')
 const { authenticate } = require('../middlewares/auth')
-const { requireRole } = require('../middlewares/role')
+const { requirePermission } = require('../middlewares/role')
+const { validateRequest } = require('../middlewares/validator')
 const multer = require('multer')
 
 // Configure multer for memory storage (CSV files)
@@ -25,22 +27,32 @@ const upload = multer({
 // All routes require authentication
 router.use(authenticate)
 
-// CSV operations - require EDITOR role
-router.get('/template', requireRole('EDITOR'), ctrl.templateCsv)
-router.post('/upload', requireRole('EDITOR'), upload.single('file'), ctrl.bulkUpload)
+// CSV operations - require licenses:write
+router.get('/template', requirePermission('licenses:write'), ctrl.templateCsv)
+router.post('/upload', requirePermission('licenses:write'), upload.single('file'), ctrl.bulkUpload)
 
-// Bulk dismount - require SUPER_ADMIN role
-router.post('/dismount', requireRole('SUPER_ADMIN'), upload.single('file'), ctrl.bulkDismount)
+// Bulk dismount - require licenses:dismount
+router.post('/dismount', requirePermission('licenses:dismount'), upload.single('file'), ctrl.bulkDismount)
 
 // CRUD operations
-router.get('/', requireRole('READ_ONLY'), ctrl.getAll)
-router.get('/:id', requireRole('READ_ONLY'), ctrl.getById)
-router.post('/', requireRole('EDITOR'), ctrl.create)
-router.put('/:id', requireRole('EDITOR'), ctrl.update)
-router.delete('/:id', requireRole('SUPER_ADMIN'), ctrl.delete)
-
-// Business operations - require SUPER_ADMIN role
-router.post('/:code/annul', requireRole('SUPER_ADMIN'), ctrl.annul)
-router.post('/:code/return', requireRole('SUPER_ADMIN'), ctrl.return)
+router.get('/', requirePermission('licenses:read'), ctrl.getAll)
+router.get('/inventory', requirePermission('licenses:read'), ctrl.getInventory)
+router.get('/:id', requirePermission('licenses:read'), ctrl.getById)
+router.post('/', requirePermission('licenses:write'), ctrl.create)
+router.put('/:id', requirePermission('licenses:write'), ctrl.update)
+router.delete('/:id', requirePermission('licenses:delete'), ctrl.delete)
+
+// Full key reveal - require licenses:reveal; every call is audited in license_reveals
+router.post('/:id/reveal',
+  requirePermission('licenses:reveal'),
+  param('id').isInt({ min: 1 }),
+  body('reason').isString().trim().isLength({ min: 3, max: 500 }).withMessage('reason is required (3-500 characters)'),
+  validateRequest,
+  ctrl.reveal
+)
+
+// Business operations - require licenses:annul / licenses:return
+router.post('/:code/annul', requirePermission('licenses:annul'), ctrl.annul)
+router.post('/:code/return', requirePermission('licenses:return'), ctrl.return)
 
 module.exports = router
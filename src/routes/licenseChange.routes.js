@@ -2,12 +2,12 @@ const express = require('express')
 const router = express.Router()
 const ctrl = require('../controllers/licenseChange.controller')
 const { authenticate } = require('../middlewares/auth')
-const { requireRole } = require('../middlewares/role')
+const { requirePermission } = require('../middlewares/role')
 
 // All routes require authentication
 router.use(authenticate)
 
-// License change endpoint - require SUPER_ADMIN role
-router.post('/change', requireRole('SUPER_ADMIN'), ctrl.changeLicense)
+// License change endpoint - require licenses:change
+router.post('/change', requirePermission('licenses:change'), ctrl.changeLicense)
 
 module.exports = router
@@ -2,9 +2,10 @@ const express = require('express')
 const router = express.Router()
 const ordersController = require('../controllers/orders.controller')
 const { authenticate } = require('../middlewares/auth')
-const { requireRole } = require('../middlewares/role')
+const { requirePermission } = require('../middlewares/role')
 const {
   orderCreationLimiter,
+  orderCreationEmailLimiter,
   paymentLimiter,
   orderLookupSlowDown
 } = require('../middlewares/rateLimiter')
@@ -12,6 +13,8 @@ const {
   validateOrderCreation,
   validatePaymentInitiation,
   validateOrderLookup,
+  validateRefundCreation,
+  validateRefundAction,
   validateCustomerOrdersLookup,
   validateTransactionLookup,
   handleValidationErrors,
@@ -26,10 +29,12 @@ router.use(logPublicRequest)
 router.use(sanitizeInput)
 
 // Public order creation (no auth required for customer orders)
+// Limited per IP and, once the body is valid, per customer email
 router.post('/',
   orderCreationLimiter,
   validateOrderCreation,
   handleValidationErrors,
+  orderCreationEmailLimiter,
   ordersController.createOrder
 )
 
@@ -68,30 +73,62 @@ router.get('/transactions/:transactionId/status',
 router.use(authenticate)
 
 // Admin: List all orders with filters
-router.get('/', requireRole('READ_ONLY'), ordersController.getAllOrders)
+router.get('/', requirePermission('orders:read'), ordersController.getAllOrders)
 
 // Admin: Update order status
 router.put('/:orderId/status',
-  requireRole('EDITOR'),
+  requirePermission('orders:status'),
   validateOrderLookup,
   handleValidationErrors,
   ordersController.updateOrderStatus
 )
 
-// Admin: Cancel order (EDITOR+ role required)
+// Admin: Cancel order (orders:cancel)
 router.post('/:orderId/cancel',
-  requireRole('EDITOR'),
+  requirePermission('orders:cancel'),
   validateOrderLookup,
   handleValidationErrors,
   ordersController.cancelOrder
 )
 
-// Admin: Revive canceled order (EDITOR+ role required)
+// Admin: Revive canceled order (orders:revive)
 router.post('/:orderId/revive',
-  requireRole('EDITOR'),
+  requirePermission('orders:revive'),
   validateOrderLookup,
   handleValidationErrors,
   ordersController.reviveOrder
 )
 
+// Admin: Refund ledger of an order
+router.get('/:orderId/refunds',
+  requirePermission('orders:read'),
+  validateOrderLookup,
+  handleValidationErrors,
+  ordersController.getRefunds
+)
+
+// Admin: Full or partial refund (orders:refund)
+router.post('/:orderId/refunds',
+  requirePermission('orders:refund'),
+  validateRefundCreation,
+  handleValidationErrors,
+  ordersController.createRefund
+)
+
+// Admin: Confirm a manual refund made in the gateway panel (ePayco, Cobre)
+router.post('/:orderId/refunds/:refundId/confirm',
+  requirePermission('orders:refund'),
+  validateRefundAction,
+  handleValidationErrors,
+  ordersController.confirmRefund
+)
+
+// Admin: Reject a pending manual refund
+router.post('/:orderId/refunds/:refundId/reject',
+  requirePermission('orders:refund'),
+  validateRefundAction,
+  handleValidationErrors,
+  ordersController.rejectRefund
+)
+
 module.exports = router
@@ -4,8 +4,9 @@ const multer = require('multer')
 const router = express.Router()
 const productsController = require('../controllers/products.controller')
 const { authenticate } = require('../middlewares/auth')
-const { requireRole } = require('../middlewares/role')
+const { requirePermission } = require('../middlewares/role')
 const { validateRequest } = require('../middlewares/validator')
+const { SUPPORTED_CURRENCIES } = require('../utils/currency')
 
 // Configure multer for memory storage (CSV files)
 const upload = multer({
@@ -31,50 +32,56 @@ const productValidations = [
   body('features').optional().isString(),
   body('image').optional().isURL().withMessage('La imagen debe ser una URL válida'),
   body('provider').optional().isString(),
-  body('license_type').optional().isBoolean().withMessage('El tipo de licencia debe ser un valor booleano')
+  body('taxClass').optional().isIn(['IVA_19', 'EXEMPT', 'EXCLUDED']).withMessage('taxClass debe ser IVA_19, EXEMPT o EXCLUDED'),
+  body('license_type').optional().isBoolean().withMessage('El tipo de licencia debe ser un valor booleano'),
+  body('lowStockThreshold').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('lowStockThreshold debe ser un número entero mayor o igual a 0')
 ]
 
 // Rutas públicas
 router.get('/', productsController.getProducts)
 router.get('/:id', productsController.getProductById)
+router.get('/:id/prices', productsController.getProductPrices)
 router.get('/ref/:productRef', productsController.getProductByRef)
 
 // Rutas protegidas - requieren autenticación
 router.use(authenticate)
 
-// READ_ONLY puede ver todos los productos (activos e inactivos)
-router.get('/all', requireRole('READ_ONLY'), productsController.getAllProducts)
+// products:read permite ver todos los productos (activos e inactivos)
+router.get('/all', requirePermission('products:read'), productsController.getAllProducts)
 
-// EDITOR puede crear y editar productos
+// products:read permite ver el stock de licencias (disponibles, retenidas en checkout, vendidas...)
+router.get('/:id/stock', requirePermission('products:read'), productsController.getProductStock)
+
+// products:write permite crear y editar productos
 router.post('/',
-  requireRole('EDITOR'),
+  requirePermission('products:write'),
   productValidations,
   validateRequest,
   productsController.createProduct
 )
 
-// Bulk upload productos desde CSV - requiere EDITOR
+// Bulk upload productos desde CSV - requiere products:write
 router.post('/upload',
-  requireRole('EDITOR'),
+  requirePermission('products:write'),
   upload.single('file'),
   productsController.bulkUpload
 )
 
 router.put('/:id',
-  requireRole('EDITOR'),
+  requirePermission('products:write'),
   productValidations,
   validateRequest,
   productsController.updateProduct
 )
 
-// EDITOR puede cambiar estado y vincular descuentos
+// products:write permite cambiar estado y vincular descuentos
 router.patch('/:id/status',
-  requireRole('EDITOR'),
+  requirePermission('products:write'),
   productsController.toggleProductStatus
 )
 
 router.patch('/:id/discount',
-  requireRole('EDITOR'),
+  requirePermission('products:write'),
   [
     body('discountId')
       .optional({ nullable: true })
@@ -84,9 +91,24 @@ router.patch('/:id/discount',
   productsController.updateProductDiscount
 )
 
-// SUPER_ADMIN puede eliminar productos
+// products:prices permite administrar la lista de precios por moneda
+router.put('/:id/prices',
+  requirePermission('products:prices'),
+  [
+    body('prices').isArray().withMessage('prices debe ser un arreglo'),
+    body('prices.*.currency')
+      .isIn(SUPPORTED_CURRENCIES)
+      .withMessage(`La moneda debe ser una de: ${SUPPORTED_CURRENCIES.join(', ')}`),
+    body('prices.*.price')
+      .isInt({ min: 1 }).withMessage('El precio debe ser un número entero mayor a 0')
+  ],
+  validateRequest,
+  productsController.updateProductPrices
+)
+
+// products:delete permite eliminar productos
 router.delete('/:id',
-  requireRole('SUPER_ADMIN'),
+  requirePermission('products:delete'),
   productsController.deleteProduct
 )
 
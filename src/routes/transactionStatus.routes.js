@@ -2,7 +2,7 @@ const express = require('express')
 const router = express.Router()
 const transactionStatusController = require('../controllers/transactionStatus.controller')
 const { authenticate } = require('../middlewares/auth')
-const { requireRole } = require('../middlewares/role')
+const { requirePermission } = require('../middlewares/role')
 const { validateTransactionLookup, validateMultipleTransactions } = require('../middlewares/validator')
 const {
   securityHeaders,
@@ -21,20 +21,20 @@ router.use(authenticate)
 /**
  * @route GET /api/transaction-status/stats
  * @desc Obtener estadísticas de transacciones pendientes
- * @access EDITOR+
+ * @access transactions:verify
  */
 router.get('/stats',
-  requireRole('EDITOR'),
+  requirePermission('transactions:verify'),
   transactionStatusController.getPendingTransactionsStats
 )
 
 /**
  * @route POST /api/transaction-status/verify/:transactionId
  * @desc Verificar estado de una transacción específica
- * @access EDITOR+
+ * @access transactions:verify
  */
 router.post('/verify/:transactionId',
-  requireRole('EDITOR'),
+  requirePermission('transactions:verify'),
   validateTransactionLookup,
   transactionStatusController.verifyTransactionStatus
 )
@@ -42,10 +42,10 @@ router.post('/verify/:transactionId',
 /**
  * @route POST /api/transaction-status/verify-multiple
  * @desc Verificar múltiples transacciones pendientes
- * @access EDITOR+
+ * @access transactions:verify
  */
 router.post('/verify-multiple',
-  requireRole('EDITOR'),
+  requirePermission('transactions:verify'),
   validateMultipleTransactions,
   transactionStatusController.verifyMultipleTransactions
 )
@@ -53,10 +53,10 @@ router.post('/verify-multiple',
 /**
  * @route POST /api/transaction-status/verify-email/:orderId
  * @desc Verificar si se envió el email de licencia y reenviarlo si es necesario
- * @access EDITOR+
+ * @access licenses:resend_email
  */
 router.post('/verify-email/:orderId',
-  requireRole('EDITOR'),
+  requirePermission('licenses:resend_email'),
   transactionStatusController.verifyAndResendLicenseEmail
 )
 
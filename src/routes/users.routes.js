@@ -1,10 +1,12 @@
 const express = require('express')
-const { body } = require('express-validator')
+const { body, param, query } = require('express-validator')
 const router = express.Router()
 const usersController = require('../controllers/users.controller')
+const customerPortalController = require('../controllers/customerPortal.controller')
 const { authenticate, authenticateUser } = require('../middlewares/auth')
-const { requireRole } = require('../middlewares/role')
+const { requirePermission } = require('../middlewares/role')
 const { validateRequest } = require('../middlewares/validator')
+const { licenseResendLimiter } = require('../middlewares/rateLimiter')
 const { DOCUMENT_TYPES } = require('../models')
 
 // Validaciones para creación de usuario
@@ -159,13 +161,13 @@ router.post('/verify-otp',
 // Rutas de administrador (requieren autenticación de admin)
 router.get('/admin/search',
   authenticate,
-  requireRole('EDITOR'),
+  requirePermission('customers:read'),
   usersController.adminSearchUser
 )
 
 router.patch('/admin/update',
   authenticate,
-  requireRole('EDITOR'),
+  requirePermission('customers:write'),
   adminUpdateValidations,
   validateRequest,
   usersController.adminUpdateUser
@@ -182,4 +184,47 @@ router.patch('/profile',
   usersController.updateUserProfile
 )
 
+// Portal del cliente: órdenes y licencias del usuario autenticado
+const orderIdValidation = [
+  param('orderId')
+    .isInt({ min: 1 })
+    .withMessage('El ID de la orden debe ser un número entero positivo')
+]
+
+router.get('/me/orders',
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('page debe ser un entero positivo'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit debe ser un entero entre 1 y 100')
+  ],
+  validateRequest,
+  customerPortalController.getMyOrders
+)
+
+router.get('/me/orders/:orderId',
+  orderIdValidation,
+  validateRequest,
+  customerPortalController.getMyOrder
+)
+
+router.post('/me/orders/:orderId/resend-license-email',
+  orderIdValidation,
+  validateRequest,
+  licenseResendLimiter,
+  customerPortalController.resendMyLicenseEmail
+)
+
+router.get('/me/licenses', customerPortalController.getMyLicenses)
+
+router.get('/me/waitlist', customerPortalController.getMyWaitlist)
+
+router.post('/me/waitlist/:entryId/cancel',
+  [
+    param('entryId')
+      .isInt({ min: 1 })
+      .withMessage('El ID de la entrada debe ser un número entero positivo')
+  ],
+  validateRequest,
+  customerPortalController.cancelMyWaitlistEntry
+)
+
 module.exports = router
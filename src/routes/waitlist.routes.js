@@ -2,24 +2,24 @@ const express = require('express')
 const router = express.Router()
 const ctrl = require('../controllers/waitlist.controller')
 const { authenticate } = require('../middlewares/auth')
-const { requireRole } = require('../middlewares/role')
+const { requirePermission } = require('../middlewares/role')
 
 // Todas las rutas requieren autenticación
 router.use(authenticate)
 
-// Rutas de consulta - requieren rol READ_ONLY
-router.get('/metrics', requireRole('READ_ONLY'), ctrl.getMetrics)
-router.get('/', requireRole('READ_ONLY'), ctrl.getWaitlist)
-router.get('/:waitlistEntryId', requireRole('READ_ONLY'), ctrl.getWaitlistEntry)
+// Rutas de consulta - requieren waitlist:read
+router.get('/metrics', requirePermission('waitlist:read'), ctrl.getMetrics)
+router.get('/', requirePermission('waitlist:read'), ctrl.getWaitlist)
+router.get('/:waitlistEntryId', requirePermission('waitlist:read'), ctrl.getWaitlistEntry)
 
-// Rutas de operación - requieren rol EDITOR
-router.post('/reserve', requireRole('EDITOR'), ctrl.reserveLicenses)
-router.post('/process', requireRole('EDITOR'), ctrl.processReservedLicenses)
-router.delete('/:waitlistEntryId', requireRole('EDITOR'), ctrl.removeFromWaitlist)
+// Rutas de operación - requieren waitlist:write
+router.post('/reserve', requirePermission('waitlist:write'), ctrl.reserveLicenses)
+router.post('/process', requirePermission('waitlist:write'), ctrl.processReservedLicenses)
+router.delete('/:waitlistEntryId', requirePermission('waitlist:write'), ctrl.removeFromWaitlist)
 
-// Rutas de administración - requieren rol SUPER_ADMIN
-router.get('/job/status', requireRole('SUPER_ADMIN'), ctrl.getJobStatus)
-router.post('/job/run', requireRole('SUPER_ADMIN'), ctrl.runJob)
-router.post('/process-all', requireRole('SUPER_ADMIN'), ctrl.runFullProcessing)
+// Rutas de administración del job - requieren jobs:manage
+router.get('/job/status', requirePermission('jobs:manage'), ctrl.getJobStatus)
+router.post('/job/run', requirePermission('jobs:manage'), ctrl.runJob)
+router.post('/process-all', requirePermission('jobs:manage'), ctrl.runFullProcessing)
 
 module.exports = router
@@ -2,7 +2,7 @@ const express = require('express')
 const router = express.Router()
 const webhookController = require('../controllers/webhook.controller')
 const { authenticate } = require('../middlewares/auth')
-const { requireRole } = require('../middlewares/role')
+const { requirePermission } = require('../middlewares/role')
 const { webhookLimiter } = require('../middlewares/rateLimiter')
 const { securityHeaders, logPublicRequest } = require('../middlewares/security')
 const logger = require('../config/logger')
@@ -129,15 +129,15 @@ if (process.env.NODE_ENV === 'development') {
 // Administrative endpoints (require authentication)
 router.use(authenticate)
 
-// Get webhook statistics (READ_ONLY+)
+// Get webhook statistics (webhooks:read)
 router.get('/admin/statistics',
-  requireRole('READ_ONLY'),
+  requirePermission('webhooks:read'),
   webhookController.getStatistics.bind(webhookController)
 )
 
-// Get webhook events with pagination (READ_ONLY+)
+// Get webhook events with pagination (webhooks:read)
 router.get('/admin/events',
-  requireRole('READ_ONLY'),
+  requirePermission('webhooks:read'),
   webhookController.getWebhookEvents.bind(webhookController)
 )
 
@@ -1,5 +1,6 @@
 const { initDB } = require('../models/db')
 const otpService = require('../services/otp.service')
+const accountLockoutService = require('../services/accountLockout.service')
 const logger = require('../config/logger')
 
 /**
@@ -18,6 +19,10 @@ async function cleanupExpiredOtps () {
 
     logger.info(`Limpieza completada. ${deletedCount} códigos OTP expirados eliminados.`)
 
+    // Registros de intentos fallidos sin bloqueo vigente ni fallos recientes
+    const staleLockouts = await accountLockoutService.cleanupStale()
+    logger.info(`${staleLockouts} registros de intentos fallidos antiguos eliminados.`)
+
     process.exit(0)
   } catch (error) {
     logger.logError(error, { operation: 'cleanupExpiredOtps' })
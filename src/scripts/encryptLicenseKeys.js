@@ -0,0 +1,119 @@
+const { Op } = require('sequelize')
+const { initDB, License, EmailOutbox } = require('../models')
+const licenseKeyVault = require('../utils/licenseKeyVault')
+const emailQueueService = require('../services/emailQueue.service')
+const logger = require('../config/logger')
+
+const BATCH_SIZE = 500
+
+/**
+ * Script para cifrar las claves de licencia en reposo
+ * - Cifra las claves heredadas en claro y calcula su licenseKeyHash
+ * - Re-cifra con la llave maestra actual las claves cifradas con una llave anterior (rotación)
+ * - Cifra las claves en claro de la bandeja de salida y las elimina de los correos ya enviados
+ * Es idempotente: se puede ejecutar varias veces
+ */
+async function encryptLicenseKeys () {
+  try {
+    logger.info('Iniciando cifrado de claves de licencia...')
+
+    await initDB()
+
+    const currentKeyId = licenseKeyVault.provider.currentKeyId()
+    const totals = { encrypted: 0, rewrapped: 0, unchanged: 0 }
+    let lastId = 0
+
+    while (true) {
+      const licenses = await License.findAll({
+        where: { id: { [Op.gt]: lastId } },
+        order: [['id', 'ASC']],
+        limit: BATCH_SIZE
+      })
+
+      if (licenses.length === 0) {
+        break
+      }
+
+      for (const license of licenses) {
+        const stored = license.getDataValue('licenseKey')
+
+        if (!licenseKeyVault.isEncrypted(stored)) {
+          // El setter cifra y calcula el hash
+          license.licenseKey = stored
+          totals.encrypted++
+        } else if (licenseKeyVault.keyIdOf(stored) !== currentKeyId) {
+          license.licenseKey = licenseKeyVault.encrypt(licenseKeyVault.decrypt(stored))
+          totals.rewrapped++
+        } else {
+          totals.unchanged++
+        }
+
+        if (!license.licenseKeyHash) {
+          license.licenseKeyHash = licenseKeyVault.hash(license.licenseKey)
+        }
+
+        if (license.changed()) {
+          await license.save({ fields: ['licenseKey', 'licenseKeyHash'] })
+        }
+      }
+
+      lastId = licenses[licenses.length - 1].id
+    }
+
+    logger.info(`Cifrado completado. ${totals.encrypted} cifradas, ${totals.rewrapped} re-cifradas, ${totals.unchanged} sin cambios.`)
+
+    const outbox = await protectOutboxVariables()
+    logger.info(`Bandeja de salida: ${outbox.sealed} correos cifrados, ${outbox.redacted} correos enviados sin claves.`)
+
+    process.exit(0)
+  } catch (error) {
+    logger.logError(error, { operation: 'encryptLicenseKeys' })
+    process.exit(1)
+  }
+}
+
+/**
+ * Proteger las claves de licencia guardadas en email_outbox antes del cifrado de variables
+ * Los correos enviados pierden las claves; los pendientes o fallidos las guardan cifradas
+ */
+async function protectOutboxVariables () {
+  const totals = { sealed: 0, redacted: 0 }
+  let lastId = 0
+
+  while (true) {
+    const entries = await EmailOutbox.findAll({
+      where: {
+        id: { [Op.gt]: lastId },
+        type: { [Op.in]: ['LICENSE_DELIVERY', 'LICENSE_CHANGE'] }
+      },
+      order: [['id', 'ASC']],
+      limit: BATCH_SIZE
+    })
+
+    if (entries.length === 0) {
+      break
+    }
+
+    for (const entry of entries) {
+      const variables = entry.status === 'SENT'
+        ? emailQueueService.redactVariables(entry.variables)
+        : emailQueueService.sealVariables(entry.variables)
+
+      if (JSON.stringify(variables) !== JSON.stringify(entry.variables)) {
+        await entry.update({ variables })
+        totals[entry.status === 'SENT' ? 'redacted' : 'sealed']++
+      }
+    }
+
+    lastId = entries[entries.length - 1].id
+  }
+
+  return totals
+}
+
+// Ejecutar si es llamado directamente
+if (require.main === module) {
+  encryptLicenseKeys()
+}
+
+module.exports = encryptLicenseKeys
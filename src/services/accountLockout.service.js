@@ -0,0 +1,270 @@
+const { Op } = require('sequelize')
+const { AccountLockout, Admin, User } = require('../models')
+const { ACCOUNT_LOCKOUT } = require('../config')
+const logger = require('../config/logger')
+const TransactionManager = require('../utils/transactionManager')
+const auditService = require('./audit.service')
+const emailService = require('./email')
+
+const MINUTE_MS = 60 * 1000
+
+function lockoutError (message, code, lockedUntil = null) {
+  const error = new Error(message)
+  error.code = code
+  if (lockedUntil) {
+    error.lockedUntil = lockedUntil
+  }
+  return error
+}
+
+/**
+ * Account Lockout Service - Bloqueo progresivo por cuenta tras intentos fallidos
+ *
+ * Complementa los límites por IP de rateLimiter.js: quien rota IPs sigue sumando
+ * fallos sobre la misma cuenta. Tras ACCOUNT_LOCKOUT.maxAttempts fallos dentro de la
+ * ventana la cuenta se bloquea lockMinutes, y cada bloqueo siguiente dura el doble
+ * hasta maxLockMinutes. Un acceso exitoso o un desbloqueo manual reinician el conteo.
+ *
+ * Ámbitos: ADMIN (contraseña y segundo factor) y CUSTOMER (códigos OTP).
+ */
+class AccountLockoutService {
+  normalize (identifier) {
+    return String(identifier || '').toLowerCase().trim()
+  }
+
+  /**
+   * Duración del bloqueo número lockoutCount (1 = primero)
+   * @returns {number} Milisegundos
+   */
+  lockDuration (lockoutCount) {
+    const minutes = Math.min(ACCOUNT_LOCKOUT.lockMinutes * 2 ** (lockoutCount - 1), ACCOUNT_LOCKOUT.maxLockMinutes)
+    return minutes * MINUTE_MS
+  }
+
+  /**
+   * Error ACCOUNT_LOCKED con la fecha de fin del bloqueo
+   */
+  lockedError (lockedUntil) {
+    return lockoutError('Cuenta bloqueada temporalmente por demasiados intentos fallidos', 'ACCOUNT_LOCKED', lockedUntil)
+  }
+
+  /**
+   * Segundos que faltan para que termine un bloqueo (para el header Retry-After)
+   */
+  retryAfterSeconds (lockedUntil) {
+    return Math.max(Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000), 1)
+  }
+
+  /**
+   * Lanzar ACCOUNT_LOCKED si la cuenta está bloqueada
+   * @param {string} scope - ADMIN | CUSTOMER
+   * @param {string} identifier - Email de la cuenta
+   */
+  async assertNotLocked (scope, identifier) {
+    const record = await AccountLockout.findOne({
+      where: { scope, identifier: this.normalize(identifier) }
+    })
+
+    if (record && record.lockedUntil && record.lockedUntil > new Date()) {
+      throw this.lockedError(record.lockedUntil)
+    }
+  }
+
+  /**
+   * Registrar un intento fallido y bloquear la cuenta si se alcanza el límite
+   * @param {string} scope - ADMIN | CUSTOMER
+   * @param {string} identifier - Email de la cuenta
+   * @param {Object} context - { ipAddress }
+   * @returns {Promise<Object>} { locked, lockedUntil, remainingAttempts }
+   */
+  async recordFailure (scope, identifier, { ipAddress = null } = {}) {
+    const normalized = this.normalize(identifier)
+    const now = new Date()
+
+    const result = await TransactionManager.executeCustomTransaction(async (t) => {
+      const [record] = await AccountLockout.findOrCreate({
+        where: { scope, identifier: normalized },
+        defaults: { scope, identifier: normalized },
+        transaction: t
+      })
+      // Bloqueo para que los intentos simultáneos se cuenten uno por uno
+      await record.reload({ lock: t.LOCK.UPDATE, transaction: t })
+
+      if (record.lockedUntil && record.lockedUntil > now) {
+        return { locked: true, lockedUntil: record.lockedUntil, remainingAttempts: 0 }
+      }
+
+      const lastFailedMs = record.lastFailedAt ? now - record.lastFailedAt : Infinity
+      const attempts = lastFailedMs <= ACCOUNT_LOCKOUT.attemptWindowMinutes * MINUTE_MS ? record.failedAttempts + 1 : 1
+
+      if (attempts < ACCOUNT_LOCKOUT.maxAttempts) {
+        await record.update({ failedAttempts: attempts, lastFailedAt: now, lastFailedIp: ipAddress }, { transaction: t })
+        return { locked: false, lockedUntil: null, remainingAttempts: ACCOUNT_LOCKOUT.maxAttempts - attempts }
+      }
+
+      // Sin fallos durante un bloqueo máximo la progresión vuelve a empezar
+      const previousLockouts = lastFailedMs <= ACCOUNT_LOCKOUT.maxLockMinutes * MINUTE_MS ? record.lockoutCount : 0
+      const lockoutCount = previousLockouts + 1
+      const lockedUntil = new Date(now.getTime() + this.lockDuration(lockoutCount))
+
+      await record.update({
+        failedAttempts: 0,
+        lockoutCount,
+        lockedUntil,
+        lastFailedAt: now,
+        lastFailedIp: ipAddress
+      }, { transaction: t })
+
+      await auditService.record({
+        action: 'account.lock',
+        entityType: 'AccountLockout',
+        entityId: record.id,
+        metadata: { scope, identifier: normalized, attempts, lockoutCount, lockedUntil, ipAddress }
+      }, t)
+
+      return { locked: true, justLocked: true, lockedUntil, lockoutCount, attempts, remainingAttempts: 0 }
+    }, 'CONSISTENT_WRITE')
+
+    if (result.justLocked) {
+      logger.logBusiness('accountLockout:locked', {
+        scope,
+        identifier: normalized,
+        lockoutCount: result.lockoutCount,
+        lockedUntil: result.lockedUntil,
+        ipAddress
+      })
+      await this.notifyOwner(scope, normalized, { attempts: result.attempts, lockedUntil: result.lockedUntil, ipAddress })
+    }
+
+    return {
+      locked: result.locked,
+      lockedUntil: result.lockedUntil,
+      remainingAttempts: result.remainingAttempts
+    }
+  }
+
+  /**
+   * Registrar un fallo y lanzar ACCOUNT_LOCKED si con él se bloqueó la cuenta
+   * Si no se bloqueó, relanza el error original
+   */
+  async failAndThrow (scope, identifier, error, context = {}) {
+    const lockout = await this.recordFailure(scope, identifier, context)
+    if (lockout.locked) {
+      throw this.lockedError(lockout.lockedUntil)
+    }
+    throw error
+  }
+
+  /**
+   * Acceso exitoso: reiniciar fallos y progresión
+   */
+  async recordSuccess (scope, identifier) {
+    await AccountLockout.destroy({
+      where: { scope, identifier: this.normalize(identifier) }
+    })
+  }
+
+  /**
+   * Desbloquear una cuenta manualmente
+   * @param {string} scope - ADMIN | CUSTOMER
+   * @param {string} identifier - Email de la cuenta
+   * @param {number} actorId - Administrador que desbloquea
+   */
+  async unlock (scope, identifier, actorId = null) {
+    const normalized = this.normalize(identifier)
+    const record = await AccountLockout.findOne({ where: { scope, identifier: normalized } })
+
+    if (!record) {
+      throw lockoutError(`No hay intentos fallidos registrados para ${normalized}`, 'LOCKOUT_NOT_FOUND')
+    }
+
+    await TransactionManager.executeCustomTransaction(async (t) => {
+      await auditService.record({
+        action: 'account.unlock',
+        entityType: 'AccountLockout',
+        entityId: record.id,
+        actorId,
+        before: auditService.pick(record, ['failedAttempts', 'lockoutCount', 'lockedUntil']),
+        metadata: { scope, identifier: normalized }
+      }, t)
+
+      await record.destroy({ transaction: t })
+    }, 'CONSISTENT_WRITE')
+
+    logger.logBusiness('accountLockout:unlocked', { scope, identifier: normalized, actorId })
+    return true
+  }
+
+  /**
+   * Listar cuentas bloqueadas en este momento
+   * @param {Object} filters - { scope, page, limit }
+   */
+  async listLocked ({ scope, page = 1, limit = 50 } = {}) {
+    const where = { lockedUntil: { [Op.gt]: new Date() } }
+    if (scope) {
+      where.scope = scope
+    }
+
+    const { count, rows } = await AccountLockout.findAndCountAll({
+      where,
+      order: [['lockedUntil', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    })
+
+    return {
+      lockouts: rows,
+      pagination: {
+        total: count,
+        page,
+        limit,
+        pages: Math.ceil(count / limit)
+      }
+    }
+  }
+
+  /**
+   * Eliminar registros sin bloqueo vigente ni fallos recientes
+   * @returns {Promise<number>} Registros eliminados
+   */
+  async cleanupStale () {
+    const cutoff = new Date(Date.now() - ACCOUNT_LOCKOUT.maxLockMinutes * MINUTE_MS)
+
+    return AccountLockout.destroy({
+      where: {
+        lastFailedAt: { [Op.lt]: cutoff },
+        [Op.or]: [
+          { lockedUntil: null },
+          { lockedUntil: { [Op.lt]: new Date() } }
+        ]
+      }
+    })
+  }
+
+  /**
+   * Avisar al dueño de la cuenta que fue bloqueada
+   * Si el email no pertenece a una cuenta no se envía nada
+   */
+  async notifyOwner (scope, identifier, { attempts, lockedUntil, ipAddress }) {
+    try {
+      let name
+      if (scope === 'ADMIN') {
+        const admin = await Admin.findOne({ where: { email: identifier } })
+        if (!admin) return
+        name = admin.name
+      } else {
+        const user = await User.findOne({ where: { email: identifier } })
+        if (!user) return
+        name = user.first_name
+      }
+
+      await emailService.queueAccountLockedEmail({ email: identifier, name, scope, attempts, lockedUntil, ipAddress })
+    } catch (error) {
+      // El bloqueo ya está registrado; el aviso no debe cambiar la respuesta
+      logger.logError(error, { operation: 'accountLockout.notifyOwner', scope, identifier })
+    }
+  }
+}
+
+// Exportar singleton
+module.exports = new AccountLockoutService()
@@ -1,9 +1,16 @@
 const { Admin } = require('../models')
 const { Op } = require('sequelize')
-const jwt = require('jsonwebtoken')
 const bcrypt = require('bcryptjs')
-const { JWT } = require('../config')
 const logger = require('../config/logger')
+const TransactionManager = require('../utils/transactionManager')
+const auditService = require('./audit.service')
+const adminSessionService = require('./adminSession.service')
+const twoFactorService = require('./twoFactor.service')
+const roleService = require('./role.service')
+const accountLockoutService = require('./accountLockout.service')
+
+// Campos del administrador que se guardan en la bitácora de auditoría
+const AUDIT_FIELDS = ['name', 'email', 'role', 'isActive']
 
 /**
  * Servicio para la gestión de administradores
@@ -12,12 +19,16 @@ class AdminService {
   /**
    * Crear un nuevo administrador
    * @param {Object} adminData - Datos del administrador
+   * @param {number} actorId - Administrador que realiza la acción (null en el bootstrap)
+   * @param {string} actorRole - Rol de quien lo crea; no puede asignar más permisos de los que tiene
    * @returns {Promise<Admin>} Administrador creado
    */
-  async createAdmin (adminData) {
+  async createAdmin (adminData, actorId = null, actorRole = null) {
     try {
       logger.logBusiness('createAdmin', { email: adminData.email })
 
+      await roleService.assertAssignable(adminData.role || 'READ_ONLY', actorRole)
+
       // Verificar si ya existe un administrador con el mismo email
       const existingAdmin = await Admin.findOne({
         where: { email: adminData.email }
@@ -30,7 +41,19 @@ class AdminService {
       }
 
       // Crear el administrador
-      const admin = await Admin.create(adminData)
+      const admin = await TransactionManager.executeCustomTransaction(async (t) => {
+        const created = await Admin.create(adminData, { transaction: t })
+
+        await auditService.record({
+          action: 'admin.create',
+          entityType: 'Admin',
+          entityId: created.id,
+          actorId,
+          after: auditService.pick(created, AUDIT_FIELDS)
+        }, t)
+
+        return created
+      }, 'CONSISTENT_WRITE')
       logger.logBusiness('createAdmin.success', { id: admin.id, email: admin.email })
       return admin
     } catch (error) {
@@ -103,10 +126,17 @@ class AdminService {
    * Actualizar un administrador
    * @param {number} id - ID del administrador
    * @param {Object} adminData - Datos a actualizar
+   * @param {number} actorId - Administrador que realiza la acción
+   * @param {string} actorRole - Rol de quien lo actualiza; no puede asignar más permisos de los que tiene
    * @returns {Promise<Admin>} Administrador actualizado
    */
-  async updateAdmin (id, adminData) {
+  async updateAdmin (id, adminData, actorId = null, actorRole = null) {
     const admin = await this.getAdminById(id)
+    await roleService.assertCanManage(actorRole, admin.role)
+
+    if (adminData.role && adminData.role !== admin.role) {
+      await roleService.assertAssignable(adminData.role, actorRole)
+    }
 
     // Si se está cambiando el email, verificar que no exista otro igual
     if (adminData.email && adminData.email !== admin.email) {
@@ -123,7 +153,27 @@ class AdminService {
     }
 
     // Actualizar el administrador
-    await admin.update(adminData)
+    await TransactionManager.executeCustomTransaction(async (t) => {
+      const before = auditService.pick(admin, AUDIT_FIELDS)
+      await admin.update(adminData, { transaction: t })
+
+      await auditService.record({
+        action: 'admin.update',
+        entityType: 'Admin',
+        entityId: admin.id,
+        actorId,
+        before,
+        after: auditService.pick(admin, AUDIT_FIELDS),
+        metadata: adminData.passwordHash ? { passwordChanged: true } : null
+      }, t)
+
+      // Un cambio de contraseña o la desactivación cierran las sesiones abiertas
+      if (before.isActive && !admin.isActive) {
+        await adminSessionService.revokeAllSessions(admin.id, { reason: 'DEACTIVATED', actorId, transaction: t })
+      } else if (adminData.passwordHash) {
+        await adminSessionService.revokeAllSessions(admin.id, { reason: 'PASSWORD_RESET', actorId, transaction: t })
+      }
+    }, 'CONSISTENT_WRITE')
 
     // Excluir passwordHash de la respuesta
     const result = admin.toJSON()
@@ -134,12 +184,33 @@ class AdminService {
 
   /**
    * Cambiar el estado de un administrador (activo/inactivo)
+   * Al desactivarlo se revocan todas sus sesiones
    * @param {number} id - ID del administrador
+   * @param {number} actorId - Administrador que realiza la acción
+   * @param {string} actorRole - Rol de quien actúa; no puede afectar a un administrador con más permisos
    * @returns {Promise<Admin>} Administrador actualizado
    */
-  async toggleAdminStatus (id) {
+  async toggleAdminStatus (id, actorId = null, actorRole = null) {
     const admin = await this.getAdminById(id)
-    await admin.update({ isActive: !admin.isActive })
+    await roleService.assertCanManage(actorRole, admin.role)
+
+    await TransactionManager.executeCustomTransaction(async (t) => {
+      const wasActive = admin.isActive
+      await admin.update({ isActive: !wasActive }, { transaction: t })
+
+      await auditService.record({
+        action: 'admin.status_toggle',
+        entityType: 'Admin',
+        entityId: admin.id,
+        actorId,
+        before: { isActive: wasActive },
+        after: { isActive: admin.isActive }
+      }, t)
+
+      if (!admin.isActive) {
+        await adminSessionService.revokeAllSessions(admin.id, { reason: 'DEACTIVATED', actorId, transaction: t })
+      }
+    }, 'CONSISTENT_WRITE')
 
     // Excluir passwordHash de la respuesta
     const result = admin.toJSON()
@@ -151,11 +222,26 @@ class AdminService {
   /**
    * Eliminar un administrador
    * @param {number} id - ID del administrador
+   * @param {number} actorId - Administrador que realiza la acción
+   * @param {string} actorRole - Rol de quien actúa; no puede afectar a un administrador con más permisos
    * @returns {Promise<boolean>} true si se eliminó correctamente
    */
-  async deleteAdmin (id) {
+  async deleteAdmin (id, actorId = null, actorRole = null) {
     const admin = await this.getAdminById(id)
-    await admin.destroy()
+    await roleService.assertCanManage(actorRole, admin.role)
+
+    await TransactionManager.executeCustomTransaction(async (t) => {
+      await admin.destroy({ transaction: t })
+
+      await auditService.record({
+        action: 'admin.delete',
+        entityType: 'Admin',
+        entityId: admin.id,
+        actorId,
+        before: auditService.pick(admin, AUDIT_FIELDS)
+      }, t)
+    }, 'CONSISTENT_WRITE')
+
     return true
   }
 
@@ -163,18 +249,22 @@ class AdminService {
    * Autenticar un administrador
    * @param {string} email - Email del administrador
    * @param {string} password - Contraseña del administrador
-   * @returns {Promise<Object>} Objeto con el token y datos del administrador
+   * @param {Object} context - { ipAddress } para el registro de intentos fallidos
+   * @returns {Promise<Object>} Objeto con los tokens de la sesión y datos del administrador
    */
-  async login (email, password) {
+  async login (email, password, context = {}) {
     try {
       logger.logBusiness('login', { email })
 
+      // Una cuenta bloqueada no se evalúa, ni siquiera con la contraseña correcta
+      await accountLockoutService.assertNotLocked('ADMIN', email)
+
       // Buscar el administrador por email
       const admin = await Admin.findOne({ where: { email, isActive: true } })
       if (!admin) {
         const error = new Error('Credenciales inválidas')
         logger.logError(error, { email, reason: 'admin_not_found' })
-        throw error
+        await accountLockoutService.failAndThrow('ADMIN', email, error, context)
       }
 
       // Verificar la contraseña
@@ -182,45 +272,148 @@ class AdminService {
       if (!isPasswordValid) {
         const error = new Error('Credenciales inválidas')
         logger.logError(error, { email, reason: 'invalid_password' })
-        throw error
+        await accountLockoutService.failAndThrow('ADMIN', email, error, context)
+      }
+
+      // Con segundo factor la contraseña sola no abre sesión
+      if (admin.twoFactorEnabled || twoFactorService.isRequiredFor(admin.role)) {
+        logger.logBusiness('login.twoFactorRequired', { id: admin.id, setupRequired: !admin.twoFactorEnabled })
+        return {
+          twoFactorRequired: true,
+          setupRequired: !admin.twoFactorEnabled,
+          challengeToken: twoFactorService.createChallenge(admin)
+        }
+      }
+
+      return this.openSession(admin)
+    } catch (error) {
+      logger.logError(error, { operation: 'login', email })
+      throw error
+    }
+  }
+
+  /**
+   * Completar un login con segundo factor
+   * Si el rol exige 2FA y aún no estaba registrado, el código confirma el registro
+   * y la respuesta incluye los códigos de respaldo
+   * @param {string} challengeToken - Token entregado por login
+   * @param {Object} factor - { code } o { backupCode }
+   * @param {Object} context - { ipAddress } para el registro de intentos fallidos
+   * @returns {Promise<Object>} Tokens de la sesión y datos del administrador
+   */
+  async completeTwoFactorLogin (challengeToken, { code, backupCode }, context = {}) {
+    const admin = await twoFactorService.resolveChallenge(challengeToken)
+
+    // Los códigos incorrectos cuentan como intentos fallidos de la cuenta
+    await accountLockoutService.assertNotLocked('ADMIN', admin.email)
+
+    try {
+      if (!admin.twoFactorEnabled) {
+        const backupCodes = await twoFactorService.enable(admin, code)
+        return { ...await this.openSession(admin), backupCodes }
+      }
+
+      await twoFactorService.verify(admin.id, { code, backupCode })
+    } catch (error) {
+      if (error.code === 'TWO_FACTOR_INVALID_CODE') {
+        await accountLockoutService.failAndThrow('ADMIN', admin.email, error, context)
       }
+      throw error
+    }
+
+    return this.openSession(admin)
+  }
 
-      // Generar token JWT
-      const token = jwt.sign(
-        { id: admin.id, email: admin.email, role: admin.role },
-        JWT.secret,
-        { expiresIn: JWT.expiresIn }
-      )
+  /**
+   * Abrir sesión: access token corto + refresh token rotativo
+   * @param {Admin} admin - Administrador ya autenticado
+   * @returns {Promise<Object>}
+   */
+  async openSession (admin) {
+    try {
+      const tokens = await adminSessionService.createSession(admin)
+      await accountLockoutService.recordSuccess('ADMIN', admin.email)
 
       // Excluir passwordHash de la respuesta
       const adminData = admin.toJSON()
       delete adminData.passwordHash
+      // Permisos efectivos del rol para que el panel muestre solo lo permitido
+      adminData.permissions = [...await roleService.getPermissions(admin.role)]
 
       logger.logBusiness('login.success', { id: admin.id, email: admin.email, role: admin.role })
       return {
-        token,
+        ...tokens,
         admin: adminData
       }
     } catch (error) {
-      logger.logError(error, { operation: 'login', email })
+      logger.logError(error, { operation: 'openSession', adminId: admin.id })
       throw error
     }
   }
 
+  /**
+   * Renovar los tokens de una sesión
+   * @param {string} refreshToken - Refresh token vigente
+   * @returns {Promise<Object>} Nuevos tokens
+   */
+  async refreshSession (refreshToken) {
+    return adminSessionService.refresh(refreshToken)
+  }
+
+  /**
+   * Cerrar la sesión actual
+   * @param {string} sessionId - Sesión del access token
+   * @returns {Promise<boolean>}
+   */
+  async logout (sessionId) {
+    return adminSessionService.revokeSession(sessionId, 'LOGOUT')
+  }
+
+  /**
+   * Cerrar todas las sesiones de un administrador
+   * @param {number} id - ID del administrador
+   * @param {number} actorId - Administrador que realiza la acción
+   * @param {string} actorRole - Rol de quien actúa; no puede afectar a un administrador con más permisos
+   * @returns {Promise<number>} Cantidad de sesiones revocadas
+   */
+  async revokeSessions (id, actorId = null, actorRole = null) {
+    const admin = await this.getAdminById(id)
+    await roleService.assertCanManage(actorRole, admin.role)
+
+    return TransactionManager.executeCustomTransaction(async (t) => {
+      return adminSessionService.revokeAllSessions(admin.id, { reason: 'REVOKED', actorId, transaction: t })
+    }, 'CONSISTENT_WRITE')
+  }
+
   /**
    * Restablecer contraseña de un administrador
+   * Revoca todas sus sesiones abiertas
    * @param {number} id - ID del administrador
    * @param {string} newPassword - Nueva contraseña
+   * @param {number} actorId - Administrador que realiza la acción
+   * @param {string} actorRole - Rol de quien actúa; no puede afectar a un administrador con más permisos
    * @returns {Promise<boolean>} true si se cambió correctamente
    */
-  async resetPassword (id, newPassword) {
+  async resetPassword (id, newPassword, actorId = null, actorRole = null) {
     const admin = await this.getAdminById(id)
+    await roleService.assertCanManage(actorRole, admin.role)
 
     // Hashear la nueva contraseña
     const passwordHash = await bcrypt.hash(newPassword, 10)
 
     // Actualizar el administrador
-    await admin.update({ passwordHash })
+    await TransactionManager.executeCustomTransaction(async (t) => {
+      await admin.update({ passwordHash }, { transaction: t })
+
+      await auditService.record({
+        action: 'admin.password_reset',
+        entityType: 'Admin',
+        entityId: admin.id,
+        actorId
+      }, t)
+
+      await adminSessionService.revokeAllSessions(admin.id, { reason: 'PASSWORD_RESET', actorId, transaction: t })
+    }, 'CONSISTENT_WRITE')
 
     return true
   }
@@ -0,0 +1,192 @@
+const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
+const { Op } = require('sequelize')
+const { Admin, AdminSession } = require('../models')
+const { JWT } = require('../config')
+const { getRequestContext } = require('../middlewares/requestContext')
+const logger = require('../config/logger')
+const auditService = require('./audit.service')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+function sessionError (message, code) {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+/**
+ * Admin Session Service - Sesiones de administrador con refresh tokens rotativos
+ *
+ * El access token (JWT corto) lleva el id de la sesión (sid) y el middleware
+ * authenticate verifica que la sesión siga activa, así logout y revocación
+ * tienen efecto inmediato. El refresh token tiene la forma <sessionId>.<secreto>
+ * y cambia en cada renovación; presentar uno ya rotado revoca la sesión.
+ */
+class AdminSessionService {
+  /**
+   * Crear una sesión para un administrador autenticado
+   * @param {Admin} admin - Administrador
+   * @returns {Promise<Object>} { token, refreshToken, expiresIn, refreshExpiresAt }
+   */
+  async createSession (admin) {
+    const context = getRequestContext() || {}
+    const secret = this.generateSecret()
+    const expiresAt = this.refreshExpiration()
+
+    const session = await AdminSession.create({
+      id: crypto.randomUUID(),
+      adminId: admin.id,
+      refreshTokenHash: this.hashSecret(secret),
+      expiresAt,
+      ipAddress: context.ipAddress || null,
+      userAgent: context.userAgent ? context.userAgent.slice(0, 500) : null
+    })
+
+    logger.logBusiness('adminSession:created', { adminId: admin.id, sessionId: session.id })
+
+    return this.buildTokens(admin, session.id, secret, expiresAt)
+  }
+
+  /**
+   * Renovar los tokens de una sesión a partir de su refresh token
+   * @param {string} refreshToken - Refresh token vigente
+   * @returns {Promise<Object>} Nuevo par de tokens
+   */
+  async refresh (refreshToken) {
+    const [sessionId, secret] = String(refreshToken || '').split('.')
+    const session = UUID_PATTERN.test(sessionId) && secret ? await AdminSession.findByPk(sessionId) : null
+
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      throw sessionError('Refresh token inválido o expirado', 'REFRESH_TOKEN_INVALID')
+    }
+
+    const presentedHash = this.hashSecret(secret)
+    if (!this.safeEqual(presentedHash, session.refreshTokenHash)) {
+      // Un token ya rotado se volvió a usar: se asume robado y se cierra la sesión
+      await this.revokeSession(session.id, 'REUSE_DETECTED')
+      logger.logBusiness('adminSession:reuseDetected', { adminId: session.adminId, sessionId: session.id })
+      throw sessionError('Refresh token inválido o expirado', 'REFRESH_TOKEN_REUSED')
+    }
+
+    const admin = await Admin.findByPk(session.adminId)
+    if (!admin || !admin.isActive) {
+      await this.revokeSession(session.id, 'DEACTIVATED')
+      throw sessionError('Administrador no válido o inactivo', 'REFRESH_TOKEN_INVALID')
+    }
+
+    // Rotación condicionada al hash actual: de dos renovaciones simultáneas solo gana una
+    const newSecret = this.generateSecret()
+    const expiresAt = this.refreshExpiration()
+    const [updated] = await AdminSession.update({
+      refreshTokenHash: this.hashSecret(newSecret),
+      expiresAt,
+      lastUsedAt: new Date()
+    }, {
+      where: { id: session.id, refreshTokenHash: presentedHash, revokedAt: null }
+    })
+
+    if (updated === 0) {
+      await this.revokeSession(session.id, 'REUSE_DETECTED')
+      throw sessionError('Refresh token inválido o expirado', 'REFRESH_TOKEN_REUSED')
+    }
+
+    logger.logBusiness('adminSession:refreshed', { adminId: admin.id, sessionId: session.id })
+
+    return this.buildTokens(admin, session.id, newSecret, expiresAt)
+  }
+
+  /**
+   * Verificar que la sesión de un access token siga activa
+   * @param {string} sessionId - sid del access token
+   * @param {number} adminId - id del access token
+   * @returns {Promise<boolean>}
+   */
+  async isSessionActive (sessionId, adminId) {
+    if (!sessionId) {
+      return false
+    }
+
+    const session = await AdminSession.findByPk(sessionId)
+    return !!session && session.adminId === adminId && !session.revokedAt && session.expiresAt > new Date()
+  }
+
+  /**
+   * Revocar una sesión (logout)
+   * @param {string} sessionId - Id de la sesión
+   * @param {string} reason - Motivo (LOGOUT, REUSE_DETECTED...)
+   * @returns {Promise<boolean>} true si la sesión estaba activa
+   */
+  async revokeSession (sessionId, reason = 'LOGOUT') {
+    const [updated] = await AdminSession.update(
+      { revokedAt: new Date(), revokedReason: reason },
+      { where: { id: sessionId, revokedAt: null } }
+    )
+
+    logger.logBusiness('adminSession:revoked', { sessionId, reason, revoked: updated > 0 })
+    return updated > 0
+  }
+
+  /**
+   * Revocar todas las sesiones activas de un administrador
+   * @param {number} adminId - Administrador cuyas sesiones se cierran
+   * @param {Object} options
+   * @param {string} options.reason - REVOKED, PASSWORD_RESET o DEACTIVATED
+   * @param {number} options.actorId - Administrador que realiza la acción
+   * @param {Transaction} options.transaction - Transacción de la acción que origina la revocación
+   * @returns {Promise<number>} Cantidad de sesiones revocadas
+   */
+  async revokeAllSessions (adminId, { reason = 'REVOKED', actorId = null, transaction = null } = {}) {
+    const [revoked] = await AdminSession.update(
+      { revokedAt: new Date(), revokedReason: reason },
+      { where: { adminId, revokedAt: null, expiresAt: { [Op.gt]: new Date() } }, transaction }
+    )
+
+    await auditService.record({
+      action: 'admin.sessions_revoke',
+      entityType: 'Admin',
+      entityId: adminId,
+      actorId,
+      metadata: { reason, revoked }
+    }, transaction)
+
+    logger.logBusiness('adminSession:revokedAll', { adminId, reason, revoked })
+    return revoked
+  }
+
+  buildTokens (admin, sessionId, secret, expiresAt) {
+    const token = jwt.sign(
+      { id: admin.id, email: admin.email, role: admin.role, type: 'admin', sid: sessionId },
+      JWT.secret,
+      { expiresIn: JWT.expiresIn }
+    )
+    const { iat, exp } = jwt.decode(token)
+
+    return {
+      token,
+      refreshToken: `${sessionId}.${secret}`,
+      expiresIn: exp - iat,
+      refreshExpiresAt: expiresAt
+    }
+  }
+
+  refreshExpiration () {
+    return new Date(Date.now() + JWT.refreshExpiresInDays * DAY_MS)
+  }
+
+  generateSecret () {
+    return crypto.randomBytes(32).toString('base64url')
+  }
+
+  hashSecret (secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest('hex')
+  }
+
+  safeEqual (a, b) {
+    return a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b))
+  }
+}
+
+// Exportar singleton
+module.exports = new AdminSessionService()
@@ -0,0 +1,174 @@
+const { Op } = require('sequelize')
+const { AuditLog } = require('../models')
+const { getRequestContext } = require('../middlewares/requestContext')
+const licenseKeyVault = require('../utils/licenseKeyVault')
+const logger = require('../config/logger')
+
+// Campos que nunca se guardan en la bitácora
+const REDACTED_FIELDS = ['passwordHash', 'password', 'newPassword', 'licenseKeyHash', 'token']
+
+/**
+ * Audit Service - Bitácora de acciones administrativas (audit_logs)
+ *
+ * Los servicios registran la acción dentro de su misma transacción: si la bitácora
+ * no se puede escribir, la acción se revierte. IP, user agent e id de la petición
+ * se toman del contexto de la petición HTTP (middleware requestContext).
+ */
+class AuditService {
+  /**
+   * Registrar una acción
+   * @param {Object} entry
+   * @param {string} entry.action - Acción (entidad.verbo), p. ej. license.annul
+   * @param {string} entry.entityType - Tipo de entidad (License, Order, Product, Admin)
+   * @param {string|number} entry.entityId - Id de la entidad
+   * @param {number} entry.actorId - Administrador que ejecuta la acción (null = sistema)
+   * @param {Object} entry.before - Estado previo (solo los campos relevantes)
+   * @param {Object} entry.after - Estado posterior
+   * @param {Object} entry.metadata - Datos adicionales (motivo, ids relacionados...)
+   * @param {Transaction} transaction - Transacción de la acción
+   * @returns {Promise<AuditLog>}
+   */
+  async record ({ action, entityType, entityId = null, actorId = null, before = null, after = null, metadata = null }, transaction = null) {
+    const context = getRequestContext() || {}
+
+    const entry = await AuditLog.create({
+      actorType: actorId ? 'ADMIN' : 'SYSTEM',
+      actorId: actorId || null,
+      action,
+      entityType,
+      entityId: entityId === null || entityId === undefined ? null : String(entityId),
+      before: this.sanitize(before),
+      after: this.sanitize(after),
+      changes: this.diff(before, after),
+      metadata: this.sanitize(metadata),
+      ipAddress: context.ipAddress || null,
+      userAgent: context.userAgent ? context.userAgent.slice(0, 500) : null,
+      requestId: context.requestId || null
+    }, { transaction })
+
+    logger.logBusiness('audit:recorded', {
+      auditId: entry.id,
+      action,
+      entityType,
+      entityId,
+      actorId,
+      requestId: entry.requestId
+    })
+
+    return entry
+  }
+
+  /**
+   * Copiar solo los campos indicados de una instancia u objeto
+   * @param {Object} source - Instancia de Sequelize u objeto plano
+   * @param {Array<string>} fields - Campos a copiar
+   * @returns {Object|null}
+   */
+  pick (source, fields) {
+    if (!source) {
+      return null
+    }
+
+    const result = {}
+    for (const field of fields) {
+      const value = typeof source.get === 'function' ? source.get(field) : source[field]
+      if (value !== undefined) {
+        result[field] = value
+      }
+    }
+    return result
+  }
+
+  /**
+   * Quitar secretos: contraseñas y hashes se omiten, las claves de licencia se enmascaran
+   */
+  sanitize (values) {
+    if (!values || typeof values !== 'object') {
+      return values ?? null
+    }
+
+    const result = {}
+    for (const [field, value] of Object.entries(values)) {
+      if (!REDACTED_FIELDS.includes(field)) {
+        result[field] = this.sanitizeValue(field, value)
+      }
+    }
+    return result
+  }
+
+  sanitizeValue (field, value) {
+    if (field === 'licenseKey' && typeof value === 'string') {
+      return licenseKeyVault.mask(value)
+    }
+    if (value instanceof Date) {
+      return value.toISOString()
+    }
+    return value ?? null
+  }
+
+  /**
+   * Campos que cambiaron entre dos estados
+   * Se compara antes de enmascarar para no perder cambios de campos sensibles
+   * @returns {Object|null} { campo: { from, to } } o null si no hay ambos estados
+   */
+  diff (before, after) {
+    if (!before || !after) {
+      return null
+    }
+
+    const changes = {}
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)])
+    for (const field of fields) {
+      const from = before[field] ?? null
+      const to = after[field] ?? null
+      if (REDACTED_FIELDS.includes(field) || JSON.stringify(from) === JSON.stringify(to)) {
+        continue
+      }
+      changes[field] = {
+        from: this.sanitizeValue(field, from),
+        to: this.sanitizeValue(field, to)
+      }
+    }
+    return changes
+  }
+
+  /**
+   * Consultar la bitácora, más recientes primero
+   * @param {Object} filters - { actorId, action, entityType, entityId, requestId, from, to, page, limit }
+   * @returns {Promise<Object>} { entries, pagination }
+   */
+  async list ({ actorId, action, entityType, entityId, requestId, from, to, page = 1, limit = 50 } = {}) {
+    const where = {}
+    if (actorId) where.actorId = actorId
+    if (action) where.action = action.endsWith('.*') ? { [Op.like]: `${action.slice(0, -1)}%` } : action
+    if (entityType) where.entityType = entityType
+    if (entityId) where.entityId = String(entityId)
+    if (requestId) where.requestId = requestId
+    if (from || to) {
+      where.createdAt = {}
+      if (from) where.createdAt[Op.gte] = new Date(from)
+      if (to) where.createdAt[Op.lte] = new Date(to)
+    }
+
+    const { count, rows } = await AuditLog.findAndCountAll({
+      where,
+      include: [{ association: 'actor', attributes: ['id', 'name', 'email', 'role'] }],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    })
+
+    return {
+      entries: rows,
+      pagination: {
+        total: count,
+        page,
+        limit,
+        pages: Math.ceil(count / limit)
+      }
+    }
+  }
+}
+
+// Exportar singleton
+module.exports = new AuditService()
@@ -0,0 +1,292 @@
+const { Coupon, CouponRedemption, Discount } = require('../models')
+const { Op } = require('sequelize')
+const logger = require('../config/logger')
+const discountService = require('./discount.service')
+
+/**
+ * Servicio para la gestión y redención de cupones
+ * Un cupón aplica su descuento (porcentual, fijo o escalonado) sobre las líneas elegibles de la orden
+ */
+class CouponService {
+  /**
+   * Crear un cupón para un descuento
+   * @param {number} discountId - ID del descuento
+   * @param {Object} couponData - Datos del cupón
+   * @returns {Promise<Coupon>} Cupón creado
+   */
+  async createCoupon (discountId, couponData) {
+    try {
+      logger.logBusiness('createCoupon', { discountId, code: couponData.code })
+
+      const discount = await Discount.findByPk(discountId)
+      if (!discount) {
+        throw new Error(`Descuento con ID ${discountId} no encontrado`)
+      }
+
+      const existing = await Coupon.findOne({ where: { code: this.normalizeCode(couponData.code) } })
+      if (existing) {
+        throw new Error(`Ya existe un cupón con el código ${existing.code}`)
+      }
+
+      const coupon = await Coupon.create({ ...this.pickCouponFields(couponData), discountId: discount.id })
+
+      logger.logBusiness('createCoupon.success', { id: coupon.id, code: coupon.code, discountId })
+      return coupon
+    } catch (error) {
+      logger.logError(error, { operation: 'createCoupon', discountId, code: couponData.code })
+      throw error
+    }
+  }
+
+  /**
+   * Listar los cupones de un descuento
+   * @param {number} discountId - ID del descuento
+   * @returns {Promise<Array<Coupon>>} Cupones del descuento
+   */
+  async listCoupons (discountId) {
+    return await Coupon.findAll({
+      where: { discountId },
+      order: [['createdAt', 'DESC']]
+    })
+  }
+
+  /**
+   * Actualizar un cupón
+   * @param {number} discountId - ID del descuento
+   * @param {number} couponId - ID del cupón
+   * @param {Object} couponData - Datos a actualizar
+   * @returns {Promise<Coupon>} Cupón actualizado
+   */
+  async updateCoupon (discountId, couponId, couponData) {
+    try {
+      logger.logBusiness('updateCoupon', { discountId, couponId })
+
+      const coupon = await this.getCoupon(discountId, couponId)
+
+      if (couponData.code && this.normalizeCode(couponData.code) !== coupon.code) {
+        const existing = await Coupon.findOne({ where: { code: this.normalizeCode(couponData.code) } })
+        if (existing) {
+          throw new Error(`Ya existe un cupón con el código ${existing.code}`)
+        }
+      }
+
+      await coupon.update(this.pickCouponFields(couponData))
+
+      logger.logBusiness('updateCoupon.success', { id: coupon.id, code: coupon.code })
+      return coupon
+    } catch (error) {
+      logger.logError(error, { operation: 'updateCoupon', discountId, couponId })
+      throw error
+    }
+  }
+
+  /**
+   * Cambiar el estado de un cupón (activo/inactivo)
+   * @param {number} discountId - ID del descuento
+   * @param {number} couponId - ID del cupón
+   * @returns {Promise<Coupon>} Cupón actualizado
+   */
+  async toggleCouponStatus (discountId, couponId) {
+    try {
+      logger.logBusiness('toggleCouponStatus', { discountId, couponId })
+
+      const coupon = await this.getCoupon(discountId, couponId)
+      await coupon.update({ isActive: !coupon.isActive })
+
+      logger.logBusiness('toggleCouponStatus.success', { id: coupon.id, isActive: coupon.isActive })
+      return coupon
+    } catch (error) {
+      logger.logError(error, { operation: 'toggleCouponStatus', discountId, couponId })
+      throw error
+    }
+  }
+
+  /**
+   * Obtener el uso de los cupones de un descuento
+   * Solo cuentan las redenciones de órdenes no canceladas
+   * @param {number} discountId - ID del descuento
+   * @returns {Promise<Object>} Resumen de uso por cupón y total
+   */
+  async getDiscountUsage (discountId) {
+    const coupons = await Coupon.findAll({
+      where: { discountId },
+      include: [{
+        association: 'redemptions',
+        required: false,
+        include: [{
+          association: 'order',
+          attributes: ['id', 'status'],
+          required: true,
+          where: { status: { [Op.ne]: 'CANCELED' } }
+        }]
+      }],
+      order: [['createdAt', 'ASC']]
+    })
+
+    const usage = coupons.map(coupon => ({
+      couponId: coupon.id,
+      code: coupon.code,
+      isActive: coupon.isActive,
+      maxRedemptions: coupon.maxRedemptions,
+      redemptions: coupon.redemptions.length,
+      remaining: coupon.maxRedemptions === null ? null : Math.max(coupon.maxRedemptions - coupon.redemptions.length, 0),
+      discountTotal: coupon.redemptions.reduce((sum, r) => sum + r.discountTotal, 0)
+    }))
+
+    return {
+      coupons: usage,
+      totalRedemptions: usage.reduce((sum, c) => sum + c.redemptions, 0),
+      totalDiscount: usage.reduce((sum, c) => sum + c.discountTotal, 0)
+    }
+  }
+
+  /**
+   * Validar un cupón y calcular su descuento sobre las líneas de una orden
+   * Se ejecuta dentro de la transacción de pago: el cupón queda bloqueado
+   * hasta que se registre la redención, evitando superar los límites.
+   * @param {Object} params
+   * @param {string} params.code - Código del cupón
+   * @param {number} params.customerId - Cliente que redime
+   * @param {Array<Object>} params.lines - Líneas con productRef, qty, currency, subtotal y discountTotal
+   * @param {Object} t - Transacción de base de datos
+   * @returns {Promise<Object>} { coupon, discountTotal, lineDiscounts: Map<productRef, amount> }
+   */
+  async applyCoupon ({ code, customerId, lines }, t) {
+    const coupon = await Coupon.findOne({
+      where: { code: this.normalizeCode(code) },
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    })
+
+    if (!coupon) {
+      throw new Error(`Coupon ${code} not found`)
+    }
+
+    const discount = await Discount.findByPk(coupon.discountId, { transaction: t })
+    const now = new Date()
+
+    if (!coupon.isActive || !discount || !discount.isActive) {
+      throw new Error(`Coupon ${coupon.code} is not active`)
+    }
+
+    if (discount.startDate > now || discount.endDate < now) {
+      throw new Error(`Coupon ${coupon.code} is not valid at this date`)
+    }
+
+    // Límites de redención (órdenes canceladas no cuentan)
+    const activeOrder = {
+      association: 'order',
+      attributes: [],
+      required: true,
+      where: { status: { [Op.ne]: 'CANCELED' } }
+    }
+
+    if (coupon.maxRedemptions !== null) {
+      const redemptions = await CouponRedemption.count({
+        where: { couponId: coupon.id },
+        include: [activeOrder],
+        transaction: t
+      })
+      if (redemptions >= coupon.maxRedemptions) {
+        throw new Error(`Coupon ${coupon.code} has reached its redemption limit`)
+      }
+    }
+
+    if (coupon.perCustomerLimit !== null) {
+      const customerRedemptions = await CouponRedemption.count({
+        where: { couponId: coupon.id, customerId },
+        include: [activeOrder],
+        transaction: t
+      })
+      if (customerRedemptions >= coupon.perCustomerLimit) {
+        throw new Error(`Coupon ${coupon.code} has already been used by this customer`)
+      }
+    }
+
+    // Monto mínimo sobre el total después de descuentos automáticos
+    const orderAmount = lines.reduce((sum, line) => sum + line.subtotal - line.discountTotal, 0)
+    if (orderAmount < coupon.minOrderAmount) {
+      throw new Error(`Order amount does not reach the coupon minimum (${coupon.minOrderAmount})`)
+    }
+
+    // Alcance por productos
+    const eligibleLines = Array.isArray(coupon.productRefs) && coupon.productRefs.length > 0
+      ? lines.filter(line => coupon.productRefs.includes(line.productRef))
+      : lines
+
+    if (eligibleLines.length === 0) {
+      throw new Error(`Coupon ${coupon.code} does not apply to the products in this order`)
+    }
+
+    const lineDiscounts = new Map()
+    for (const line of eligibleLines) {
+      // Se aplica sobre lo que queda después de los descuentos automáticos
+      lineDiscounts.set(line.productRef, discountService.calculateDiscount(discount, {
+        subtotal: line.subtotal - line.discountTotal,
+        qty: line.qty,
+        currency: line.currency || line.product?.currency || 'USD'
+      }))
+    }
+
+    const discountTotal = [...lineDiscounts.values()].reduce((sum, amount) => sum + amount, 0)
+
+    logger.logBusiness('coupon:applied', {
+      couponId: coupon.id,
+      code: coupon.code,
+      customerId,
+      discountTotal
+    })
+
+    return { coupon, discountTotal, lineDiscounts }
+  }
+
+  /**
+   * Registrar la redención de un cupón en una orden
+   * @param {Object} params - { coupon, orderId, customerId, discountTotal }
+   * @param {Object} t - Transacción de base de datos
+   * @returns {Promise<CouponRedemption>}
+   */
+  async recordRedemption ({ coupon, orderId, customerId, discountTotal }, t) {
+    return await CouponRedemption.create({
+      couponId: coupon.id,
+      orderId,
+      customerId,
+      code: coupon.code,
+      discountTotal
+    }, { transaction: t })
+  }
+
+  /**
+   * Obtener un cupón de un descuento
+   * @private
+   */
+  async getCoupon (discountId, couponId) {
+    const coupon = await Coupon.findOne({ where: { id: couponId, discountId } })
+    if (!coupon) {
+      throw new Error(`Cupón con ID ${couponId} no encontrado`)
+    }
+    return coupon
+  }
+
+  /**
+   * Campos editables de un cupón
+   * @private
+   */
+  pickCouponFields (data) {
+    const fields = ['code', 'maxRedemptions', 'perCustomerLimit', 'minOrderAmount', 'productRefs', 'isActive']
+    return fields.reduce((acc, field) => {
+      if (data[field] !== undefined) acc[field] = data[field]
+      return acc
+    }, {})
+  }
+
+  /**
+   * Normalizar un código de cupón
+   * @private
+   */
+  normalizeCode (code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : code
+  }
+}
+
+module.exports = new CouponService()
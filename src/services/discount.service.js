@@ -2,8 +2,14 @@ const { Discount, Product } = require('../models')
 const { Op } = require('sequelize')
 const logger = require('../config/logger')
 
+const DISCOUNT_TYPES = ['PERCENTAGE', 'FIXED', 'TIERED']
+
 /**
  * Servicio para la gestión de descuentos
+ * Tipos soportados:
+ * - PERCENTAGE: `amount` es un porcentaje (1-100) del subtotal de la línea
+ * - FIXED: `fixedAmounts` define el monto por unidad en centavos para cada moneda
+ * - TIERED: `tiers` define porcentajes según la cantidad de la línea ([{ minQty, percent }])
  */
 class DiscountService {
   /**
@@ -15,6 +21,7 @@ class DiscountService {
     try {
       logger.logBusiness('createDiscount', {
         name: discountData.name,
+        type: discountData.type || 'PERCENTAGE',
         amount: discountData.amount,
         startDate: discountData.startDate,
         endDate: discountData.endDate
@@ -30,7 +37,7 @@ class DiscountService {
         throw error
       }
 
-      const discount = await Discount.create(discountData)
+      const discount = await Discount.create(this.validateDiscountConfig(discountData))
       logger.logBusiness('createDiscount.success', {
         id: discount.id,
         name: discount.name
@@ -55,7 +62,10 @@ class DiscountService {
       logger.logBusiness('getDiscountById', { id })
 
       const discount = await Discount.findByPk(id, {
-        include: [{ model: Product, as: 'products' }]
+        include: [
+          { model: Product, as: 'products' },
+          { association: 'coupons' }
+        ]
       })
 
       if (!discount) {
@@ -167,7 +177,15 @@ class DiscountService {
         }
       }
 
-      await discount.update(discountData)
+      const config = this.validateDiscountConfig({
+        type: discount.type,
+        amount: discount.amount,
+        fixedAmounts: discount.fixedAmounts,
+        tiers: discount.tiers,
+        ...discountData
+      })
+
+      await discount.update(config)
       logger.logBusiness('updateDiscount.success', {
         id: discount.id,
         name: discount.name
@@ -234,6 +252,95 @@ class DiscountService {
     return !!discount
   }
 
+  /**
+   * Validar la configuración del tipo de descuento
+   * Devuelve los datos con los campos de los otros tipos en null
+   * @param {Object} discountData - Datos del descuento
+   * @returns {Object} Datos normalizados
+   */
+  validateDiscountConfig (discountData) {
+    const type = discountData.type || 'PERCENTAGE'
+
+    if (!DISCOUNT_TYPES.includes(type)) {
+      throw new Error(`Tipo de descuento inválido: ${type}`)
+    }
+
+    const data = { ...discountData, type, amount: null, fixedAmounts: null, tiers: null }
+
+    if (type === 'PERCENTAGE') {
+      const amount = Number(discountData.amount)
+      if (!Number.isInteger(amount) || amount < 1 || amount > 100) {
+        throw new Error('El porcentaje de descuento debe ser un entero entre 1 y 100')
+      }
+      data.amount = amount
+    }
+
+    if (type === 'FIXED') {
+      const fixedAmounts = discountData.fixedAmounts
+      if (!fixedAmounts || typeof fixedAmounts !== 'object' || Object.keys(fixedAmounts).length === 0) {
+        throw new Error('fixedAmounts debe definir al menos una moneda')
+      }
+      data.fixedAmounts = {}
+      for (const [currency, value] of Object.entries(fixedAmounts)) {
+        if (!/^[A-Z]{3}$/.test(currency) || !Number.isInteger(value) || value < 1) {
+          throw new Error(`Monto fijo inválido para ${currency}: debe ser un entero mayor a 0 en centavos`)
+        }
+        data.fixedAmounts[currency] = value
+      }
+    }
+
+    if (type === 'TIERED') {
+      const tiers = discountData.tiers
+      if (!Array.isArray(tiers) || tiers.length === 0) {
+        throw new Error('tiers debe tener al menos un escalón')
+      }
+      for (const tier of tiers) {
+        if (!Number.isInteger(tier.minQty) || tier.minQty < 1 ||
+            !Number.isInteger(tier.percent) || tier.percent < 1 || tier.percent > 100) {
+          throw new Error('Cada escalón requiere minQty (entero mayor a 0) y percent (entero entre 1 y 100)')
+        }
+      }
+      if (new Set(tiers.map(tier => tier.minQty)).size !== tiers.length) {
+        throw new Error('Los escalones no pueden repetir minQty')
+      }
+      data.tiers = tiers
+        .map(tier => ({ minQty: tier.minQty, percent: tier.percent }))
+        .sort((a, b) => a.minQty - b.minQty)
+    }
+
+    return data
+  }
+
+  /**
+   * Calcular el monto de descuento de una línea
+   * El resultado nunca supera el subtotal, por lo que el total no puede quedar negativo
+   * @param {Discount} discount - Descuento a aplicar
+   * @param {Object} line - { subtotal, qty, currency }
+   * @returns {number} Descuento en centavos
+   */
+  calculateDiscount (discount, { subtotal, qty, currency }) {
+    let amount = 0
+
+    switch (discount.type || 'PERCENTAGE') {
+      case 'PERCENTAGE':
+        amount = Math.floor((subtotal * discount.amount) / 100)
+        break
+      case 'FIXED':
+        // Sin monto para la moneda de la línea no se aplica descuento
+        amount = (discount.fixedAmounts?.[currency] || 0) * qty
+        break
+      case 'TIERED': {
+        const tier = (discount.tiers || [])
+          .filter(t => qty >= t.minQty)
+          .sort((a, b) => b.minQty - a.minQty)[0]
+        amount = tier ? Math.floor((subtotal * tier.percent) / 100) : 0
+        break
+      }
+    }
+
+    return Math.min(Math.max(amount, 0), Math.max(subtotal, 0))
+  }
+
   /**
    * Eliminar un descuento
    * @param {number} id - ID del descuento
@@ -1,5 +1,131 @@
 const logger = require('../../config/logger')
 const { sendEmail } = require('./brevoService')
+const emailQueueService = require('../emailQueue.service')
+
+const SUPPORT_EMAIL = 'administrativo@innovatelearning.com.co'
+const WHATSAPP_LINK = 'https://wa.link/b6dl4y'
+
+/**
+ * Message builders shared by direct sending and the outbox
+ * Each one returns the arguments for brevoService.sendEmail
+ */
+const buildLicenseMessage = ({ customer, product, license, licenses, order }) => ({
+  to: {
+    email: customer.email,
+    name: `${customer.first_name} ${customer.last_name}`
+  },
+  subject: `Tu producto ${product.name} está listo`,
+  templateName: 'license-delivery',
+  variables: {
+    customerName: `${customer.first_name} ${customer.last_name}`,
+    productName: product.name,
+    licenseKey: license.licenseKey,
+    licenseKeys: licenses.length > 1 ? licenses.map(l => l.licenseKey) : null,
+    quantity: licenses.length,
+    instructions: license.instructions || null,
+    orderId: order.id,
+    purchaseDate: order.createdAt.toLocaleDateString('es-CO'),
+    supportEmail: SUPPORT_EMAIL,
+    whatsappLink: WHATSAPP_LINK
+  }
+})
+
+/**
+ * Estimated delivery window as shown to the customer
+ * Without restock history the generic window is kept
+ */
+const formatEstimatedTime = (eta) => {
+  if (!eta || eta.maxDays <= 2) {
+    return '24-48 horas'
+  }
+  return `${Math.max(eta.minDays, 1)} a ${eta.maxDays} días`
+}
+
+const buildWaitlistMessage = ({ customer, product, order, position = null, eta = null }) => ({
+  to: {
+    email: customer.email,
+    name: `${customer.first_name} ${customer.last_name}`
+  },
+  subject: 'Estás en la lista de espera',
+  templateName: 'waitlist-notification',
+  variables: {
+    customerName: `${customer.first_name} ${customer.last_name}`,
+    productName: product.name,
+    orderId: order.id,
+    purchaseDate: order.createdAt.toLocaleDateString('es-CO'),
+    queuePosition: position,
+    estimatedTime: formatEstimatedTime(eta),
+    whatsappLink: WHATSAPP_LINK
+  }
+})
+
+const buildLicenseChangeMessage = ({ customer, oldProduct, newProduct, oldLicense, newLicense, order }) => ({
+  to: {
+    email: customer.email,
+    name: customer.name
+  },
+  subject: 'Cambio de Producto - Tu nueva licencia está lista',
+  templateName: 'license-change',
+  variables: {
+    customerName: customer.name,
+    oldProductName: oldProduct.name,
+    newProductName: newProduct.name,
+    oldLicenseKey: oldLicense.licenseKey,
+    newLicenseKey: newLicense.licenseKey,
+    instructions: newLicense.instructions || null,
+    orderId: order.id,
+    changeDate: new Date().toLocaleDateString('es-CO'),
+    supportEmail: SUPPORT_EMAIL,
+    whatsappLink: WHATSAPP_LINK
+  }
+})
+
+const buildOtpMessage = ({ email, code, expiresInMinutes }) => ({
+  to: { email },
+  // El código va solo en las variables: el asunto se guarda en claro en el outbox
+  subject: 'Tu código de acceso',
+  templateName: 'otp-code',
+  variables: {
+    code,
+    expiresInMinutes,
+    supportEmail: SUPPORT_EMAIL,
+    whatsappLink: WHATSAPP_LINK
+  }
+})
+
+const buildInventoryAlertMessage = ({ admin, alerts }) => ({
+  to: { email: admin.email, name: admin.name },
+  subject: alerts.length === 1
+    ? `Alerta de inventario: ${alerts[0].productRef}`
+    : `Alerta de inventario: ${alerts.length} productos`,
+  templateName: 'inventory-alert',
+  variables: {
+    adminName: admin.name,
+    alerts: alerts.map(alert => ({
+      productRef: alert.productRef,
+      productName: alert.name,
+      isLowStock: alert.type === 'LOW_STOCK',
+      available: alert.available,
+      threshold: alert.threshold,
+      waitlistCount: alert.waitlistCount,
+      daysOfStockLeft: alert.daysOfStockLeft
+    }))
+  }
+})
+
+const buildAccountLockedMessage = ({ email, name, scope, attempts, lockedUntil, ipAddress }) => ({
+  to: { email, name },
+  subject: 'Tu cuenta fue bloqueada temporalmente',
+  templateName: 'account-locked',
+  variables: {
+    name: name || null,
+    isAdmin: scope === 'ADMIN',
+    attempts,
+    lockedUntil: lockedUntil.toLocaleString('es-CO', { timeZone: 'America/Bogota' }),
+    ipAddress: ipAddress || null,
+    supportEmail: SUPPORT_EMAIL
+  }
+})
 
 /**
  * Email service for license notifications
@@ -13,13 +139,18 @@ class EmailService {
 
   /**
    * Send license delivery email
+   * When `licenses` is given (one order line with several units) all keys go in the same email
    */
-  async sendLicenseEmail ({ customer, product, license, order }) {
+  async sendLicenseEmail ({ customer, product, license, licenses = null, order }) {
+    const lineLicenses = licenses && licenses.length > 0 ? licenses : [license]
+    license = license || lineLicenses[0]
+
     try {
       logger.logBusiness('email:license.start', {
         orderId: order.id,
         customerId: customer.id,
         licenseId: license.id,
+        licenseCount: lineLicenses.length,
         productRef: product.productRef,
         customerEmail: customer.email
       })
@@ -31,24 +162,13 @@ class EmailService {
         licenseKey: license.licenseKey
       })
 
-      const result = await sendEmail({
-        to: {
-          email: customer.email,
-          name: `${customer.first_name} ${customer.last_name}`
-        },
-        subject: `Tu producto ${product.name} está listo`,
-        templateName: 'license-delivery',
-        variables: {
-          customerName: `${customer.first_name} ${customer.last_name}`,
-          productName: product.name,
-          licenseKey: license.licenseKey,
-          instructions: license.instructions || null,
-          orderId: order.id,
-          purchaseDate: order.createdAt.toLocaleDateString('es-CO'),
-          supportEmail: 'administrativo@innovatelearning.com.co',
-          whatsappLink: 'https://wa.link/b6dl4y'
-        }
-      })
+      const result = await sendEmail(buildLicenseMessage({
+        customer,
+        product,
+        license,
+        licenses: lineLicenses,
+        order
+      }))
 
       logger.info('EmailService: sendEmail returned from brevoService', {
         orderId: order.id,
@@ -101,22 +221,7 @@ class EmailService {
         customerEmail: customer.email
       })
 
-      await sendEmail({
-        to: {
-          email: customer.email,
-          name: `${customer.first_name} ${customer.last_name}`
-        },
-        subject: 'Estás en la lista de espera',
-        templateName: 'waitlist-notification',
-        variables: {
-          customerName: `${customer.first_name} ${customer.last_name}`,
-          productName: product.name,
-          orderId: order.id,
-          purchaseDate: order.createdAt.toLocaleDateString('es-CO'),
-          estimatedTime: '24-48 horas',
-          whatsappLink: 'https://wa.link/b6dl4y'
-        }
-      })
+      await sendEmail(buildWaitlistMessage({ customer, product, order }))
 
       return { success: true, messageId: `waitlist-${order.id}-${Date.now()}` }
     } catch (error) {
@@ -145,26 +250,14 @@ class EmailService {
         customerEmail: customer.email
       })
 
-      const result = await sendEmail({
-        to: {
-          email: customer.email,
-          name: customer.name
-        },
-        subject: 'Cambio de Producto - Tu nueva licencia está lista',
-        templateName: 'license-change',
-        variables: {
-          customerName: customer.name,
-          oldProductName: oldProduct.name,
-          newProductName: newProduct.name,
-          oldLicenseKey: oldLicense.licenseKey,
-          newLicenseKey: newLicense.licenseKey,
-          instructions: newLicense.instructions || null,
-          orderId: order.id,
-          changeDate: new Date().toLocaleDateString('es-CO'),
-          supportEmail: 'administrativo@innovatelearning.com.co',
-          whatsappLink: 'https://wa.link/b6dl4y'
-        }
-      })
+      const result = await sendEmail(buildLicenseChangeMessage({
+        customer,
+        oldProduct,
+        newProduct,
+        oldLicense,
+        newLicense,
+        order
+      }))
 
       logger.logBusiness('email:licenseChange.success', {
         orderId: order.id,
@@ -188,6 +281,187 @@ class EmailService {
       throw error
     }
   }
+
+  /**
+   * Send a one-time login code to a customer
+   */
+  async sendOtpEmail ({ email, code, expiresInMinutes }) {
+    try {
+      logger.logBusiness('email:otp', { customerEmail: email })
+
+      return await sendEmail(buildOtpMessage({ email, code, expiresInMinutes }))
+    } catch (error) {
+      logger.logError(error, {
+        operation: 'sendOtpEmail',
+        customerEmail: email
+      })
+      throw error
+    }
+  }
+
+  /**
+   * Send the welcome email to a newly registered customer
+   */
+  async sendWelcomeEmail ({ customer }) {
+    try {
+      logger.logBusiness('email:welcome', {
+        customerId: customer.id,
+        customerEmail: customer.email
+      })
+
+      return await sendEmail({
+        to: {
+          email: customer.email,
+          name: `${customer.first_name} ${customer.last_name}`
+        },
+        subject: 'Bienvenido a Innovate Learning',
+        templateName: 'welcome',
+        variables: {
+          customerName: customer.first_name,
+          supportEmail: SUPPORT_EMAIL,
+          whatsappLink: WHATSAPP_LINK
+        }
+      })
+    } catch (error) {
+      logger.logError(error, {
+        operation: 'sendWelcomeEmail',
+        customerId: customer.id
+      })
+      throw error
+    }
+  }
+
+  /**
+   * Queue the license delivery email in the outbox
+   * Call it inside the business DB transaction: the email is only sent if the transaction commits
+   */
+  async queueLicenseEmail ({ customer, product, license, licenses = null, order }, dbTransaction = null) {
+    const lineLicenses = licenses && licenses.length > 0 ? licenses : [license]
+
+    return await emailQueueService.enqueue({
+      type: 'LICENSE_DELIVERY',
+      orderId: order.id,
+      message: buildLicenseMessage({
+        customer,
+        product,
+        license: license || lineLicenses[0],
+        licenses: lineLicenses,
+        order
+      })
+    }, dbTransaction)
+  }
+
+  /**
+   * Queue the waitlist notification email in the outbox
+   */
+  async queueWaitlistNotification ({ customer, product, order, position = null, eta = null }, dbTransaction = null) {
+    return await emailQueueService.enqueue({
+      type: 'WAITLIST_NOTIFICATION',
+      orderId: order.id,
+      message: buildWaitlistMessage({ customer, product, order, position, eta })
+    }, dbTransaction)
+  }
+
+  /**
+   * Queue the license change email in the outbox
+   */
+  async queueLicenseChangeEmail ({ customer, oldProduct, newProduct, oldLicense, newLicense, order }, dbTransaction = null) {
+    return await emailQueueService.enqueue({
+      type: 'LICENSE_CHANGE',
+      orderId: order.id,
+      message: buildLicenseChangeMessage({ customer, oldProduct, newProduct, oldLicense, newLicense, order })
+    }, dbTransaction)
+  }
+
+  /**
+   * Send a one-time login code through the outbox right away
+   * A code expires in minutes, so it gets a single attempt and the result is returned to the caller
+   */
+  async queueOtpEmail ({ email, code, expiresInMinutes }) {
+    logger.logBusiness('email:otp', { customerEmail: email })
+
+    const entry = await emailQueueService.sendNow({
+      type: 'OTP',
+      maxAttempts: 1,
+      message: buildOtpMessage({ email, code, expiresInMinutes })
+    })
+
+    if (entry.status !== 'SENT') {
+      throw new Error(entry.lastError || 'OTP email could not be sent')
+    }
+
+    return { success: true, messageId: entry.messageId, outboxId: entry.id }
+  }
+
+  /**
+   * Queue the inventory alert digest for an admin in the outbox
+   */
+  async queueInventoryAlert ({ admin, alerts }, dbTransaction = null) {
+    return await emailQueueService.enqueue({
+      type: 'INVENTORY_ALERT',
+      message: buildInventoryAlertMessage({ admin, alerts })
+    }, dbTransaction)
+  }
+
+  /**
+   * Queue the lockout notice for the owner of an account locked after failed attempts
+   */
+  async queueAccountLockedEmail ({ email, name = null, scope, attempts, lockedUntil, ipAddress = null }, dbTransaction = null) {
+    logger.logBusiness('email:accountLocked', { email, scope })
+
+    return await emailQueueService.enqueue({
+      type: 'ACCOUNT_LOCKED',
+      message: buildAccountLockedMessage({ email, name, scope, attempts, lockedUntil, ipAddress })
+    }, dbTransaction)
+  }
+
+  /**
+   * Notify an admin that a payment was refunded or reversed by the gateway
+   */
+  async sendPaymentReversalAlert ({ admin, order, transaction, customer, revokedLicenses = 0, isChargeback = true, needsReview = false }) {
+    try {
+      logger.logBusiness('email:paymentReversalAlert', {
+        adminId: admin.id,
+        orderId: order.id,
+        transactionId: transaction.id,
+        status: transaction.status
+      })
+
+      return await sendEmail({
+        to: {
+          email: admin.email,
+          name: admin.name
+        },
+        subject: isChargeback
+          ? `Alerta: contracargo en la orden #${order.id}`
+          : needsReview
+            ? `Revisar devolución en la orden #${order.id}`
+            : `Devolución confirmada en la orden #${order.id}`,
+        templateName: 'payment-reversal-alert',
+        variables: {
+          adminName: admin.name,
+          isChargeback,
+          needsReview,
+          orderId: order.id,
+          transactionId: transaction.id,
+          provider: transaction.gateway,
+          amount: (transaction.amount / 100).toLocaleString('es-CO'),
+          currency: transaction.currency,
+          transactionStatus: transaction.status,
+          customerEmail: customer?.email || null,
+          revokedLicenses
+        }
+      })
+    } catch (error) {
+      logger.logError(error, {
+        operation: 'sendPaymentReversalAlert',
+        adminId: admin.id,
+        orderId: order.id,
+        transactionId: transaction.id
+      })
+      throw error
+    }
+  }
 }
 
 module.exports = new EmailService()
@@ -1,15 +1,46 @@
+const { Op, fn, col } = require('sequelize')
+const { EmailOutbox, EmailOutboxAttempt, Order } = require('../models')
 const logger = require('../config/logger')
-const emailService = require('./email')
+const { sendEmail } = require('./email/brevoService')
+const licenseKeyVault = require('../utils/licenseKeyVault')
+
+// Un envío que queda en SENDING más de este tiempo se considera abandonado (worker caído)
+const STALE_SENDING_MINUTES = 10
+
+// Variables secretas (claves de licencia, código OTP): se guardan cifradas y se borran cuando el correo se envía
+const SECRET_VARIABLES = ['licenseKey', 'licenseKeys', 'oldLicenseKey', 'newLicenseKey', 'code']
+
+/**
+ * Aplicar una transformación a las variables secretas presentes (valor o lista de valores)
+ */
+function mapSecretVariables (variables, transform) {
+  if (!variables) {
+    return variables
+  }
+
+  const result = { ...variables }
+  for (const name of SECRET_VARIABLES) {
+    if (result[name] === null || result[name] === undefined) {
+      continue
+    }
+    result[name] = Array.isArray(result[name]) ? result[name].map(transform) : transform(result[name])
+  }
+  return result
+}
 
 /**
- * Servicio simplificado de estadísticas de email para lista de espera
- * v2.0: Solo mantiene compatibilidad con métricas, el envío es directo
+ * Bandeja de salida persistente de correos
+ * Los correos se encolan en la tabla email_outbox dentro de la transacción del negocio;
+ * el job emailOutbox los envía por Brevo con backoff exponencial y registra cada intento.
+ * Las claves de licencia de las variables se guardan cifradas con licenseKeyVault, se
+ * descifran solo al enviar y se eliminan de la fila cuando el correo queda SENT.
  */
 class EmailQueueService {
   constructor () {
-    this.intervalSeconds = parseInt(process.env.WAITLIST_EMAIL_INTERVAL_SECONDS) || 30
-    this.maxRetries = parseInt(process.env.WAITLIST_EMAIL_MAX_RETRIES) || 3
-    this.maxQueueSize = parseInt(process.env.WAITLIST_EMAIL_QUEUE_MAX_SIZE) || 1000
+    this.intervalSeconds = parseInt(process.env.EMAIL_OUTBOX_INTERVAL_SECONDS) || 30
+    this.maxAttempts = parseInt(process.env.EMAIL_OUTBOX_MAX_ATTEMPTS) || 5
+    this.retryBaseSeconds = parseInt(process.env.EMAIL_OUTBOX_RETRY_BASE_SECONDS) || 60
+    this.batchSize = parseInt(process.env.EMAIL_OUTBOX_BATCH_SIZE) || 20
     this.initialized = false
   }
 
@@ -23,15 +54,10 @@ class EmailQueueService {
     const { silent = false } = options
 
     if (!silent) {
-      logger.info('EmailQueueService: Starting initialization', {
-        queueSize: 0,
-        isProcessing: false,
-        intervalSeconds: this.intervalSeconds
-      })
-
       logger.info('EmailQueueService: Initialization completed', {
         ready: true,
-        intervalSeconds: this.intervalSeconds
+        intervalSeconds: this.intervalSeconds,
+        maxAttempts: this.maxAttempts
       })
     }
 
@@ -39,89 +65,409 @@ class EmailQueueService {
 
     return {
       ready: true,
-      mode: 'modo directo v2.0',
+      mode: 'bandeja de salida persistente',
       intervalSeconds: this.intervalSeconds
     }
   }
 
   /**
-   * Agregar notificación de lista de espera (compatibilidad - envío directo)
+   * Encolar un correo en la bandeja de salida
+   * @param {Object} data
+   * @param {string} data.type - Tipo de correo (LICENSE_DELIVERY, WAITLIST_NOTIFICATION, LICENSE_CHANGE, OTP, TEST)
+   * @param {Object} data.message - { to: { email, name }, subject, templateName, variables }
+   * @param {number} data.orderId - Orden relacionada (opcional)
+   * @param {number} data.maxAttempts - Intentos máximos (por defecto EMAIL_OUTBOX_MAX_ATTEMPTS)
+   * @param {string} data.status - Estado inicial (SENDING cuando el llamador lo envía de inmediato)
+   * @param {Object} dbTransaction - Transacción del negocio (opcional)
+   * @returns {Promise<EmailOutbox>} Correo encolado
+   */
+  async enqueue ({ type, message, orderId = null, maxAttempts = null, status = 'PENDING' }, dbTransaction = null) {
+    const entry = await EmailOutbox.create({
+      type,
+      status,
+      orderId,
+      recipient: message.to.email,
+      recipientName: message.to.name || null,
+      subject: message.subject,
+      templateName: message.templateName,
+      variables: this.sealVariables(message.variables),
+      maxAttempts: maxAttempts || this.maxAttempts,
+      nextAttemptAt: new Date()
+    }, { transaction: dbTransaction || undefined })
+
+    logger.logBusiness('emailQueue:enqueued', {
+      outboxId: entry.id,
+      type,
+      orderId,
+      recipient: message.to.email
+    })
+
+    return entry
+  }
+
+  /**
+   * Encolar y enviar de inmediato, sin esperar al worker
+   * Si el primer intento falla el correo queda en la bandeja para reintento (si le quedan intentos)
+   * @returns {Promise<EmailOutbox>} Correo con el resultado del primer intento
+   */
+  async sendNow (data, dbTransaction = null) {
+    const entry = await this.enqueue({ ...data, status: 'SENDING' }, dbTransaction)
+    return await this.deliver(entry)
+  }
+
+  /**
+   * Cifrar las variables secretas antes de guardarlas (idempotente)
    */
-  async queueWaitlistNotification (waitlistEntry) {
+  sealVariables (variables) {
+    return mapSecretVariables(variables, value => licenseKeyVault.isEncrypted(value) ? value : licenseKeyVault.encrypt(value))
+  }
+
+  /**
+   * Descifrar las variables secretas para renderizar la plantilla
+   * Las filas anteriores al cifrado (en claro) se devuelven sin cambios
+   */
+  openVariables (variables) {
+    return mapSecretVariables(variables, value => licenseKeyVault.decrypt(value))
+  }
+
+  /**
+   * Quitar las variables secretas de un correo ya enviado
+   * Para volver a verlas está el endpoint auditado de licencias
+   */
+  redactVariables (variables) {
+    if (!variables) {
+      return variables
+    }
+
+    const result = { ...variables }
+    for (const name of SECRET_VARIABLES) {
+      delete result[name]
+    }
+    return result
+  }
+
+  /**
+   * Procesar los correos pendientes cuyo próximo intento ya venció
+   * @param {Object} options
+   * @param {number} options.limit - Máximo de correos por ejecución
+   * @returns {Promise<Object>} Resumen de la ejecución
+   */
+  async processPending ({ limit = this.batchSize } = {}) {
+    const results = { processed: 0, sent: 0, retrying: 0, failed: 0 }
+
+    await this.releaseStaleEntries()
+
+    const entries = await EmailOutbox.findAll({
+      where: {
+        status: 'PENDING',
+        nextAttemptAt: { [Op.lte]: new Date() }
+      },
+      order: [['nextAttemptAt', 'ASC']],
+      limit
+    })
+
+    for (const entry of entries) {
+      // Reclamar el correo: otra instancia pudo tomarlo entre la consulta y este punto
+      const [claimed] = await EmailOutbox.update(
+        { status: 'SENDING' },
+        { where: { id: entry.id, status: 'PENDING' } }
+      )
+      if (claimed === 0) {
+        continue
+      }
+
+      await this.deliver(entry)
+      results.processed++
+
+      if (entry.status === 'SENT') {
+        results.sent++
+      } else if (entry.status === 'FAILED') {
+        results.failed++
+      } else {
+        results.retrying++
+      }
+    }
+
+    if (results.processed > 0) {
+      logger.logBusiness('emailQueue:processed', results)
+    }
+
+    return results
+  }
+
+  /**
+   * Realizar un intento de envío de un correo ya reclamado (estado SENDING)
+   * @param {EmailOutbox} entry - Correo de la bandeja
+   * @returns {Promise<EmailOutbox>} Correo actualizado
+   */
+  async deliver (entry) {
+    const attempt = entry.attempts + 1
+    let result = null
+    let deliveryError = null
+
     try {
-      // v2.0: Envío directo en lugar de cola
-      const { Order } = require('../models')
+      result = await sendEmail({
+        to: { email: entry.recipient, name: entry.recipientName || undefined },
+        subject: entry.subject,
+        templateName: entry.templateName,
+        variables: this.openVariables(entry.variables)
+      })
+    } catch (error) {
+      deliveryError = error
+    }
+
+    await EmailOutboxAttempt.create({
+      outboxId: entry.id,
+      attempt,
+      success: !deliveryError,
+      messageId: result?.messageId || null,
+      error: deliveryError ? deliveryError.message : null
+    })
+
+    if (!deliveryError) {
+      await entry.update({
+        status: 'SENT',
+        variables: this.redactVariables(entry.variables),
+        attempts: attempt,
+        messageId: result?.messageId || null,
+        sentAt: new Date(),
+        lastError: null
+      })
+
+      logger.logBusiness('emailQueue:sent', {
+        outboxId: entry.id,
+        type: entry.type,
+        orderId: entry.orderId,
+        attempt,
+        messageId: entry.messageId
+      })
+    } else {
+      const exhausted = attempt >= entry.maxAttempts
+
+      await entry.update({
+        status: exhausted ? 'FAILED' : 'PENDING',
+        attempts: attempt,
+        lastError: deliveryError.message,
+        nextAttemptAt: exhausted ? entry.nextAttemptAt : new Date(Date.now() + this.getRetryDelay(attempt))
+      })
 
-      const order = await Order.findByPk(waitlistEntry.orderId, {
-        include: ['customer', 'product']
+      logger.logError(deliveryError, {
+        operation: 'emailQueue.deliver',
+        outboxId: entry.id,
+        type: entry.type,
+        orderId: entry.orderId,
+        attempt,
+        exhausted
       })
+    }
+
+    if (entry.orderId && entry.status !== 'PENDING') {
+      if (entry.type === 'LICENSE_DELIVERY') {
+        await this.recordOrderDelivery(entry)
+      } else if (entry.type === 'LICENSE_CHANGE') {
+        await this.recordLicenseChangeDelivery(entry)
+      }
+    }
+
+    return entry
+  }
 
+  /**
+   * Backoff exponencial entre intentos: base, 2x base, 4x base...
+   * @param {number} attempt - Número del intento que falló (1-based)
+   * @returns {number} Milisegundos hasta el siguiente intento
+   */
+  getRetryDelay (attempt) {
+    return this.retryBaseSeconds * 1000 * Math.pow(2, attempt - 1)
+  }
+
+  /**
+   * Devolver a PENDING los correos que quedaron en SENDING por una caída del worker
+   */
+  async releaseStaleEntries () {
+    const [released] = await EmailOutbox.update(
+      { status: 'PENDING' },
+      {
+        where: {
+          status: 'SENDING',
+          updatedAt: { [Op.lt]: new Date(Date.now() - STALE_SENDING_MINUTES * 60 * 1000) }
+        }
+      }
+    )
+
+    if (released > 0) {
+      logger.warn('EmailQueueService: Released stale outbox entries', { released })
+    }
+
+    return released
+  }
+
+  /**
+   * Reflejar el resultado del correo de licencias en shippingInfo.email de la orden
+   * El correo cuenta como enviado cuando ya no quedan correos de licencias de la orden por enviar
+   */
+  async recordOrderDelivery (entry) {
+    try {
+      const order = await Order.findByPk(entry.orderId)
       if (!order) {
-        throw new Error('Order not found')
+        return
       }
 
-      await emailService.sendWaitlistNotification({
-        customer: order.customer,
-        product: order.product,
-        order,
-        waitlistEntry
-      })
+      const shippingInfo = order.shippingInfo || {}
+      const emailInfo = shippingInfo.email || {}
 
-      logger.logBusiness('emailQueue:waitlistNotification.sent', {
-        waitlistEntryId: waitlistEntry.id,
-        orderId: order.id,
-        customerEmail: order.customer.email,
-        mode: 'direct'
+      if (entry.status === 'SENT') {
+        const outstanding = await EmailOutbox.count({
+          where: {
+            orderId: entry.orderId,
+            type: 'LICENSE_DELIVERY',
+            status: { [Op.in]: ['PENDING', 'SENDING'] },
+            id: { [Op.ne]: entry.id }
+          }
+        })
+        const messageIds = [...(emailInfo.messageIds || []), entry.messageId]
+
+        await order.update({
+          shippingInfo: {
+            ...shippingInfo,
+            email: {
+              ...emailInfo,
+              sent: outstanding === 0,
+              sentAt: entry.sentAt.toISOString(),
+              messageId: emailInfo.messageId || entry.messageId,
+              messageIds,
+              recipient: entry.recipient,
+              type: 'license_delivery'
+            }
+          }
+        })
+      } else {
+        await order.update({
+          shippingInfo: {
+            ...shippingInfo,
+            email: {
+              ...emailInfo,
+              sent: false,
+              attemptedAt: new Date().toISOString(),
+              error: entry.lastError,
+              recipient: entry.recipient,
+              type: 'license_delivery',
+              outboxId: entry.id
+            }
+          }
+        })
+      }
+    } catch (error) {
+      logger.logError(error, {
+        operation: 'emailQueue.recordOrderDelivery',
+        outboxId: entry.id,
+        orderId: entry.orderId
       })
+    }
+  }
+
+  /**
+   * Reflejar el resultado del correo de cambio de licencia en shippingInfo.licenseChange
+   */
+  async recordLicenseChangeDelivery (entry) {
+    try {
+      const order = await Order.findByPk(entry.orderId)
+      if (!order) {
+        return
+      }
 
-      return { success: true, mode: 'direct' }
+      const shippingInfo = order.shippingInfo || {}
+      const delivery = entry.status === 'SENT'
+        ? { emailSent: true, emailSentAt: entry.sentAt.toISOString(), emailMessageId: entry.messageId }
+        : { emailSent: false, emailAttemptedAt: new Date().toISOString(), emailError: entry.lastError }
+
+      await order.update({
+        shippingInfo: {
+          ...shippingInfo,
+          licenseChange: {
+            ...shippingInfo.licenseChange,
+            ...delivery,
+            emailPending: false
+          }
+        }
+      })
     } catch (error) {
       logger.logError(error, {
-        operation: 'queueWaitlistNotification',
-        waitlistEntryId: waitlistEntry.id
+        operation: 'emailQueue.recordLicenseChangeDelivery',
+        outboxId: entry.id,
+        orderId: entry.orderId
       })
-      throw error
     }
   }
 
   /**
-   * Obtener estadísticas de la cola (compatibilidad)
+   * Obtener estadísticas reales de la bandeja de salida
    */
-  getQueueStats () {
+  async getQueueStats () {
+    const rows = await EmailOutbox.findAll({
+      attributes: ['status', 'type', [fn('COUNT', col('id')), 'count']],
+      group: ['status', 'type'],
+      raw: true
+    })
+
+    const statusStats = { PENDING: 0, SENDING: 0, SENT: 0, FAILED: 0 }
+    const typeStats = {}
+    for (const row of rows) {
+      const count = parseInt(row.count)
+      statusStats[row.status] = (statusStats[row.status] || 0) + count
+      typeStats[row.type] = typeStats[row.type] || {}
+      typeStats[row.type][row.status] = count
+    }
+
+    const oldestPending = await EmailOutbox.findOne({
+      where: { status: 'PENDING' },
+      order: [['createdAt', 'ASC']],
+      attributes: ['createdAt']
+    })
+
     return {
-      queueSize: 0, // v2.0: No usa cola
-      isProcessing: false,
+      queueSize: statusStats.PENDING + statusStats.SENDING,
+      pending: statusStats.PENDING,
+      sending: statusStats.SENDING,
+      sent: statusStats.SENT,
+      failed: statusStats.FAILED,
+      oldestPendingAt: oldestPending ? oldestPending.createdAt : null,
       intervalSeconds: this.intervalSeconds,
-      maxRetries: this.maxRetries,
-      maxQueueSize: this.maxQueueSize,
-      typeStats: {},
-      statusStats: {},
-      mode: 'direct_v2'
+      maxAttempts: this.maxAttempts,
+      typeStats,
+      statusStats,
+      mode: 'outbox'
     }
   }
 
   /**
-   * Enviar email de prueba
+   * Enviar email de prueba a través de la bandeja de salida
    */
   async testEmailQueue (testEmail = 'test@example.com') {
     try {
-      logger.info('EmailQueueService: Testing email functionality', {
-        testEmail,
-        mode: 'direct'
-      })
-
-      await emailService.sendTestEmail(testEmail)
+      logger.info('EmailQueueService: Testing email functionality', { testEmail })
 
-      logger.info('EmailQueueService: Test email sent successfully', {
-        testEmail,
-        success: true
+      const entry = await this.sendNow({
+        type: 'TEST',
+        maxAttempts: 1,
+        message: {
+          to: { email: testEmail },
+          subject: 'Correo de prueba',
+          templateName: 'welcome',
+          variables: { customerName: 'Prueba' }
+        }
       })
 
+      if (entry.status !== 'SENT') {
+        throw new Error(entry.lastError || 'Test email could not be sent')
+      }
+
       return {
         success: true,
         testEmail,
-        mode: 'direct',
-        message: 'Test email sent successfully via direct mode'
+        outboxId: entry.id,
+        messageId: entry.messageId,
+        message: 'Test email sent successfully via outbox'
       }
     } catch (error) {
       logger.logError(error, {
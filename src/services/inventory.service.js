@@ -0,0 +1,190 @@
+const { Op, fn, col } = require('sequelize')
+const { Product, License, WaitlistEntry, StockAlert, Admin } = require('../models')
+const licenseService = require('./license.service')
+const emailService = require('./email')
+const logger = require('../config/logger')
+
+/**
+ * Inventory Service - Reporte de inventario de licencias y alertas de stock bajo
+ *
+ * Los días de stock restante se estiman con la velocidad de venta de los últimos
+ * INVENTORY_VELOCITY_DAYS días (licencias SOLD por día).
+ */
+class InventoryService {
+  constructor () {
+    this.defaultThreshold = parseInt(process.env.INVENTORY_LOW_STOCK_THRESHOLD) || 5
+    this.velocityDays = parseInt(process.env.INVENTORY_VELOCITY_DAYS) || 30
+  }
+
+  /**
+   * Reporte de inventario por producto con licencias
+   * @param {Object} filters - { productRef }
+   * @returns {Promise<Object>} { products, velocityDays, generatedAt }
+   */
+  async getInventoryReport ({ productRef } = {}) {
+    const where = { license_type: true }
+    if (productRef) where.productRef = productRef
+
+    const products = await Product.findAll({
+      where,
+      attributes: ['id', 'productRef', 'name', 'isActive', 'lowStockThreshold'],
+      order: [['productRef', 'ASC']]
+    })
+
+    const refs = products.map(product => product.productRef)
+    if (refs.length === 0) {
+      return { products: [], velocityDays: this.velocityDays, generatedAt: new Date() }
+    }
+
+    const [stock, waitlist, sales] = await Promise.all([
+      licenseService.getStockSummary(refs),
+      this.countByProduct(WaitlistEntry, { productRef: refs, status: 'PENDING' }),
+      this.countByProduct(License, {
+        productRef: refs,
+        status: 'SOLD',
+        soldAt: { [Op.gte]: new Date(Date.now() - this.velocityDays * 24 * 60 * 60 * 1000) }
+      })
+    ])
+
+    return {
+      products: products.map(product => this.buildProductReport(product, stock[product.productRef], waitlist[product.productRef] || 0, sales[product.productRef] || 0)),
+      velocityDays: this.velocityDays,
+      generatedAt: new Date()
+    }
+  }
+
+  /**
+   * Fila del reporte para un producto
+   */
+  buildProductReport (product, counts, waitlistPending, recentSales) {
+    const threshold = product.lowStockThreshold ?? this.defaultThreshold
+    const dailyVelocity = recentSales / this.velocityDays
+    const daysOfStockLeft = dailyVelocity > 0
+      ? Math.round((counts.available / dailyVelocity) * 10) / 10
+      : null
+
+    return {
+      productId: product.id,
+      productRef: product.productRef,
+      name: product.name,
+      isActive: product.isActive,
+      available: counts.available,
+      reserved: counts.held + counts.reservedForWaitlist,
+      held: counts.held,
+      reservedForWaitlist: counts.reservedForWaitlist,
+      sold: counts.sold,
+      waitlistPending,
+      recentSales,
+      dailyVelocity: Math.round(dailyVelocity * 100) / 100,
+      daysOfStockLeft,
+      threshold,
+      lowStock: counts.available < threshold
+    }
+  }
+
+  /**
+   * Conteo agrupado por productRef
+   */
+  async countByProduct (model, where) {
+    const rows = await model.findAll({
+      attributes: ['productRef', [fn('COUNT', col('id')), 'count']],
+      where,
+      group: ['productRef'],
+      raw: true
+    })
+
+    return rows.reduce((counts, row) => {
+      counts[row.productRef] = parseInt(row.count)
+      return counts
+    }, {})
+  }
+
+  /**
+   * Revisar el inventario y alertar a los administradores
+   * LOW_STOCK se abre cuando el disponible cae bajo el umbral; WAITLIST_GROWTH cuando la lista
+   * de espera crece respecto a la última alerta abierta. Ambas se resuelven al normalizarse.
+   * @returns {Promise<Object>} { processed, alerts, resolved }
+   */
+  async checkAlerts () {
+    const { products } = await this.getInventoryReport()
+    const openAlerts = await StockAlert.findAll({
+      where: { resolvedAt: null },
+      order: [['createdAt', 'DESC']]
+    })
+
+    const openAlert = (productRef, type) => openAlerts.find(alert => alert.productRef === productRef && alert.type === type)
+    const newAlerts = []
+    let resolved = 0
+
+    for (const product of products.filter(row => row.isActive)) {
+      const lowStock = openAlert(product.productRef, 'LOW_STOCK')
+      if (product.lowStock && !lowStock) {
+        newAlerts.push(this.buildAlert(product, 'LOW_STOCK'))
+      } else if (!product.lowStock && lowStock) {
+        await lowStock.update({ resolvedAt: new Date() })
+        resolved++
+      }
+
+      const waitlistGrowth = openAlert(product.productRef, 'WAITLIST_GROWTH')
+      if (product.waitlistPending > (waitlistGrowth ? waitlistGrowth.waitlistCount : 0)) {
+        if (waitlistGrowth) {
+          await waitlistGrowth.update({ resolvedAt: new Date() })
+        }
+        newAlerts.push(this.buildAlert(product, 'WAITLIST_GROWTH'))
+      } else if (product.waitlistPending === 0 && waitlistGrowth) {
+        await waitlistGrowth.update({ resolvedAt: new Date() })
+        resolved++
+      }
+    }
+
+    if (newAlerts.length > 0) {
+      const notifiedAdmins = await this.notifyAdmins(newAlerts)
+      await StockAlert.bulkCreate(newAlerts.map(alert => ({ ...alert, notifiedAdmins })))
+
+      logger.logBusiness('inventory:alerts', {
+        alerts: newAlerts.map(alert => ({ productRef: alert.productRef, type: alert.type })),
+        notifiedAdmins
+      })
+    }
+
+    return {
+      processed: newAlerts.length + resolved,
+      alerts: newAlerts.length,
+      resolved
+    }
+  }
+
+  /**
+   * Datos de una alerta a partir de la fila del reporte
+   */
+  buildAlert (product, type) {
+    return {
+      productRef: product.productRef,
+      name: product.name,
+      type,
+      available: product.available,
+      threshold: product.threshold,
+      waitlistCount: product.waitlistPending,
+      daysOfStockLeft: product.daysOfStockLeft
+    }
+  }
+
+  /**
+   * Encolar el resumen de alertas para cada SUPER_ADMIN activo
+   * @returns {Promise<number>} Administradores notificados
+   */
+  async notifyAdmins (alerts) {
+    const admins = await Admin.findAll({
+      where: { role: 'SUPER_ADMIN', isActive: true }
+    })
+
+    for (const admin of admins) {
+      await emailService.queueInventoryAlert({ admin, alerts })
+    }
+
+    return admins.length
+  }
+}
+
+// Exportar singleton
+module.exports = new InventoryService()
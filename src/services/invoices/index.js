@@ -4,6 +4,8 @@ const MockProvider = require('./providers/mock')
 const { Transaction, Invoice, Order, Product, User } = require('../../models')
 const { Op } = require('sequelize')
 const TransactionManager = require('../../utils/transactionManager')
+const orderLines = require('../../utils/orderLines')
+const merchantWebhookService = require('../merchantWebhook.service')
 
 /**
  * Servicio orquestador de facturación
@@ -88,7 +90,8 @@ class InvoiceService {
         const order = transaction.order || await Order.findByPk(transaction.orderId, {
           include: [
             { model: Product, as: 'product' },
-            { model: User, as: 'customer' }
+            { model: User, as: 'customer' },
+            orderLines.ITEMS_INCLUDE
           ],
           transaction: dbTransaction
         })
@@ -107,13 +110,21 @@ class InvoiceService {
           throw new Error(`Cliente no encontrado para orden ${order.id}`)
         }
 
+        // Líneas a facturar (una por producto del carrito)
+        const items = orderLines.getLines(order)
+        const lineWithoutProduct = items.find(line => !line.product)
+        if (lineWithoutProduct) {
+          throw new Error(`Producto ${lineWithoutProduct.productRef} no encontrado para orden ${order.id}`)
+        }
+
         // Obtener proveedor y crear factura
         const provider = this.getProvider(providerName)
         const invoiceData = await provider.createInvoice({
           transaction,
           order,
           product,
-          customer
+          customer,
+          items
         })
 
         // Crear registro de factura en la base de datos
@@ -136,6 +147,16 @@ class InvoiceService {
           invoiceId: invoice.id
         }, { transaction: dbTransaction })
 
+        // Notificar a los comercios suscritos (webhook saliente, misma transacción)
+        await merchantWebhookService.emit('invoice.issued', {
+          invoiceId: invoice.id,
+          invoiceNumber: invoice.invoiceNumber,
+          provider: providerName,
+          transactionId: transaction.id,
+          orderId: order.id,
+          customerId: customer.id
+        }, dbTransaction)
+
         logger.info('✅ Factura generada exitosamente:', {
           invoiceId: invoice.id,
           providerInvoiceId: invoice.providerInvoiceId,
@@ -195,7 +216,8 @@ class InvoiceService {
             as: 'order',
             include: [
               { model: Product, as: 'product' },
-              { model: User, as: 'customer' }
+              { model: User, as: 'customer' },
+              orderLines.ITEMS_INCLUDE
             ]
           }
         ],
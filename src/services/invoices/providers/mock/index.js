@@ -41,7 +41,7 @@ class MockProvider {
    * @param {Object} params - Parámetros de la factura
    * @returns {Promise<Object>} Datos simulados de la factura
    */
-  async createInvoice ({ transaction, order, product, customer }) {
+  async createInvoice ({ transaction, order, product, customer, items = null }) {
     try {
       logger.info(`📄 Creando factura Mock para transacción ${transaction.id}`)
 
@@ -69,6 +69,8 @@ class MockProvider {
           mockProvider: true,
           originalTransactionId: transaction.id,
           productRef: product.productRef,
+          productRefs: (items || []).map(line => line.productRef),
+          taxTotal: (items || []).reduce((sum, line) => sum + (line.taxTotal || 0), 0),
           amount: transaction.amount
         }
       }
@@ -3,6 +3,7 @@ const logger = require('../../../../config/logger')
 const SiigoAuthService = require('./auth')
 const SiigoProductService = require('./productService')
 const SiigoCustomerService = require('./customers')
+const taxService = require('../../../tax.service')
 
 /**
  * Proveedor de facturación para Siigo
@@ -61,21 +62,30 @@ class SiigoProvider {
    * @param {Object} order - Orden del sistema
    * @param {Object} product - Producto del sistema
    * @param {Object} customer - Cliente del sistema
+   * @param {Array<Object>} items - Líneas de la orden (ver utils/orderLines)
    * @returns {Promise<Object>} Respuesta de Siigo con datos de la factura
    */
-  async createInvoice ({ transaction, order, product, customer }) {
+  async createInvoice ({ transaction, order, product, customer, items = null }) {
     try {
       logger.info(`📄 Creando factura en Siigo para transacción ${transaction.id}`)
 
-      // Validar que el producto tenga referencia
-      if (!product.productRef) {
-        throw new Error(`Producto ${product.id} no tiene referencia (productRef)`)
-      }
+      // Órdenes sin líneas: facturar el producto principal por el monto de la transacción
+      const lines = items && items.length > 0
+        ? items
+        : [{ productRef: product.productRef, qty: 1, product, grandTotal: transaction.amount }]
+
+      // Validar que cada producto tenga referencia y exista en Siigo
+      const siigoProducts = []
+      for (const line of lines) {
+        if (!line.productRef) {
+          throw new Error(`Producto ${line.product?.id} no tiene referencia (productRef)`)
+        }
 
-      // Buscar el producto en Siigo
-      const siigoProduct = await this.productService.findProductByCode(product.productRef)
-      if (!siigoProduct) {
-        throw new Error(`Producto con referencia "${product.productRef}" no encontrado en Siigo`)
+        const siigoProduct = await this.productService.findProductByCode(line.productRef)
+        if (!siigoProduct) {
+          throw new Error(`Producto con referencia "${line.productRef}" no encontrado en Siigo`)
+        }
+        siigoProducts.push(siigoProduct)
       }
 
       // Obtener o crear cliente en Siigo
@@ -104,15 +114,7 @@ class SiigoProvider {
         date: invoiceDate,
         customer: siigoCustomer,
         seller: this.defaultConfig.sellerId,
-        items: [
-          {
-            code: product.productRef,
-            quantity: 1, // Siempre 1 para facturación por monto de transacción
-            price: transaction.amount / 100, // Precio de la transacción en pesos
-            description: product.description || product.name,
-            discount: 0
-          }
-        ],
+        items: lines.map(line => this.buildInvoiceItem(line, lines.length === 1 ? transaction.amount : null)),
         payments: [
           {
             id: this.defaultConfig.paymentTypeId,
@@ -232,14 +234,15 @@ class SiigoProvider {
       return {
         providerInvoiceId: invoice.id.toString(),
         invoiceNumber: invoice.number,
-        providerProductId: siigoProduct.id.toString(),
+        providerProductId: siigoProducts[0].id.toString(),
         providerCustomerId: invoice.customer?.id?.toString(),
         emailSent: invoice.mail?.status === 'sent',
         acceptedByDian: invoice.stamp?.status === 'Accepted',
         providerCreatedAt: new Date(invoice.date),
         metadata: {
           siigoResponse: invoice,
-          productCode: product.productRef,
+          productCode: lines[0].productRef,
+          productCodes: lines.map(line => line.productRef),
           originalAmount: transaction.amount
         }
       }
@@ -254,6 +257,42 @@ class SiigoProvider {
     }
   }
 
+  /**
+   * Construye el ítem de factura de Siigo para una línea de la orden
+   * El precio unitario ya incluye el descuento para que el total facturado
+   * coincida con el monto cobrado; si el total de la línea no se divide
+   * exactamente entre las unidades se factura como una sola unidad.
+   * Las líneas con desglose de impuestos (ver tax.service) se facturan por su
+   * base gravable con el impuesto de su clase, que Siigo calcula con la misma tarifa.
+   * @param {Object} line - Línea de la orden
+   * @param {number|null} amountOverride - Monto a facturar en centavos (orden legacy sin impuestos)
+   * @returns {Object} Ítem para el payload de Siigo
+   */
+  buildInvoiceItem (line, amountOverride = null) {
+    const hasTaxBreakdown = Boolean(line.taxClass) && line.taxBase !== null && line.taxBase !== undefined
+    const lineTotal = hasTaxBreakdown ? line.taxBase : (amountOverride ?? line.grandTotal)
+    const qty = line.qty || 1
+    const divisible = lineTotal % qty === 0
+    const baseDescription = line.product?.description || line.product?.name || line.productRef
+
+    const item = {
+      code: line.productRef,
+      quantity: divisible ? qty : 1,
+      price: (divisible ? lineTotal / qty : lineTotal) / 100, // Centavos a pesos
+      description: divisible || qty === 1 ? baseDescription : `${baseDescription} (x${qty})`,
+      discount: 0
+    }
+
+    if (hasTaxBreakdown) {
+      const siigoTaxId = taxService.getSiigoTaxId(line.taxClass)
+      if (siigoTaxId) {
+        item.taxes = [{ id: siigoTaxId }]
+      }
+    }
+
+    return item
+  }
+
   /**
    * Consulta el estado de una factura en Siigo
    * @param {string} providerInvoiceId - ID de la factura en Siigo
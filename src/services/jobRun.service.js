@@ -0,0 +1,143 @@
+const { JobRun } = require('../models')
+const jobLeaseManager = require('../utils/jobLeaseManager')
+const logger = require('../config/logger')
+
+// Máximo de errores por elemento que se guardan por ejecución
+const MAX_ERROR_SUMMARY = 20
+
+/**
+ * Job Run Service - Historial de ejecuciones de jobs (programadas y manuales)
+ */
+class JobRunService {
+  /**
+   * Ejecutar una función registrando la corrida en job_runs
+   * Un fallo al registrar nunca interrumpe el job
+   * @param {string} jobName - Nombre del job
+   * @param {Object} options
+   * @param {string} options.trigger - CRON o MANUAL
+   * @param {number} options.adminId - Administrador que lanzó la ejecución manual
+   * @param {Object} options.options - Parámetros de la ejecución manual
+   * @param {boolean} options.recordIdle - false para no registrar corridas programadas sin trabajo
+   * @param {Function} fn - Trabajo a ejecutar
+   * @returns {Promise<*>} Resultado de fn
+   */
+  async track (jobName, { trigger = 'CRON', adminId = null, options = null, recordIdle = true } = {}, fn) {
+    const startedAt = new Date()
+    const attributes = {
+      jobName,
+      trigger,
+      triggeredBy: adminId,
+      nodeId: jobLeaseManager.nodeId,
+      status: 'RUNNING',
+      startedAt,
+      options
+    }
+
+    // Los jobs de sondeo frecuente solo se registran al terminar y si hubo trabajo
+    const deferred = trigger === 'CRON' && !recordIdle
+    const run = deferred ? null : await this.safely('start', () => JobRun.create(attributes))
+
+    let result
+    try {
+      result = await fn()
+    } catch (error) {
+      await this.safely('finish', () => this.save(run, attributes, {
+        status: 'FAILED',
+        errorMessage: error.message,
+        processedCount: 0,
+        failedCount: 0,
+        errorSummary: null
+      }))
+      throw error
+    }
+
+    const summary = this.summarize(result)
+    const idle = summary.status === 'SUCCEEDED' && summary.processedCount === 0 && summary.failedCount === 0
+    if (!deferred || !idle) {
+      await this.safely('finish', () => this.save(run, attributes, summary))
+    }
+
+    return result
+  }
+
+  /**
+   * Cerrar la corrida (o crearla ya cerrada si se registró al terminar)
+   */
+  async save (run, attributes, summary) {
+    const finishedAt = new Date()
+    const values = {
+      ...summary,
+      finishedAt,
+      durationMs: finishedAt.getTime() - attributes.startedAt.getTime()
+    }
+
+    if (run) {
+      return await run.update(values)
+    }
+    return await JobRun.create({ ...attributes, ...values })
+  }
+
+  /**
+   * Resumen de conteos y errores a partir del resultado de un job
+   * Los jobs devuelven { processed, failed, errors[] }; algunos reportan fallos como { success: false, error }
+   * @param {Object} result - Resultado del job
+   * @returns {Object} { status, processedCount, failedCount, errorMessage, errorSummary }
+   */
+  summarize (result) {
+    const data = result && typeof result === 'object' ? result : {}
+    const errors = Array.isArray(data.errors) ? data.errors : []
+    const failedCount = Number.isInteger(data.failed) ? data.failed : errors.length
+
+    return {
+      status: data.success === false ? 'FAILED' : 'SUCCEEDED',
+      processedCount: Number.isInteger(data.processed) ? data.processed : 0,
+      failedCount,
+      errorMessage: data.success === false ? data.error || null : null,
+      errorSummary: errors.length > 0 ? errors.slice(0, MAX_ERROR_SUMMARY) : null
+    }
+  }
+
+  /**
+   * Registrar sin propagar errores de base de datos
+   */
+  async safely (step, fn) {
+    try {
+      return await fn()
+    } catch (error) {
+      logger.logError(error, { operation: `jobRun.${step}` })
+      return null
+    }
+  }
+
+  /**
+   * Historial paginado de un job, más recientes primero
+   * @param {string} jobName - Nombre del job
+   * @param {Object} filters - { status, trigger, page, limit }
+   * @returns {Promise<Object>} { runs, pagination }
+   */
+  async listRuns (jobName, { status, trigger, page = 1, limit = 20 } = {}) {
+    const where = { jobName }
+    if (status) where.status = status
+    if (trigger) where.trigger = trigger
+
+    const { count, rows } = await JobRun.findAndCountAll({
+      where,
+      order: [['startedAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    })
+
+    return {
+      runs: rows,
+      pagination: {
+        total: count,
+        page,
+        limit,
+        pages: Math.ceil(count / limit)
+      }
+    }
+  }
+}
+
+// Exportar singleton
+module.exports = new JobRunService()
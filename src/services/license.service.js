@@ -1,15 +1,48 @@
-const { License, Product } = require('../models')
+const { License, Product, LicenseReveal } = require('../models')
+const { Op, fn, col } = require('sequelize')
 const logger = require('../config/logger')
 const TransactionManager = require('../utils/transactionManager')
+const licenseKeyVault = require('../utils/licenseKeyVault')
+const waitlistService = require('./waitlist.service')
+const auditService = require('./audit.service')
+
+// License fields kept in the audit log before/after snapshots
+const AUDIT_FIELDS = ['licenseKey', 'status', 'orderId', 'orderItemId', 'reservedAt', 'soldAt']
+
+/**
+ * Copy of license data safe to log (key masked)
+ */
+function maskKey (data) {
+  return data && data.licenseKey
+    ? { ...data, licenseKey: licenseKeyVault.mask(data.licenseKey) }
+    : data
+}
+
+/**
+ * Serve the waitlist of products that just received licenses
+ * The licenses are already saved, so a fulfilment error is logged and never fails the upload
+ */
+async function fulfillWaitlist (productRefs) {
+  try {
+    return await waitlistService.fulfillPending(productRefs)
+  } catch (error) {
+    logger.logError(error, {
+      operation: 'fulfillWaitlist',
+      productRefs
+    })
+    return { reserved: 0, served: 0, failed: 0, products: [], error: error.message }
+  }
+}
 
 /**
  * Create a new license
+ * Pending waitlist entries of the product are served right away
  */
 async function create (data) {
   try {
     logger.logBusiness('createLicense', {
       productRef: data.productRef,
-      licenseKey: data.licenseKey
+      licenseKey: licenseKeyVault.mask(data.licenseKey)
     })
 
     // Verify that the product exists and supports licenses
@@ -25,6 +58,8 @@ async function create (data) {
       throw new Error(`Product ${data.productRef} does not support licenses. Set license_type to true first.`)
     }
 
+    // The hash is derived from licenseKey by the model, never taken from the request body
+    delete data.licenseKeyHash
     const license = await License.create(data)
 
     logger.logBusiness('createLicense.success', {
@@ -33,11 +68,17 @@ async function create (data) {
       status: license.status
     })
 
+    // The new key may have gone straight to a waiting customer
+    const waitlist = await fulfillWaitlist(license.productRef)
+    if (waitlist.reserved > 0) {
+      await license.reload()
+    }
+
     return license
   } catch (error) {
     logger.logError(error, {
       operation: 'createLicense',
-      data
+      data: maskKey(data)
     })
     throw error
   }
@@ -48,13 +89,15 @@ async function create (data) {
  */
 async function update (id, data) {
   try {
-    logger.logBusiness('updateLicense', { id, data })
+    logger.logBusiness('updateLicense', { id, data: maskKey(data) })
 
     const license = await License.findByPk(id)
     if (!license) {
       throw new Error('License not found')
     }
 
+    delete data.licenseKeyHash
+
     // Business rule: if license is SOLD, don't allow changing licenseKey
     if (license.status === 'SOLD' && data.licenseKey) {
       delete data.licenseKey
@@ -76,7 +119,7 @@ async function update (id, data) {
     logger.logError(error, {
       operation: 'updateLicense',
       id,
-      data
+      data: maskKey(data)
     })
     throw error
   }
@@ -87,11 +130,11 @@ async function update (id, data) {
  */
 async function annul (code, actorId) {
   try {
-    logger.logBusiness('annulLicense', { code, actorId })
+    logger.logBusiness('annulLicense', { code: licenseKeyVault.mask(code), actorId })
 
     return await TransactionManager.executeInventoryTransaction(async (t) => {
       const license = await License.findOne({
-        where: { licenseKey: code },
+        where: { licenseKeyHash: licenseKeyVault.hash(code) },
         lock: t.LOCK.UPDATE,
         transaction: t
       })
@@ -100,6 +143,7 @@ async function annul (code, actorId) {
         throw new Error('Cannot annul: License not found or already sold')
       }
 
+      const before = auditService.pick(license, AUDIT_FIELDS)
       const last5 = code.slice(-5)
       const updatedLicense = await license.update({
         licenseKey: `ANULADA-${last5}`,
@@ -108,8 +152,18 @@ async function annul (code, actorId) {
         reservedAt: null
       }, { transaction: t })
 
+      await auditService.record({
+        action: 'license.annul',
+        entityType: 'License',
+        entityId: license.id,
+        actorId,
+        before,
+        after: auditService.pick(updatedLicense, AUDIT_FIELDS)
+      }, t)
+
       logger.logBusiness('annulLicense.success', {
-        originalKey: code,
+        licenseId: license.id,
+        originalKey: licenseKeyVault.mask(code),
         newKey: updatedLicense.licenseKey,
         actorId
       })
@@ -119,24 +173,81 @@ async function annul (code, actorId) {
   } catch (error) {
     logger.logError(error, {
       operation: 'annulLicense',
-      code,
+      code: licenseKeyVault.mask(code),
       actorId
     })
     throw error
   }
 }
 
+/**
+ * Revoke the SOLD licenses of an order after a refund or chargeback
+ * Runs inside the caller's transaction. The sold license keeps its order for
+ * history with a marked key; RETURN_TO_STOCK re-creates the original key as AVAILABLE.
+ */
+async function revokeOrderLicenses ({ orderId, licenseIds = null, action = 'ANNUL', reason = 'MANUAL', actorId = null }, dbTransaction) {
+  const where = { orderId, status: 'SOLD' }
+  if (Array.isArray(licenseIds)) {
+    where.id = { [Op.in]: licenseIds }
+  }
+
+  const licenses = await License.findAll({
+    where,
+    lock: dbTransaction.LOCK.UPDATE,
+    transaction: dbTransaction
+  })
+
+  const results = []
+  for (const license of licenses) {
+    const originalKey = license.licenseKey
+    const last5 = originalKey.slice(-5)
+
+    if (action === 'RETURN_TO_STOCK') {
+      await license.update({
+        licenseKey: `DEVUELTA-${last5}`,
+        status: 'RETURNED'
+      }, { transaction: dbTransaction })
+
+      const newLicense = await License.create({
+        productRef: license.productRef,
+        licenseKey: originalKey,
+        instructions: license.instructions,
+        status: 'AVAILABLE'
+      }, { transaction: dbTransaction })
+
+      results.push({ licenseId: license.id, productRef: license.productRef, action, newLicenseId: newLicense.id })
+    } else {
+      await license.update({
+        licenseKey: `ANULADA-${last5}`,
+        status: 'ANNULLED'
+      }, { transaction: dbTransaction })
+
+      results.push({ licenseId: license.id, productRef: license.productRef, action: 'ANNUL' })
+    }
+  }
+
+  logger.logBusiness('revokeOrderLicenses', {
+    orderId,
+    action,
+    reason,
+    actorId,
+    licenseIds: results.map(r => r.licenseId)
+  })
+
+  return results
+}
+
 /**
  * Return a license to stock
  */
 async function returnToStock (code, reason = 'MANUAL', adminId = null) {
   try {
-    logger.logBusiness('returnLicenseToStock', { code, reason, adminId })
+    logger.logBusiness('returnLicenseToStock', { code: licenseKeyVault.mask(code), reason, adminId })
 
     return await TransactionManager.executeInventoryTransaction(async (dbTransaction) => {
       // 1. Buscar la licencia original
       const license = await License.findOne({
-        where: { licenseKey: code },
+        where: { licenseKeyHash: licenseKeyVault.hash(code) },
         lock: dbTransaction.LOCK.UPDATE,
         transaction: dbTransaction
       })
@@ -180,6 +291,7 @@ async function returnToStock (code, reason = 'MANUAL', adminId = null) {
       }
 
       // 4. Marcar licencia original como devuelta PRIMERO
+      const before = auditService.pick(license, AUDIT_FIELDS)
       const last5 = code.slice(-5)
       const updatedLicense = await license.update({
         licenseKey: `DEVUELTA-${last5}`
@@ -204,16 +316,31 @@ async function returnToStock (code, reason = 'MANUAL', adminId = null) {
             refundedAt: new Date().toISOString(),
             reason,
             adminId,
-            originalLicenseKey: code,
-            newLicenseKey
+            originalLicenseId: license.id,
+            newLicenseId: newLicense.id
           }
         }
       }, { transaction: dbTransaction })
 
+      await auditService.record({
+        action: 'license.return_to_stock',
+        entityType: 'License',
+        entityId: license.id,
+        actorId: adminId,
+        before,
+        after: auditService.pick(updatedLicense, AUDIT_FIELDS),
+        metadata: {
+          reason,
+          orderId: license.orderId,
+          transactionId: transaction.id,
+          newLicenseId: newLicense.id
+        }
+      }, dbTransaction)
+
       logger.logBusiness('returnLicenseToStock.success', {
-        originalLicenseKey: code,
-        returnedLicenseKey: updatedLicense.licenseKey,
-        newAvailableLicenseKey: newLicense.licenseKey,
+        originalLicenseKey: licenseKeyVault.mask(code),
+        returnedLicenseId: updatedLicense.id,
+        newAvailableLicenseId: newLicense.id,
         orderId: license.orderId,
         transactionId: transaction.id,
         reason,
@@ -230,7 +357,7 @@ async function returnToStock (code, reason = 'MANUAL', adminId = null) {
   } catch (error) {
     logger.logError(error, {
       operation: 'returnLicenseToStock',
-      code,
+      code: licenseKeyVault.mask(code),
       reason,
       adminId
     })
@@ -240,6 +367,8 @@ async function returnToStock (code, reason = 'MANUAL', adminId = null) {
 
 /**
  * Bulk import licenses from CSV data
+ * Pending waitlist entries of the imported products are served right away (FIFO by priority)
+ * @returns {Promise<Object>} { licenses, waitlist }
  */
 async function bulkImport (rows) {
   try {
@@ -301,7 +430,9 @@ async function bulkImport (rows) {
       originalRows: rows.length
     })
 
-    return result
+    const waitlist = await fulfillWaitlist(uniqueProductRefs)
+
+    return { licenses: result, waitlist }
   } catch (error) {
     logger.logError(error, {
       operation: 'bulkImportLicenses',
@@ -368,6 +499,96 @@ async function getById (id) {
   }
 }
 
+/**
+ * Reveal the full key of a license
+ * Every reveal is recorded in license_reveals before the key is returned
+ */
+async function reveal (id, { adminId, reason, ipAddress = null, userAgent = null }) {
+  try {
+    const license = await License.findByPk(id)
+
+    if (!license) {
+      throw new Error('License not found')
+    }
+
+    await LicenseReveal.create({
+      licenseId: license.id,
+      adminId,
+      reason,
+      ipAddress,
+      userAgent: userAgent ? userAgent.slice(0, 500) : null
+    })
+
+    await auditService.record({
+      action: 'license.reveal',
+      entityType: 'License',
+      entityId: license.id,
+      actorId: adminId,
+      metadata: { reason }
+    })
+
+    logger.logBusiness('revealLicenseKey', {
+      licenseId: license.id,
+      productRef: license.productRef,
+      status: license.status,
+      adminId,
+      reason,
+      ipAddress
+    })
+
+    return {
+      id: license.id,
+      productRef: license.productRef,
+      status: license.status,
+      licenseKey: license.licenseKey
+    }
+  } catch (error) {
+    logger.logError(error, {
+      operation: 'revealLicenseKey',
+      id,
+      adminId
+    })
+    throw error
+  }
+}
+
+/**
+ * Get the licenses delivered to a customer
+ * Only SOLD licenses are returned; returned or annulled keys are no longer valid
+ */
+async function getCustomerLicenses (customerId) {
+  try {
+    logger.logBusiness('getCustomerLicenses', { customerId })
+
+    const licenses = await License.findAll({
+      where: { status: 'SOLD' },
+      include: [
+        'Product',
+        {
+          association: 'order',
+          attributes: ['id', 'customerId', 'status', 'createdAt'],
+          where: { customerId },
+          required: true
+        }
+      ],
+      order: [['soldAt', 'DESC']]
+    })
+
+    logger.logBusiness('getCustomerLicenses.success', {
+      customerId,
+      count: licenses.length
+    })
+
+    return licenses
+  } catch (error) {
+    logger.logError(error, {
+      operation: 'getCustomerLicenses',
+      customerId
+    })
+    throw error
+  }
+}
+
 /**
  * Bulk dismount licenses from CSV data
  * Only AVAILABLE licenses can be dismounted
@@ -405,7 +626,7 @@ async function bulkDismount (rows, adminId) {
     return await TransactionManager.executeInventoryTransaction(async (t) => {
       // 4. Find all licenses with exclusive lock
       const licenses = await License.findAll({
-        where: { licenseKey: uniqueKeys },
+        where: { licenseKeyHash: uniqueKeys.map(key => licenseKeyVault.hash(key)) },
         lock: t.LOCK.UPDATE,
         transaction: t
       })
@@ -439,12 +660,23 @@ async function bulkDismount (rows, adminId) {
       // 8. Update all licenses to ANNULLED status
       // Use license ID to guarantee uniqueness (last5 can cause collisions in bulk operations)
       for (const license of licenses) {
+        const before = auditService.pick(license, AUDIT_FIELDS)
         await license.update({
           licenseKey: `ANULADA-${license.id}`,
           status: 'ANNULLED',
           orderId: null,
           reservedAt: null
         }, { transaction: t })
+
+        await auditService.record({
+          action: 'license.bulk_dismount',
+          entityType: 'License',
+          entityId: license.id,
+          actorId: adminId,
+          before,
+          after: auditService.pick(license, AUDIT_FIELDS),
+          metadata: { batchSize: licenses.length }
+        }, t)
       }
 
       logger.logBusiness('bulkDismountLicenses.success', {
@@ -464,13 +696,73 @@ async function bulkDismount (rows, adminId) {
   }
 }
 
+/**
+ * Stock summary per product
+ * RESERVED licenses are split between checkout holds (holdExpiresAt set) and waitlist reservations
+ * @param {string|Array<string>} productRefs - Products to summarize (all when omitted)
+ * @returns {Promise<Object>} Counts keyed by productRef
+ */
+async function getStockSummary (productRefs = null) {
+  const where = productRefs ? { productRef: productRefs } : {}
+
+  const [byStatus, held] = await Promise.all([
+    License.findAll({
+      attributes: ['productRef', 'status', [fn('COUNT', col('id')), 'count']],
+      where,
+      group: ['productRef', 'status'],
+      raw: true
+    }),
+    License.findAll({
+      attributes: ['productRef', [fn('COUNT', col('id')), 'count']],
+      where: { ...where, status: 'RESERVED', holdExpiresAt: { [Op.ne]: null } },
+      group: ['productRef'],
+      raw: true
+    })
+  ])
+
+  const summary = {}
+  const entry = (productRef) => {
+    summary[productRef] = summary[productRef] || {
+      available: 0,
+      held: 0,
+      reservedForWaitlist: 0,
+      sold: 0,
+      annulled: 0,
+      returned: 0
+    }
+    return summary[productRef]
+  }
+
+  for (const ref of [].concat(productRefs || [])) {
+    entry(ref)
+  }
+
+  const keys = { AVAILABLE: 'available', RESERVED: 'reservedForWaitlist', SOLD: 'sold', ANNULLED: 'annulled', RETURNED: 'returned' }
+  for (const row of byStatus) {
+    entry(row.productRef)[keys[row.status]] = parseInt(row.count)
+  }
+
+  // Checkout holds are part of RESERVED; the rest are waitlist reservations
+  for (const row of held) {
+    const counts = entry(row.productRef)
+    counts.held = parseInt(row.count)
+    counts.reservedForWaitlist -= counts.held
+  }
+
+  return summary
+}
+
 module.exports = {
   create,
   update,
   annul,
   returnToStock,
+  revokeOrderLicenses,
   bulkImport,
   bulkDismount,
   getAll,
-  getById
+  getById,
+  reveal,
+  getCustomerLicenses,
+  getStockSummary
 }
@@ -1,8 +1,11 @@
-const { License, Order, Product, User } = require('../models')
+const { License, Order, OrderItem, Product, User } = require('../models')
 const { sequelize } = require('../models')
 const logger = require('../config/logger')
 const TransactionManager = require('../utils/transactionManager')
+const licenseKeyVault = require('../utils/licenseKeyVault')
 const emailService = require('./email')
+const merchantWebhookService = require('./merchantWebhook.service')
+const auditService = require('./audit.service')
 
 /**
  * Service for handling license changes between products
@@ -19,7 +22,7 @@ class LicenseChangeService {
   async changeLicense (licenseKey, customerDocumentNumber, newProductRef, adminId = null) {
     try {
       logger.logBusiness('licenseChange:start', {
-        licenseKey,
+        licenseKey: licenseKeyVault.mask(licenseKey),
         customerDocumentNumber,
         newProductRef,
         adminId
@@ -45,6 +48,11 @@ class LicenseChangeService {
         const newLicense = await this.findAvailableLicenseForNewProduct(newProductRef, t)
 
         // 7. Execute the change
+        const before = {
+          productRef: currentLicense.productRef,
+          licenseId: currentLicense.id,
+          status: currentLicense.status
+        }
         const changeResult = await this.executeLicenseChange(
           currentLicense,
           newLicense,
@@ -55,17 +63,41 @@ class LicenseChangeService {
           t
         )
 
-        // 8. Send change notification email (async, don't block transaction)
-        setImmediate(() => {
-          this.sendChangeNotificationEmailAsync(changeResult).catch(error => {
-            logger.logError(error, {
-              operation: 'sendChangeNotificationEmailAsync',
-              orderId: changeResult.order.id,
-              customerEmail: changeResult.customer.email,
-              severity: 'WARNING'
-            })
-          })
-        })
+        await auditService.record({
+          action: 'license.change',
+          entityType: 'Order',
+          entityId: order.id,
+          actorId: adminId,
+          before,
+          after: {
+            productRef: newProduct.productRef,
+            licenseId: newLicense.id,
+            status: 'SOLD'
+          },
+          metadata: {
+            customerId: customer.id,
+            releasedLicenseId: currentLicense.id
+          }
+        }, t)
+
+        // 8. Queue change notification email in the same transaction (sent by the email outbox)
+        await this.queueChangeNotificationEmail(changeResult, t)
+
+        // 9. Notify subscribed merchants (outgoing webhook, same transaction)
+        await merchantWebhookService.emit('license.changed', {
+          orderId: order.id,
+          customerId: customer.id,
+          customerEmail: customer.email,
+          oldLicense: {
+            licenseId: currentLicense.id,
+            productRef: changeResult.oldLicense.productRef
+          },
+          newLicense: {
+            licenseId: newLicense.id,
+            productRef: newProductRef
+          },
+          changedAt: changeResult.changeInfo.changedAt.toISOString()
+        }, t)
 
         logger.logBusiness('licenseChange:success', {
           oldLicenseId: currentLicense.id,
@@ -82,7 +114,7 @@ class LicenseChangeService {
     } catch (error) {
       logger.logError(error, {
         operation: 'changeLicense',
-        licenseKey,
+        licenseKey: licenseKeyVault.mask(licenseKey),
         customerDocumentNumber,
         newProductRef,
         adminId
@@ -128,7 +160,7 @@ class LicenseChangeService {
    */
   async findAndValidateLicense (licenseKey, transaction) {
     const license = await License.findOne({
-      where: { licenseKey },
+      where: { licenseKeyHash: licenseKeyVault.hash(licenseKey) },
       lock: transaction.LOCK.UPDATE,
       transaction
     })
@@ -264,15 +296,26 @@ class LicenseChangeService {
    * Execute the license change transaction
    */
   async executeLicenseChange (currentLicense, newLicense, order, newProduct, customer, adminId, transaction) {
-    // 1. Update order to new product
-    await order.update({
-      productRef: newProduct.productRef
-    }, { transaction })
+    // 1. Update the order line (and the order's primary product) to the new product.
+    // Lines with several units keep their product; only the changed license moves.
+    if (currentLicense.orderItemId) {
+      const orderItem = await OrderItem.findByPk(currentLicense.orderItemId, { transaction })
+      if (orderItem && orderItem.qty === 1) {
+        await orderItem.update({ productRef: newProduct.productRef }, { transaction })
+      }
+    }
+
+    if (order.productRef === currentLicense.productRef && (order.qty || 1) === 1) {
+      await order.update({
+        productRef: newProduct.productRef
+      }, { transaction })
+    }
 
-    // 2. Assign new license to the order
+    // 2. Assign new license to the order (same line as the old one)
     await newLicense.update({
       status: 'SOLD',
       orderId: order.id,
+      orderItemId: currentLicense.orderItemId || null,
       soldAt: new Date()
     }, { transaction })
 
@@ -280,6 +323,7 @@ class LicenseChangeService {
     await currentLicense.update({
       status: 'AVAILABLE',
       orderId: null,
+      orderItemId: null,
       soldAt: null,
       reservedAt: null
     }, { transaction })
@@ -300,9 +344,9 @@ class LicenseChangeService {
       email: undefined,
       licenseChange: {
         changedAt: new Date().toISOString(),
-        oldLicenseKey: currentLicense.licenseKey,
+        oldLicenseId: currentLicense.id,
         oldProductRef: currentLicense.productRef,
-        newLicenseKey: newLicense.licenseKey,
+        newLicenseId: newLicense.id,
         newProductRef: newProduct.productRef,
         customerDocumentNumber: customer.document_number,
         adminId,
@@ -350,132 +394,26 @@ class LicenseChangeService {
   }
 
   /**
-   * Send change notification email (async version)
-   */
-  async sendChangeNotificationEmailAsync (changeResult) {
-    try {
-      const emailResult = await emailService.sendLicenseChangeEmail({
-        customer: changeResult.customer,
-        oldProduct: { name: changeResult.changeInfo.oldProductName },
-        newProduct: { name: changeResult.changeInfo.newProductName },
-        oldLicense: changeResult.oldLicense,
-        newLicense: changeResult.newLicense,
-        order: changeResult.order
-      })
-
-      // Update order shipping info with email details (separate transaction)
-      await TransactionManager.executeInventoryTransaction(async (t) => {
-        const order = await Order.findByPk(changeResult.order.id, { transaction: t })
-        const currentShippingInfo = order.shippingInfo || {}
-
-        const updatedShippingInfo = {
-          ...currentShippingInfo,
-          licenseChange: {
-            ...currentShippingInfo.licenseChange,
-            emailSent: true,
-            emailSentAt: new Date().toISOString(),
-            emailMessageId: emailResult.messageId,
-            emailPending: false
-          }
-        }
-
-        await order.update({
-          shippingInfo: updatedShippingInfo
-        }, { transaction: t })
-      })
-
-      logger.logBusiness('licenseChange:emailSent', {
-        orderId: changeResult.order.id,
-        customerEmail: changeResult.customer.email,
-        messageId: emailResult.messageId
-      })
-
-      return emailResult
-    } catch (error) {
-      // Update order to reflect email failure
-      await TransactionManager.executeInventoryTransaction(async (t) => {
-        const order = await Order.findByPk(changeResult.order.id, { transaction: t })
-        const currentShippingInfo = order.shippingInfo || {}
-
-        const updatedShippingInfo = {
-          ...currentShippingInfo,
-          licenseChange: {
-            ...currentShippingInfo.licenseChange,
-            emailSent: false,
-            emailAttemptedAt: new Date().toISOString(),
-            emailError: error.message,
-            emailPending: false
-          }
-        }
-
-        await order.update({
-          shippingInfo: updatedShippingInfo
-        }, { transaction: t })
-      })
-
-      logger.logError(error, {
-        operation: 'sendChangeNotificationEmailAsync',
-        orderId: changeResult.order.id,
-        customerEmail: changeResult.customer.email,
-        severity: 'WARNING'
-      })
-
-      throw error
-    }
-  }
-
-  /**
-   * Send change notification email (sync version for backwards compatibility)
+   * Queue change notification email in the outbox
+   * The outbox worker updates shippingInfo.licenseChange once the email is sent
    */
-  async sendChangeNotificationEmail (changeResult, transaction) {
-    try {
-      const emailResult = await emailService.sendLicenseChangeEmail({
-        customer: changeResult.customer,
-        oldProduct: { name: changeResult.changeInfo.oldProductName },
-        newProduct: { name: changeResult.changeInfo.newProductName },
-        oldLicense: changeResult.oldLicense,
-        newLicense: changeResult.newLicense,
-        order: changeResult.order
-      })
-
-      // Update order shipping info with email details
-      const order = await Order.findByPk(changeResult.order.id, { transaction })
-      const currentShippingInfo = order.shippingInfo || {}
-
-      const updatedShippingInfo = {
-        ...currentShippingInfo,
-        licenseChange: {
-          ...currentShippingInfo.licenseChange,
-          emailSent: true,
-          emailSentAt: new Date().toISOString(),
-          emailMessageId: emailResult.messageId,
-          emailPending: false
-        }
-      }
-
-      await order.update({
-        shippingInfo: updatedShippingInfo
-      }, { transaction })
-
-      logger.logBusiness('licenseChange:emailSent', {
-        orderId: changeResult.order.id,
-        customerEmail: changeResult.customer.email,
-        messageId: emailResult.messageId
-      })
-
-      return emailResult
-    } catch (error) {
-      logger.logError(error, {
-        operation: 'sendChangeNotificationEmail',
-        orderId: changeResult.order.id,
-        customerEmail: changeResult.customer.email,
-        severity: 'WARNING'
-      })
+  async queueChangeNotificationEmail (changeResult, transaction) {
+    const entry = await emailService.queueLicenseChangeEmail({
+      customer: changeResult.customer,
+      oldProduct: { name: changeResult.changeInfo.oldProductName },
+      newProduct: { name: changeResult.changeInfo.newProductName },
+      oldLicense: changeResult.oldLicense,
+      newLicense: changeResult.newLicense,
+      order: changeResult.order
+    }, transaction)
+
+    logger.logBusiness('licenseChange:emailQueued', {
+      orderId: changeResult.order.id,
+      customerEmail: changeResult.customer.email,
+      outboxId: entry?.id
+    })
 
-      // Don't fail the entire operation for email errors
-      // Just log and continue
-      return { success: false, error: error.message }
-    }
+    return entry
   }
 }
 
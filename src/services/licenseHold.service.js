@@ -0,0 +1,206 @@
+const { Op } = require('sequelize')
+const { License } = require('../models')
+const orderLines = require('../utils/orderLines')
+const logger = require('../config/logger')
+
+/**
+ * License Hold Service - Retención de licencias durante el checkout
+ *
+ * Con LICENSE_HOLD_ENABLED=true, createPaymentIntent aparta licencias AVAILABLE como RESERVED
+ * para la orden hasta que OrderTimeoutJob la cancela (ORDER_TIMEOUT_MINUTES desde su creación).
+ * El pago exitoso las convierte en SOLD; el fallo, la cancelación o el vencimiento las devuelven a AVAILABLE.
+ * Las retenciones se distinguen de las reservas de lista de espera por holdExpiresAt.
+ */
+class LicenseHoldService {
+  constructor () {
+    this.enabled = process.env.LICENSE_HOLD_ENABLED === 'true'
+    this.holdMinutes = parseInt(process.env.ORDER_TIMEOUT_MINUTES) || 30
+  }
+
+  /**
+   * Condición de las licencias retenidas para una orden
+   */
+  heldWhere (orderId) {
+    return {
+      orderId,
+      status: 'RESERVED',
+      holdExpiresAt: { [Op.ne]: null }
+    }
+  }
+
+  /**
+   * Retener licencias para las líneas de una orden al iniciar el pago
+   * Es idempotente: solo aparta las unidades que aún no tienen retención.
+   * Si no hay stock suficiente el checkout continúa; las unidades faltantes irán a la lista de espera al pagar.
+   * @param {Order} order - Orden PENDING
+   * @param {Array<OrderItem>} items - Líneas de la orden con su producto
+   * @param {Product} product - Producto principal (órdenes sin líneas)
+   * @param {Object} dbTransaction - Transacción de base de datos
+   * @returns {Promise<Object>} { held, missing, expiresAt }
+   */
+  async holdForOrder (order, items, product, dbTransaction) {
+    if (!this.enabled) {
+      return { held: 0, missing: 0, expiresAt: null }
+    }
+
+    const createdAt = order.createdAt ? new Date(order.createdAt).getTime() : Date.now()
+    const expiresAt = new Date(createdAt + this.holdMinutes * 60 * 1000)
+    const lines = orderLines.getLicenseLines({
+      productRef: order.productRef,
+      qty: order.qty,
+      subtotal: order.subtotal,
+      grandTotal: order.grandTotal,
+      items,
+      product
+    })
+
+    let held = 0
+    let missing = 0
+
+    for (const line of lines) {
+      const alreadyHeld = await License.count({
+        where: { ...this.heldWhere(order.id), orderItemId: line.orderItemId },
+        transaction: dbTransaction
+      })
+
+      const needed = line.qty - alreadyHeld
+      if (needed <= 0) {
+        continue
+      }
+
+      const available = await License.findAll({
+        where: {
+          productRef: line.productRef,
+          status: 'AVAILABLE'
+        },
+        order: [['id', 'ASC']],
+        limit: needed,
+        lock: dbTransaction.LOCK.UPDATE,
+        transaction: dbTransaction
+      })
+
+      for (const license of available) {
+        await license.update({
+          status: 'RESERVED',
+          orderId: order.id,
+          orderItemId: line.orderItemId,
+          reservedAt: new Date(),
+          holdExpiresAt: expiresAt
+        }, { transaction: dbTransaction })
+      }
+
+      held += available.length
+      missing += needed - available.length
+    }
+
+    if (held > 0 || missing > 0) {
+      logger.logBusiness('license:hold.created', {
+        orderId: order.id,
+        held,
+        missing,
+        expiresAt
+      })
+    }
+
+    return { held, missing, expiresAt }
+  }
+
+  /**
+   * Licencias para entregar una línea pagada: primero las retenidas en el checkout, luego stock AVAILABLE
+   * Quedan bloqueadas en la transacción para que el llamador las marque como SOLD
+   * @param {Order} order - Orden
+   * @param {Object} line - Línea normalizada (orderLines)
+   * @param {Object} dbTransaction - Transacción de base de datos
+   * @returns {Promise<Array<License>>} Hasta line.qty licencias
+   */
+  async claimLicenses (order, line, dbTransaction) {
+    const held = this.enabled
+      ? await License.findAll({
+        where: {
+          ...this.heldWhere(order.id),
+          orderItemId: line.orderItemId,
+          productRef: line.productRef
+        },
+        order: [['id', 'ASC']],
+        limit: line.qty,
+        lock: dbTransaction.LOCK.UPDATE,
+        transaction: dbTransaction
+      })
+      : []
+
+    if (held.length >= line.qty) {
+      return held
+    }
+
+    const available = await License.findAll({
+      where: {
+        productRef: line.productRef,
+        status: 'AVAILABLE'
+      },
+      limit: line.qty - held.length,
+      lock: dbTransaction.LOCK.UPDATE,
+      transaction: dbTransaction
+    })
+
+    return held.concat(available)
+  }
+
+  /**
+   * Devolver a AVAILABLE las licencias retenidas de una orden
+   * @param {number} orderId - ID de la orden
+   * @param {Object} dbTransaction - Transacción de base de datos
+   * @param {string} reason - Motivo (ORDER_TIMEOUT, PAYMENT_FAILED, ORDER_CANCELED...)
+   * @returns {Promise<number>} Licencias liberadas
+   */
+  async releaseForOrder (orderId, dbTransaction, reason) {
+    const [released] = await License.update({
+      status: 'AVAILABLE',
+      orderId: null,
+      orderItemId: null,
+      reservedAt: null,
+      holdExpiresAt: null
+    }, {
+      where: this.heldWhere(orderId),
+      transaction: dbTransaction
+    })
+
+    if (released > 0) {
+      logger.logBusiness('license:hold.released', {
+        orderId,
+        released,
+        reason
+      })
+    }
+
+    return released
+  }
+
+  /**
+   * Liberar retenciones vencidas cuya orden ya no está pendiente de pago
+   * Red de seguridad para órdenes que salieron de PENDING sin pasar por el pago o el timeout
+   * @returns {Promise<number>} Licencias liberadas
+   */
+  async releaseExpiredHolds () {
+    const expired = await License.findAll({
+      where: {
+        status: 'RESERVED',
+        holdExpiresAt: { [Op.lt]: new Date() }
+      },
+      include: [{ association: 'order', attributes: ['id', 'status'] }]
+    })
+
+    const orderIds = [...new Set(expired
+      .filter(license => !license.order || license.order.status !== 'PENDING')
+      .map(license => license.orderId))]
+
+    let released = 0
+    for (const orderId of orderIds) {
+      released += await this.releaseForOrder(orderId, undefined, 'HOLD_EXPIRED')
+    }
+
+    return released
+  }
+}
+
+// Exportar singleton
+module.exports = new LicenseHoldService()
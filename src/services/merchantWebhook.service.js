@@ -0,0 +1,526 @@
+const crypto = require('crypto')
+const axios = require('axios')
+const { Op } = require('sequelize')
+const { WebhookSubscription, WebhookDelivery, WEBHOOK_EVENT_TYPES } = require('../models')
+const logger = require('../config/logger')
+const orderLines = require('../utils/orderLines')
+const { getOrderCurrency } = require('../utils/currency')
+
+// Una entrega que queda en SENDING más de este tiempo se considera abandonada (worker caído)
+const STALE_SENDING_MINUTES = 10
+
+// Máximo de caracteres de la respuesta del comercio que se guardan en el log
+const RESPONSE_BODY_MAX_LENGTH = 1000
+
+/**
+ * Webhooks salientes para comercios (LMS, ERP...)
+ * Los eventos se registran en webhook_deliveries dentro de la transacción del negocio;
+ * el job merchantWebhooks los envía firmados con HMAC-SHA256 y reintenta con backoff exponencial.
+ */
+class MerchantWebhookService {
+  constructor () {
+    this.intervalSeconds = parseInt(process.env.MERCHANT_WEBHOOK_INTERVAL_SECONDS) || 30
+    this.maxAttempts = parseInt(process.env.MERCHANT_WEBHOOK_MAX_ATTEMPTS) || 8
+    this.retryBaseSeconds = parseInt(process.env.MERCHANT_WEBHOOK_RETRY_BASE_SECONDS) || 30
+    this.timeoutMs = parseInt(process.env.MERCHANT_WEBHOOK_TIMEOUT_MS) || 10000
+    this.batchSize = parseInt(process.env.MERCHANT_WEBHOOK_BATCH_SIZE) || 20
+  }
+
+  /**
+   * Registrar una suscripción
+   * El secreto solo se devuelve en la creación y en la rotación
+   * @param {Object} data - { url, events, description, isActive }
+   * @param {number} adminId - Administrador que registra la suscripción
+   * @returns {Promise<Object>} Suscripción con su secreto
+   */
+  async createSubscription (data, adminId = null) {
+    this.validateEvents(data.events)
+
+    const subscription = await WebhookSubscription.create({
+      url: data.url,
+      description: data.description || null,
+      events: [...new Set(data.events)],
+      isActive: data.isActive !== undefined ? data.isActive : true,
+      secret: this.generateSecret(),
+      createdBy: adminId
+    })
+
+    logger.logBusiness('merchantWebhook:subscription.created', {
+      subscriptionId: subscription.id,
+      url: subscription.url,
+      events: subscription.events,
+      adminId
+    })
+
+    return subscription.toJSON()
+  }
+
+  /**
+   * Listar suscripciones (sin secreto)
+   */
+  async listSubscriptions () {
+    const subscriptions = await WebhookSubscription.findAll({
+      attributes: { exclude: ['secret'] },
+      order: [['createdAt', 'DESC']]
+    })
+
+    return subscriptions
+  }
+
+  /**
+   * Obtener una suscripción por ID (sin secreto)
+   */
+  async getSubscription (id) {
+    const subscription = await WebhookSubscription.findByPk(id, {
+      attributes: { exclude: ['secret'] }
+    })
+
+    if (!subscription) {
+      throw new Error('Suscripción de webhook no encontrada')
+    }
+
+    return subscription
+  }
+
+  /**
+   * Actualizar URL, eventos, descripción o estado de una suscripción
+   * @param {number} id - ID de la suscripción
+   * @param {Object} data - { url, events, description, isActive, rotateSecret }
+   * @returns {Promise<Object>} Suscripción actualizada (con secreto solo si se rotó)
+   */
+  async updateSubscription (id, data) {
+    const subscription = await WebhookSubscription.findByPk(id)
+
+    if (!subscription) {
+      throw new Error('Suscripción de webhook no encontrada')
+    }
+
+    const updates = {}
+    if (data.url !== undefined) updates.url = data.url
+    if (data.description !== undefined) updates.description = data.description
+    if (data.isActive !== undefined) updates.isActive = data.isActive
+    if (data.events !== undefined) {
+      this.validateEvents(data.events)
+      updates.events = [...new Set(data.events)]
+    }
+    if (data.rotateSecret) {
+      updates.secret = this.generateSecret()
+    }
+
+    await subscription.update(updates)
+
+    logger.logBusiness('merchantWebhook:subscription.updated', {
+      subscriptionId: subscription.id,
+      fields: Object.keys(updates).filter(field => field !== 'secret'),
+      secretRotated: !!data.rotateSecret
+    })
+
+    const result = subscription.toJSON()
+    if (!data.rotateSecret) {
+      delete result.secret
+    }
+    return result
+  }
+
+  /**
+   * Eliminar una suscripción junto con su log de entregas
+   */
+  async deleteSubscription (id) {
+    const subscription = await WebhookSubscription.findByPk(id)
+
+    if (!subscription) {
+      throw new Error('Suscripción de webhook no encontrada')
+    }
+
+    await WebhookDelivery.destroy({ where: { subscriptionId: subscription.id } })
+    await subscription.destroy()
+
+    logger.logBusiness('merchantWebhook:subscription.deleted', {
+      subscriptionId: subscription.id,
+      url: subscription.url
+    })
+  }
+
+  /**
+   * Emitir un evento a las suscripciones activas que lo escuchan
+   * Con dbTransaction las entregas solo existen si la transacción del negocio confirma
+   * @param {string} eventType - Tipo de evento (WEBHOOK_EVENT_TYPES)
+   * @param {Object} data - Datos del evento
+   * @param {Object} dbTransaction - Transacción del negocio (opcional)
+   * @returns {Promise<Array<WebhookDelivery>>} Entregas creadas
+   */
+  async emit (eventType, data, dbTransaction = null) {
+    if (!WEBHOOK_EVENT_TYPES.includes(eventType)) {
+      throw new Error(`Tipo de evento de webhook no soportado: ${eventType}`)
+    }
+
+    const subscriptions = await WebhookSubscription.findAll({
+      where: {
+        isActive: true,
+        events: { [Op.contains]: [eventType] }
+      },
+      attributes: ['id'],
+      transaction: dbTransaction || undefined
+    })
+
+    if (subscriptions.length === 0) {
+      return []
+    }
+
+    const payload = {
+      id: crypto.randomUUID(),
+      type: eventType,
+      createdAt: new Date().toISOString(),
+      data
+    }
+
+    const deliveries = []
+    for (const subscription of subscriptions) {
+      deliveries.push(await WebhookDelivery.create({
+        subscriptionId: subscription.id,
+        eventId: payload.id,
+        eventType,
+        payload,
+        maxAttempts: this.maxAttempts,
+        nextAttemptAt: new Date()
+      }, { transaction: dbTransaction || undefined }))
+    }
+
+    logger.logBusiness('merchantWebhook:emitted', {
+      eventId: payload.id,
+      eventType,
+      subscriptions: subscriptions.length
+    })
+
+    return deliveries
+  }
+
+  /**
+   * Procesar las entregas pendientes cuyo próximo intento ya venció
+   * @param {Object} options
+   * @param {number} options.limit - Máximo de entregas por ejecución
+   * @returns {Promise<Object>} Resumen de la ejecución
+   */
+  async processPending ({ limit = this.batchSize } = {}) {
+    const results = { processed: 0, delivered: 0, retrying: 0, failed: 0 }
+
+    await this.releaseStaleDeliveries()
+
+    const deliveries = await WebhookDelivery.findAll({
+      where: {
+        status: 'PENDING',
+        nextAttemptAt: { [Op.lte]: new Date() }
+      },
+      order: [['nextAttemptAt', 'ASC']],
+      limit
+    })
+
+    for (const delivery of deliveries) {
+      // Reclamar la entrega: otra instancia pudo tomarla entre la consulta y este punto
+      const [claimed] = await WebhookDelivery.update(
+        { status: 'SENDING' },
+        { where: { id: delivery.id, status: 'PENDING' } }
+      )
+      if (claimed === 0) {
+        continue
+      }
+
+      await this.deliver(delivery)
+      results.processed++
+
+      if (delivery.status === 'DELIVERED') {
+        results.delivered++
+      } else if (delivery.status === 'FAILED') {
+        results.failed++
+      } else {
+        results.retrying++
+      }
+    }
+
+    if (results.processed > 0) {
+      logger.logBusiness('merchantWebhook:processed', results)
+    }
+
+    return results
+  }
+
+  /**
+   * Realizar un intento de entrega ya reclamado (estado SENDING)
+   * Cualquier respuesta 2xx confirma la entrega; el resto se reintenta
+   * @param {WebhookDelivery} delivery - Entrega
+   * @returns {Promise<WebhookDelivery>} Entrega actualizada
+   */
+  async deliver (delivery) {
+    const attempt = delivery.attempts + 1
+    const subscription = await WebhookSubscription.findByPk(delivery.subscriptionId)
+
+    if (!subscription || !subscription.isActive) {
+      await delivery.update({
+        status: 'FAILED',
+        attempts: attempt,
+        lastError: 'Suscripción inactiva o eliminada'
+      })
+      return delivery
+    }
+
+    const body = JSON.stringify(delivery.payload)
+    const timestamp = Math.floor(Date.now() / 1000)
+    const startTime = Date.now()
+    let response = null
+    let deliveryError = null
+
+    try {
+      response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'payment-services-webhooks/1.0',
+          'X-Webhook-Id': delivery.eventId,
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${this.sign(body, subscription.secret, timestamp)}`
+        },
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        validateStatus: status => status >= 200 && status < 300
+      })
+    } catch (error) {
+      deliveryError = error
+      response = error.response || null
+    }
+
+    const responseFields = {
+      attempts: attempt,
+      responseStatus: response ? response.status : null,
+      responseBody: response ? this.truncateBody(response.data) : null,
+      durationMs: Date.now() - startTime
+    }
+
+    if (!deliveryError) {
+      await delivery.update({
+        ...responseFields,
+        status: 'DELIVERED',
+        deliveredAt: new Date(),
+        lastError: null
+      })
+
+      logger.logBusiness('merchantWebhook:delivered', {
+        deliveryId: delivery.id,
+        subscriptionId: subscription.id,
+        eventType: delivery.eventType,
+        attempt
+      })
+    } else {
+      const exhausted = attempt >= delivery.maxAttempts
+
+      await delivery.update({
+        ...responseFields,
+        status: exhausted ? 'FAILED' : 'PENDING',
+        lastError: deliveryError.message,
+        nextAttemptAt: exhausted ? delivery.nextAttemptAt : new Date(Date.now() + this.getRetryDelay(attempt))
+      })
+
+      logger.logError(deliveryError, {
+        operation: 'merchantWebhook.deliver',
+        deliveryId: delivery.id,
+        subscriptionId: subscription.id,
+        eventType: delivery.eventType,
+        responseStatus: responseFields.responseStatus,
+        attempt,
+        exhausted
+      })
+    }
+
+    return delivery
+  }
+
+  /**
+   * Reenviar manualmente una entrega (conserva el eventId para que el comercio deduplique)
+   * @param {number} id - ID de la entrega original
+   * @returns {Promise<WebhookDelivery>} Nueva entrega con el resultado del intento
+   */
+  async replayDelivery (id) {
+    const original = await WebhookDelivery.findByPk(id)
+
+    if (!original) {
+      throw new Error('Entrega de webhook no encontrada')
+    }
+
+    const replay = await WebhookDelivery.create({
+      subscriptionId: original.subscriptionId,
+      eventId: original.eventId,
+      eventType: original.eventType,
+      payload: original.payload,
+      status: 'SENDING',
+      maxAttempts: this.maxAttempts,
+      nextAttemptAt: new Date(),
+      replayOf: original.id
+    })
+
+    logger.logBusiness('merchantWebhook:replayed', {
+      deliveryId: original.id,
+      replayId: replay.id,
+      eventType: original.eventType
+    })
+
+    return await this.deliver(replay)
+  }
+
+  /**
+   * Listar el log de entregas con filtros y paginación
+   * @param {Object} filters - { subscriptionId, status, eventType, page, limit }
+   */
+  async listDeliveries ({ subscriptionId, status, eventType, page = 1, limit = 20 } = {}) {
+    const where = {}
+    if (subscriptionId) where.subscriptionId = subscriptionId
+    if (status) where.status = status
+    if (eventType) where.eventType = eventType
+
+    const { count, rows } = await WebhookDelivery.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    })
+
+    return {
+      deliveries: rows,
+      pagination: {
+        total: count,
+        page,
+        limit,
+        pages: Math.ceil(count / limit)
+      }
+    }
+  }
+
+  /**
+   * Emitir order.canceled; lo usan todos los caminos que cancelan una orden
+   * (vencimiento, cancelación manual y pago fallido)
+   * @param {Order} order - Orden cancelada
+   * @param {Object} details - { reason, licensesReturned }
+   * @param {Object} dbTransaction - Transacción del negocio
+   * @returns {Promise<Array<WebhookDelivery>>}
+   */
+  async emitOrderCanceled (order, { reason, licensesReturned = 0 }, dbTransaction = null) {
+    return await this.emit('order.canceled', {
+      orderId: order.id,
+      customerId: order.customerId,
+      reason,
+      licensesReturned
+    }, dbTransaction)
+  }
+
+  /**
+   * Emitir license.delivered con las licencias entregadas de una orden
+   * (pago confirmado o reactivación); no hace nada si no hay licencias
+   * @param {Order} order - Orden con customer e items cargados
+   * @param {Array<License>} licenses - Licencias entregadas
+   * @param {Object} dbTransaction - Transacción del negocio
+   * @returns {Promise<Array<WebhookDelivery>>}
+   */
+  async emitLicensesDelivered (order, licenses, dbTransaction = null) {
+    if (licenses.length === 0) {
+      return []
+    }
+
+    return await this.emit('license.delivered', {
+      ...this.buildOrderData(order),
+      licenses: licenses.map(license => ({
+        licenseId: license.id,
+        productRef: license.productRef,
+        orderItemId: license.orderItemId || null
+      }))
+    }, dbTransaction)
+  }
+
+  /**
+   * Datos comunes de una orden para los eventos (sin claves de licencia)
+   * @param {Order} order - Orden con customer e items cargados
+   * @returns {Object}
+   */
+  buildOrderData (order) {
+    return {
+      orderId: order.id,
+      status: order.status,
+      customerId: order.customerId,
+      customerEmail: order.customer?.email || null,
+      currency: getOrderCurrency(order),
+      grandTotal: order.grandTotal,
+      items: orderLines.getLines(order).map(line => ({
+        orderItemId: line.orderItemId,
+        productRef: line.productRef,
+        qty: line.qty
+      }))
+    }
+  }
+
+  /**
+   * Firma HMAC-SHA256 de un cuerpo: hex(HMAC(secret, `${timestamp}.${body}`))
+   * @param {string} body - Cuerpo JSON tal como se envía
+   * @param {string} secret - Secreto de la suscripción
+   * @param {number} timestamp - Segundos Unix enviados en X-Webhook-Timestamp
+   * @returns {string} Firma en hexadecimal
+   */
+  sign (body, secret, timestamp) {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex')
+  }
+
+  /**
+   * Backoff exponencial entre intentos: base, 2x base, 4x base...
+   * @param {number} attempt - Número del intento que falló (1-based)
+   * @returns {number} Milisegundos hasta el siguiente intento
+   */
+  getRetryDelay (attempt) {
+    return this.retryBaseSeconds * 1000 * Math.pow(2, attempt - 1)
+  }
+
+  /**
+   * Devolver a PENDING las entregas que quedaron en SENDING por una caída del worker
+   */
+  async releaseStaleDeliveries () {
+    const staleBefore = new Date(Date.now() - STALE_SENDING_MINUTES * 60 * 1000)
+
+    const [released] = await WebhookDelivery.update(
+      { status: 'PENDING' },
+      {
+        where: {
+          status: 'SENDING',
+          updatedAt: { [Op.lt]: staleBefore }
+        }
+      }
+    )
+
+    if (released > 0) {
+      logger.warn('MerchantWebhookService: Released stale deliveries', { released })
+    }
+  }
+
+  validateEvents (events) {
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new Error('Debe suscribirse al menos a un evento')
+    }
+
+    const invalid = events.filter(event => !WEBHOOK_EVENT_TYPES.includes(event))
+    if (invalid.length > 0) {
+      throw new Error(`Eventos no soportados: ${invalid.join(', ')}`)
+    }
+  }
+
+  generateSecret () {
+    return `whsec_${crypto.randomBytes(32).toString('hex')}`
+  }
+
+  truncateBody (data) {
+    if (data === undefined || data === null) {
+      return null
+    }
+
+    const text = typeof data === 'string' ? data : JSON.stringify(data)
+    return text.slice(0, RESPONSE_BODY_MAX_LENGTH)
+  }
+}
+
+module.exports = new MerchantWebhookService()
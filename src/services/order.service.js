@@ -1,17 +1,113 @@
-const { Order, Transaction, Product, User, License, sequelize } = require('../models')
+const { Order, OrderItem, Transaction, Product, User, License, sequelize } = require('../models')
 const { Op } = require('sequelize')
 const logger = require('../config/logger')
 const userService = require('./user.service')
 const TransactionManager = require('../utils/transactionManager')
+const orderLines = require('../utils/orderLines')
+const couponService = require('./coupon.service')
+const discountService = require('./discount.service')
+const taxService = require('./tax.service')
+const licenseHoldService = require('./licenseHold.service')
+const auditService = require('./audit.service')
+const merchantWebhookService = require('./merchantWebhook.service')
+
+/**
+ * Normalize the order payload into cart line items
+ * Accepts the cart format (`items: [{ productRef, qty }]`) and the legacy single
+ * product format (`productRef` + `qty`). Repeated productRefs are merged into one line.
+ */
+function normalizeOrderItems (orderData) {
+  const rawItems = Array.isArray(orderData.items) && orderData.items.length > 0
+    ? orderData.items
+    : orderData.productRef
+      ? [{ productRef: orderData.productRef, qty: orderData.qty }]
+      : []
+
+  if (rawItems.length === 0) {
+    throw new Error('At least one item is required')
+  }
+
+  const merged = new Map()
+  for (const item of rawItems) {
+    if (!item || !item.productRef) {
+      throw new Error('Each item requires a productRef')
+    }
+
+    const qty = parseInt(item.qty || 1, 10)
+    if (!Number.isInteger(qty) || qty < 1) {
+      throw new Error(`Invalid qty for product ${item.productRef}`)
+    }
+
+    merged.set(item.productRef, (merged.get(item.productRef) || 0) + qty)
+  }
+
+  return [...merged.entries()].map(([productRef, qty]) => ({ productRef, qty }))
+}
+
+/**
+ * Resolve the unit price of a product in the given currency
+ * The base price applies in the product currency; other currencies come from its price list
+ * @param {Object} product - Product with its prices association loaded
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} - Unit price in minor units
+ */
+function resolveUnitPrice (product, currency) {
+  if ((product.currency || 'USD') === currency) {
+    return product.price
+  }
+
+  const entry = (product.prices || []).find(price => price.currency === currency)
+  if (!entry) {
+    throw new Error(`Product ${product.productRef} has no price in ${currency}`)
+  }
+
+  return entry.price
+}
+
+/**
+ * Calculate the totals of a single line item
+ * @param {Object} product - Product with its discount and prices associations loaded
+ * @param {number} qty - Units purchased
+ * @param {Date} now - Reference date to evaluate discount validity
+ * @param {string} currency - Order currency (defaults to the product currency)
+ * @returns {Object} - Line amounts in minor units
+ */
+function calculateLineTotals (product, qty, now = new Date(), currency = product.currency || 'USD') {
+  const unitPrice = resolveUnitPrice(product, currency)
+  const subtotal = unitPrice * qty
+
+  let discountTotal = 0
+  if (product.hasDiscount && product.discount) {
+    if (product.discount.isActive &&
+        product.discount.startDate <= now &&
+        product.discount.endDate >= now) {
+      discountTotal = discountService.calculateDiscount(product.discount, {
+        subtotal,
+        qty,
+        currency
+      })
+    }
+  }
+
+  return {
+    unitPrice,
+    subtotal,
+    discountTotal,
+    ...taxService.calculateTax({ amount: subtotal - discountTotal, taxClass: product.taxClass })
+  }
+}
 
 /**
  * Create order with auto user creation and transaction
+ * An order can contain several products (cart); totals are the sum of its lines
  */
 async function createOrder (orderData) {
   try {
+    const items = normalizeOrderItems(orderData)
+
     logger.logBusiness('order:create', {
-      productRef: orderData.productRef,
-      qty: orderData.qty,
+      items,
+      currency: orderData.currency,
       provider: orderData.provider,
       customerEmail: orderData.customer?.email
     })
@@ -25,59 +121,118 @@ async function createOrder (orderData) {
         throw new Error('Customer information is required')
       }
 
-      // 2. Get product and validate
-      const product = await Product.findOne({
-        where: { productRef: orderData.productRef },
-        include: [{ association: 'discount' }],
+      // 2. Get products and validate
+      const products = await Product.findAll({
+        where: { productRef: items.map(item => item.productRef) },
+        include: [{ association: 'discount' }, { association: 'prices' }],
         transaction: t
       })
 
-      if (!product) {
-        throw new Error(`Product with reference ${orderData.productRef} not found`)
-      }
+      const orderProducts = items.map(item => {
+        const product = products.find(p => p.productRef === item.productRef)
 
-      if (!product.isActive) {
-        throw new Error(`Product ${orderData.productRef} is not available`)
-      }
+        if (!product) {
+          throw new Error(`Product with reference ${item.productRef} not found`)
+        }
 
-      // 3. Calculate totals
-      const qty = orderData.qty || 1
-      const subtotal = product.price * qty
-
-      let discountTotal = 0
-      if (product.hasDiscount && product.discount) {
-        const now = new Date()
-        if (product.discount.isActive &&
-            product.discount.startDate <= now &&
-            product.discount.endDate >= now) {
-          discountTotal = Math.floor((subtotal * product.discount.amount) / 100)
+        if (!product.isActive) {
+          throw new Error(`Product ${item.productRef} is not available`)
+        }
+
+        return product
+      })
+
+      // All lines are charged in a single transaction: every product is priced in the
+      // selected currency (the first product's currency when none is requested)
+      const currency = orderData.currency || orderProducts[0].currency || 'USD'
+
+      const now = new Date()
+      const lines = items.map((item, index) => ({
+        productRef: item.productRef,
+        qty: item.qty,
+        product: orderProducts[index],
+        currency,
+        ...calculateLineTotals(orderProducts[index], item.qty, now, currency)
+      }))
+
+      // 3. Apply coupon on top of automatic discounts (locks the coupon until commit)
+      let appliedCoupon = null
+      if (orderData.couponCode) {
+        appliedCoupon = await couponService.applyCoupon({
+          code: orderData.couponCode,
+          customerId,
+          lines
+        }, t)
+
+        for (const line of lines) {
+          const couponDiscount = appliedCoupon.lineDiscounts.get(line.productRef) || 0
+          if (couponDiscount > 0) {
+            line.discountTotal += couponDiscount
+            Object.assign(line, taxService.calculateTax({
+              amount: line.subtotal - line.discountTotal,
+              taxClass: line.product.taxClass
+            }))
+          }
         }
       }
 
-      // Simple tax calculation (can be enhanced)
-      const taxTotal = 0 // TODO: implement tax calculation based on customer location
-      const grandTotal = subtotal - discountTotal + taxTotal
+      // 4. Calculate totals
+      const totals = lines.reduce((acc, line) => ({
+        qty: acc.qty + line.qty,
+        subtotal: acc.subtotal + line.subtotal,
+        discountTotal: acc.discountTotal + line.discountTotal,
+        taxTotal: acc.taxTotal + line.taxTotal,
+        grandTotal: acc.grandTotal + line.grandTotal
+      }), { qty: 0, subtotal: 0, discountTotal: 0, taxTotal: 0, grandTotal: 0 })
 
-      // 4. Create order
+      // 5. Create order and its line items
       const order = await Order.create({
         customerId,
-        productRef: orderData.productRef,
-        qty,
-        subtotal,
-        discountTotal,
-        taxTotal,
-        grandTotal,
+        productRef: lines[0].productRef,
+        qty: totals.qty,
+        subtotal: totals.subtotal,
+        discountTotal: totals.discountTotal,
+        taxTotal: totals.taxTotal,
+        grandTotal: totals.grandTotal,
+        currency,
         status: 'PENDING',
         shippingInfo: orderData.shippingInfo || null
       }, { transaction: t })
 
-      // 5. Create initial transaction
+      const orderItems = []
+      for (const line of lines) {
+        const orderItem = await OrderItem.create({
+          orderId: order.id,
+          productRef: line.productRef,
+          qty: line.qty,
+          unitPrice: line.unitPrice,
+          subtotal: line.subtotal,
+          discountTotal: line.discountTotal,
+          taxClass: line.taxClass,
+          taxRate: line.taxRate,
+          taxBase: line.taxBase,
+          taxTotal: line.taxTotal,
+          grandTotal: line.grandTotal
+        }, { transaction: t })
+        orderItems.push(orderItem)
+      }
+
+      if (appliedCoupon) {
+        await couponService.recordRedemption({
+          coupon: appliedCoupon.coupon,
+          orderId: order.id,
+          customerId,
+          discountTotal: appliedCoupon.discountTotal
+        }, t)
+      }
+
+      // 6. Create initial transaction
       const transaction = await Transaction.create({
         orderId: order.id,
         gateway: orderData.provider || 'mock',
         gatewayRef: `temp-${order.id}-${Date.now()}`, // Will be updated when payment intent is created
-        amount: grandTotal,
-        currency: product.currency || 'USD',
+        amount: totals.grandTotal,
+        currency,
         status: 'CREATED'
       }, { transaction: t })
 
@@ -85,19 +240,27 @@ async function createOrder (orderData) {
         orderId: order.id,
         customerId,
         transactionId: transaction.id,
-        grandTotal
+        itemsCount: orderItems.length,
+        couponCode: appliedCoupon?.coupon.code,
+        grandTotal: totals.grandTotal
       })
 
       return {
         order,
+        items: orderItems,
         transaction,
-        customer: { id: customerId }
+        customer: { id: customerId },
+        coupon: appliedCoupon
+          ? { code: appliedCoupon.coupon.code, discountTotal: appliedCoupon.discountTotal }
+          : null
       }
     })
   } catch (error) {
     logger.logError(error, {
       operation: 'createOrder',
       productRef: orderData.productRef,
+      items: orderData.items,
+      couponCode: orderData.couponCode,
       customerEmail: orderData.customer?.email
     })
     throw error
@@ -246,6 +409,7 @@ async function getOrderById (orderId, includeCustomer = true) {
   try {
     const include = [
       { association: 'product' },
+      { association: 'items', include: [{ association: 'product' }] },
       { association: 'transactions' }
     ]
 
@@ -269,35 +433,74 @@ async function getOrderById (orderId, includeCustomer = true) {
   }
 }
 
+/**
+ * Get an order owned by a customer
+ * Orders of other customers are reported as not found
+ */
+async function getCustomerOrder (customerId, orderId) {
+  const order = await getOrderById(orderId, false)
+
+  if (order.customerId !== customerId) {
+    throw new Error('Order not found')
+  }
+
+  return order
+}
+
 /**
  * Update order status
+ * The change is recorded in the audit log with the previous status
  */
-async function updateOrderStatus (orderId, status, transaction = null) {
-  try {
-    logger.logBusiness('order:statusUpdate', { orderId, status })
+async function updateOrderStatus (orderId, status, transaction = null, adminId = null) {
+  const run = async (t) => {
+    const order = await Order.findByPk(orderId, {
+      attributes: ['id', 'status'],
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    })
 
-    const options = transaction ? { transaction } : {}
+    if (!order) {
+      throw new Error('Order not found or not updated')
+    }
 
-    const [updatedRows] = await Order.update(
+    const previousStatus = order.status
+
+    await Order.update(
       { status },
       {
         where: { id: orderId },
-        ...options
+        transaction: t
       }
     )
 
-    if (updatedRows === 0) {
-      throw new Error('Order not found or not updated')
+    await auditService.record({
+      action: 'order.status_update',
+      entityType: 'Order',
+      entityId: orderId,
+      actorId: adminId,
+      before: { status: previousStatus },
+      after: { status }
+    }, t)
+  }
+
+  try {
+    logger.logBusiness('order:statusUpdate', { orderId, status, adminId })
+
+    if (transaction) {
+      await run(transaction)
+    } else {
+      await TransactionManager.executePaymentTransaction(run)
     }
 
-    logger.logBusiness('order:statusUpdate.success', { orderId, status })
+    logger.logBusiness('order:statusUpdate.success', { orderId, status, adminId })
 
     return true
   } catch (error) {
     logger.logError(error, {
       operation: 'updateOrderStatus',
       orderId,
-      status
+      status,
+      adminId
     })
     throw error
   }
@@ -320,8 +523,10 @@ async function getOrdersByCustomer (customerId, options = {}) {
       where,
       include: [
         { association: 'product' },
+        { association: 'items', include: [{ association: 'product' }] },
         { association: 'transactions' }
       ],
+      distinct: true,
       offset,
       limit,
       order: [['createdAt', 'DESC']]
@@ -380,8 +585,11 @@ async function cancelOrder (orderId, reason = 'MANUAL') {
         }
       )
 
-      // TODO: Return any reserved licenses
-      // This will be implemented when we integrate with license service
+      // Return licenses held at checkout (sold licenses go through the license return flow)
+      const licensesReturned = await licenseHoldService.releaseForOrder(orderId, t, reason)
+
+      // Notify subscribed merchants (outgoing webhook, same transaction)
+      await merchantWebhookService.emitOrderCanceled(order, { reason, licensesReturned }, t)
 
       logger.logBusiness('order:cancel.success', { orderId, reason })
 
@@ -449,9 +657,11 @@ async function getAllOrders (options = {}) {
       where,
       include: [
         { association: 'product' },
+        { association: 'items', include: [{ association: 'product' }] },
         { association: 'transactions' },
         { association: 'customer' }
       ],
+      distinct: true,
       offset,
       limit,
       order: [['createdAt', 'DESC']]
@@ -499,7 +709,8 @@ async function reviveOrder (orderId, reason = 'MANUAL', adminId = null) {
       include: [
         { association: 'product' },
         { association: 'customer' },
-        { association: 'transactions' }
+        { association: 'transactions' },
+        orderLines.ITEMS_INCLUDE
       ]
     })
 
@@ -526,56 +737,117 @@ async function reviveOrder (orderId, reason = 'MANUAL', adminId = null) {
       throw new Error('No valid transaction found for this order')
     }
 
-    // 4. Identificar que licencia busca el usuario y asignar una disponible
-    let licenseResult = null
-    if (order.product && order.product.license_type) {
-      // Buscar licencia disponible
-      const availableLicense = await License.findOne({
-        where: {
-          productRef: order.productRef,
-          status: 'AVAILABLE'
+    // 4. Ejecutar transacción para actualizar todo
+    const previousStatus = order.status
+    const result = await TransactionManager.executeWebhookTransaction(async (t) => {
+      // Identificar las licencias de cada línea con lock pesimista: otro revive o una venta
+      // concurrente no pueden tomar las mismas (las bloqueadas se saltan)
+      const lineAssignments = []
+      for (const line of orderLines.getLicenseLines(order)) {
+        const availableLicenses = await License.findAll({
+          where: {
+            productRef: line.productRef,
+            status: 'AVAILABLE'
+          },
+          limit: line.qty,
+          lock: t.LOCK.UPDATE,
+          skipLocked: true,
+          transaction: t
+        })
+
+        if (availableLicenses.length < line.qty) {
+          throw new Error(`No available licenses for product ${line.productRef}`)
         }
-      })
 
-      if (!availableLicense) {
-        throw new Error(`No available licenses for product ${order.productRef}`)
+        lineAssignments.push({ line, licenses: availableLicenses })
+      }
+      const assignedLicenses = lineAssignments.flatMap(assignment => assignment.licenses)
+
+      // Asignar licencias si existen
+      for (const { line, licenses } of lineAssignments) {
+        for (const license of licenses) {
+          await license.update({
+            status: 'SOLD',
+            orderId: order.id,
+            orderItemId: line.orderItemId,
+            soldAt: new Date()
+          }, { transaction: t })
+
+          logger.logBusiness('order:revive.licenseAssigned', {
+            orderId: order.id,
+            licenseId: license.id,
+            productRef: line.productRef
+          })
+        }
       }
 
-      licenseResult = availableLicense
-    }
-
-    // 5. Ejecutar transacción para actualizar todo
-    const result = await TransactionManager.executeWebhookTransaction(async (t) => {
-      // Asignar licencia si existe
-      if (licenseResult) {
-        await licenseResult.update({
-          status: 'SOLD',
-          orderId: order.id,
-          soldAt: new Date()
-        }, { transaction: t })
-
-        logger.logBusiness('order:revive.licenseAssigned', {
-          orderId: order.id,
-          licenseId: licenseResult.id,
-          productRef: order.productRef
-        })
+      // Encolar un correo por línea con sus licencias en la misma transacción
+      const emailService = require('./email')
+      const outboxIds = []
+      for (const { line, licenses } of lineAssignments) {
+        const entry = await emailService.queueLicenseEmail({
+          customer: order.customer,
+          product: line.product,
+          license: licenses[0],
+          licenses,
+          order: {
+            id: order.id,
+            createdAt: new Date() // Usar fecha actual para ordenes revividas
+          }
+        }, t)
+        outboxIds.push(entry.id)
       }
 
-      // Actualizar orden
+      const revivedAt = new Date().toISOString()
+      const emailQueued = outboxIds.length > 0
+
+      // Actualizar orden con la metadata de revivida y el correo encolado
       await order.update({
         status: 'COMPLETED',
         meta: {
           ...order.meta,
           revived: {
-            revivedAt: new Date().toISOString(),
+            revivedAt,
             reason,
             adminId,
-            emailSent: false,
-            licenseAssigned: !!licenseResult
+            emailQueued,
+            licenseAssigned: assignedLicenses.length > 0
           }
-        }
+        },
+        ...(emailQueued
+          ? {
+              shippingInfo: {
+                email: {
+                  sent: false,
+                  queued: true,
+                  queuedAt: revivedAt,
+                  outboxIds,
+                  recipient: order.customer.email,
+                  type: 'license_delivery',
+                  revived: true,
+                  revivedAt,
+                  reason,
+                  adminId
+                }
+              }
+            }
+          : {})
       }, { transaction: t })
 
+      await auditService.record({
+        action: 'order.revive',
+        entityType: 'Order',
+        entityId: order.id,
+        actorId: adminId,
+        before: { status: previousStatus },
+        after: { status: 'COMPLETED' },
+        metadata: {
+          reason,
+          transactionId: validTransaction.id,
+          licenseIds: assignedLicenses.map(license => license.id)
+        }
+      }, t)
+
       // Actualizar transacción
       await validTransaction.update({
         status: 'PAID',
@@ -583,121 +855,41 @@ async function reviveOrder (orderId, reason = 'MANUAL', adminId = null) {
         meta: {
           ...validTransaction.meta,
           revived: {
-            revivedAt: new Date().toISOString(),
+            revivedAt,
             reason,
             adminId
           }
         }
       }, { transaction: t })
 
+      // Notify subscribed merchants (outgoing webhook, same transaction)
+      await merchantWebhookService.emitLicensesDelivered(order, assignedLicenses, t)
+
       return {
         success: true,
         orderId: order.id,
         transactionId: validTransaction.id,
         status: 'COMPLETED',
-        licenseAssigned: !!licenseResult,
-        emailSent: false,
-        revivedAt: new Date().toISOString(),
+        licenseAssigned: assignedLicenses.length > 0,
+        emailQueued,
+        outboxIds,
+        emailRecipient: order.customer?.email,
+        revivedAt,
         reason,
         adminId,
         customer: order.customer,
         product: order.product,
-        license: licenseResult
-      }
-    })
-
-    // 6. Enviar correo con la licencia (FUERA de la transacción)
-    let emailSent = false
-    let emailResult = null
-    if (result.license) {
-      try {
-        const emailService = require('./email')
-        emailResult = await emailService.sendLicenseEmail({
-          customer: result.customer,
-          product: result.product,
-          license: result.license,
-          order: {
-            id: result.orderId,
-            createdAt: new Date() // Usar fecha actual para ordenes revividas
-          }
-        })
-        emailSent = true
-
-        logger.logBusiness('order:revive.emailSent', {
-          orderId: result.orderId,
-          customerEmail: result.customer.email,
-          licenseId: result.license.id,
-          messageId: emailResult?.messageId
-        })
-      } catch (emailError) {
-        logger.logError(emailError, {
-          operation: 'reviveOrder.sendEmail',
-          orderId: result.orderId,
-          customerEmail: result.customer?.email
-        })
-        // No fallar si el email no se puede enviar
-      }
-    }
-
-    // 7. Actualizar metadata y shippingInfo con el detalle de revivida y correo
-    const orderUpdates = {
-      meta: {
-        revived: {
-          revivedAt: result.revivedAt,
-          reason: result.reason,
-          adminId: result.adminId,
-          emailSent,
-          licenseAssigned: result.licenseAssigned
-        }
+        license: assignedLicenses[0] || null,
+        licenses: assignedLicenses
       }
-    }
-
-    // Actualizar shippingInfo si se envió el email
-    if (emailSent && emailResult) {
-      orderUpdates.shippingInfo = {
-        email: {
-          sent: true,
-          sentAt: new Date().toISOString(),
-          messageId: emailResult.messageId,
-          recipient: result.customer.email,
-          type: 'license_delivery',
-          revived: true,
-          revivedAt: result.revivedAt,
-          reason: result.reason,
-          adminId: result.adminId
-        }
-      }
-    } else if (!emailSent && result.license) {
-      // Si no se pudo enviar el email pero hay licencia, registrar el intento
-      orderUpdates.shippingInfo = {
-        email: {
-          sent: false,
-          attemptedAt: new Date().toISOString(),
-          recipient: result.customer.email,
-          type: 'license_delivery',
-          revived: true,
-          revivedAt: result.revivedAt,
-          reason: result.reason,
-          adminId: result.adminId,
-          error: 'Email sending failed during order revival'
-        }
-      }
-    }
-
-    await Order.update(orderUpdates, {
-      where: { id: result.orderId }
     })
 
-    result.emailSent = emailSent
-    result.emailMessageId = emailResult?.messageId
-    result.emailRecipient = result.customer?.email
-
     logger.logBusiness('order:revive.success', {
       orderId: result.orderId,
-      emailSent,
+      emailQueued: result.emailQueued,
+      outboxIds: result.outboxIds,
       licenseAssigned: result.licenseAssigned,
-      messageId: emailResult?.messageId,
-      recipient: result.customer?.email
+      recipient: result.emailRecipient
     })
 
     return result
@@ -714,7 +906,11 @@ async function reviveOrder (orderId, reason = 'MANUAL', adminId = null) {
 
 module.exports = {
   createOrder,
+  normalizeOrderItems,
+  resolveUnitPrice,
+  calculateLineTotals,
   getOrderById,
+  getCustomerOrder,
   updateOrderStatus,
   getOrdersByCustomer,
   cancelOrder,
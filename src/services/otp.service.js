@@ -1,7 +1,13 @@
 const { OtpCode } = require('../models')
 const { Op } = require('sequelize')
 const logger = require('../config/logger')
-const pseudoMailer = require('../utils/pseudoMailer')
+const TransactionManager = require('../utils/transactionManager')
+const emailService = require('./email')
+const accountLockoutService = require('./accountLockout.service')
+
+const OTP_EXPIRATION_MINUTES = 10
+// Códigos incorrectos permitidos antes de invalidar el OTP vigente
+const OTP_MAX_ATTEMPTS = 3
 
 /**
  * Servicio para la gestión de códigos OTP
@@ -21,7 +27,7 @@ class OtpService {
    */
   getExpirationDate () {
     const now = new Date()
-    return new Date(now.getTime() + 10 * 60 * 1000) // 10 minutos
+    return new Date(now.getTime() + OTP_EXPIRATION_MINUTES * 60 * 1000)
   }
 
   /**
@@ -33,6 +39,9 @@ class OtpService {
     try {
       logger.logBusiness('requestOtp', { email })
 
+      // Una cuenta bloqueada no recibe códigos nuevos hasta que termine el bloqueo
+      await accountLockoutService.assertNotLocked('CUSTOMER', email)
+
       // Invalidar códigos OTP anteriores no utilizados para este email
       await OtpCode.update(
         { used: true },
@@ -57,12 +66,29 @@ class OtpService {
         used: false
       })
 
-      // Enviar el código por correo
-      const emailSent = await pseudoMailer.sendOtp(email, code)
-
-      if (!emailSent) {
-        logger.warn('Error al enviar OTP por correo', { email })
-        // Aunque falle el envío, mantenemos el código generado para testing
+      // Enviar el código por correo y registrar el resultado en el OTP
+      try {
+        const result = await emailService.queueOtpEmail({
+          email,
+          code,
+          expiresInMinutes: OTP_EXPIRATION_MINUTES
+        })
+
+        await otpRecord.update({
+          deliveryStatus: 'SENT',
+          messageId: result?.messageId || null
+        })
+      } catch (error) {
+        // Un código que el cliente nunca recibió no debe quedar utilizable
+        await otpRecord.update({
+          used: true,
+          deliveryStatus: 'FAILED',
+          deliveryError: error.message
+        })
+
+        const deliveryError = new Error('No fue posible enviar el código OTP por correo')
+        deliveryError.code = 'OTP_DELIVERY_FAILED'
+        throw deliveryError
       }
 
       logger.logBusiness('requestOtp.success', {
@@ -87,39 +113,66 @@ class OtpService {
 
   /**
    * Verifica un código OTP
+   * Tras OTP_MAX_ATTEMPTS códigos incorrectos el OTP vigente se invalida, y cada fallo
+   * cuenta para el bloqueo de la cuenta (ACCOUNT_LOCKED)
    * @param {string} email - Email del usuario
    * @param {string} code - Código OTP a verificar
+   * @param {Object} context - { ipAddress } para el registro de intentos fallidos
    * @returns {Promise<Object>} Resultado de la verificación
    */
-  async verifyOtp (email, code) {
+  async verifyOtp (email, code, context = {}) {
     try {
       logger.logBusiness('verifyOtp', { email })
 
-      // Buscar código OTP válido
-      const otpRecord = await OtpCode.findOne({
-        where: {
-          email,
-          code,
-          used: false,
-          expiresAt: { [Op.gt]: new Date() }
+      await accountLockoutService.assertNotLocked('CUSTOMER', email)
+
+      const result = await TransactionManager.executeCustomTransaction(async (t) => {
+        // Último código vigente, bloqueado para que los intentos simultáneos se cuenten uno por uno
+        const otpRecord = await OtpCode.findOne({
+          where: {
+            email,
+            used: false,
+            expiresAt: { [Op.gt]: new Date() }
+          },
+          order: [['createdAt', 'DESC']],
+          lock: t.LOCK.UPDATE,
+          transaction: t
+        })
+
+        if (otpRecord && otpRecord.code === String(code)) {
+          // Marcar el código como usado
+          await otpRecord.update({ used: true }, { transaction: t })
+          return { valid: true, otpId: otpRecord.id }
         }
-      })
 
-      if (!otpRecord) {
-        logger.warn('Código OTP inválido o expirado', { email, code: '***' })
-        return {
-          success: false,
-          message: 'Código OTP inválido o expirado'
+        let invalidated = false
+        if (otpRecord) {
+          const failedAttempts = otpRecord.failedAttempts + 1
+          invalidated = failedAttempts >= OTP_MAX_ATTEMPTS
+          await otpRecord.update({ failedAttempts, used: invalidated }, { transaction: t })
         }
-      }
+        return { valid: false, invalidated }
+      }, 'CONSISTENT_WRITE')
 
-      // Marcar el código como usado
-      await otpRecord.update({ used: true })
+      if (!result.valid) {
+        logger.warn('Código OTP inválido o expirado', { email, code: '***', invalidated: result.invalidated })
+
+        const response = result.invalidated
+          ? { success: false, code: 'OTP_INVALIDATED', message: 'Demasiados intentos incorrectos. Solicita un nuevo código.' }
+          : { success: false, code: 'OTP_INVALID', message: 'Código OTP inválido o expirado' }
+
+        const lockout = await accountLockoutService.recordFailure('CUSTOMER', email, context)
+        if (lockout.locked) {
+          throw accountLockoutService.lockedError(lockout.lockedUntil)
+        }
+        return response
+      }
 
       logger.logBusiness('verifyOtp.success', {
         email,
-        otpId: otpRecord.id
+        otpId: result.otpId
       })
+      await accountLockoutService.recordSuccess('CUSTOMER', email)
 
       return {
         success: true,
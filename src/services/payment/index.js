@@ -1,9 +1,12 @@
-const { Transaction, Order, Product, CobreCheckout, sequelize } = require('../../models')
+const { Transaction, Order, OrderItem, Product, CobreCheckout, sequelize } = require('../../models')
 const { Op } = require('sequelize')
 const logger = require('../../config/logger')
 const emailService = require('../email')
 const TransactionManager = require('../../utils/transactionManager')
 const AuthenticationManager = require('../../utils/authenticationManager')
+const orderLines = require('../../utils/orderLines')
+const { getOrderCurrency } = require('../../utils/currency')
+const licenseHoldService = require('../licenseHold.service')
 
 // Payment providers
 const MockProvider = require('./providers/mock')
@@ -236,12 +239,22 @@ class PaymentService {
           throw new Error(`Cannot create payment intent for order with status ${order.status}`)
         }
 
-        // Get product separately
+        // Get primary product and line items separately
         const product = await Product.findOne({
           where: { productRef: order.productRef },
           transaction: t
         })
 
+        const items = await OrderItem.findAll({
+          where: { orderId: order.id },
+          include: [{ association: 'product' }],
+          order: [['id', 'ASC']],
+          transaction: t
+        })
+
+        // Retener licencias mientras el cliente paga (LICENSE_HOLD_ENABLED)
+        await licenseHoldService.holdForOrder(order, items, product, t)
+
         // Get customer data for ePayco
         let customer = null
         if (options.provider === 'epayco') {
@@ -298,7 +311,7 @@ class PaymentService {
             gateway: options.provider || 'mock',
             gatewayRef: `temp-${order.id}-${Date.now()}`,
             amount: order.grandTotal,
-            currency: product?.currency || 'USD',
+            currency: getOrderCurrency(order, product),
             status: 'CREATED'
           }, { transaction: t })
         }
@@ -307,7 +320,7 @@ class PaymentService {
         const provider = await this.getProvider(transaction.gateway)
 
         // Create payment intent with provider
-        const intentResult = await provider.createIntent({ order, transaction, product, customer })
+        const intentResult = await provider.createIntent({ order, transaction, product, customer, items })
 
         logger.logBusiness('payment:intentResult.debug', {
           orderId: order.id,
@@ -399,7 +412,8 @@ class PaymentService {
             association: 'order',
             include: [
               { association: 'product' },
-              { association: 'customer' }
+              { association: 'customer' },
+              orderLines.ITEMS_INCLUDE
             ]
           }],
           lock: t.LOCK.UPDATE,
@@ -495,65 +509,55 @@ class PaymentService {
         // Don't fail the payment process for email errors
       }
 
-      // If product has licenses, start fulfillment process
-      if (order.product && order.product.license_type) {
-        try {
-          const license = await this.reserveLicenseForOrder(order, dbTransaction)
+      // If the order has license products, start fulfillment process per line
+      if (orderLines.hasLicenseProducts(order)) {
+        const { licenses, pendingLines } = await this.reserveLicenseForOrder(order, dbTransaction)
 
-          // For digital products, complete immediately and send license
+        // For digital products, complete immediately when every line got its licenses
+        if (pendingLines.length === 0) {
           await order.update({
             status: 'COMPLETED'
           }, { transaction: dbTransaction })
+        }
+
+        // Queue license emails in the same transaction (one per line); the outbox sends them after commit
+        for (const group of orderLines.groupLicensesByLine(order, licenses)) {
+          await emailService.queueLicenseEmail({
+            customer: order.customer,
+            product: group.line.product,
+            license: group.licenses[0],
+            licenses: group.licenses,
+            order
+          }, dbTransaction)
+        }
 
-          // Send license email after transaction commits
+        // Lines without enough stock go to the waitlist
+        if (pendingLines.length > 0) {
+          logger.logBusiness('payment:success.waitlist', {
+            orderId: order.id,
+            pendingLines: pendingLines.map(line => ({ productRef: line.productRef, qty: line.qty })),
+            reason: 'No available licenses'
+          })
+
+          // Add to waitlist after transaction commits
           setImmediate(async () => {
             try {
-              await emailService.sendLicenseEmail({
-                customer: order.customer,
-                product: order.product,
-                license,
-                order
-              })
-            } catch (emailError) {
-              logger.logError(emailError, {
-                operation: 'sendLicenseEmail',
-                orderId: order.id,
-                licenseId: license.id
+              const waitlistService = require('../waitlist.service')
+              await waitlistService.addToWaitlist(order, 'OUT_OF_STOCK', pendingLines)
+            } catch (waitlistError) {
+              logger.logError(waitlistError, {
+                operation: 'addToWaitlist',
+                orderId: order.id
               })
             }
           })
-        } catch (licenseError) {
-          // If no licenses available, add to waitlist
-          if (licenseError.message.includes('No available licenses')) {
-            logger.logBusiness('payment:success.waitlist', {
-              orderId: order.id,
-              productRef: order.productRef,
-              reason: 'No available licenses'
-            })
-
-            // Add to waitlist after transaction commits
-            setImmediate(async () => {
-              try {
-                const waitlistService = require('./waitlist.service')
-                await waitlistService.addToWaitlist(order, 'OUT_OF_STOCK')
-              } catch (waitlistError) {
-                logger.logError(waitlistError, {
-                  operation: 'addToWaitlist',
-                  orderId: order.id
-                })
-              }
-            })
-          } else {
-            // Re-throw other license errors
-            throw licenseError
-          }
         }
       }
 
       logger.logBusiness('payment:success.handled', {
         orderId: order.id,
         transactionId: transaction.id,
-        hasLicense: order.product?.license_type || false
+        hasLicense: orderLines.hasLicenseProducts(order)
       })
     } catch (error) {
       logger.logError(error, {
@@ -582,11 +586,13 @@ class PaymentService {
         transaction: dbTransaction
       })
 
-      // If no other pending transactions, cancel the order
+      // If no other pending transactions, cancel the order and release its checkout hold
       if (otherTransactions.length === 0) {
         await order.update({
           status: 'CANCELED'
         }, { transaction: dbTransaction })
+
+        await licenseHoldService.releaseForOrder(order.id, dbTransaction, 'PAYMENT_FAILED')
       }
 
       logger.logBusiness('payment:failure.handled', {
@@ -604,40 +610,45 @@ class PaymentService {
   }
 
   /**
-   * Reserve license for paid order
+   * Reserve licenses for every line of a paid order
+   * @returns {Promise<{licenses: Array<License>, pendingLines: Array<Object>}>} - Sold licenses and lines (with missing qty) left without stock
    */
   async reserveLicenseForOrder (order, dbTransaction) {
     try {
-      const { License } = require('../../models')
+      const licenses = []
+      const pendingLines = []
 
-      // Find available license for this product
-      const license = await License.findOne({
-        where: {
-          productRef: order.productRef,
-          status: 'AVAILABLE'
-        },
-        lock: dbTransaction.LOCK.UPDATE,
-        transaction: dbTransaction
-      })
+      for (const line of orderLines.getLicenseLines(order)) {
+        // Licenses held at checkout first, then available stock for the rest
+        const available = await licenseHoldService.claimLicenses(order, line, dbTransaction)
 
-      if (!license) {
-        throw new Error(`No available licenses for product ${order.productRef}`)
-      }
+        // Reserve licenses for this order line
+        for (const license of available) {
+          await license.update({
+            status: 'SOLD',
+            orderId: order.id,
+            orderItemId: line.orderItemId,
+            soldAt: new Date(),
+            holdExpiresAt: null
+          }, { transaction: dbTransaction })
 
-      // Reserve license for this order
-      await license.update({
-        status: 'SOLD',
-        orderId: order.id,
-        soldAt: new Date()
-      }, { transaction: dbTransaction })
+          licenses.push(license)
+        }
 
-      logger.logBusiness('license:reserve', {
-        licenseId: license.id,
-        orderId: order.id,
-        productRef: order.productRef
-      })
+        if (available.length < line.qty) {
+          pendingLines.push({ ...line, qty: line.qty - available.length })
+        }
+
+        logger.logBusiness('license:reserve', {
+          licenseIds: available.map(license => license.id),
+          orderId: order.id,
+          orderItemId: line.orderItemId,
+          productRef: line.productRef,
+          missing: line.qty - available.length
+        })
+      }
 
-      return license
+      return { licenses, pendingLines }
     } catch (error) {
       logger.logError(error, {
         operation: 'reserveLicenseForOrder',
@@ -4,40 +4,36 @@ const axios = require('axios')
 const config = require('../../../../config')
 const logger = require('../../../../config/logger')
 const NodeCache = require('node-cache')
+const { getOrderCurrency } = require('../../../../utils/currency')
+const { createStore } = require('../../../../utils/rateLimitStore')
+const { RATE_LIMIT_POLICIES } = require('../../../../config/rateLimits')
 
 class CobreProvider {
   constructor () {
     // Cache para estados de checkout (1 minuto TTL)
     this.statusCache = new NodeCache({ stdTTL: 60 })
-    // Rate limiting: máximo 10 llamadas por minuto
-    this.rateLimiter = {
-      requests: new Map(),
-      maxRequests: 10,
-      windowMs: 60000 // 1 minuto
-    }
+    // Rate limiting por checkout, compartido entre réplicas (config/rateLimits.js)
+    this.rateLimitPolicy = RATE_LIMIT_POLICIES.cobreCheckoutStatus
+    this.rateLimitStore = createStore('cobre-checkout-status:')
+    this.rateLimitStore.init({ windowMs: this.rateLimitPolicy.windowMs })
+    // Los rieles de Cobre (PSE, Bancolombia, Nequi, Bre-B) solo mueven pesos colombianos
+    this.supportedCurrencies = ['COP']
   }
 
   /**
    * Verifica si se puede hacer una llamada a la API (rate limiting)
+   * Si el store no responde se permite la llamada: el límite protege la cuota, no la seguridad
    * @param {string} key - Clave para el rate limiting
-   * @returns {boolean} - true si se puede hacer la llamada
+   * @returns {Promise<boolean>} - true si se puede hacer la llamada
    */
-  canMakeRequest (key = 'default') {
-    const now = Date.now()
-    const requests = this.rateLimiter.requests.get(key) || []
-
-    // Filtrar requests dentro de la ventana de tiempo
-    const recentRequests = requests.filter(time => now - time < this.rateLimiter.windowMs)
-
-    if (recentRequests.length >= this.rateLimiter.maxRequests) {
-      return false
+  async canMakeRequest (key = 'default') {
+    try {
+      const { totalHits } = await this.rateLimitStore.increment(key)
+      return totalHits <= this.rateLimitPolicy.max
+    } catch (error) {
+      logger.warn('⚠️ Store de rate limiting no disponible, se permite la consulta:', { key, error: error.message })
+      return true
     }
-
-    // Agregar esta request
-    recentRequests.push(now)
-    this.rateLimiter.requests.set(key, recentRequests)
-
-    return true
   }
 
   /**
@@ -106,10 +102,16 @@ class CobreProvider {
   /**
    * Create payment intent (checkout) for order
    */
-  async createIntent ({ order, transaction, product }) {
+  async createIntent ({ order, transaction, product, items = null }) {
     try {
       logger.info(' Creando checkout en Cobre...')
 
+      // Cobre recibe el monto en centavos de la moneda de la transacción
+      const currency = transaction?.currency || getOrderCurrency(order, product)
+      if (!this.supportedCurrencies.includes(currency)) {
+        throw new Error(`Cobre does not support ${currency} payments (supported: ${this.supportedCurrencies.join(', ')})`)
+      }
+
       // Get account data
       let account = accountsService.getCurrentAccount()
       if (!account || !account.id) {
@@ -134,15 +136,21 @@ class CobreProvider {
       const productRef = product?.productRef || order.productRef
       const externalId = this.generateExternalId(productRef, order.id)
 
+      // Multi-item orders get a summary instead of the primary product's name
+      const isMultiItem = Array.isArray(items) && items.length > 1
+      const checkoutItem = isMultiItem
+        ? `Orden ${order.id} - ${items.length} productos`
+        : `Licencia ${(product?.name || 'Producto')}`
+
       // Prepare checkout data
       const checkoutData = {
         alias: `Order-${order.id}-${Date.now()}`,
-        amount: Math.round(order.grandTotal), // Convert to minor units if needed
+        amount: Math.round(order.grandTotal), // Centavos de COP
         external_id: externalId, // Standardized format: {productRef}-cobre-{orderId}-{dateTime}
         destination_id: account.id,
         checkout_rails: ['pse', 'bancolombia', 'nequi', 'breb'], // All available methods for Colombia
         checkout_header: this.sanitizeForCobre(product?.name || 'Innovate Learning').substring(0, 30), // Max 30 characters, sanitized
-        checkout_item: this.sanitizeForCobre(`Licencia ${(product?.name || 'Producto')}`).substring(0, 40), // License description, max 40 chars, sanitized
+        checkout_item: this.sanitizeForCobre(checkoutItem).substring(0, 40), // License description, max 40 chars, sanitized
         description_to_payee: this.sanitizeForCobre('Pago Innovate Learning').substring(0, 40), // Standardized description for better visibility
         valid_until: validUntil.toISOString(),
         money_movement_intent_limit: 1, // Single use link
@@ -157,7 +165,7 @@ class CobreProvider {
       logger.info(' Datos del checkout:', {
         orderId: order.id,
         amount: checkoutData.amount,
-        currency: product?.currency || 'USD',
+        currency,
         destinationId: account.id,
         externalId: checkoutData.external_id,
         checkoutHeader: checkoutData.checkout_header,
@@ -251,8 +259,8 @@ class CobreProvider {
       }
 
       // Verificar rate limiting
-      if (!this.canMakeRequest(checkoutId)) {
-        const error = new Error('Rate limit exceeded. Máximo 10 llamadas por minuto por checkout.')
+      if (!(await this.canMakeRequest(checkoutId))) {
+        const error = new Error(`Rate limit exceeded. Máximo ${this.rateLimitPolicy.max} llamadas por ventana de ${this.rateLimitPolicy.windowMs / 1000}s por checkout.`)
         error.code = 'RATE_LIMIT_EXCEEDED'
         throw error
       }
@@ -405,6 +413,42 @@ class CobreProvider {
     return statusMap[cobreStatus?.toLowerCase()] || 'FAILED'
   }
 
+  /**
+   * Refund transaction
+   * Cobre checkouts have no refund endpoint: the money is returned with a manual
+   * payout from the Cobre panel, so the refund stays PENDING_MANUAL until an
+   * admin confirms it.
+   */
+  async refund ({ transaction, amount, reason }) {
+    try {
+      logger.logBusiness('cobre:refund.requested', {
+        transactionId: transaction.id,
+        gatewayRef: transaction.gatewayRef,
+        amount,
+        reason
+      })
+
+      return {
+        refundRef: null,
+        status: 'PENDING_MANUAL',
+        amount,
+        processedAt: null,
+        meta: {
+          provider: 'cobre',
+          reason,
+          originalTransaction: transaction.gatewayRef,
+          instructions: 'Realizar el pago de devolución desde el panel de Cobre y confirmarlo en el sistema'
+        }
+      }
+    } catch (error) {
+      logger.logError(error, {
+        operation: 'cobre:refund',
+        transactionId: transaction.id
+      })
+      throw error
+    }
+  }
+
   /**
    * Map Cobre money movement status to internal status
    */
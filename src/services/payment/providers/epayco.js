@@ -1,6 +1,7 @@
 const crypto = require('crypto')
 const logger = require('../../../config/logger')
 const config = require('../../../config')
+const { toMajorUnits, getOrderCurrency } = require('../../../utils/currency')
 
 /**
  * ePayco payment provider
@@ -16,6 +17,7 @@ class EPaycoProvider {
     this.test = process.env.EPAYCO_TEST === 'true'
     this.responseUrl = process.env.EPAYCO_RESPONSE_URL
     this.confirmationUrl = process.env.EPAYCO_CONFIRMATION_URL
+    this.supportedCurrencies = ['COP', 'USD']
   }
 
   /**
@@ -50,27 +52,32 @@ class EPaycoProvider {
   }
 
   /**
-   * Convert amount from cents to pesos for ePayco
-   * Cobre uses cents (100000 = $1,000.00 COP)
-   * ePayco uses pesos (1000 = $1,000.00 COP)
+   * Convert amount from minor units to the major units ePayco expects
+   * We store cents (100000 = $1,000.00 COP); ePayco uses whole pesos for COP
+   * (1000 = $1,000.00 COP) and two decimals for USD (10.50 = $10.50 USD)
    */
-  convertCentsToPesos (amountInCents) {
-    // Convert cents to pesos by dividing by 100
-    const amountInPesos = Math.round(amountInCents / 100)
+  convertToGatewayAmount (amountInCents, currency) {
+    if (!this.supportedCurrencies.includes(currency)) {
+      throw new Error(`ePayco does not support ${currency} payments (supported: ${this.supportedCurrencies.join(', ')})`)
+    }
+
+    const amount = currency === 'COP'
+      ? Math.round(amountInCents / 100)
+      : toMajorUnits(amountInCents, currency)
 
     logger.logBusiness('epayco:amount.conversion', {
       originalCents: amountInCents,
-      convertedPesos: amountInPesos,
-      formatted: `$${amountInPesos.toLocaleString('es-CO')} COP`
+      convertedAmount: amount,
+      currency
     })
 
-    return amountInPesos
+    return amount
   }
 
   /**
    * Clean and sanitize payment data
    */
-  cleanPaymentData ({ order, transaction, product, customer }) {
+  cleanPaymentData ({ order, transaction, product, customer, items = null }) {
     // Use customer data if available, otherwise fallback to order.customer or defaults
     const customerData = customer || order.customer || {}
 
@@ -85,20 +92,30 @@ class EPaycoProvider {
       finalCustomerData: customerData
     })
 
-    // Convert amount from cents to pesos for ePayco
-    const amountInPesos = this.convertCentsToPesos(order.grandTotal)
+    // Convert amount from cents to the order currency major units
+    const currency = transaction?.currency || getOrderCurrency(order, product)
+    const amount = this.convertToGatewayAmount(order.grandTotal, currency)
 
     // Build customer name
     const fullName = `${customerData.firstName || customerData.first_name || ''} ${customerData.lastName || customerData.last_name || ''}`.trim()
 
+    // Multi-item orders get a summary instead of the primary product's name
+    const isMultiItem = Array.isArray(items) && items.length > 1
+    const name = isMultiItem
+      ? `Orden #${order.id} - ${items.length} productos`
+      : (product?.name || 'Producto Innovate Learning')
+    const description = isMultiItem
+      ? items.map(item => `${item.qty}x ${item.product?.name || item.productRef}`).join(', ')
+      : (product?.description || `Licencia ${product?.name || 'Digital'}`)
+
     return {
       // Product info
-      name: (product?.name || 'Producto Innovate Learning').substring(0, 100),
-      description: (product?.description || `Licencia ${product?.name || 'Digital'}`).substring(0, 255),
+      name: name.substring(0, 100),
+      description: description.substring(0, 255),
 
       // Transaction info
-      amount: amountInPesos.toString(), // ✅ Now in pesos, not cents
-      currency: 'cop', // Always COP for Colombia
+      amount: amount.toString(), // Major units, not cents
+      currency: currency.toLowerCase(),
       tax_base: '0',
       tax: '0',
       tax_ico: '0',
@@ -146,7 +163,7 @@ class EPaycoProvider {
   /**
    * Create payment intent (returns data for frontend)
    */
-  async createIntent ({ order, transaction, product, customer }) {
+  async createIntent ({ order, transaction, product, customer, items = null }) {
     try {
       logger.logBusiness('epayco:createIntent', {
         orderId: order.id,
@@ -161,15 +178,14 @@ class EPaycoProvider {
       const invoice = this.generateInvoiceId(product?.productRef || order.productRef, order.id)
 
       // Clean and prepare payment data
-      const paymentData = this.cleanPaymentData({ order, transaction, product, customer })
+      const paymentData = this.cleanPaymentData({ order, transaction, product, customer, items })
       paymentData.invoice = invoice
 
       logger.info('📱 ePayco: Payment data prepared', {
         orderId: order.id,
         invoice,
         originalAmountCents: order.grandTotal,
-        convertedAmountPesos: paymentData.amount,
-        amountFormatted: `$${parseInt(paymentData.amount).toLocaleString('es-CO')} COP`,
+        convertedAmount: paymentData.amount,
         currency: paymentData.currency,
         customerEmail: paymentData.email_billing,
         customerDoc: paymentData.number_doc_billing
@@ -348,7 +364,9 @@ class EPaycoProvider {
   }
 
   /**
-   * Refund transaction (placeholder for future implementation)
+   * Refund transaction
+   * ePayco refunds are processed manually through the ePayco admin panel, so the
+   * refund stays PENDING_MANUAL until an admin confirms it.
    */
   async refund ({ transaction, amount, reason }) {
     try {
@@ -359,9 +377,18 @@ class EPaycoProvider {
         reason
       })
 
-      // ePayco refunds typically need to be done through their admin panel
-      // This is a placeholder for future API integration
-      throw new Error('ePayco refunds must be processed manually through ePayco admin panel')
+      return {
+        refundRef: null,
+        status: 'PENDING_MANUAL',
+        amount,
+        processedAt: null,
+        meta: {
+          provider: 'epayco',
+          reason,
+          originalTransaction: transaction.gatewayRef,
+          instructions: 'Procesar la devolución en el panel de ePayco y confirmarla en el sistema'
+        }
+      }
     } catch (error) {
       logger.logError(error, {
         operation: 'epayco:refund',
@@ -1,9 +1,10 @@
-const { Transaction, Order, Product, User, License, CobreCheckout } = require('../../models')
+const { Transaction, Order, Product, User, License, CobreCheckout, EmailOutbox } = require('../../models')
 const { Op } = require('sequelize')
 const logger = require('../../config/logger')
 const TransactionManager = require('../../utils/transactionManager')
 const emailService = require('../email')
 const CobreProvider = require('./providers/cobre')
+const orderLines = require('../../utils/orderLines')
 
 /**
  * Servicio para verificar el estado de transacciones en Cobre cuando los webhooks fallan
@@ -404,18 +405,21 @@ class TransactionStatusVerifier {
   /**
    * Verifica si se envió el email de licencia y lo reenvía si es necesario
    * @param {number} orderId - ID de la orden
+   * @param {Object} options
+   * @param {boolean} options.force - Reenviar aunque el email ya se haya enviado (solicitud del cliente)
    * @returns {Promise<Object>} - Resultado de la verificación y reenvío
    */
-  async verifyAndResendLicenseEmail (orderId) {
+  async verifyAndResendLicenseEmail (orderId, { force = false } = {}) {
     try {
-      logger.logBusiness('transaction:statusVerification.emailVerification.start', { orderId })
+      logger.logBusiness('transaction:statusVerification.emailVerification.start', { orderId, force })
 
       // Buscar la orden con todas sus relaciones
       const order = await Order.findByPk(orderId, {
         include: [
           { association: 'product' },
           { association: 'customer' },
-          { association: 'transactions' }
+          { association: 'transactions' },
+          orderLines.ITEMS_INCLUDE
         ]
       })
 
@@ -436,12 +440,12 @@ class TransactionStatusVerifier {
         }
       }
 
-      // Buscar la licencia asociada a la orden
-      const license = await License.findOne({
+      // Buscar las licencias asociadas a la orden
+      const licenses = await License.findAll({
         where: { orderId: order.id }
       })
 
-      if (!license) {
+      if (licenses.length === 0) {
         throw new Error(`La orden ${orderId} no tiene licencia asociada`)
       }
 
@@ -449,7 +453,7 @@ class TransactionStatusVerifier {
       const shippingInfo = order.shippingInfo || {}
       const emailInfo = shippingInfo.email
 
-      if (emailInfo && emailInfo.sent === true) {
+      if (emailInfo && emailInfo.sent === true && !force) {
         logger.logBusiness('transaction:statusVerification.emailVerification.alreadySent', {
           orderId,
           sentAt: emailInfo.sentAt,
@@ -469,6 +473,28 @@ class TransactionStatusVerifier {
         }
       }
 
+      // Si el correo sigue en la bandeja de salida, el worker lo enviará: no duplicarlo
+      const queuedEmails = await EmailOutbox.count({
+        where: {
+          orderId: order.id,
+          type: 'LICENSE_DELIVERY',
+          status: { [Op.in]: ['PENDING', 'SENDING'] }
+        }
+      })
+
+      if (queuedEmails > 0 && !force) {
+        return {
+          success: true,
+          message: 'El email está en cola de envío',
+          orderId: order.id,
+          emailSent: false,
+          emailQueued: true,
+          queuedAt: emailInfo?.queuedAt || null,
+          recipient: order.customer.email,
+          resent: false
+        }
+      }
+
       // Si no se envió o falló, reenviar el email
       logger.logBusiness('transaction:statusVerification.emailVerification.resending', {
         orderId,
@@ -482,65 +508,78 @@ class TransactionStatusVerifier {
           : 'No previous attempt'
       })
 
-      const emailService = require('../email')
-      const emailResult = await emailService.sendLicenseEmail({
-        customer: order.customer,
-        product: order.product,
-        license,
-        order
-      })
-
-      // Actualizar shippingInfo con la información del reenvío
-      const updatedShippingInfo = {
-        ...shippingInfo,
-        email: {
-          sent: true,
-          sentAt: new Date().toISOString(),
-          messageId: emailResult.messageId,
-          recipient: order.customer.email,
-          type: 'license_delivery',
-          resent: true,
-          originalAttempt: emailInfo || null
+      // Solo se completa la orden si todas las unidades con licencia ya fueron asignadas
+      const expectedLicenses = orderLines.getLicenseLines(order).reduce((sum, line) => sum + line.qty, 0)
+      const fullyDelivered = licenses.length >= expectedLicenses
+      const queuedAt = new Date().toISOString()
+      const orderCompleted = order.status === 'IN_PROCESS' && fullyDelivered
+
+      // Encolar un correo por línea y registrar el reenvío en la misma transacción
+      const outboxIds = await TransactionManager.executeInventoryTransaction(async (t) => {
+        const ids = []
+        for (const group of orderLines.groupLicensesByLine(order, licenses)) {
+          const product = group.line.product || await Product.findOne({ where: { productRef: group.line.productRef }, transaction: t })
+          const entry = await emailService.queueLicenseEmail({
+            customer: order.customer,
+            product,
+            license: group.licenses[0],
+            licenses: group.licenses,
+            order
+          }, t)
+          ids.push(entry.id)
         }
-      }
 
-      // Preparar las actualizaciones de la orden
-      const orderUpdates = {
-        shippingInfo: updatedShippingInfo
-      }
+        const orderUpdates = {
+          shippingInfo: {
+            ...shippingInfo,
+            email: {
+              sent: false,
+              queued: true,
+              queuedAt,
+              outboxIds: ids,
+              recipient: order.customer.email,
+              type: 'license_delivery',
+              resent: true,
+              originalAttempt: emailInfo || null
+            }
+          }
+        }
 
-      // Si la orden estaba en IN_PROCESS y el email se envió exitosamente, completarla
-      if (order.status === 'IN_PROCESS' && emailResult && emailResult.success) {
-        orderUpdates.status = 'COMPLETED'
-        logger.logBusiness('transaction:statusVerification.emailVerification.orderCompleted', {
-          orderId,
-          previousStatus: 'IN_PROCESS',
-          newStatus: 'COMPLETED'
-        })
-      }
+        // Si la orden estaba en IN_PROCESS, el correo encolado completa la entrega
+        if (orderCompleted) {
+          orderUpdates.status = 'COMPLETED'
+          logger.logBusiness('transaction:statusVerification.emailVerification.orderCompleted', {
+            orderId,
+            previousStatus: 'IN_PROCESS',
+            newStatus: 'COMPLETED'
+          })
+        }
 
-      await order.update(orderUpdates)
+        await order.update(orderUpdates, { transaction: t })
+        return ids
+      })
 
       logger.logBusiness('transaction:statusVerification.emailVerification.resent', {
         orderId,
         customerEmail: order.customer.email,
-        messageId: emailResult.messageId,
+        outboxIds,
         resent: true
       })
 
       return {
         success: true,
-        message: orderUpdates.status === 'COMPLETED'
-          ? 'Email reenviado exitosamente y orden completada'
-          : 'Email reenviado exitosamente',
+        message: orderCompleted
+          ? 'Email encolado para reenvío y orden completada'
+          : 'Email encolado para reenvío',
         orderId: order.id,
-        emailSent: true,
-        sentAt: updatedShippingInfo.email.sentAt,
-        messageId: emailResult.messageId,
+        emailSent: false,
+        emailQueued: true,
+        queuedAt,
+        outboxIds,
         recipient: order.customer.email,
         resent: true,
         previousAttempt: emailInfo || null,
-        orderCompleted: orderUpdates.status === 'COMPLETED'
+        orderCompleted
       }
     } catch (error) {
       logger.logError(error, {
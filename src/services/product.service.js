@@ -1,8 +1,15 @@
-const { Product, Discount } = require('../models')
+const { Product, ProductPrice, Discount } = require('../models')
 const { Op } = require('sequelize')
 const logger = require('../config/logger')
 const TransactionManager = require('../utils/transactionManager')
 const slugify = require('slugify')
+const { TAX_CLASSES } = require('./tax.service')
+const { SUPPORTED_CURRENCIES } = require('../utils/currency')
+const licenseService = require('./license.service')
+const auditService = require('./audit.service')
+
+// Campos de precio cuyos cambios quedan en la bitácora de auditoría
+const PRICE_FIELDS = ['price', 'currency', 'taxClass']
 
 /**
  * Servicio para la gestión de productos
@@ -102,6 +109,23 @@ class ProductService {
     return product
   }
 
+  /**
+   * Obtener el stock de licencias de un producto
+   * `held` son licencias retenidas por checkouts en curso; no se pueden vender hasta que se liberen
+   * @param {number} id - ID del producto
+   * @returns {Promise<Object>} Conteos por estado
+   */
+  async getProductStock (id) {
+    const product = await this.getProductById(id, true)
+    const summary = await licenseService.getStockSummary(product.productRef)
+
+    return {
+      productId: product.id,
+      productRef: product.productRef,
+      ...summary[product.productRef]
+    }
+  }
+
   /**
    * Listar productos con paginación
    * @param {Object} options - Opciones de filtrado y paginación
@@ -161,11 +185,13 @@ class ProductService {
 
   /**
    * Actualizar un producto
+   * Los cambios de precio se registran en la bitácora de auditoría
    * @param {number} id - ID del producto
    * @param {Object} productData - Datos a actualizar
+   * @param {number} adminId - Administrador que realiza el cambio
    * @returns {Promise<Product>} Producto actualizado
    */
-  async updateProduct (id, productData) {
+  async updateProduct (id, productData, adminId = null) {
     const product = await this.getProductById(id, true)
 
     // Si se está cambiando la referencia, verificar que no exista otra igual
@@ -182,9 +208,32 @@ class ProductService {
       }
     }
 
-    // Actualizar el producto
-    const updatedProduct = await product.update(productData)
-    return updatedProduct
+    const priceChanged = PRICE_FIELDS.some(field =>
+      productData[field] !== undefined && productData[field] !== product[field]
+    )
+
+    if (!priceChanged) {
+      // Actualizar el producto
+      const updatedProduct = await product.update(productData)
+      return updatedProduct
+    }
+
+    return TransactionManager.executeCustomTransaction(async (t) => {
+      const before = auditService.pick(product, PRICE_FIELDS)
+      const updatedProduct = await product.update(productData, { transaction: t })
+
+      await auditService.record({
+        action: 'product.price_update',
+        entityType: 'Product',
+        entityId: product.id,
+        actorId: adminId,
+        before,
+        after: auditService.pick(updatedProduct, PRICE_FIELDS),
+        metadata: { productRef: updatedProduct.productRef }
+      }, t)
+
+      return updatedProduct
+    }, 'CONSISTENT_WRITE')
   }
 
   /**
@@ -239,6 +288,76 @@ class ProductService {
     return this.getProductById(id, true)
   }
 
+  /**
+   * Obtener la lista de precios de un producto
+   * Incluye el precio base (moneda del producto) y los precios por moneda
+   * @param {number} id - ID del producto
+   * @returns {Promise<Array<Object>>} Precios [{ currency, price, isBase }]
+   */
+  async getProductPrices (id) {
+    const product = await this.getProductById(id)
+    const prices = await ProductPrice.findAll({
+      where: { productId: product.id },
+      order: [['currency', 'ASC']]
+    })
+
+    return [
+      { currency: product.currency, price: product.price, isBase: true },
+      ...prices.map(p => ({ currency: p.currency, price: p.price, isBase: false }))
+    ]
+  }
+
+  /**
+   * Reemplazar la lista de precios por moneda de un producto
+   * El precio en la moneda base se administra con `price`/`currency` del producto
+   * @param {number} id - ID del producto
+   * @param {Array<Object>} prices - Precios [{ currency, price }] en centavos
+   * @param {number} adminId - Administrador que realiza el cambio
+   * @returns {Promise<Array<Object>>} Lista de precios actualizada
+   */
+  async setProductPrices (id, prices, adminId = null) {
+    const product = await this.getProductById(id, true)
+
+    const currencies = prices.map(p => p.currency)
+    if (new Set(currencies).size !== currencies.length) {
+      throw new Error('La lista de precios no puede repetir monedas')
+    }
+    if (currencies.includes(product.currency)) {
+      throw new Error(`El precio en ${product.currency} es el precio base del producto; actualícelo con price`)
+    }
+
+    await TransactionManager.executeBulkTransaction(async (t) => {
+      const previous = await ProductPrice.findAll({
+        where: { productId: product.id },
+        transaction: t
+      })
+
+      await ProductPrice.destroy({ where: { productId: product.id }, transaction: t })
+      await ProductPrice.bulkCreate(
+        prices.map(p => ({ productId: product.id, currency: p.currency, price: p.price })),
+        { transaction: t }
+      )
+
+      await auditService.record({
+        action: 'product.prices_update',
+        entityType: 'Product',
+        entityId: product.id,
+        actorId: adminId,
+        before: Object.fromEntries(previous.map(p => [p.currency, p.price])),
+        after: Object.fromEntries(prices.map(p => [p.currency, p.price])),
+        metadata: { productRef: product.productRef }
+      }, t)
+    })
+
+    logger.logBusiness('setProductPrices.success', {
+      id: product.id,
+      productRef: product.productRef,
+      currencies
+    })
+
+    return this.getProductPrices(product.id)
+  }
+
   /**
    * Eliminar un producto
    * @param {number} id - ID del producto
@@ -339,10 +458,15 @@ class ProductService {
         }
 
         // Validar currency si está presente
-        const validCurrencies = ['USD', 'EUR', 'COP', 'MXN']
         const currency = row.currency?.trim()?.toUpperCase() || 'COP'
-        if (!validCurrencies.includes(currency)) {
-          throw new Error(`Fila ${index + 2}: Moneda inválida '${row.currency}'. Use: ${validCurrencies.join(', ')}`)
+        if (!SUPPORTED_CURRENCIES.includes(currency)) {
+          throw new Error(`Fila ${index + 2}: Moneda inválida '${row.currency}'. Use: ${SUPPORTED_CURRENCIES.join(', ')}`)
+        }
+
+        // Validar clase de impuesto si está presente
+        const taxClass = row.taxClass?.trim()?.toUpperCase() || 'IVA_19'
+        if (!Object.keys(TAX_CLASSES).includes(taxClass)) {
+          throw new Error(`Fila ${index + 2}: Clase de impuesto inválida '${row.taxClass}'. Use: ${Object.keys(TAX_CLASSES).join(', ')}`)
         }
 
         // Parsear license_type
@@ -373,6 +497,7 @@ class ProductService {
           productRef: row.productRef.trim(),
           price,
           currency,
+          taxClass,
           description: row.description?.trim() || null,
           features: row.features?.trim() || null,
           image: row.image?.trim() || null,
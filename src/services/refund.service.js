@@ -0,0 +1,523 @@
+const { Refund, Order, Transaction, License } = require('../models')
+const { Op } = require('sequelize')
+const logger = require('../config/logger')
+const TransactionManager = require('../utils/transactionManager')
+const licenseService = require('./license.service')
+
+// Estados que comprometen saldo de la transacción
+const OPEN_STATUSES = ['PROCESSING', 'PENDING_MANUAL', 'COMPLETED']
+
+/**
+ * Servicio de reembolsos
+ * Llama al refund() del proveedor de pago, lleva el libro de reembolsos y, al
+ * completarse, devuelve al stock o anula las licencias entregadas.
+ */
+class RefundService {
+  /**
+   * Solicitar un reembolso total o parcial de una orden
+   * @param {number} orderId - ID de la orden
+   * @param {Object} data - Datos del reembolso
+   * @param {number} [data.amount] - Monto en centavos; por defecto el saldo reembolsable
+   * @param {string} [data.reason] - Motivo del reembolso
+   * @param {string} [data.licenseAction] - RETURN_TO_STOCK, ANNUL o NONE
+   * @param {Array<number>} [data.licenseIds] - Licencias afectadas; por defecto todas en reembolsos totales
+   * @param {number} adminId - Admin que solicita el reembolso
+   * @returns {Promise<Refund>} - Registro del reembolso
+   */
+  async createRefund (orderId, data = {}, adminId = null) {
+    const { amount = null, reason = 'MANUAL', licenseAction = 'RETURN_TO_STOCK' } = data
+
+    try {
+      logger.logBusiness('refund:create', { orderId, amount, reason, licenseAction, adminId })
+
+      // 1. Reservar el saldo creando el registro en PROCESSING
+      const { refund, transaction } = await TransactionManager.executeInventoryTransaction(async (t) => {
+        return await this.reserveRefund(orderId, data, adminId, t)
+      })
+
+      // 2. Solicitar el reembolso al proveedor (FUERA de la transacción)
+      return await this.processReservedRefund(refund, transaction)
+    } catch (error) {
+      logger.logError(error, {
+        operation: 'createRefund',
+        orderId,
+        amount,
+        adminId
+      })
+      throw error
+    }
+  }
+
+  /**
+   * Reservar el saldo de un reembolso creando su registro en PROCESSING
+   * Corre dentro de la transacción del llamador para que el registro quede junto
+   * con otros cambios (p. ej. la cancelación de una entrada de la lista de espera).
+   * Después se debe llamar a processReservedRefund FUERA de la transacción.
+   * @param {number} orderId - ID de la orden
+   * @param {Object} data - Mismos datos que createRefund
+   * @param {number} adminId - Admin que solicita el reembolso
+   * @param {Object} t - Transacción de base de datos
+   * @returns {Promise<Object>} { refund, transaction }
+   */
+  async reserveRefund (orderId, data, adminId, t) {
+    const { amount = null, reason = 'MANUAL', licenseAction = 'RETURN_TO_STOCK', licenseIds = null } = data
+
+    const order = await Order.findByPk(orderId, { transaction: t })
+    if (!order) {
+      throw new Error('Order not found')
+    }
+
+    const transaction = await Transaction.findOne({
+      where: { orderId, status: 'PAID' },
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    })
+    if (!transaction) {
+      throw new Error('No paid transaction found for this order')
+    }
+
+    const committed = await Refund.sum('amount', {
+      where: { transactionId: transaction.id, status: { [Op.in]: OPEN_STATUSES } },
+      transaction: t
+    }) || 0
+    const refundable = transaction.amount - committed
+
+    if (refundable <= 0) {
+      throw new Error('Transaction already fully refunded')
+    }
+
+    const refundAmount = amount ?? refundable
+    if (refundAmount > refundable) {
+      throw new Error(`Refund amount exceeds refundable balance (${refundable})`)
+    }
+
+    const type = committed === 0 && refundAmount === transaction.amount ? 'FULL' : 'PARTIAL'
+    const affectedLicenseIds = licenseAction === 'NONE'
+      ? []
+      : await this.resolveLicenseIds(order.id, type, licenseIds, t)
+
+    const refund = await Refund.create({
+      orderId: order.id,
+      transactionId: transaction.id,
+      gateway: transaction.gateway,
+      type,
+      amount: refundAmount,
+      currency: transaction.currency,
+      status: 'PROCESSING',
+      reason,
+      licenseAction,
+      licenseIds: affectedLicenseIds,
+      requestedBy: adminId
+    }, { transaction: t })
+
+    return { refund, transaction }
+  }
+
+  /**
+   * Solicitar al proveedor un reembolso ya reservado (FUERA de la transacción)
+   * Si el proveedor falla el reembolso queda FAILED y se relanza el error.
+   * Si el proveedor devolvió el dinero pero no se pudo registrar la devolución, el
+   * reembolso queda PENDING_MANUAL con la respuesta del proveedor para confirmarlo a mano:
+   * el dinero ya salió y no debe volver a solicitarse.
+   * @param {Refund} refund - Reembolso en PROCESSING
+   * @param {Transaction} transaction - Transacción pagada
+   * @returns {Promise<Refund>} - COMPLETED o PENDING_MANUAL
+   */
+  async processReservedRefund (refund, transaction) {
+    let gatewayResult
+    try {
+      const paymentService = require('./payment')
+      const provider = await paymentService.getProvider(transaction.gateway)
+      if (typeof provider.refund !== 'function') {
+        throw new Error(`Payment provider '${transaction.gateway}' does not support refunds`)
+      }
+
+      gatewayResult = await provider.refund({ transaction, amount: refund.amount, reason: refund.reason })
+    } catch (gatewayError) {
+      await refund.update({
+        status: 'FAILED',
+        processedAt: new Date(),
+        meta: { error: gatewayError.message }
+      })
+      throw gatewayError
+    }
+
+    // Reembolso inmediato: completar; manual: esperar confirmación
+    if (gatewayResult.status === 'REFUNDED') {
+      const previousMeta = refund.meta
+      try {
+        await TransactionManager.executeInventoryTransaction(async (t) => {
+          await this.completeRefund(refund, {
+            gatewayRefundRef: gatewayResult.refundRef,
+            gatewayResponse: gatewayResult
+          }, t)
+        })
+      } catch (completeError) {
+        logger.logError(completeError, {
+          operation: 'processReservedRefund.complete',
+          orderId: refund.orderId,
+          refundId: refund.id,
+          gatewayRefundRef: gatewayResult.refundRef
+        })
+
+        await refund.update({
+          status: 'PENDING_MANUAL',
+          gatewayRefundRef: gatewayResult.refundRef || null,
+          processedAt: null,
+          meta: {
+            ...previousMeta,
+            gatewayResponse: gatewayResult,
+            completeError: completeError.message
+          }
+        })
+      }
+    } else {
+      await refund.update({
+        status: 'PENDING_MANUAL',
+        gatewayRefundRef: gatewayResult.refundRef || null,
+        meta: { gatewayResponse: gatewayResult }
+      })
+    }
+
+    logger.logBusiness('refund:create.success', {
+      orderId: refund.orderId,
+      refundId: refund.id,
+      transactionId: transaction.id,
+      amount: refund.amount,
+      type: refund.type,
+      status: refund.status
+    })
+
+    return refund
+  }
+
+  /**
+   * Confirmar un reembolso manual (ePayco/Cobre) una vez hecho en el panel del proveedor
+   * @param {number} orderId - ID de la orden
+   * @param {number} refundId - ID del reembolso
+   * @param {Object} data - { gatewayRefundRef, notes }
+   * @param {number} adminId - Admin que confirma
+   * @returns {Promise<Refund>} - Reembolso completado
+   */
+  async confirmRefund (orderId, refundId, data = {}, adminId = null) {
+    try {
+      logger.logBusiness('refund:confirm', { orderId, refundId, adminId })
+
+      return await TransactionManager.executeInventoryTransaction(async (t) => {
+        const refund = await this.findPendingRefund(orderId, refundId, t)
+
+        await this.completeRefund(refund, {
+          gatewayRefundRef: data.gatewayRefundRef || refund.gatewayRefundRef,
+          confirmedBy: adminId,
+          notes: data.notes
+        }, t)
+
+        return refund
+      })
+    } catch (error) {
+      logger.logError(error, {
+        operation: 'confirmRefund',
+        orderId,
+        refundId,
+        adminId
+      })
+      throw error
+    }
+  }
+
+  /**
+   * Rechazar un reembolso manual que no se realizará; libera el saldo
+   * @param {number} orderId - ID de la orden
+   * @param {number} refundId - ID del reembolso
+   * @param {string} reason - Motivo del rechazo
+   * @param {number} adminId - Admin que rechaza
+   * @returns {Promise<Refund>} - Reembolso en FAILED
+   */
+  async rejectRefund (orderId, refundId, reason = 'MANUAL', adminId = null) {
+    try {
+      logger.logBusiness('refund:reject', { orderId, refundId, reason, adminId })
+
+      return await TransactionManager.executeInventoryTransaction(async (t) => {
+        const refund = await this.findPendingRefund(orderId, refundId, t)
+
+        await refund.update({
+          status: 'FAILED',
+          confirmedBy: adminId,
+          processedAt: new Date(),
+          meta: {
+            ...refund.meta,
+            rejected: { reason, rejectedAt: new Date().toISOString() }
+          }
+        }, { transaction: t })
+
+        return refund
+      })
+    } catch (error) {
+      logger.logError(error, {
+        operation: 'rejectRefund',
+        orderId,
+        refundId,
+        adminId
+      })
+      throw error
+    }
+  }
+
+  /**
+   * Buscar un reembolso ya registrado (completado o en curso) al que corresponde
+   * una devolución notificada por el proveedor: por referencia del proveedor o,
+   * si no coincide, por el mismo monto
+   * Sirve para que el webhook de un reembolso completado en línea o confirmado a mano
+   * no se procese dos veces.
+   * @param {Transaction} transaction - Transacción reembolsada
+   * @param {Object} details - { amount, gatewayRefundRef }
+   * @param {Object} t - Transacción de base de datos
+   * @returns {Promise<Refund|null>}
+   */
+  async findRecordedFromGateway (transaction, details, t) {
+    const where = { transactionId: transaction.id, status: { [Op.in]: ['PROCESSING', 'COMPLETED'] } }
+
+    if (details.gatewayRefundRef) {
+      const byRef = await Refund.findOne({
+        where: { ...where, gatewayRefundRef: details.gatewayRefundRef },
+        transaction: t
+      })
+      if (byRef) {
+        return byRef
+      }
+    }
+
+    if (!details.amount) {
+      return null
+    }
+
+    return await Refund.findOne({
+      where: { ...where, amount: details.amount },
+      order: [['createdAt', 'ASC']],
+      transaction: t
+    })
+  }
+
+  /**
+   * Completar el reembolso manual pendiente de una transacción cuando el
+   * proveedor confirma la devolución por webhook
+   * Solo se toma un reembolso pendiente por el mismo monto devuelto: una devolución
+   * por otro monto no confirma ese reembolso y queda para revisión manual.
+   * @param {Transaction} transaction - Transacción reembolsada
+   * @param {Object} details - { amount, gatewayRefundRef, gatewayResponse }
+   * @param {Object} t - Transacción de base de datos
+   * @returns {Promise<Refund|null>} - Reembolso completado o null si no había pendiente por ese monto
+   */
+  async completePendingFromGateway (transaction, details, t) {
+    if (!details.amount) {
+      return null
+    }
+
+    const refund = await Refund.findOne({
+      where: { transactionId: transaction.id, status: 'PENDING_MANUAL', amount: details.amount },
+      order: [['createdAt', 'ASC']],
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    })
+
+    if (!refund) {
+      return null
+    }
+
+    await this.completeRefund(refund, details, t)
+    return refund
+  }
+
+  /**
+   * Registrar en el libro un contracargo/reversión iniciado por el proveedor
+   * Los reembolsos manuales pendientes de la transacción quedan sin efecto.
+   * @param {Transaction} transaction - Transacción reversada
+   * @param {Object} data - { licenseIds, gatewayRef, gatewayResponse }
+   * @param {Object} t - Transacción de base de datos
+   * @returns {Promise<Refund|null>} - Registro creado o null si no quedaba saldo
+   */
+  async recordChargeback (transaction, data, t) {
+    const openRefunds = await Refund.findAll({
+      where: { transactionId: transaction.id, status: { [Op.in]: ['PROCESSING', 'PENDING_MANUAL'] } },
+      transaction: t
+    })
+    for (const openRefund of openRefunds) {
+      await openRefund.update({
+        status: 'FAILED',
+        processedAt: new Date(),
+        meta: { ...openRefund.meta, supersededBy: 'CHARGEBACK' }
+      }, { transaction: t })
+    }
+
+    const refunded = await Refund.sum('amount', {
+      where: { transactionId: transaction.id, status: 'COMPLETED' },
+      transaction: t
+    }) || 0
+    const amount = transaction.amount - refunded
+
+    if (amount <= 0) {
+      return null
+    }
+
+    return await Refund.create({
+      orderId: transaction.orderId,
+      transactionId: transaction.id,
+      gateway: transaction.gateway,
+      gatewayRefundRef: data.gatewayRef || null,
+      type: refunded === 0 ? 'FULL' : 'PARTIAL',
+      amount,
+      currency: transaction.currency,
+      status: 'COMPLETED',
+      reason: 'CHARGEBACK',
+      licenseAction: 'ANNUL',
+      licenseIds: data.licenseIds || [],
+      processedAt: new Date(),
+      meta: { gatewayResponse: data.gatewayResponse || null }
+    }, { transaction: t })
+  }
+
+  /**
+   * Obtener el libro de reembolsos de una orden
+   * @param {number} orderId - ID de la orden
+   * @returns {Promise<Array<Refund>>}
+   */
+  async getRefunds (orderId) {
+    return await Refund.findAll({
+      where: { orderId },
+      order: [['createdAt', 'ASC']]
+    })
+  }
+
+  /**
+   * Buscar un reembolso PENDING_MANUAL de la orden con bloqueo
+   * @private
+   */
+  async findPendingRefund (orderId, refundId, t) {
+    const refund = await Refund.findOne({
+      where: { id: refundId, orderId },
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    })
+
+    if (!refund) {
+      throw new Error('Refund not found')
+    }
+
+    if (refund.status !== 'PENDING_MANUAL') {
+      throw new Error(`Cannot process refund with status ${refund.status}`)
+    }
+
+    return refund
+  }
+
+  /**
+   * Determinar las licencias afectadas por el reembolso
+   * @private
+   */
+  async resolveLicenseIds (orderId, type, licenseIds, t) {
+    if (Array.isArray(licenseIds) && licenseIds.length > 0) {
+      const licenses = await License.findAll({
+        where: { id: { [Op.in]: licenseIds }, orderId, status: 'SOLD' },
+        transaction: t
+      })
+
+      if (licenses.length !== new Set(licenseIds).size) {
+        throw new Error('Some licenses do not belong to this order or are not SOLD')
+      }
+
+      return licenses.map(license => license.id)
+    }
+
+    // Los reembolsos parciales solo afectan las licencias indicadas
+    if (type !== 'FULL') {
+      return []
+    }
+
+    const licenses = await License.findAll({
+      where: { orderId, status: 'SOLD' },
+      transaction: t
+    })
+
+    return licenses.map(license => license.id)
+  }
+
+  /**
+   * Completar un reembolso: licencias, transacción y libro
+   * @private
+   */
+  async completeRefund (refund, details, t) {
+    const licenseResults = await this.applyLicenseAction(refund, t)
+
+    // Actualizar la transacción; pasa a REFUNDED cuando se devolvió todo el monto
+    const transaction = await Transaction.findByPk(refund.transactionId, {
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    })
+
+    const previouslyRefunded = await Refund.sum('amount', {
+      where: { transactionId: transaction.id, status: 'COMPLETED', id: { [Op.ne]: refund.id } },
+      transaction: t
+    }) || 0
+    const refundedAmount = previouslyRefunded + refund.amount
+    const fullyRefunded = refundedAmount >= transaction.amount
+
+    await transaction.update({
+      ...(fullyRefunded && { status: 'REFUNDED' }),
+      meta: {
+        ...transaction.meta,
+        refundedAmount,
+        ...(fullyRefunded && {
+          refunded: {
+            refundedAt: new Date().toISOString(),
+            reason: refund.reason,
+            adminId: details.confirmedBy || refund.requestedBy,
+            refundId: refund.id
+          }
+        })
+      }
+    }, { transaction: t })
+
+    await refund.update({
+      status: 'COMPLETED',
+      gatewayRefundRef: details.gatewayRefundRef || null,
+      confirmedBy: details.confirmedBy || null,
+      processedAt: new Date(),
+      meta: {
+        ...refund.meta,
+        ...(details.gatewayResponse && { gatewayResponse: details.gatewayResponse }),
+        ...(details.notes && { notes: details.notes }),
+        licenses: licenseResults
+      }
+    }, { transaction: t })
+
+    logger.logBusiness('refund:completed', {
+      refundId: refund.id,
+      orderId: refund.orderId,
+      transactionId: transaction.id,
+      amount: refund.amount,
+      refundedAmount,
+      transactionStatus: transaction.status,
+      licensesAffected: licenseResults.length
+    })
+  }
+
+  /**
+   * Devolver al stock o anular las licencias del reembolso
+   * @private
+   */
+  async applyLicenseAction (refund, t) {
+    if (refund.licenseAction === 'NONE' || refund.licenseIds.length === 0) {
+      return []
+    }
+
+    return await licenseService.revokeOrderLicenses({
+      orderId: refund.orderId,
+      licenseIds: refund.licenseIds,
+      action: refund.licenseAction,
+      reason: refund.reason,
+      actorId: refund.confirmedBy || refund.requestedBy
+    }, t)
+  }
+}
+
+module.exports = new RefundService()
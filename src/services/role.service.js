@@ -0,0 +1,285 @@
+const { fn, col } = require('sequelize')
+const { Role, Admin } = require('../models')
+const { PERMISSIONS, SYSTEM_ROLES } = require('../config/permissions')
+const logger = require('../config/logger')
+const TransactionManager = require('../utils/transactionManager')
+const auditService = require('./audit.service')
+
+// Los permisos se leen en cada petición autenticada: se cachean por unos segundos.
+// En varias réplicas un cambio tarda como máximo este tiempo en verse en las demás.
+const CACHE_TTL_MS = 60 * 1000
+
+function roleError (message, code) {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+/**
+ * Role Service - Roles de administrador como conjuntos de permisos
+ */
+class RoleService {
+  constructor () {
+    this.cache = null
+    this.cacheLoadedAt = 0
+  }
+
+  /**
+   * Crear los roles de sistema que falten
+   * SUPER_ADMIN se sincroniza siempre con el catálogo completo de permisos
+   * @returns {Promise<Object>} { created: [nombres] }
+   */
+  async ensureSystemRoles () {
+    const created = []
+
+    for (const [name, definition] of Object.entries(SYSTEM_ROLES)) {
+      const [role, wasCreated] = await Role.findOrCreate({
+        where: { name },
+        defaults: { name, description: definition.description, permissions: definition.permissions, isSystem: true }
+      })
+
+      if (wasCreated) {
+        created.push(name)
+      } else if (name === 'SUPER_ADMIN' && !definition.permissions.every(permission => role.permissions.includes(permission))) {
+        await role.update({ permissions: definition.permissions })
+      }
+    }
+
+    this.invalidateCache()
+    return { created }
+  }
+
+  /**
+   * Permisos de un rol
+   * Si el rol no está en la base de datos se usan los de sistema (p. ej. antes del primer arranque)
+   * @param {string} roleName - Nombre del rol
+   * @returns {Promise<Set<string>>}
+   */
+  async getPermissions (roleName) {
+    const roles = await this.loadRoles()
+    if (roles.has(roleName)) {
+      return roles.get(roleName)
+    }
+    return new Set(SYSTEM_ROLES[roleName]?.permissions || [])
+  }
+
+  /**
+   * ¿El rol incluye todos los permisos indicados?
+   */
+  async hasPermissions (roleName, permissions) {
+    const granted = await this.getPermissions(roleName)
+    return permissions.every(permission => granted.has(permission))
+  }
+
+  async loadRoles () {
+    if (this.cache && Date.now() - this.cacheLoadedAt < CACHE_TTL_MS) {
+      return this.cache
+    }
+
+    const roles = await Role.findAll({ attributes: ['name', 'permissions'] })
+    this.cache = new Map(roles.map(role => [role.name, new Set(role.permissions)]))
+    this.cacheLoadedAt = Date.now()
+    return this.cache
+  }
+
+  invalidateCache () {
+    this.cache = null
+  }
+
+  /**
+   * Catálogo de permisos disponibles
+   * @returns {Array<Object>} [{ name, description }]
+   */
+  listPermissions () {
+    return Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  }
+
+  /**
+   * Listar roles con la cantidad de administradores asignados
+   */
+  async listRoles () {
+    const roles = await Role.findAll({ order: [['isSystem', 'DESC'], ['name', 'ASC']] })
+    const counts = await Admin.findAll({
+      attributes: ['role', [fn('COUNT', col('id')), 'count']],
+      group: ['role'],
+      raw: true
+    })
+    const adminsByRole = new Map(counts.map(row => [row.role, Number(row.count)]))
+
+    return roles.map(role => ({
+      ...role.toJSON(),
+      adminCount: adminsByRole.get(role.name) || 0
+    }))
+  }
+
+  async getRoleByName (name) {
+    const role = await Role.findOne({ where: { name } })
+    if (!role) {
+      throw roleError(`El rol ${name} no existe`, 'ROLE_NOT_FOUND')
+    }
+    return role
+  }
+
+  /**
+   * Crear un rol
+   * @param {Object} data - { name, description, permissions }
+   * @param {Object} actor - Administrador que realiza la acción { id, role }
+   * @returns {Promise<Role>}
+   */
+  async createRole ({ name, description = null, permissions }, actor = {}) {
+    this.validatePermissions(permissions)
+    await this.assertCanGrant(actor.role, permissions)
+
+    const existing = await Role.findOne({ where: { name } })
+    if (existing) {
+      throw roleError(`El rol ${name} ya existe`, 'ROLE_ALREADY_EXISTS')
+    }
+
+    const role = await TransactionManager.executeCustomTransaction(async (t) => {
+      const created = await Role.create({ name, description, permissions: [...new Set(permissions)], isSystem: false }, { transaction: t })
+
+      await auditService.record({
+        action: 'role.create',
+        entityType: 'Role',
+        entityId: created.name,
+        actorId: actor.id,
+        after: auditService.pick(created, ['description', 'permissions'])
+      }, t)
+
+      return created
+    }, 'CONSISTENT_WRITE')
+
+    this.invalidateCache()
+    logger.logBusiness('role:created', { name, permissions: role.permissions.length })
+    return role
+  }
+
+  /**
+   * Actualizar descripción o permisos de un rol
+   * SUPER_ADMIN no se puede modificar para no perder el acceso a la administración
+   */
+  async updateRole (name, { description, permissions }, actor = {}) {
+    const role = await this.getRoleByName(name)
+
+    if (role.name === 'SUPER_ADMIN') {
+      throw roleError('El rol SUPER_ADMIN no se puede modificar', 'ROLE_PROTECTED')
+    }
+
+    const changes = {}
+    if (description !== undefined) changes.description = description
+    if (permissions !== undefined) {
+      this.validatePermissions(permissions)
+      await this.assertCanGrant(actor.role, permissions)
+      changes.permissions = [...new Set(permissions)]
+    }
+
+    await TransactionManager.executeCustomTransaction(async (t) => {
+      const before = auditService.pick(role, ['description', 'permissions'])
+      await role.update(changes, { transaction: t })
+
+      await auditService.record({
+        action: 'role.update',
+        entityType: 'Role',
+        entityId: role.name,
+        actorId: actor.id,
+        before,
+        after: auditService.pick(role, ['description', 'permissions'])
+      }, t)
+    }, 'CONSISTENT_WRITE')
+
+    this.invalidateCache()
+    logger.logBusiness('role:updated', { name, permissions: role.permissions.length })
+    return role
+  }
+
+  /**
+   * Eliminar un rol sin administradores asignados
+   * Los roles de sistema no se pueden eliminar
+   */
+  async deleteRole (name, actor = {}) {
+    const role = await this.getRoleByName(name)
+
+    if (role.isSystem) {
+      throw roleError(`El rol ${name} es de sistema y no se puede eliminar`, 'ROLE_PROTECTED')
+    }
+
+    const assigned = await Admin.count({ where: { role: name } })
+    if (assigned > 0) {
+      throw roleError(`El rol ${name} está asignado a ${assigned} administrador(es)`, 'ROLE_IN_USE')
+    }
+
+    await TransactionManager.executeCustomTransaction(async (t) => {
+      await role.destroy({ transaction: t })
+
+      await auditService.record({
+        action: 'role.delete',
+        entityType: 'Role',
+        entityId: role.name,
+        actorId: actor.id,
+        before: auditService.pick(role, ['description', 'permissions'])
+      }, t)
+    }, 'CONSISTENT_WRITE')
+
+    this.invalidateCache()
+    logger.logBusiness('role:deleted', { name })
+    return true
+  }
+
+  /**
+   * Evitar escalamiento: solo se pueden otorgar permisos que el actor ya tiene
+   * @param {string} actorRole - Rol del administrador que realiza la acción (null = sistema)
+   * @param {Array<string>} permissions - Permisos a otorgar
+   */
+  async assertCanGrant (actorRole, permissions) {
+    if (!actorRole) {
+      return
+    }
+
+    const granted = await this.getPermissions(actorRole)
+    const missing = permissions.filter(permission => !granted.has(permission))
+    if (missing.length > 0) {
+      throw roleError(`No puedes otorgar permisos que no tienes: ${missing.join(', ')}`, 'ROLE_ESCALATION')
+    }
+  }
+
+  /**
+   * Validar que un administrador pueda actuar sobre otro (editarlo, desactivarlo, eliminarlo,
+   * cerrar sus sesiones o restablecer su contraseña o su 2FA)
+   * Solo si ya tiene todos los permisos del rol del afectado
+   * @param {string} actorRole - Rol de quien actúa (null = sistema)
+   * @param {string} targetRole - Rol del administrador afectado
+   */
+  async assertCanManage (actorRole, targetRole) {
+    if (!actorRole) {
+      return
+    }
+
+    const permissions = await this.getPermissions(targetRole)
+    await this.assertCanGrant(actorRole, [...permissions])
+  }
+
+  /**
+   * Validar que un rol se pueda asignar a un administrador
+   * @param {string} roleName - Rol a asignar
+   * @param {string} actorRole - Rol de quien lo asigna (null = sistema)
+   */
+  async assertAssignable (roleName, actorRole = null) {
+    const role = await this.getRoleByName(roleName)
+    await this.assertCanGrant(actorRole, role.permissions)
+    return role
+  }
+
+  validatePermissions (permissions) {
+    if (!Array.isArray(permissions)) {
+      throw roleError('permissions debe ser una lista', 'INVALID_PERMISSION')
+    }
+
+    const unknown = permissions.filter(permission => !Object.hasOwn(PERMISSIONS, permission))
+    if (unknown.length > 0) {
+      throw roleError(`Permisos desconocidos: ${unknown.join(', ')}`, 'INVALID_PERMISSION')
+    }
+  }
+}
+
+// Exportar singleton
+module.exports = new RoleService()
@@ -0,0 +1,86 @@
+/**
+ * Motor de impuestos para las líneas de una orden
+ * Los montos se calculan en centavos y se redondean igual que Siigo (base * tarifa),
+ * de modo que el total cobrado coincida con el total de la factura electrónica.
+ */
+
+/**
+ * Clases de impuesto soportadas (Colombia)
+ * - IVA_19: gravado a la tarifa general del 19%
+ * - EXEMPT: exento (tarifa 0%, se reporta en la factura)
+ * - EXCLUDED: excluido de IVA (sin impuesto)
+ */
+const TAX_CLASSES = Object.freeze({
+  IVA_19: { rate: 19, siigoTaxEnv: 'SIIGO_TAX_ID' },
+  EXEMPT: { rate: 0, siigoTaxEnv: 'SIIGO_TAX_EXEMPT_ID' },
+  EXCLUDED: { rate: 0, siigoTaxEnv: null }
+})
+
+const DEFAULT_TAX_CLASS = 'IVA_19'
+
+/**
+ * Indica si los precios de los productos ya incluyen el impuesto
+ * Configurable con PRICES_INCLUDE_TAX (por defecto true)
+ * @returns {boolean}
+ */
+function pricesIncludeTax () {
+  return process.env.PRICES_INCLUDE_TAX !== 'false'
+}
+
+/**
+ * Calcula el impuesto de una línea
+ * Con precios con IVA incluido la base se obtiene descontando el impuesto del monto;
+ * el total resultante (base + impuesto) puede diferir en un centavo del precio de lista.
+ * @param {Object} params
+ * @param {number} params.amount - Monto de la línea después de descuentos, en centavos
+ * @param {string} params.taxClass - Clase de impuesto del producto
+ * @param {boolean} params.includesTax - Si el monto ya incluye el impuesto
+ * @returns {Object} { taxClass, taxRate, taxBase, taxTotal, grandTotal }
+ */
+function calculateTax ({ amount, taxClass = DEFAULT_TAX_CLASS, includesTax = pricesIncludeTax() }) {
+  const taxConfig = TAX_CLASSES[taxClass]
+  if (!taxConfig) {
+    throw new Error(`Unknown tax class: ${taxClass}`)
+  }
+
+  const taxRate = taxConfig.rate
+  const taxBase = includesTax && taxRate > 0
+    ? Math.round((amount * 100) / (100 + taxRate))
+    : amount
+  const taxTotal = Math.round((taxBase * taxRate) / 100)
+
+  return {
+    taxClass,
+    taxRate,
+    taxBase,
+    taxTotal,
+    grandTotal: taxBase + taxTotal
+  }
+}
+
+/**
+ * Obtiene el ID del impuesto configurado en Siigo para una clase de impuesto
+ * @param {string} taxClass - Clase de impuesto
+ * @returns {number|null} ID del impuesto en Siigo, o null si la clase no lleva impuesto
+ */
+function getSiigoTaxId (taxClass) {
+  const envName = TAX_CLASSES[taxClass]?.siigoTaxEnv
+  if (!envName) {
+    return null
+  }
+
+  const taxId = parseInt(process.env[envName], 10)
+  if (isNaN(taxId)) {
+    throw new Error(`${envName} must be configured to invoice products with tax class ${taxClass}`)
+  }
+
+  return taxId
+}
+
+module.exports = {
+  TAX_CLASSES,
+  DEFAULT_TAX_CLASS,
+  pricesIncludeTax,
+  calculateTax,
+  getSiigoTaxId
+}
@@ -0,0 +1,274 @@
+const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
+const { Admin } = require('../models')
+const { JWT, ADMIN_2FA } = require('../config')
+const totp = require('../utils/totp')
+const licenseKeyVault = require('../utils/licenseKeyVault')
+const logger = require('../config/logger')
+const TransactionManager = require('../utils/transactionManager')
+const auditService = require('./audit.service')
+const adminSessionService = require('./adminSession.service')
+const roleService = require('./role.service')
+
+const BACKUP_CODE_COUNT = 10
+const CHALLENGE_EXPIRES_IN = '5m'
+
+function twoFactorError (message, code) {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+/**
+ * Two Factor Service - Segundo factor TOTP para administradores
+ *
+ * El secreto se guarda cifrado con el mismo llavero de las claves de licencia.
+ * Si el administrador tiene 2FA (o su rol lo exige) el login no entrega tokens:
+ * entrega un challengeToken de 5 minutos que se canjea con un código TOTP o de respaldo.
+ */
+class TwoFactorService {
+  /**
+   * ¿El rol debe usar 2FA obligatoriamente?
+   */
+  isRequiredFor (role) {
+    return ADMIN_2FA.requiredRoles.includes(role)
+  }
+
+  /**
+   * Token intermedio del login: contraseña válida, falta el segundo factor
+   */
+  createChallenge (admin) {
+    return jwt.sign({ id: admin.id, type: 'admin_2fa' }, JWT.secret, { expiresIn: CHALLENGE_EXPIRES_IN })
+  }
+
+  /**
+   * Validar un challengeToken y devolver su administrador
+   * @returns {Promise<Admin>}
+   */
+  async resolveChallenge (challengeToken) {
+    let decoded
+    try {
+      decoded = jwt.verify(challengeToken, JWT.secret)
+    } catch (error) {
+      decoded = null
+    }
+
+    const admin = decoded && decoded.type === 'admin_2fa' ? await Admin.findByPk(decoded.id) : null
+    if (!admin || !admin.isActive) {
+      throw twoFactorError('La verificación expiró. Inicia sesión nuevamente.', 'TWO_FACTOR_CHALLENGE_INVALID')
+    }
+    return admin
+  }
+
+  /**
+   * Iniciar el registro: genera un secreto pendiente hasta que se confirme con un código
+   * @param {Admin} admin - Administrador
+   * @returns {Promise<Object>} { secret, otpauthUri }
+   */
+  async beginSetup (admin) {
+    if (admin.twoFactorEnabled) {
+      throw twoFactorError('El segundo factor ya está activado', 'TWO_FACTOR_ALREADY_ENABLED')
+    }
+
+    const secret = totp.generateSecret()
+    await admin.update({
+      twoFactorSecret: licenseKeyVault.encrypt(secret),
+      twoFactorBackupCodes: null,
+      twoFactorLastStep: null
+    })
+
+    logger.logBusiness('twoFactor:setupStarted', { adminId: admin.id })
+
+    return {
+      secret,
+      otpauthUri: totp.keyUri({ secret, accountName: admin.email, issuer: ADMIN_2FA.issuer })
+    }
+  }
+
+  /**
+   * Confirmar el registro con el primer código de la app
+   * @param {Admin} admin - Administrador con registro pendiente
+   * @param {string} code - Código TOTP
+   * @returns {Promise<Array<string>>} Códigos de respaldo (solo se muestran esta vez)
+   */
+  async enable (admin, code) {
+    if (admin.twoFactorEnabled) {
+      throw twoFactorError('El segundo factor ya está activado', 'TWO_FACTOR_ALREADY_ENABLED')
+    }
+    if (!admin.twoFactorSecret) {
+      throw twoFactorError('Primero se debe iniciar el registro del segundo factor', 'TWO_FACTOR_NOT_SETUP')
+    }
+
+    const step = totp.verify(code, licenseKeyVault.decrypt(admin.twoFactorSecret))
+    if (step === null) {
+      throw twoFactorError('Código de verificación inválido', 'TWO_FACTOR_INVALID_CODE')
+    }
+
+    const backupCodes = this.generateBackupCodes()
+
+    await TransactionManager.executeCustomTransaction(async (t) => {
+      await admin.update({
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(),
+        twoFactorLastStep: step,
+        twoFactorBackupCodes: backupCodes.map(backupCode => this.hashBackupCode(backupCode))
+      }, { transaction: t })
+
+      await auditService.record({
+        action: 'admin.2fa_enable',
+        entityType: 'Admin',
+        entityId: admin.id,
+        actorId: admin.id
+      }, t)
+    }, 'CONSISTENT_WRITE')
+
+    logger.logBusiness('twoFactor:enabled', { adminId: admin.id })
+    return backupCodes
+  }
+
+  /**
+   * Verificar el segundo factor de un login
+   * Un código TOTP solo se acepta una vez y cada código de respaldo se consume al usarlo
+   * @param {number} adminId - Administrador
+   * @param {Object} factor - { code } o { backupCode }
+   * @returns {Promise<Object>} { method: 'TOTP' | 'BACKUP_CODE', backupCodesRemaining }
+   */
+  async verify (adminId, { code, backupCode }) {
+    return TransactionManager.executeCustomTransaction(async (t) => {
+      // Bloqueo para que dos peticiones simultáneas no acepten el mismo código
+      const admin = await Admin.findByPk(adminId, { lock: t.LOCK.UPDATE, transaction: t })
+
+      if (!admin || !admin.twoFactorEnabled) {
+        throw twoFactorError('El segundo factor no está activado', 'TWO_FACTOR_NOT_SETUP')
+      }
+
+      if (backupCode) {
+        const hash = this.hashBackupCode(backupCode)
+        const remaining = admin.twoFactorBackupCodes || []
+        if (!remaining.includes(hash)) {
+          throw twoFactorError('Código de verificación inválido', 'TWO_FACTOR_INVALID_CODE')
+        }
+
+        await admin.update({ twoFactorBackupCodes: remaining.filter(stored => stored !== hash) }, { transaction: t })
+        logger.logBusiness('twoFactor:backupCodeUsed', { adminId, remaining: remaining.length - 1 })
+        return { method: 'BACKUP_CODE', backupCodesRemaining: remaining.length - 1 }
+      }
+
+      const step = totp.verify(code, licenseKeyVault.decrypt(admin.twoFactorSecret))
+      if (step === null || (admin.twoFactorLastStep !== null && step <= admin.twoFactorLastStep)) {
+        throw twoFactorError('Código de verificación inválido', 'TWO_FACTOR_INVALID_CODE')
+      }
+
+      await admin.update({ twoFactorLastStep: step }, { transaction: t })
+      return { method: 'TOTP', backupCodesRemaining: (admin.twoFactorBackupCodes || []).length }
+    }, 'CONSISTENT_WRITE')
+  }
+
+  /**
+   * Generar nuevos códigos de respaldo (invalida los anteriores)
+   * @param {Admin} admin - Administrador con 2FA activo
+   * @param {string} code - Código TOTP actual
+   * @returns {Promise<Array<string>>}
+   */
+  async regenerateBackupCodes (admin, code) {
+    await this.verify(admin.id, { code })
+
+    const backupCodes = this.generateBackupCodes()
+
+    await TransactionManager.executeCustomTransaction(async (t) => {
+      await admin.update({ twoFactorBackupCodes: backupCodes.map(backupCode => this.hashBackupCode(backupCode)) }, { transaction: t })
+
+      await auditService.record({
+        action: 'admin.2fa_backup_codes_regenerate',
+        entityType: 'Admin',
+        entityId: admin.id,
+        actorId: admin.id
+      }, t)
+    }, 'CONSISTENT_WRITE')
+
+    logger.logBusiness('twoFactor:backupCodesRegenerated', { adminId: admin.id })
+    return backupCodes
+  }
+
+  /**
+   * Desactivar el segundo factor del propio administrador
+   * No se permite si su rol lo exige
+   */
+  async disable (admin, code) {
+    if (this.isRequiredFor(admin.role)) {
+      throw twoFactorError(`El segundo factor es obligatorio para el rol ${admin.role}`, 'TWO_FACTOR_REQUIRED')
+    }
+
+    await this.verify(admin.id, { code })
+
+    await TransactionManager.executeCustomTransaction(async (t) => {
+      await admin.update(this.clearedFields(), { transaction: t })
+
+      await auditService.record({
+        action: 'admin.2fa_disable',
+        entityType: 'Admin',
+        entityId: admin.id,
+        actorId: admin.id
+      }, t)
+    }, 'CONSISTENT_WRITE')
+
+    logger.logBusiness('twoFactor:disabled', { adminId: admin.id })
+  }
+
+  /**
+   * Restablecer el segundo factor de otro administrador (pérdida del dispositivo)
+   * Cierra sus sesiones: en el próximo login deberá registrarlo de nuevo si su rol lo exige
+   * @param {Admin} admin - Administrador afectado
+   * @param {number} actorId - SUPER_ADMIN que realiza la acción
+   * @param {string} actorRole - Rol de quien actúa; no puede afectar a un administrador con más permisos
+   */
+  async reset (admin, actorId, actorRole = null) {
+    await roleService.assertCanManage(actorRole, admin.role)
+
+    await TransactionManager.executeCustomTransaction(async (t) => {
+      const wasEnabled = admin.twoFactorEnabled
+      await admin.update(this.clearedFields(), { transaction: t })
+
+      await auditService.record({
+        action: 'admin.2fa_reset',
+        entityType: 'Admin',
+        entityId: admin.id,
+        actorId,
+        before: { twoFactorEnabled: wasEnabled },
+        after: { twoFactorEnabled: false }
+      }, t)
+
+      await adminSessionService.revokeAllSessions(admin.id, { reason: 'TWO_FACTOR_RESET', actorId, transaction: t })
+    }, 'CONSISTENT_WRITE')
+
+    logger.logBusiness('twoFactor:reset', { adminId: admin.id, actorId })
+  }
+
+  clearedFields () {
+    return {
+      twoFactorEnabled: false,
+      twoFactorEnabledAt: null,
+      twoFactorSecret: null,
+      twoFactorBackupCodes: null,
+      twoFactorLastStep: null
+    }
+  }
+
+  /**
+   * Códigos de respaldo de un solo uso, formato xxxxx-xxxxx
+   */
+  generateBackupCodes () {
+    return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex')
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`
+    })
+  }
+
+  hashBackupCode (backupCode) {
+    const normalized = String(backupCode).toLowerCase().replace(/[^0-9a-f]/g, '')
+    return crypto.createHash('sha256').update(normalized).digest('hex')
+  }
+}
+
+// Exportar singleton
+module.exports = new TwoFactorService()
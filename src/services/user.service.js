@@ -1,7 +1,7 @@
 const { User } = require('../models')
 const { Op } = require('sequelize')
 const logger = require('../config/logger')
-const pseudoMailer = require('../utils/pseudoMailer')
+const emailService = require('./email')
 const jwt = require('jsonwebtoken')
 const { JWT } = require('../config')
 
@@ -53,13 +53,14 @@ class UserService {
       // Crear el usuario
       const user = await User.create(userData)
 
-      // Enviar correo de bienvenida
+      // Enviar correo de bienvenida; un fallo de envío no revierte el registro
       try {
-        await pseudoMailer.sendWelcome(user.email, user.first_name)
+        await emailService.sendWelcomeEmail({ customer: user })
       } catch (error) {
         logger.warn('Error al enviar correo de bienvenida', {
           userId: user.id,
-          email: user.email
+          email: user.email,
+          error: error.message
         })
       }
 
@@ -1,65 +1,103 @@
-const { WaitlistEntry, License, Order, User, Product } = require('../models')
+const { WaitlistEntry, License, Order, OrderItem, Refund, User, Product } = require('../models')
 const { Op } = require('sequelize')
 const logger = require('../config/logger')
 const TransactionManager = require('../utils/transactionManager')
 const emailService = require('./email')
 const emailQueueService = require('./emailQueue.service')
+const merchantWebhookService = require('./merchantWebhook.service')
+const orderLines = require('../utils/orderLines')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Estados en los que el cliente todavía espera su licencia
+const ACTIVE_STATUSES = ['PENDING', 'READY_FOR_EMAIL', 'PROCESSING']
+
+// Reembolsos que comprometen saldo (mismos que refund.service)
+const OPEN_REFUND_STATUSES = ['PROCESSING', 'PENDING_MANUAL', 'COMPLETED']
+
+function refundFailedError (error) {
+  const refundError = new Error(`Refund could not be requested: ${error.message}`)
+  refundError.code = 'WAITLIST_REFUND_FAILED'
+  return refundError
+}
 
 /**
  * Servicio de gestión de lista de espera para productos sin stock
  */
 class WaitlistService {
+  constructor () {
+    // Días de cargas de licencias usados para estimar la entrega
+    this.etaHistoryDays = parseInt(process.env.WAITLIST_ETA_HISTORY_DAYS) || 90
+  }
+
   /**
-   * Agregar orden a la lista de espera
+   * Agregar líneas de una orden a la lista de espera
+   * Se crea una entrada por cada unidad pendiente para que cada una reciba su propia licencia
+   * @param {Order} order - Orden
+   * @param {string} reason - Motivo
+   * @param {Array<Object>} lines - Líneas pendientes ({ orderItemId, productRef, qty }); por defecto todas las líneas con licencia
+   * @returns {Promise<Array<WaitlistEntry>>} - Entradas creadas
    */
-  async addToWaitlist (order, reason = 'OUT_OF_STOCK') {
+  async addToWaitlist (order, reason = 'OUT_OF_STOCK', lines = null) {
+    const pendingLines = lines || orderLines.getLicenseLines(order)
+
     try {
       logger.logBusiness('waitlist:add', {
         orderId: order.id,
         customerId: order.customerId,
-        productRef: order.productRef,
+        lines: pendingLines.map(line => ({ orderItemId: line.orderItemId, productRef: line.productRef, qty: line.qty })),
         reason
       })
 
       return await TransactionManager.executeInventoryTransaction(async (t) => {
-        // Verificar que no esté ya en la lista de espera
-        const existingEntry = await WaitlistEntry.findOne({
-          where: { orderId: order.id },
-          transaction: t
-        })
+        const waitlistEntries = []
+        const notifyEntries = []
+
+        for (const line of pendingLines) {
+          // Verificar que la línea no esté ya en la lista de espera
+          const existingEntry = await WaitlistEntry.findOne({
+            where: {
+              orderId: order.id,
+              productRef: line.productRef,
+              ...(line.orderItemId ? { orderItemId: line.orderItemId } : {})
+            },
+            transaction: t
+          })
 
-        if (existingEntry) {
-          throw new Error('Order already in waitlist')
-        }
+          if (existingEntry) {
+            throw new Error(`Order line ${line.productRef} already in waitlist`)
+          }
+
+          // Crear una entrada por unidad pendiente
+          for (let i = 0; i < line.qty; i++) {
+            const waitlistEntry = await WaitlistEntry.create({
+              orderId: order.id,
+              orderItemId: line.orderItemId || null,
+              customerId: order.customerId,
+              productRef: line.productRef,
+              qty: 1,
+              status: 'PENDING',
+              priority: new Date()
+            }, { transaction: t })
 
-        // Crear entrada en lista de espera
-        const waitlistEntry = await WaitlistEntry.create({
-          orderId: order.id,
-          customerId: order.customerId,
-          productRef: order.productRef,
-          qty: order.qty,
-          status: 'PENDING',
-          priority: new Date()
-        }, { transaction: t })
-
-        // Enviar email de notificación usando la cola
-        setImmediate(async () => {
-          try {
-            await emailQueueService.queueWaitlistNotification(waitlistEntry)
-          } catch (emailError) {
-            logger.logError(emailError, {
-              operation: 'queueWaitlistNotification',
-              waitlistEntryId: waitlistEntry.id
-            })
+            waitlistEntries.push(waitlistEntry)
+            if (i === 0) {
+              notifyEntries.push(waitlistEntry)
+            }
           }
-        })
+        }
+
+        // Encolar el email de notificación en la misma transacción (uno por línea)
+        for (const waitlistEntry of notifyEntries) {
+          await this.queueWaitlistNotification(waitlistEntry, t)
+        }
 
         logger.logBusiness('waitlist:add.success', {
-          waitlistEntryId: waitlistEntry.id,
+          waitlistEntryIds: waitlistEntries.map(entry => entry.id),
           orderId: order.id
         })
 
-        return waitlistEntry
+        return waitlistEntries
       })
     } catch (error) {
       logger.logError(error, {
@@ -70,6 +108,318 @@ class WaitlistService {
     }
   }
 
+  /**
+   * Encolar la notificación de lista de espera de una entrada
+   * El producto de la entrada puede ser cualquier línea de la orden
+   * @param {WaitlistEntry} waitlistEntry - Entrada de lista de espera
+   * @param {Object} t - Transacción de base de datos
+   */
+  async queueWaitlistNotification (waitlistEntry, t) {
+    const order = await Order.findByPk(waitlistEntry.orderId, {
+      include: ['customer', 'product'],
+      transaction: t
+    })
+
+    if (!order) {
+      throw new Error('Order not found')
+    }
+
+    const product = waitlistEntry.productRef && waitlistEntry.productRef !== order.productRef
+      ? await Product.findOne({ where: { productRef: waitlistEntry.productRef }, transaction: t })
+      : order.product
+
+    const position = await this.getQueuePosition(waitlistEntry, t)
+    const eta = await this.estimateDelivery(waitlistEntry.productRef, position, t)
+
+    return await emailService.queueWaitlistNotification({
+      customer: order.customer,
+      product,
+      order,
+      position,
+      eta
+    }, t)
+  }
+
+  /**
+   * Posición de una entrada PENDING en la cola de su producto (1 = siguiente en recibir licencia)
+   * @param {WaitlistEntry} entry - Entrada de lista de espera
+   * @param {Object} t - Transacción de base de datos
+   * @returns {Promise<number>} Posición en la cola
+   */
+  async getQueuePosition (entry, t = null) {
+    const ahead = await WaitlistEntry.count({
+      where: {
+        productRef: entry.productRef,
+        status: 'PENDING',
+        [Op.or]: [
+          { priority: { [Op.lt]: entry.priority } },
+          { priority: entry.priority, id: { [Op.lt]: entry.id } }
+        ]
+      },
+      transaction: t
+    })
+
+    return ahead + 1
+  }
+
+  /**
+   * Ventana estimada de entrega según el historial de cargas de licencias del producto
+   * Con el tamaño promedio de carga y el intervalo promedio entre cargas de los últimos
+   * etaHistoryDays días se calcula cuántas cargas faltan para llegar a la posición.
+   * @param {string} productRef - Producto
+   * @param {number} position - Posición en la cola
+   * @param {Object} t - Transacción de base de datos
+   * @returns {Promise<Object|null>} { minDays, maxDays, restocks, historyDays } o null sin historial
+   */
+  async estimateDelivery (productRef, position, t = null) {
+    const available = await License.count({
+      where: { productRef, status: 'AVAILABLE' },
+      transaction: t
+    })
+
+    // Ya hay stock para esta posición: la entrega depende solo del procesamiento de la cola
+    if (position <= available) {
+      return { minDays: 0, maxDays: 1, restocks: null, historyDays: this.etaHistoryDays }
+    }
+
+    const restocked = await License.findAll({
+      attributes: ['createdAt'],
+      where: {
+        productRef,
+        createdAt: { [Op.gte]: new Date(Date.now() - this.etaHistoryDays * DAY_MS) }
+      },
+      order: [['createdAt', 'ASC']],
+      raw: true,
+      transaction: t
+    })
+
+    const restockDays = [...new Set(restocked.map(license => new Date(license.createdAt).toISOString().slice(0, 10)))]
+    if (restockDays.length === 0) {
+      return null
+    }
+
+    const averageBatch = restocked.length / restockDays.length
+    const averageInterval = restockDays.length > 1
+      ? (Date.parse(restockDays[restockDays.length - 1]) - Date.parse(restockDays[0])) / DAY_MS / (restockDays.length - 1)
+      : this.etaHistoryDays
+    const restocksNeeded = Math.ceil((position - available) / averageBatch)
+    const daysSinceLastRestock = (Date.now() - Date.parse(restockDays[restockDays.length - 1])) / DAY_MS
+
+    const minDays = Math.max(0, Math.ceil(averageInterval - daysSinceLastRestock))
+    const maxDays = Math.max(minDays + 1, Math.ceil(averageInterval * restocksNeeded - daysSinceLastRestock))
+
+    return { minDays, maxDays, restocks: restockDays.length, historyDays: this.etaHistoryDays }
+  }
+
+  /**
+   * Entradas activas de un cliente con su posición y entrega estimada
+   * @param {number} customerId - Cliente autenticado
+   * @returns {Promise<Array<Object>>} Entradas PENDING, READY_FOR_EMAIL o PROCESSING
+   */
+  async getCustomerWaitlist (customerId) {
+    const entries = await WaitlistEntry.findAll({
+      where: {
+        customerId,
+        status: ACTIVE_STATUSES
+      },
+      include: [{ association: 'product', attributes: ['name'] }],
+      order: [['priority', 'ASC']]
+    })
+
+    const results = []
+    for (const entry of entries) {
+      // Las entradas con licencia apartada ya no hacen fila
+      const position = entry.status === 'PENDING' ? await this.getQueuePosition(entry) : 0
+      const eta = entry.status === 'PENDING'
+        ? await this.estimateDelivery(entry.productRef, position)
+        : { minDays: 0, maxDays: 1, restocks: null, historyDays: this.etaHistoryDays }
+
+      results.push({ entry, position, eta })
+    }
+
+    return results
+  }
+
+  /**
+   * El cliente abandona la lista de espera y solicita el reembolso de la unidad
+   * La cancelación y el registro del reembolso (PROCESSING) se guardan en la misma
+   * transacción: nunca queda una entrada cancelada sin reembolso. Si el proveedor
+   * rechaza el reembolso la entrada vuelve a PENDING conservando su prioridad.
+   * @param {number} customerId - Cliente autenticado
+   * @param {number} waitlistEntryId - Entrada a cancelar
+   * @returns {Promise<Object>} { entry, refund }
+   */
+  async cancelCustomerEntry (customerId, waitlistEntryId) {
+    logger.logBusiness('waitlist:customerCancel', { customerId, waitlistEntryId })
+
+    // Import diferido: refund.service → license.service → waitlist.service
+    const refundService = require('./refund.service')
+
+    const { entry, amount, refund, transaction } = await TransactionManager.executeInventoryTransaction(async (t) => {
+      const entry = await WaitlistEntry.findOne({
+        where: { id: waitlistEntryId, customerId },
+        lock: t.LOCK.UPDATE,
+        transaction: t
+      })
+
+      if (!entry) {
+        const error = new Error('Waitlist entry not found')
+        error.code = 'WAITLIST_ENTRY_NOT_FOUND'
+        throw error
+      }
+
+      // Con licencia apartada la entrega ya está en curso
+      if (entry.status !== 'PENDING') {
+        const error = new Error(`Waitlist entry cannot be canceled in status ${entry.status}`)
+        error.code = 'WAITLIST_ENTRY_NOT_CANCELABLE'
+        throw error
+      }
+
+      // Cada entrada es una unidad de su línea (órdenes legacy: de la orden).
+      // El lock de la línea serializa las cancelaciones de sus unidades.
+      const line = entry.orderItemId
+        ? await OrderItem.findByPk(entry.orderItemId, { lock: t.LOCK.UPDATE, transaction: t })
+        : await Order.findByPk(entry.orderId, { lock: t.LOCK.UPDATE, transaction: t })
+      const amount = await this.unitRefundAmount(entry, line, t)
+
+      if (amount <= 0) {
+        throw refundFailedError(new Error('Order line already fully refunded'))
+      }
+
+      let reserved
+      try {
+        reserved = await refundService.reserveRefund(entry.orderId, {
+          amount,
+          reason: 'WAITLIST_CANCELED',
+          licenseAction: 'NONE'
+        }, null, t)
+      } catch (error) {
+        throw refundFailedError(error)
+      }
+
+      await entry.update({
+        status: 'CANCELED',
+        processedAt: new Date(),
+        refundId: reserved.refund.id
+      }, { transaction: t })
+
+      return { entry, amount, ...reserved }
+    })
+
+    try {
+      await refundService.processReservedRefund(refund, transaction)
+    } catch (error) {
+      // El reembolso quedó FAILED: la entrada vuelve a la fila si nadie la tocó desde la cancelación
+      await WaitlistEntry.update({ status: 'PENDING', processedAt: null, refundId: null }, {
+        where: { id: entry.id, status: 'CANCELED', refundId: refund.id }
+      })
+
+      logger.logError(error, {
+        operation: 'cancelCustomerEntry.refund',
+        waitlistEntryId,
+        orderId: entry.orderId,
+        refundId: refund.id
+      })
+
+      throw refundFailedError(error)
+    }
+
+    await TransactionManager.executeInventoryTransaction(async (t) => {
+      await this.closeOrderIfDone(entry.orderId, t)
+
+      await merchantWebhookService.emit('waitlist.canceled', {
+        waitlistEntryId: entry.id,
+        orderId: entry.orderId,
+        orderItemId: entry.orderItemId || null,
+        customerId,
+        productRef: entry.productRef,
+        refundId: refund.id,
+        refundStatus: refund.status,
+        amount
+      }, t)
+    })
+
+    logger.logBusiness('waitlist:customerCancel.success', {
+      customerId,
+      waitlistEntryId,
+      orderId: entry.orderId,
+      refundId: refund.id,
+      refundStatus: refund.status,
+      amount
+    })
+
+    return { entry, refund }
+  }
+
+  /**
+   * Monto a reembolsar por una unidad en espera de una línea
+   * Cada unidad vale la parte entera de total / cantidad; la última unidad de la línea
+   * lleva el residuo. Nunca supera lo que queda sin reembolsar de la línea.
+   * @param {WaitlistEntry} entry - Entrada que se cancela
+   * @param {OrderItem|Order} line - Línea de la entrada (orden en legacy)
+   * @param {Object} t - Transacción de base de datos
+   * @returns {Promise<number>} Monto en centavos
+   */
+  async unitRefundAmount (entry, line, t) {
+    const refundedEntries = await WaitlistEntry.findAll({
+      where: {
+        ...(entry.orderItemId ? { orderItemId: entry.orderItemId } : { orderId: entry.orderId }),
+        id: { [Op.ne]: entry.id },
+        status: 'CANCELED',
+        refundId: { [Op.ne]: null }
+      },
+      attributes: ['refundId'],
+      transaction: t
+    })
+
+    const refunded = refundedEntries.length === 0
+      ? 0
+      : await Refund.sum('amount', {
+        where: {
+          id: { [Op.in]: refundedEntries.map(refundedEntry => refundedEntry.refundId) },
+          status: { [Op.in]: OPEN_REFUND_STATUSES }
+        },
+        transaction: t
+      }) || 0
+    const balance = line.grandTotal - refunded
+
+    const isLastUnit = refundedEntries.length >= line.qty - 1
+    const amount = isLastUnit ? balance : Math.floor(line.grandTotal / line.qty)
+
+    return Math.min(amount, balance)
+  }
+
+  /**
+   * Cerrar la orden cuando ya no le quedan unidades en espera
+   * COMPLETED si recibió alguna licencia; CANCELED si el cliente canceló todo
+   */
+  async closeOrderIfDone (orderId, t) {
+    const remainingEntries = await WaitlistEntry.count({
+      where: {
+        orderId,
+        status: { [Op.notIn]: ['COMPLETED', 'CANCELED'] }
+      },
+      transaction: t
+    })
+
+    if (remainingEntries > 0) {
+      return null
+    }
+
+    const deliveredLicenses = await License.count({
+      where: { orderId, status: 'SOLD' },
+      transaction: t
+    })
+    const status = deliveredLicenses > 0 ? 'COMPLETED' : 'CANCELED'
+
+    await Order.update({ status }, {
+      where: { id: orderId, status: 'IN_PROCESS' },
+      transaction: t
+    })
+
+    return status
+  }
+
   /**
    * Reservar licencias disponibles para lista de espera
    */
@@ -115,7 +465,9 @@ class WaitlistService {
           }
         }
 
-        // Obtener licencias disponibles
+        // Obtener licencias disponibles y entradas por prioridad con lock pesimista.
+        // Las filas que otra reserva concurrente ya tomó se saltan (SKIP LOCKED), así que
+        // pueden volver menos licencias o entradas que las contadas: se empareja el mínimo.
         const licenses = await License.findAll({
           where: {
             productRef,
@@ -123,10 +475,10 @@ class WaitlistService {
           },
           limit: licensesToReserve,
           lock: t.LOCK.UPDATE,
+          skipLocked: true,
           transaction: t
         })
 
-        // Obtener entradas de lista de espera ordenadas por prioridad
         const waitlistEntries = await WaitlistEntry.findAll({
           where: {
             productRef,
@@ -135,13 +487,15 @@ class WaitlistService {
           order: [['priority', 'ASC']],
           limit: licensesToReserve,
           lock: t.LOCK.UPDATE,
+          skipLocked: true,
           transaction: t
         })
 
         // PASO 3: Apartar licencias como RESERVED y preparar para envío de emails
         const reservations = []
+        const pairs = Math.min(licenses.length, waitlistEntries.length)
 
-        for (let i = 0; i < licenses.length; i++) {
+        for (let i = 0; i < pairs; i++) {
           const license = licenses[i]
           const entry = waitlistEntries[i]
 
@@ -189,6 +543,74 @@ class WaitlistService {
     }
   }
 
+  /**
+   * Atender de inmediato la lista de espera de uno o varios productos (tras cargar licencias)
+   * Reserva licencias para las entradas PENDING por prioridad (FIFO) y entrega todas las reservadas.
+   * Una entrega fallida queda en READY_FOR_EMAIL y la reintenta WaitlistProcessingJob.
+   * Las entradas que el job ya tomó (en esta u otra réplica) se omiten y no cuentan como servidas.
+   * @param {string|Array<string>} productRefs - Productos con stock nuevo
+   * @returns {Promise<Object>} { reserved, served, failed, products[] }
+   */
+  async fulfillPending (productRefs) {
+    const results = {
+      reserved: 0,
+      served: 0,
+      failed: 0,
+      products: []
+    }
+
+    for (const productRef of [].concat(productRefs)) {
+      const { reserved } = await this.reserveAvailableLicenses(productRef)
+
+      const readyEntries = await WaitlistEntry.findAll({
+        where: {
+          productRef,
+          status: 'READY_FOR_EMAIL'
+        },
+        include: [
+          {
+            association: 'order',
+            include: ['customer', 'product', orderLines.ITEMS_INCLUDE],
+            required: true
+          },
+          {
+            association: 'orderItem',
+            include: ['product']
+          },
+          {
+            association: 'license',
+            required: true
+          }
+        ],
+        order: [['priority', 'ASC']] // FIFO - el más antiguo primero
+      })
+
+      const product = { productRef, reserved, served: 0, failed: 0 }
+
+      for (const entry of readyEntries) {
+        try {
+          if (await this.processWaitlistEntryWithEmail(entry)) {
+            product.served++
+          }
+        } catch (error) {
+          // processWaitlistEntryWithEmail ya registró el error y devolvió la entrada a READY_FOR_EMAIL
+          product.failed++
+        }
+      }
+
+      results.reserved += product.reserved
+      results.served += product.served
+      results.failed += product.failed
+      results.products.push(product)
+    }
+
+    if (results.reserved > 0 || results.served > 0 || results.failed > 0) {
+      logger.logBusiness('waitlist:fulfilled', results)
+    }
+
+    return results
+  }
+
   /**
    * Procesar una entrada lista para envío de email (llamado por el job)
    * Envía UN email cada vez que se ejecuta (intervalo de 30 segundos)
@@ -212,9 +634,13 @@ class WaitlistService {
         include: [
           {
             association: 'order',
-            include: ['customer', 'product'],
+            include: ['customer', 'product', orderLines.ITEMS_INCLUDE],
             required: true
           },
+          {
+            association: 'orderItem',
+            include: ['product']
+          },
           {
             association: 'license',
             required: true
@@ -230,7 +656,10 @@ class WaitlistService {
 
       // Procesar UNA SOLA entrada por ejecución
       try {
-        await this.processWaitlistEntryWithEmail(readyEntry)
+        if (!(await this.processWaitlistEntryWithEmail(readyEntry))) {
+          // Otro proceso tomó la entrada entre la consulta y el envío
+          return results
+        }
         results.processed++
         results.queued++
 
@@ -279,10 +708,25 @@ class WaitlistService {
   }
 
   /**
-   * Procesar una entrada individual para envío de email
-   * SOLO después del envío exitoso: completa orden y vende licencia
+   * Procesar una entrada individual lista para email
+   * Vende la licencia, completa la línea y encola el email en la bandeja de salida
+   * La entrada se toma de forma atómica (READY_FOR_EMAIL → PROCESSING): si otro proceso
+   * (entrega tras una importación o WaitlistProcessingJob en cualquier réplica) ya la tomó, se omite.
+   * @returns {Promise<boolean>} true si se entregó, false si otro proceso la tomó
    */
   async processWaitlistEntryWithEmail (entry) {
+    const [claimed] = await WaitlistEntry.update({ status: 'PROCESSING' }, {
+      where: { id: entry.id, status: 'READY_FOR_EMAIL' }
+    })
+
+    if (claimed === 0) {
+      logger.logBusiness('waitlist:emailProcess.alreadyClaimed', {
+        waitlistEntryId: entry.id,
+        orderId: entry.orderId
+      })
+      return false
+    }
+
     try {
       // Validar que todos los datos necesarios están disponibles
       if (!entry.order) {
@@ -291,7 +735,9 @@ class WaitlistService {
       if (!entry.order.customer) {
         throw new Error('Customer data not available')
       }
-      if (!entry.order.product) {
+      // El producto de la entrada es el de su línea (órdenes legacy: el de la orden)
+      const product = entry.orderItem?.product || entry.order.product
+      if (!product) {
         throw new Error('Product data not available')
       }
       if (!entry.license) {
@@ -301,9 +747,6 @@ class WaitlistService {
         throw new Error('Customer email not available')
       }
 
-      // Marcar como PROCESSING
-      await entry.update({ status: 'PROCESSING' })
-
       logger.logBusiness('waitlist:emailProcess.sendingEmail', {
         waitlistEntryId: entry.id,
         orderId: entry.orderId,
@@ -311,28 +754,24 @@ class WaitlistService {
         customerEmail: entry.order.customer.email
       })
 
-      // Enviar email directamente (emailQueueService v2.0 no tiene queueLicenseEmail)
-      await emailService.sendLicenseEmail({
-        customer: entry.order.customer,
-        product: entry.order.product,
-        license: entry.license,
-        order: entry.order
-      })
-
-      // ✅ EMAIL ENVIADO - AHORA SÍ COMPLETAR TODO
-      await this.completeOrderAfterEmailSent(entry)
+      // Vender la licencia y encolar el email en la misma transacción
+      await this.completeWaitlistEntry(entry, product)
 
-      logger.logBusiness('waitlist:emailProcess.emailSent', {
+      logger.logBusiness('waitlist:emailProcess.emailQueued', {
         waitlistEntryId: entry.id,
         orderId: entry.orderId,
         customerEmail: entry.order.customer.email,
-        message: 'License email sent and order completed successfully'
+        message: 'License email queued and order line completed'
       })
+
+      return true
     } catch (error) {
-      // Revertir a READY_FOR_EMAIL para reintentar
-      await entry.update({
+      // Revertir a READY_FOR_EMAIL para reintentar (solo si sigue tomada por este proceso)
+      await WaitlistEntry.update({
         status: 'READY_FOR_EMAIL',
         errorMessage: error.message
+      }, {
+        where: { id: entry.id, status: 'PROCESSING' }
       })
 
       logger.logError(error, {
@@ -345,41 +784,84 @@ class WaitlistService {
   }
 
   /**
-   * Completar orden y vender licencia SOLO después de confirmar envío de email
+   * Completar la línea, vender la licencia y encolar su email en una sola transacción
+   * La orden pasa a COMPLETED cuando no le quedan entradas pendientes en la lista de espera
    */
-  async completeOrderAfterEmailSent (entry) {
+  async completeWaitlistEntry (entry, product) {
     return await TransactionManager.executeInventoryTransaction(async (t) => {
-      const { Order } = require('../models')
+      await emailService.queueLicenseEmail({
+        customer: entry.order.customer,
+        product,
+        license: entry.license,
+        order: entry.order
+      }, t)
 
       // 1. Actualizar licencia de RESERVED → SOLD
       await License.update({
         status: 'SOLD',
         orderId: entry.orderId,
+        orderItemId: entry.orderItemId || null,
         soldAt: new Date()
       }, {
         where: { id: entry.licenseId },
         transaction: t
       })
 
-      // 2. Completar la orden de IN_PROCESS → COMPLETED
-      await Order.update({
-        status: 'COMPLETED'
-      }, {
-        where: { id: entry.orderId },
-        transaction: t
-      })
-
-      // 3. Marcar entrada como completada
+      // 2. Marcar entrada como completada
       await entry.update({
         status: 'COMPLETED',
         processedAt: new Date()
       }, { transaction: t })
 
+      // 3. Completar la orden de IN_PROCESS → COMPLETED si no quedan unidades en espera
+      const remainingEntries = await WaitlistEntry.count({
+        where: {
+          orderId: entry.orderId,
+          id: { [Op.ne]: entry.id },
+          status: { [Op.notIn]: ['COMPLETED', 'CANCELED'] }
+        },
+        transaction: t
+      })
+
+      if (remainingEntries === 0) {
+        await Order.update({
+          status: 'COMPLETED'
+        }, {
+          where: { id: entry.orderId },
+          transaction: t
+        })
+      }
+
+      // Notificar a los comercios suscritos (webhook saliente, misma transacción)
+      await merchantWebhookService.emit('waitlist.fulfilled', {
+        waitlistEntryId: entry.id,
+        orderId: entry.orderId,
+        orderItemId: entry.orderItemId || null,
+        customerId: entry.customerId,
+        productRef: entry.productRef,
+        licenseId: entry.licenseId,
+        orderCompleted: remainingEntries === 0
+      }, t)
+
+      await merchantWebhookService.emit('license.delivered', {
+        ...merchantWebhookService.buildOrderData(entry.order),
+        status: remainingEntries === 0 ? 'COMPLETED' : entry.order.status,
+        licenses: [{
+          licenseId: entry.licenseId,
+          productRef: entry.productRef,
+          orderItemId: entry.orderItemId || null
+        }]
+      }, t)
+
       logger.logBusiness('waitlist:orderCompleted', {
         waitlistEntryId: entry.id,
         orderId: entry.orderId,
+        orderItemId: entry.orderItemId,
         licenseId: entry.licenseId,
-        message: 'Order completed after email confirmation'
+        remainingEntries,
+        message: remainingEntries === 0
+          ? 'Order completed, license email queued'
+          : 'Order line delivered, order still has waitlisted units'
       })
     })
   }
@@ -391,19 +873,20 @@ class WaitlistService {
     try {
       const whereClause = productRef ? { productRef } : {}
 
-      const [pending, reserved, processing, readyForEmail, completed, failed] = await Promise.all([
+      const [pending, reserved, processing, readyForEmail, completed, failed, canceled] = await Promise.all([
         WaitlistEntry.count({ where: { ...whereClause, status: 'PENDING' } }),
         WaitlistEntry.count({ where: { ...whereClause, status: 'RESERVED' } }),
         WaitlistEntry.count({ where: { ...whereClause, status: 'PROCESSING' } }),
         WaitlistEntry.count({ where: { ...whereClause, status: 'READY_FOR_EMAIL' } }),
         WaitlistEntry.count({ where: { ...whereClause, status: 'COMPLETED' } }),
-        WaitlistEntry.count({ where: { ...whereClause, status: 'FAILED' } })
+        WaitlistEntry.count({ where: { ...whereClause, status: 'FAILED' } }),
+        WaitlistEntry.count({ where: { ...whereClause, status: 'CANCELED' } })
       ])
 
-      const total = pending + reserved + processing + readyForEmail + completed + failed
+      const total = pending + reserved + processing + readyForEmail + completed + failed + canceled
 
       // Obtener estadísticas de la cola de correos
-      const emailQueueStats = emailQueueService.getQueueStats()
+      const emailQueueStats = await emailQueueService.getQueueStats()
 
       return {
         waitlist: {
@@ -414,6 +897,7 @@ class WaitlistService {
           readyForEmail,
           completed,
           failed,
+          canceled,
           productRef
         },
         emailQueue: emailQueueStats
@@ -451,6 +935,9 @@ class WaitlistService {
             association: 'order',
             include: ['customer', 'product']
           },
+          {
+            association: 'orderItem'
+          },
           {
             association: 'license'
           }
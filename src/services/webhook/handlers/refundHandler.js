@@ -0,0 +1,285 @@
+const { Admin, Order } = require('../../../models')
+const logger = require('../../../config/logger')
+const TransactionManager = require('../../../utils/transactionManager')
+const transactionHandler = require('./transactionHandler')
+const licenseService = require('../../license.service')
+const refundService = require('../../refund.service')
+
+/**
+ * Handler para eventos de reembolso y contracargo de webhooks
+ * - Devolución de un reembolso ya registrado (completado en línea o confirmado a mano):
+ *   el evento es idempotente
+ * - Devolución de un reembolso manual pendiente por el mismo monto: el evento lo confirma
+ * - Devolución sin reembolso asociado: queda para revisión manual, no se revoca nada
+ * - Contracargo (solo eventos 'chargeback'): se anulan las licencias (REVERSED)
+ * Salvo en el caso idempotente se notifica a los administradores.
+ */
+class RefundHandler {
+  /**
+   * Procesa un evento de webhook
+   * @param {Object} webhookEvent - Evento normalizado del webhook
+   * @returns {Promise<Object>} - Resultado del procesamiento
+   */
+  async handle (webhookEvent) {
+    try {
+      logger.info('RefundHandler: Processing webhook event', {
+        provider: webhookEvent.provider,
+        type: webhookEvent.type,
+        externalRef: webhookEvent.externalRef,
+        status: webhookEvent.status,
+        amount: webhookEvent.amount
+      })
+
+      const result = await TransactionManager.executeWebhookTransaction(async (t) => {
+        const transaction = await transactionHandler.findTransaction(webhookEvent, t)
+
+        if (!transaction) {
+          logger.warn('RefundHandler: Transaction not found', {
+            externalRef: webhookEvent.externalRef,
+            provider: webhookEvent.provider
+          })
+          return {
+            success: false,
+            reason: 'transaction_not_found',
+            externalRef: webhookEvent.externalRef
+          }
+        }
+
+        const isChargeback = webhookEvent.type === 'chargeback'
+        const gatewayDetails = {
+          amount: webhookEvent.amount,
+          gatewayRefundRef: webhookEvent.eventId || null,
+          gatewayResponse: webhookEvent.payload
+        }
+
+        // 1. Devolución de un reembolso ya registrado: nada que hacer
+        if (!isChargeback) {
+          const recorded = await refundService.findRecordedFromGateway(transaction, gatewayDetails, t)
+          if (recorded) {
+            logger.info('RefundHandler: Refund already recorded', {
+              transactionId: transaction.id,
+              refundId: recorded.id,
+              refundStatus: recorded.status
+            })
+            return {
+              success: true,
+              reason: 'refund_already_recorded',
+              transactionId: transaction.id,
+              refundId: recorded.id
+            }
+          }
+        }
+
+        if (['REFUNDED', 'REVERSED'].includes(transaction.status)) {
+          logger.info('RefundHandler: Event already processed', {
+            transactionId: transaction.id,
+            currentStatus: transaction.status
+          })
+          return {
+            success: true,
+            reason: 'already_processed',
+            transactionId: transaction.id
+          }
+        }
+
+        if (transaction.status !== 'PAID') {
+          logger.warn('RefundHandler: Reversal for a transaction that is not PAID', {
+            transactionId: transaction.id,
+            currentStatus: transaction.status
+          })
+          return {
+            success: false,
+            reason: 'transaction_not_paid',
+            transactionId: transaction.id
+          }
+        }
+
+        const oldStatus = transaction.status
+
+        // 2. Devolución solicitada por nosotros y confirmada por el proveedor (mismo monto)
+        const refund = isChargeback
+          ? null
+          : await refundService.completePendingFromGateway(transaction, gatewayDetails, t)
+        if (refund) {
+          await transaction.reload({ transaction: t })
+
+          return {
+            success: true,
+            transactionId: transaction.id,
+            orderId: transaction.orderId,
+            refundId: refund.id,
+            oldStatus,
+            newStatus: transaction.status,
+            revokedLicenses: refund.licenseIds.length,
+            isChargeback: false,
+            transaction
+          }
+        }
+
+        // 3. Devolución que no corresponde a ningún reembolso: revisión manual
+        if (!isChargeback) {
+          return await this.flagForReview(transaction, webhookEvent, oldStatus, t)
+        }
+
+        // 4. Contracargo iniciado por el proveedor
+        const revoked = await licenseService.revokeOrderLicenses({
+          orderId: transaction.orderId,
+          action: 'ANNUL',
+          reason: 'CHARGEBACK'
+        }, t)
+
+        const chargeback = await refundService.recordChargeback(transaction, {
+          licenseIds: revoked.map(r => r.licenseId),
+          gatewayRef: webhookEvent.eventId,
+          gatewayResponse: webhookEvent.payload
+        }, t)
+
+        await transaction.update({
+          status: 'REVERSED',
+          meta: {
+            ...transaction.meta,
+            reversed: {
+              reversedAt: new Date().toISOString(),
+              eventId: webhookEvent.eventId,
+              amount: webhookEvent.amount,
+              refundId: chargeback?.id || null,
+              revokedLicenseIds: revoked.map(r => r.licenseId)
+            },
+            lastWebhookAt: new Date().toISOString()
+          }
+        }, { transaction: t })
+
+        return {
+          success: true,
+          transactionId: transaction.id,
+          orderId: transaction.orderId,
+          refundId: chargeback?.id || null,
+          oldStatus,
+          newStatus: 'REVERSED',
+          revokedLicenses: revoked.length,
+          isChargeback: true,
+          transaction
+        }
+      })
+
+      // Notificar a los administradores FUERA de la transacción
+      if (result.transaction) {
+        const { transaction, ...response } = result
+        await this.notifyAdmins(transaction, response)
+
+        logger.info('RefundHandler: Successfully processed webhook', response)
+        return response
+      }
+
+      return result
+    } catch (error) {
+      logger.error('RefundHandler: Error processing webhook', {
+        error: error.message,
+        stack: error.stack,
+        webhookEvent: {
+          provider: webhookEvent.provider,
+          externalRef: webhookEvent.externalRef,
+          type: webhookEvent.type
+        }
+      })
+      throw error
+    }
+  }
+
+  /**
+   * Dejar registrada en la transacción una devolución sin reembolso asociado
+   * No se revocan licencias ni cambia el estado: un administrador decide si registrarla
+   * como reembolso. Un reenvío del mismo evento no se registra ni se notifica de nuevo.
+   * @param {Transaction} transaction - Transacción pagada
+   * @param {Object} webhookEvent - Evento normalizado del webhook
+   * @param {string} oldStatus - Estado de la transacción
+   * @param {Object} t - Transacción de base de datos
+   * @returns {Promise<Object>} - Resultado del procesamiento
+   */
+  async flagForReview (transaction, webhookEvent, oldStatus, t) {
+    const unmatchedRefunds = transaction.meta?.unmatchedRefunds || []
+    const response = {
+      success: true,
+      reason: 'refund_needs_review',
+      transactionId: transaction.id,
+      orderId: transaction.orderId
+    }
+
+    if (webhookEvent.eventId && unmatchedRefunds.some(entry => entry.eventId === webhookEvent.eventId)) {
+      return response
+    }
+
+    logger.warn('RefundHandler: Refund without a matching refund record, needs review', {
+      transactionId: transaction.id,
+      eventId: webhookEvent.eventId,
+      amount: webhookEvent.amount
+    })
+
+    await transaction.update({
+      meta: {
+        ...transaction.meta,
+        unmatchedRefunds: [
+          ...unmatchedRefunds,
+          {
+            eventId: webhookEvent.eventId || null,
+            amount: webhookEvent.amount || null,
+            receivedAt: new Date().toISOString()
+          }
+        ],
+        lastWebhookAt: new Date().toISOString()
+      }
+    }, { transaction: t })
+
+    return {
+      ...response,
+      oldStatus,
+      newStatus: oldStatus,
+      revokedLicenses: 0,
+      isChargeback: false,
+      needsReview: true,
+      transaction
+    }
+  }
+
+  /**
+   * Envía la alerta de reversión a los super administradores activos
+   * Los errores de envío no afectan el procesamiento del webhook
+   * @param {Transaction} transaction - Transacción reversada o reembolsada
+   * @param {Object} result - Resultado del procesamiento
+   */
+  async notifyAdmins (transaction, result) {
+    try {
+      const [admins, order] = await Promise.all([
+        Admin.findAll({ where: { role: 'SUPER_ADMIN', isActive: true } }),
+        Order.findByPk(transaction.orderId, { include: [{ association: 'customer' }] })
+      ])
+
+      const emailService = require('../../email')
+      for (const admin of admins) {
+        await emailService.sendPaymentReversalAlert({
+          admin,
+          order,
+          transaction,
+          customer: order?.customer,
+          revokedLicenses: result.revokedLicenses,
+          isChargeback: result.isChargeback,
+          needsReview: result.needsReview
+        })
+      }
+
+      logger.logBusiness('webhook:refund.adminsNotified', {
+        transactionId: transaction.id,
+        orderId: transaction.orderId,
+        admins: admins.length,
+        isChargeback: result.isChargeback
+      })
+    } catch (error) {
+      logger.logError(error, {
+        operation: 'RefundHandler.notifyAdmins',
+        transactionId: transaction.id
+      })
+    }
+  }
+}
+
+module.exports = new RefundHandler()
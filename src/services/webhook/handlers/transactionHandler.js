@@ -2,6 +2,9 @@ const { Transaction, Order, CobreCheckout, sequelize } = require('../../../model
 const { Op } = require('sequelize')
 const logger = require('../../../config/logger')
 const TransactionManager = require('../../../utils/transactionManager')
+const orderLines = require('../../../utils/orderLines')
+const merchantWebhookService = require('../../merchantWebhook.service')
+const licenseHoldService = require('../../licenseHold.service')
 
 /**
  * Handler para procesar eventos de transacciones de webhooks
@@ -159,13 +162,7 @@ class TransactionHandler {
           gateway: provider,
           gatewayRef: externalRef
         },
-        include: [{
-          association: 'order',
-          include: [
-            { association: 'product' },
-            { association: 'customer' }
-          ]
-        }],
+        include: this._getTransactionIncludes(),
         transaction
       })
     }
@@ -421,7 +418,8 @@ class TransactionHandler {
       association: 'order',
       include: [
         { association: 'product' },
-        { association: 'customer' }
+        { association: 'customer' },
+        orderLines.ITEMS_INCLUDE
       ]
     }]
   }
@@ -531,42 +529,42 @@ class TransactionHandler {
   async handlePaymentSuccess (transaction, dbTransaction) {
     try {
       const order = transaction.order
+      let deliveredLicenses = []
 
       // Actualizar estado de la orden
       await order.update({
         status: 'IN_PROCESS'
       }, { transaction: dbTransaction })
 
-      // Si es producto digital con licencia, manejar licencia y email
-      if (order.product && order.product.license_type) {
-        // Reservar licencia (confirma que el pago fue exitoso)
+      // Si la orden tiene productos digitales con licencia, manejar licencias y email
+      if (orderLines.hasLicenseProducts(order)) {
+        // Reservar licencias por línea (confirma que el pago fue exitoso)
         const licenseResult = await this.reserveLicenseForOrder(order, dbTransaction)
 
-        // Enviar email de licencia ANTES de completar la orden
-        try {
-          await this.sendLicenseEmail(order, transaction, licenseResult?.license, dbTransaction)
+        // Encolar el email de licencias en la misma transacción: si la transacción confirma,
+        // la bandeja de salida garantiza el envío con reintentos
+        if (licenseResult.licenses.length > 0) {
+          await this.sendLicenseEmail(order, transaction, licenseResult.licenses, dbTransaction)
+          deliveredLicenses = licenseResult.licenses
+        }
 
-          // Solo completar la orden si el email se envió exitosamente
+        // Completar la orden si no quedan líneas en lista de espera
+        if (!licenseResult.waitlisted) {
           await order.update({
             status: 'COMPLETED'
           }, { transaction: dbTransaction })
-
-          logger.info('TransactionHandler: License email sent and order completed', {
-            orderId: order.id,
-            transactionId: transaction.id,
-            licenseReserved: !!licenseResult
-          })
-        } catch (emailError) {
-          // Si el email falla, mantener la orden en IN_PROCESS
-          logger.error('TransactionHandler: Email failed, order kept in IN_PROCESS', {
-            error: emailError.message,
-            orderId: order.id,
-            transactionId: transaction.id
-          })
-          // NO completar la orden - se reintentará después
         }
+
+        logger.info('TransactionHandler: License email queued', {
+          orderId: order.id,
+          transactionId: transaction.id,
+          licensesReserved: licenseResult.licenses.length,
+          waitlisted: licenseResult.waitlisted
+        })
       }
 
+      await this.emitPaymentEvents(order, transaction, deliveredLicenses, dbTransaction)
+
       // Enviar email de confirmación
       setImmediate(async () => {
         try {
@@ -582,7 +580,7 @@ class TransactionHandler {
       logger.info('TransactionHandler: Payment success handled', {
         orderId: order.id,
         transactionId: transaction.id,
-        hasLicense: order.product?.license_type || false
+        hasLicense: orderLines.hasLicenseProducts(order)
       })
     } catch (error) {
       logger.error('TransactionHandler: Error handling payment success', {
@@ -601,6 +599,7 @@ class TransactionHandler {
   async handlePaymentSuccessOptimized (transaction, dbTransaction) {
     try {
       const order = transaction.order
+      let deliveredLicenses = []
 
       // Batch updates para mejor performance
       const updates = []
@@ -625,71 +624,59 @@ class TransactionHandler {
         })
       )
 
-      // Si es producto digital con licencia, manejar licencia y completar orden
-      if (order.product && order.product.license_type) {
-        // Reservar licencia de forma transaccional o agregar a lista de espera
+      // Si la orden tiene productos con licencia, manejar licencias por línea y completar orden
+      if (orderLines.hasLicenseProducts(order)) {
+        // Reservar licencias de forma transaccional o agregar a lista de espera
         const licensePromise = this.reserveLicenseForOrder(order, dbTransaction)
         updates.push(licensePromise)
 
         // Ejecutar actualizaciones en paralelo
         const results = await Promise.all(updates)
-        const licenseResult = results.find(result => result && (result.license || result.waitlisted))
+        const licenseResult = results.find(result => result && Array.isArray(result.licenses))
 
-        if (licenseResult?.license) {
-          // Licencia asignada exitosamente, enviar email ANTES de completar orden
-          logger.info('TransactionHandler: About to send license email (optimized)', {
-            orderId: order.id,
-            transactionId: transaction.id,
-            licenseId: licenseResult.license.id
-          })
+        if (licenseResult.licenses.length > 0) {
+          // Licencias asignadas, encolar los emails en la misma transacción
+          const emailResult = await this.sendLicenseEmail(order, transaction, licenseResult.licenses, dbTransaction)
+          deliveredLicenses = licenseResult.licenses
 
-          try {
-            const emailResult = await this.sendLicenseEmail(order, transaction, licenseResult.license, dbTransaction)
-
-            logger.info('TransactionHandler: sendLicenseEmail completed (optimized)', {
-              orderId: order.id,
-              transactionId: transaction.id,
-              emailResult
-            })
-
-            // Solo completar la orden si el email se envió exitosamente
+          // Completar la orden si ninguna línea quedó en lista de espera
+          if (!licenseResult.waitlisted) {
             await order.update({
               status: 'COMPLETED'
             }, {
               transaction: dbTransaction,
               fields: ['status', 'updated_at']
             })
-
-            logger.info('TransactionHandler: License email sent and order completed (optimized)', {
-              orderId: order.id,
-              transactionId: transaction.id,
-              licenseReserved: true
-            })
-          } catch (emailError) {
-            // Si el email falla, mantener la orden en IN_PROCESS
-            logger.error('TransactionHandler: Email failed, order kept in IN_PROCESS (optimized)', {
-              error: emailError.message,
-              orderId: order.id,
-              transactionId: transaction.id
-            })
-            // NO completar la orden - se reintentará después
           }
-        } else if (licenseResult?.waitlisted) {
-          // Agregado a lista de espera, mantener orden en IN_PROCESS
-          logger.info('TransactionHandler: Order added to waitlist', {
+
+          logger.info('TransactionHandler: License email queued (optimized)', {
             orderId: order.id,
-            waitlistEntryId: licenseResult.waitlistEntry?.id
+            transactionId: transaction.id,
+            licensesReserved: licenseResult.licenses.length,
+            outboxIds: emailResult.outboxIds,
+            orderCompleted: !licenseResult.waitlisted
           })
+        }
 
-          // Programar envío de email de lista de espera de forma asíncrona
-          setImmediate(() => {
-            this.sendWaitlistNotification(order, transaction, licenseResult.waitlistEntry).catch(error => {
-              logger.error('TransactionHandler: Error sending waitlist notification', {
-                error: error.message,
-                orderId: order.id
-              })
-            })
+        if (licenseResult.waitlisted) {
+          // Líneas sin stock en lista de espera, mantener orden en IN_PROCESS
+          logger.info('TransactionHandler: Order lines added to waitlist', {
+            orderId: order.id,
+            waitlistEntryIds: licenseResult.waitlistEntries.map(entry => entry.id)
           })
+
+          // Encolar el email de lista de espera en la misma transacción (uno por línea)
+          const entriesByLine = new Map()
+          for (const entry of licenseResult.waitlistEntries) {
+            const lineKey = entry.orderItemId || entry.productRef
+            if (!entriesByLine.has(lineKey)) {
+              entriesByLine.set(lineKey, entry)
+            }
+          }
+
+          for (const entry of entriesByLine.values()) {
+            await this.sendWaitlistNotification(order, transaction, entry, dbTransaction)
+          }
         }
       } else {
         // Solo ejecutar la actualización de estado
@@ -719,10 +706,12 @@ class TransactionHandler {
         })
       }
 
+      await this.emitPaymentEvents(order, transaction, deliveredLicenses, dbTransaction)
+
       logger.info('TransactionHandler: Payment success handled (optimized)', {
         orderId: order.id,
         transactionId: transaction.id,
-        hasLicense: order.product?.license_type || false
+        hasLicense: orderLines.hasLicenseProducts(order)
       })
     } catch (error) {
       logger.error('TransactionHandler: Error handling payment success (optimized)', {
@@ -733,6 +722,30 @@ class TransactionHandler {
     }
   }
 
+  /**
+   * Emite los webhooks salientes order.paid y license.delivered en la misma transacción
+   * @param {Order} order - Orden pagada
+   * @param {Transaction} transaction - Transacción
+   * @param {Array<License>} licenses - Licencias entregadas en este pago
+   * @param {Object} dbTransaction - Transacción de base de datos
+   */
+  async emitPaymentEvents (order, transaction, licenses, dbTransaction) {
+    const orderData = merchantWebhookService.buildOrderData(order)
+
+    await merchantWebhookService.emit('order.paid', {
+      ...orderData,
+      transaction: {
+        id: transaction.id,
+        gateway: transaction.gateway,
+        gatewayRef: transaction.gatewayRef,
+        amount: transaction.amount,
+        currency: transaction.currency
+      }
+    }, dbTransaction)
+
+    await merchantWebhookService.emitLicensesDelivered(order, licenses, dbTransaction)
+  }
+
   /**
    * Maneja el pago fallido
    * @param {Transaction} transaction - Transacción
@@ -752,11 +765,14 @@ class TransactionHandler {
         transaction: dbTransaction
       })
 
-      // Si no hay otras transacciones pendientes, cancelar la orden
+      // Si no hay otras transacciones pendientes, cancelar la orden y liberar su retención de licencias
       if (otherTransactions.length === 0) {
         await order.update({
           status: 'CANCELED'
         }, { transaction: dbTransaction })
+
+        const licensesReturned = await licenseHoldService.releaseForOrder(order.id, dbTransaction, 'PAYMENT_FAILED')
+        await merchantWebhookService.emitOrderCanceled(order, { reason: 'PAYMENT_FAILED', licensesReturned }, dbTransaction)
       }
 
       logger.info('TransactionHandler: Payment failure handled', {
@@ -801,6 +817,9 @@ class TransactionHandler {
           transaction: dbTransaction,
           fields: ['status', 'updated_at']
         })
+
+        const licensesReturned = await licenseHoldService.releaseForOrder(order.id, dbTransaction, 'PAYMENT_FAILED')
+        await merchantWebhookService.emitOrderCanceled(order, { reason: 'PAYMENT_FAILED', licensesReturned }, dbTransaction)
       }
 
       logger.info('TransactionHandler: Payment failure handled (optimized)', {
@@ -819,67 +838,84 @@ class TransactionHandler {
   }
 
   /**
-   * Reserva una licencia para la orden o la agrega a lista de espera
-   * @param {Order} order - Orden
+   * Reserva licencias para cada línea de la orden; las unidades sin stock
+   * se agregan a la lista de espera (una entrada por unidad pendiente)
+   * @param {Order} order - Orden con sus líneas cargadas
    * @param {Object} dbTransaction - Transacción de base de datos
-   * @returns {Promise<{license?: License, waitlisted?: boolean}>} - Resultado de la reserva
+   * @returns {Promise<{licenses: Array<License>, license: License|null, waitlisted: boolean, waitlistEntries: Array<WaitlistEntry>, waitlistEntry: WaitlistEntry|null}>} - Resultado de la reserva
    */
   async reserveLicenseForOrder (order, dbTransaction) {
-    const { License, WaitlistEntry } = require('../../../models')
+    const { WaitlistEntry } = require('../../../models')
 
-    // Nota: dbTransaction ya viene del TransactionManager con configuración optimizada
-    // Buscar licencia disponible con lock pesimista para prevenir race conditions
-    const license = await License.findOne({
-      where: {
-        productRef: order.productRef,
-        status: 'AVAILABLE'
-      },
-      lock: dbTransaction.LOCK.UPDATE,
-      transaction: dbTransaction
-    })
+    const licenses = []
+    const waitlistEntries = []
 
-    if (!license) {
-      // No hay licencias disponibles, agregar a lista de espera
-      logger.info('TransactionHandler: No licenses available, adding to waitlist', {
-        orderId: order.id,
-        productRef: order.productRef
-      })
+    for (const line of orderLines.getLicenseLines(order)) {
+      // Nota: dbTransaction ya viene del TransactionManager con configuración optimizada
+      // Licencias retenidas en el checkout y luego disponibles, con lock pesimista para prevenir race conditions
+      const available = await licenseHoldService.claimLicenses(order, line, dbTransaction)
 
-      // Crear entrada en lista de espera
-      const waitlistEntry = await WaitlistEntry.create({
-        orderId: order.id,
-        customerId: order.customerId,
-        productRef: order.productRef,
-        qty: order.qty,
-        status: 'PENDING',
-        priority: new Date(), // FIFO
-        retryCount: 0
-      }, { transaction: dbTransaction })
+      for (const license of available) {
+        await license.update({
+          status: 'SOLD',
+          orderId: order.id,
+          orderItemId: line.orderItemId,
+          soldAt: new Date(),
+          holdExpiresAt: null
+        }, { transaction: dbTransaction })
 
-      logger.info('TransactionHandler: Added to waitlist', {
-        waitlistEntryId: waitlistEntry.id,
-        orderId: order.id,
-        customerId: order.customerId,
-        productRef: order.productRef
-      })
+        licenses.push(license)
 
-      return { waitlisted: true, waitlistEntry }
-    }
+        logger.info('TransactionHandler: License reserved', {
+          licenseId: license.id,
+          orderId: order.id,
+          orderItemId: line.orderItemId,
+          productRef: line.productRef
+        })
+      }
 
-    // Reservar licencia
-    await license.update({
-      status: 'SOLD',
-      orderId: order.id,
-      soldAt: new Date()
-    }, { transaction: dbTransaction })
+      const missing = line.qty - available.length
+      if (missing > 0) {
+        // No hay licencias suficientes, agregar las unidades faltantes a lista de espera
+        logger.info('TransactionHandler: Not enough licenses available, adding to waitlist', {
+          orderId: order.id,
+          orderItemId: line.orderItemId,
+          productRef: line.productRef,
+          requested: line.qty,
+          missing
+        })
 
-    logger.info('TransactionHandler: License reserved', {
-      licenseId: license.id,
-      orderId: order.id,
-      productRef: order.productRef
-    })
+        for (let i = 0; i < missing; i++) {
+          const waitlistEntry = await WaitlistEntry.create({
+            orderId: order.id,
+            orderItemId: line.orderItemId,
+            customerId: order.customerId,
+            productRef: line.productRef,
+            qty: 1,
+            status: 'PENDING',
+            priority: new Date(), // FIFO
+            retryCount: 0
+          }, { transaction: dbTransaction })
+
+          waitlistEntries.push(waitlistEntry)
+        }
+
+        logger.info('TransactionHandler: Added to waitlist', {
+          waitlistEntryIds: waitlistEntries.map(entry => entry.id),
+          orderId: order.id,
+          customerId: order.customerId,
+          productRef: line.productRef
+        })
+      }
+    }
 
-    return { license }
+    return {
+      licenses,
+      license: licenses[0] || null,
+      waitlisted: waitlistEntries.length > 0,
+      waitlistEntries,
+      waitlistEntry: waitlistEntries[0] || null
+    }
   }
 
   /**
@@ -899,126 +935,31 @@ class TransactionHandler {
   }
 
   /**
-   * Envía email con licencia
+   * Encola el email con licencias (un correo por línea de la orden) en la bandeja de salida
+   * Con dbTransaction el correo solo se envía si la transacción del negocio confirma;
+   * el worker de la bandeja actualiza shippingInfo.email cuando Brevo acepta el envío.
    * @param {Order} order - Orden
    * @param {Transaction} transaction - Transacción
-   * @param {License} providedLicense - Licencia ya reservada (opcional)
+   * @param {License|Array<License>} providedLicenses - Licencias ya reservadas (opcional)
    * @param {Object} dbTransaction - Transacción de base de datos (opcional)
    */
-  async sendLicenseEmail (order, transaction, providedLicense = null, dbTransaction = null) {
-    logger.info('TransactionHandler: sendLicenseEmail method called', {
-      orderId: order.id,
-      transactionId: transaction.id,
-      hasProvidedLicense: !!providedLicense,
-      providedLicenseId: providedLicense?.id
-    })
+  async sendLicenseEmail (order, transaction, providedLicenses = null, dbTransaction = null) {
+    let licenses = providedLicenses
+      ? [].concat(providedLicenses)
+      : []
 
     const emailService = require('../../email')
-    let license = providedLicense
+    const { License, Product } = require('../../../models')
 
-    // Si no se proporciona la licencia, buscarla en la base de datos
-    if (!license) {
-      const { License } = require('../../../models')
-      license = await License.findOne({
-        where: { orderId: order.id }
+    // Si no se proporcionan las licencias, buscarlas en la base de datos
+    if (licenses.length === 0) {
+      licenses = await License.findAll({
+        where: { orderId: order.id },
+        transaction: dbTransaction || undefined
       })
     }
 
-    logger.info('TransactionHandler: License found for email', {
-      orderId: order.id,
-      licenseId: license?.id,
-      licenseKey: license?.licenseKey,
-      source: providedLicense ? 'provided' : 'database'
-    })
-
-    if (license) {
-      try {
-        logger.info('TransactionHandler: About to call emailService.sendLicenseEmail', {
-          orderId: order.id,
-          customerEmail: order.customer.email,
-          licenseId: license.id,
-          licenseKey: license.licenseKey
-        })
-
-        // Enviar email
-        const emailResult = await emailService.sendLicenseEmail({
-          customer: order.customer,
-          product: order.product,
-          license,
-          order
-        })
-
-        logger.info('TransactionHandler: emailService.sendLicenseEmail returned', {
-          orderId: order.id,
-          emailResult,
-          resultType: typeof emailResult,
-          success: emailResult?.success,
-          messageId: emailResult?.messageId
-        })
-
-        // Si el email se envió exitosamente, actualizar shippingInfo
-        if (emailResult && emailResult.success) {
-          const currentShippingInfo = order.shippingInfo || {}
-          const updatedShippingInfo = {
-            ...currentShippingInfo,
-            email: {
-              sent: true,
-              sentAt: new Date().toISOString(),
-              messageId: emailResult.messageId,
-              recipient: order.customer.email,
-              type: 'license_delivery'
-            }
-          }
-
-          // Actualizar la orden con la información del email enviado
-          await order.update({
-            shippingInfo: updatedShippingInfo
-          }, dbTransaction ? { transaction: dbTransaction } : {})
-
-          logger.info('TransactionHandler: Email sent and shippingInfo updated', {
-            orderId: order.id,
-            customerEmail: order.customer.email,
-            messageId: emailResult.messageId,
-            shippingInfoUpdated: true
-          })
-        } else {
-          logger.warn('TransactionHandler: Email result indicates failure or no success flag', {
-            orderId: order.id,
-            emailResult,
-            success: emailResult?.success
-          })
-        }
-
-        return emailResult
-      } catch (emailError) {
-        logger.error('TransactionHandler: Error sending license email', {
-          error: emailError.message,
-          stack: emailError.stack,
-          orderId: order.id,
-          customerEmail: order.customer.email
-        })
-
-        // Registrar el intento fallido en shippingInfo
-        const currentShippingInfo = order.shippingInfo || {}
-        const updatedShippingInfo = {
-          ...currentShippingInfo,
-          email: {
-            sent: false,
-            attemptedAt: new Date().toISOString(),
-            error: emailError.message,
-            recipient: order.customer.email,
-            type: 'license_delivery'
-          }
-        }
-
-        // Actualizar la orden con la información del intento fallido
-        await order.update({
-          shippingInfo: updatedShippingInfo
-        }, dbTransaction ? { transaction: dbTransaction } : {})
-
-        throw emailError
-      }
-    } else {
+    if (licenses.length === 0) {
       logger.error('TransactionHandler: No license found for order', {
         orderId: order.id,
         productRef: order.productRef,
@@ -1031,85 +972,90 @@ class TransactionHandler {
         orderId: order.id
       }
     }
+
+    const outboxIds = []
+
+    for (const group of orderLines.groupLicensesByLine(order, licenses)) {
+      const product = group.line.product || await Product.findOne({
+        where: { productRef: group.line.productRef },
+        transaction: dbTransaction || undefined
+      })
+
+      const entry = await emailService.queueLicenseEmail({
+        customer: order.customer,
+        product,
+        license: group.licenses[0],
+        licenses: group.licenses,
+        order
+      }, dbTransaction)
+
+      outboxIds.push(entry.id)
+    }
+
+    // Registrar el encolado; el envío real lo refleja el worker de la bandeja de salida
+    const currentShippingInfo = order.shippingInfo || {}
+    await order.update({
+      shippingInfo: {
+        ...currentShippingInfo,
+        email: {
+          sent: false,
+          queued: true,
+          queuedAt: new Date().toISOString(),
+          outboxIds,
+          recipient: order.customer.email,
+          type: 'license_delivery'
+        }
+      }
+    }, dbTransaction ? { transaction: dbTransaction } : {})
+
+    logger.info('TransactionHandler: License emails queued', {
+      orderId: order.id,
+      transactionId: transaction.id,
+      licenseIds: licenses.map(license => license.id),
+      outboxIds
+    })
+
+    return {
+      success: true,
+      queued: true,
+      outboxIds
+    }
   }
 
   /**
-   * Envía email de notificación de lista de espera
+   * Encola el email de notificación de lista de espera en la bandeja de salida
    * @param {Order} order - Orden
    * @param {Transaction} transaction - Transacción
    * @param {WaitlistEntry} waitlistEntry - Entrada de lista de espera
+   * @param {Object} dbTransaction - Transacción de base de datos (opcional)
    */
-  async sendWaitlistNotification (order, transaction, waitlistEntry) {
+  async sendWaitlistNotification (order, transaction, waitlistEntry, dbTransaction = null) {
     const emailService = require('../../email')
 
-    if (waitlistEntry) {
-      try {
-        // Enviar email
-        const emailResult = await emailService.sendWaitlistNotification({
-          customer: order.customer,
-          product: order.product,
-          order,
-          waitlistEntry
-        })
-
-        // Si el email se envió exitosamente, actualizar shippingInfo
-        if (emailResult && emailResult.success) {
-          const currentShippingInfo = order.shippingInfo || {}
-          const updatedShippingInfo = {
-            ...currentShippingInfo,
-            email: {
-              sent: true,
-              sentAt: new Date().toISOString(),
-              messageId: emailResult.messageId,
-              recipient: order.customer.email,
-              type: 'waitlist_notification'
-            }
-          }
-
-          // Actualizar la orden con la información del email enviado
-          await order.update({
-            shippingInfo: updatedShippingInfo
-          })
-
-          logger.info('TransactionHandler: Waitlist email sent and shippingInfo updated', {
-            orderId: order.id,
-            customerEmail: order.customer.email,
-            messageId: emailResult.messageId,
-            waitlistEntryId: waitlistEntry.id,
-            shippingInfoUpdated: true
-          })
-        }
+    if (!waitlistEntry) {
+      return null
+    }
 
-        return emailResult
-      } catch (emailError) {
-        logger.error('TransactionHandler: Error sending waitlist notification', {
-          error: emailError.message,
-          orderId: order.id,
-          customerEmail: order.customer.email,
-          waitlistEntryId: waitlistEntry.id
-        })
+    // Enviar email con el producto de la línea en espera
+    const line = orderLines.getLines(order).find(l =>
+      (waitlistEntry.orderItemId && l.orderItemId === waitlistEntry.orderItemId) ||
+      l.productRef === waitlistEntry.productRef
+    )
 
-        // Registrar el intento fallido en shippingInfo
-        const currentShippingInfo = order.shippingInfo || {}
-        const updatedShippingInfo = {
-          ...currentShippingInfo,
-          email: {
-            sent: false,
-            attemptedAt: new Date().toISOString(),
-            error: emailError.message,
-            recipient: order.customer.email,
-            type: 'waitlist_notification'
-          }
-        }
+    const entry = await emailService.queueWaitlistNotification({
+      customer: order.customer,
+      product: line?.product || order.product,
+      order
+    }, dbTransaction)
 
-        // Actualizar la orden con la información del intento fallido
-        await order.update({
-          shippingInfo: updatedShippingInfo
-        })
+    logger.info('TransactionHandler: Waitlist email queued', {
+      orderId: order.id,
+      transactionId: transaction.id,
+      waitlistEntryId: waitlistEntry.id,
+      outboxId: entry.id
+    })
 
-        throw emailError
-      }
-    }
+    return entry
   }
 }
 
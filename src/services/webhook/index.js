@@ -9,6 +9,7 @@ const EPaycoAdapter = require('./providers/epayco')
 
 // Importar handlers
 const transactionHandler = require('./handlers/transactionHandler')
+const refundHandler = require('./handlers/refundHandler')
 
 /**
  * Servicio principal de webhooks
@@ -26,8 +27,10 @@ class WebhookService {
     // Registro de handlers por tipo de evento
     this.eventHandlers = {
       payment: transactionHandler,
-      balance_credit: transactionHandler
-      // Futuros handlers: refund, subscription, etc.
+      balance_credit: transactionHandler,
+      refund: refundHandler,
+      chargeback: refundHandler
+      // Futuros handlers: subscription, etc.
     }
   }
 
@@ -106,6 +109,7 @@ class WebhookService {
               await this.updateWebhookEvent(existingEvent.id, {
                 status: webhookEvent.status,
                 eventId: webhookEvent.eventId,
+                eventType: webhookEvent.type,
                 updatedAt: new Date()
               })
 
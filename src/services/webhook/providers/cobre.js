@@ -368,6 +368,16 @@ class CobreAdapter {
         type: 'payment',
         status: 'PENDING',
         logContext: 'money_movement_pending'
+      },
+      'money_movements.status.returned': {
+        type: 'refund',
+        status: 'REVERSED',
+        logContext: 'money_movement_returned'
+      },
+      'money_movements.status.reversed': {
+        type: 'chargeback',
+        status: 'REVERSED',
+        logContext: 'money_movement_reversed'
       }
     }
 
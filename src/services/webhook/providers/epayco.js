@@ -42,7 +42,7 @@ class EPaycoAdapter {
       const event = {
         eventId: (body.x_transaction_id && body.x_transaction_id !== '000000') ? body.x_transaction_id : null,
         externalRef: body.x_id_factura, // Invoice ID como referencia externa
-        type: 'payment',
+        type: this.mapEventType(body.x_cod_transaction_state),
         status: this.mapStatus(body.x_cod_transaction_state),
         amount: this.parseAmount(body.x_amount),
         currency: body.x_currency_code || 'COP',
@@ -79,7 +79,7 @@ class EPaycoAdapter {
       2: 'FAILED', // Rechazada
       3: 'PENDING', // Pendiente
       4: 'FAILED', // Fallida
-      6: 'PENDING', // Reversada
+      6: 'REVERSED', // Reversada (devolución o contracargo)
       7: 'PENDING', // Retenida
       8: 'FAILED', // Iniciada
       9: 'FAILED', // Fallida por validación
@@ -90,6 +90,16 @@ class EPaycoAdapter {
     return statusMap[epaycoState] || 'FAILED'
   }
 
+  /**
+   * Determina el tipo de evento según el estado de ePayco
+   * Las transacciones reversadas se procesan con el handler de reembolsos
+   * @param {string} epaycoState - Estado de ePayco
+   * @returns {string} - Tipo de evento
+   */
+  mapEventType (epaycoState) {
+    return Number(epaycoState) === 6 ? 'refund' : 'payment'
+  }
+
   /**
    * Parsea el monto de ePayco (en pesos) a centavos
    * @param {string} amount - Monto en pesos
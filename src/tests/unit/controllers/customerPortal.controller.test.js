@@ -0,0 +1,193 @@
+const customerPortalController = require('../../../controllers/customerPortal.controller')
+const orderService = require('../../../services/order.service')
+const licenseService = require('../../../services/license.service')
+const transactionStatusVerifier = require('../../../services/payment/transactionStatusVerifier')
+const waitlistService = require('../../../services/waitlist.service')
+
+// Mock de las dependencias
+jest.mock('../../../services/order.service', () => ({
+  getOrdersByCustomer: jest.fn(),
+  getCustomerOrder: jest.fn()
+}))
+jest.mock('../../../services/license.service', () => ({
+  getCustomerLicenses: jest.fn()
+}))
+jest.mock('../../../services/payment/transactionStatusVerifier', () => ({
+  verifyAndResendLicenseEmail: jest.fn()
+}))
+jest.mock('../../../services/waitlist.service', () => ({
+  getCustomerWaitlist: jest.fn(),
+  cancelCustomerEntry: jest.fn()
+}))
+jest.mock('../../../config/logger')
+
+describe('CustomerPortalController', () => {
+  let mockReq
+  let mockRes
+
+  const mockOrder = {
+    id: 42,
+    customerId: 1,
+    status: 'COMPLETED',
+    currency: 'COP',
+    subtotal: 29900,
+    discountTotal: 0,
+    taxTotal: 4774,
+    grandTotal: 29900,
+    items: [],
+    transactions: [
+      { id: 1, gateway: 'epayco', status: 'FAILED', amount: 29900, currency: 'COP', createdAt: '2025-01-01T10:00:00Z', meta: { secret: true } },
+      { id: 2, gateway: 'epayco', status: 'PAID', amount: 29900, currency: 'COP', createdAt: '2025-01-01T09:00:00Z', meta: { secret: true } }
+    ]
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+
+    mockReq = {
+      params: {},
+      query: {},
+      user: { id: 1, type: 'user' }
+    }
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    }
+  })
+
+  describe('getMyOrders', () => {
+    it('should list the orders of the authenticated customer', async () => {
+      orderService.getOrdersByCustomer.mockResolvedValue({
+        orders: [mockOrder],
+        pagination: { total: 1, page: 1, limit: 20, pages: 1 }
+      })
+
+      await customerPortalController.getMyOrders(mockReq, mockRes)
+
+      expect(orderService.getOrdersByCustomer).toHaveBeenCalledWith(1, { page: 1, limit: 20, status: undefined })
+      const body = mockRes.json.mock.calls[0][0]
+      expect(body.data[0]).toMatchObject({ id: 42, paymentStatus: 'PAID', currency: 'COP' })
+    })
+  })
+
+  describe('getMyOrder', () => {
+    it('should return the order transactions without gateway metadata', async () => {
+      mockReq.params.orderId = '42'
+      orderService.getCustomerOrder.mockResolvedValue(mockOrder)
+
+      await customerPortalController.getMyOrder(mockReq, mockRes)
+
+      expect(orderService.getCustomerOrder).toHaveBeenCalledWith(1, 42)
+      const body = mockRes.json.mock.calls[0][0]
+      expect(body.data.transactions).toHaveLength(2)
+      expect(body.data.transactions[0].meta).toBeUndefined()
+    })
+
+    it('should respond 404 for orders of other customers', async () => {
+      mockReq.params.orderId = '99'
+      orderService.getCustomerOrder.mockRejectedValue(new Error('Order not found'))
+
+      await customerPortalController.getMyOrder(mockReq, mockRes)
+
+      expect(mockRes.status).toHaveBeenCalledWith(404)
+    })
+  })
+
+  describe('getMyLicenses', () => {
+    it('should return delivered license keys with instructions', async () => {
+      licenseService.getCustomerLicenses.mockResolvedValue([{
+        id: 7,
+        productRef: 'OFFICE-2024',
+        licenseKey: 'AAAAA-BBBBB',
+        instructions: 'Instalar',
+        orderId: 42,
+        soldAt: '2025-01-01T10:00:00Z',
+        Product: { name: 'Office 2024' }
+      }])
+
+      await customerPortalController.getMyLicenses(mockReq, mockRes)
+
+      expect(licenseService.getCustomerLicenses).toHaveBeenCalledWith(1)
+      expect(mockRes.json.mock.calls[0][0].data[0]).toMatchObject({
+        licenseKey: 'AAAAA-BBBBB',
+        instructions: 'Instalar',
+        productName: 'Office 2024'
+      })
+    })
+  })
+
+  describe('resendMyLicenseEmail', () => {
+    it('should force the resend for an owned order', async () => {
+      mockReq.params.orderId = '42'
+      orderService.getCustomerOrder.mockResolvedValue(mockOrder)
+      transactionStatusVerifier.verifyAndResendLicenseEmail.mockResolvedValue({
+        recipient: 'john@example.com',
+        emailQueued: true,
+        queuedAt: '2025-01-02T10:00:00Z'
+      })
+
+      await customerPortalController.resendMyLicenseEmail(mockReq, mockRes)
+
+      expect(transactionStatusVerifier.verifyAndResendLicenseEmail).toHaveBeenCalledWith(42, { force: true })
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+    })
+
+    it('should not resend emails of other customers orders', async () => {
+      mockReq.params.orderId = '99'
+      orderService.getCustomerOrder.mockRejectedValue(new Error('Order not found'))
+
+      await customerPortalController.resendMyLicenseEmail(mockReq, mockRes)
+
+      expect(transactionStatusVerifier.verifyAndResendLicenseEmail).not.toHaveBeenCalled()
+      expect(mockRes.status).toHaveBeenCalledWith(404)
+    })
+  })
+  describe('getMyWaitlist', () => {
+    it('should list the waiting units with position and estimated delivery', async () => {
+      const eta = { minDays: 3, maxDays: 10, restocks: 4, historyDays: 90 }
+      waitlistService.getCustomerWaitlist.mockResolvedValue([{
+        entry: { id: 5, orderId: 42, productRef: 'OFFICE-2024', product: { name: 'Office 2024' }, status: 'PENDING', createdAt: '2025-01-01T10:00:00Z' },
+        position: 3,
+        eta
+      }])
+
+      await customerPortalController.getMyWaitlist(mockReq, mockRes)
+
+      expect(waitlistService.getCustomerWaitlist).toHaveBeenCalledWith(1)
+      const body = mockRes.json.mock.calls[0][0]
+      expect(body.data[0]).toMatchObject({
+        id: 5,
+        productName: 'Office 2024',
+        position: 3,
+        estimatedDelivery: eta
+      })
+    })
+  })
+
+  describe('cancelMyWaitlistEntry', () => {
+    it('should cancel the entry and report the refund', async () => {
+      mockReq.params.entryId = '5'
+      waitlistService.cancelCustomerEntry.mockResolvedValue({
+        entry: { id: 5, orderId: 42, status: 'CANCELED' },
+        refund: { id: 77, status: 'PENDING_MANUAL', amount: 29900, currency: 'COP' }
+      })
+
+      await customerPortalController.cancelMyWaitlistEntry(mockReq, mockRes)
+
+      expect(waitlistService.cancelCustomerEntry).toHaveBeenCalledWith(1, 5)
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+      expect(mockRes.json.mock.calls[0][0].data.refund).toEqual({ id: 77, status: 'PENDING_MANUAL', amount: 29900, currency: 'COP' })
+    })
+
+    it('should return 409 when the license is already reserved', async () => {
+      mockReq.params.entryId = '5'
+      const error = new Error('Waitlist entry cannot be canceled in status READY_FOR_EMAIL')
+      error.code = 'WAITLIST_ENTRY_NOT_CANCELABLE'
+      waitlistService.cancelCustomerEntry.mockRejectedValue(error)
+
+      await customerPortalController.cancelMyWaitlistEntry(mockReq, mockRes)
+
+      expect(mockRes.status).toHaveBeenCalledWith(409)
+    })
+  })
+})
@@ -418,7 +418,10 @@ describe('LicenseController', () => {
     it('should upload CSV successfully', async () => {
       // Configurar mocks
       csv.parse.mockReturnValue(csvRows)
-      licenseService.bulkImport.mockResolvedValue(csvRows)
+      licenseService.bulkImport.mockResolvedValue({
+        licenses: csvRows,
+        waitlist: { reserved: 1, served: 1, failed: 0, products: [] }
+      })
 
       // Ejecutar
       await licenseController.bulkUpload(mockReq, mockRes)
@@ -439,7 +442,9 @@ describe('LicenseController', () => {
         message: 'Successfully imported 2 licenses',
         data: {
           imported: 2,
-          total: 2
+          total: 2,
+          waitlistServed: 1,
+          waitlistPendingDelivery: 0
         }
       })
     })
@@ -6,6 +6,9 @@ const { DOCUMENT_TYPES } = require('../../../models')
 // Mock de las dependencias
 jest.mock('../../../services/user.service')
 jest.mock('../../../services/otp.service')
+jest.mock('../../../services/accountLockout.service', () => ({
+  retryAfterSeconds: jest.fn(() => 900)
+}))
 jest.mock('../../../config/logger')
 
 describe('UsersController', () => {
@@ -19,11 +22,13 @@ describe('UsersController', () => {
     // Configurar request y response mocks
     mockReq = {
       body: {},
-      user: { id: 1 }
+      user: { id: 1 },
+      ip: '203.0.113.7'
     }
     mockRes = {
       status: jest.fn().mockReturnThis(),
-      json: jest.fn()
+      json: jest.fn(),
+      set: jest.fn()
     }
   })
 
@@ -184,6 +189,25 @@ describe('UsersController', () => {
         message: 'No existe un usuario registrado con este email'
       })
     })
+
+    it('should return 502 if the OTP email could not be delivered', async () => {
+      // Configurar mocks
+      mockReq.body = { email: 'john@example.com' }
+      userService.userExistsByEmail.mockResolvedValue(true)
+      const deliveryError = new Error('No fue posible enviar el código OTP por correo')
+      deliveryError.code = 'OTP_DELIVERY_FAILED'
+      otpService.requestOtp.mockRejectedValue(deliveryError)
+
+      // Ejecutar
+      await usersController.requestOtp(mockReq, mockRes)
+
+      // Verificar
+      expect(mockRes.status).toHaveBeenCalledWith(502)
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'No fue posible enviar el código a tu correo, intenta nuevamente'
+      })
+    })
   })
 
   describe('verifyOtp', () => {
@@ -213,7 +237,7 @@ describe('UsersController', () => {
       await usersController.verifyOtp(mockReq, mockRes)
 
       // Verificar
-      expect(otpService.verifyOtp).toHaveBeenCalledWith('john@example.com', '123456')
+      expect(otpService.verifyOtp).toHaveBeenCalledWith('john@example.com', '123456', { ipAddress: '203.0.113.7' })
       expect(userService.getUserByEmail).toHaveBeenCalledWith('john@example.com')
       expect(userService.generateUserToken).toHaveBeenCalledWith(mockUser)
       expect(mockRes.status).toHaveBeenCalledWith(200)
@@ -255,6 +279,22 @@ describe('UsersController', () => {
         message: 'Código OTP inválido o expirado'
       })
     })
+
+    it('should return 429 with Retry-After when the account is locked', async () => {
+      mockReq.body = {
+        email: 'john@example.com',
+        code: '123456'
+      }
+      const lockedUntil = new Date(Date.now() + 15 * 60 * 1000)
+      otpService.verifyOtp.mockRejectedValue(Object.assign(new Error('Cuenta bloqueada'), { code: 'ACCOUNT_LOCKED', lockedUntil }))
+
+      await usersController.verifyOtp(mockReq, mockRes)
+
+      expect(mockRes.set).toHaveBeenCalledWith('Retry-After', '900')
+      expect(mockRes.status).toHaveBeenCalledWith(429)
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'ACCOUNT_LOCKED', lockedUntil }))
+      expect(userService.generateUserToken).not.toHaveBeenCalled()
+    })
   })
 
   describe('getUserProfile', () => {
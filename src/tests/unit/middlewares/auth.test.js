@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken')
 const { authenticate, authenticateUser, authenticateAny } = require('../../../middlewares/auth')
 const { Admin, User } = require('../../../models')
+const adminSessionService = require('../../../services/adminSession.service')
 const { JWT } = require('../../../config')
 
 // Mock de las dependencias
@@ -13,6 +14,10 @@ jest.mock('../../../models', () => ({
   }
 }))
 
+jest.mock('../../../services/adminSession.service', () => ({
+  isSessionActive: jest.fn()
+}))
+
 jest.mock('jsonwebtoken')
 
 describe('Auth Middleware', () => {
@@ -33,6 +38,7 @@ describe('Auth Middleware', () => {
       json: jest.fn()
     }
     mockNext = jest.fn()
+    adminSessionService.isSessionActive.mockResolvedValue(true)
   })
 
   describe('authenticate', () => {
@@ -47,7 +53,7 @@ describe('Auth Middleware', () => {
     it('should authenticate admin successfully', async () => {
       // Configurar mocks
       mockReq.headers.authorization = 'Bearer valid-token'
-      jwt.verify.mockReturnValue({ id: 1, type: 'admin' })
+      jwt.verify.mockReturnValue({ id: 1, type: 'admin', sid: 'session-1' })
       Admin.findByPk.mockResolvedValue(mockAdmin)
 
       // Ejecutar
@@ -61,8 +67,10 @@ describe('Auth Middleware', () => {
         name: mockAdmin.name,
         email: mockAdmin.email,
         role: mockAdmin.role,
-        type: 'admin'
+        type: 'admin',
+        sessionId: 'session-1'
       })
+      expect(adminSessionService.isSessionActive).toHaveBeenCalledWith('session-1', 1)
       expect(mockNext).toHaveBeenCalled()
     })
 
@@ -96,6 +104,25 @@ describe('Auth Middleware', () => {
       })
       expect(mockNext).not.toHaveBeenCalled()
     })
+
+    it('should return 401 if the session was closed or revoked', async () => {
+      // Configurar mocks
+      mockReq.headers.authorization = 'Bearer valid-token'
+      jwt.verify.mockReturnValue({ id: 1, type: 'admin', sid: 'session-1' })
+      Admin.findByPk.mockResolvedValue(mockAdmin)
+      adminSessionService.isSessionActive.mockResolvedValue(false)
+
+      // Ejecutar
+      await authenticate(mockReq, mockRes, mockNext)
+
+      // Verificar
+      expect(mockRes.status).toHaveBeenCalledWith(401)
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Acceso no autorizado. La sesión fue cerrada o expiró.'
+      })
+      expect(mockNext).not.toHaveBeenCalled()
+    })
   })
 
   describe('authenticateUser', () => {
@@ -183,7 +210,7 @@ describe('Auth Middleware', () => {
     it('should authenticate admin successfully', async () => {
       // Configurar mocks
       mockReq.headers.authorization = 'Bearer valid-token'
-      jwt.verify.mockReturnValue({ id: 1, type: 'admin' })
+      jwt.verify.mockReturnValue({ id: 1, type: 'admin', sid: 'session-1' })
       Admin.findByPk.mockResolvedValue(mockAdmin)
 
       // Ejecutar
@@ -197,8 +224,10 @@ describe('Auth Middleware', () => {
         name: mockAdmin.name,
         email: mockAdmin.email,
         role: mockAdmin.role,
-        type: 'admin'
+        type: 'admin',
+        sessionId: 'session-1'
       })
+      expect(adminSessionService.isSessionActive).toHaveBeenCalledWith('session-1', 1)
       expect(mockNext).toHaveBeenCalled()
     })
 
@@ -0,0 +1,42 @@
+const express = require('express')
+const request = require('supertest')
+
+jest.mock('../../../config/logger')
+
+describe('orderCreationEmailLimiter', () => {
+  const originalPolicies = process.env.RATE_LIMIT_POLICIES
+  let app
+
+  beforeEach(() => {
+    process.env.RATE_LIMIT_POLICIES = JSON.stringify({ orderCreationPerEmail: { max: 1 } })
+
+    jest.isolateModules(() => {
+      const { orderCreationEmailLimiter } = require('../../../middlewares/rateLimiter')
+      app = express()
+      app.use(express.json())
+      app.post('/orders', orderCreationEmailLimiter, (req, res) => res.json({ success: true }))
+    })
+  })
+
+  afterEach(() => {
+    if (originalPolicies === undefined) {
+      delete process.env.RATE_LIMIT_POLICIES
+    } else {
+      process.env.RATE_LIMIT_POLICIES = originalPolicies
+    }
+  })
+
+  it('should limit by normalized customer email', async () => {
+    await request(app).post('/orders').send({ customer: { email: 'Ana@Example.com' } }).expect(200)
+
+    const res = await request(app).post('/orders').send({ customer: { email: ' ana@example.com' } }).expect(429)
+
+    expect(res.body.code).toBe('ORDER_EMAIL_RATE_LIMIT_EXCEEDED')
+  })
+
+  it('should not be skipped by an unverified Authorization header', async () => {
+    await request(app).post('/orders').set('Authorization', 'Bearer x').send({ customer: { email: 'ana@example.com' } }).expect(200)
+
+    await request(app).post('/orders').set('Authorization', 'Bearer x').send({ customer: { email: 'ana@example.com' } }).expect(429)
+  })
+})
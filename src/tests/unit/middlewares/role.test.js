@@ -0,0 +1,62 @@
+const { requirePermission } = require('../../../middlewares/role')
+const roleService = require('../../../services/role.service')
+
+// Mock de las dependencias
+jest.mock('../../../services/role.service', () => ({
+  hasPermissions: jest.fn()
+}))
+jest.mock('../../../config/logger')
+
+describe('Role Middleware', () => {
+  let mockRes
+  let mockNext
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    }
+    mockNext = jest.fn()
+  })
+
+  describe('requirePermission', () => {
+    it('should call next when the admin role has every permission', async () => {
+      roleService.hasPermissions.mockResolvedValue(true)
+      const req = { user: { id: 1, role: 'EDITOR', type: 'admin' } }
+
+      await requirePermission('licenses:annul', 'licenses:return')(req, mockRes, mockNext)
+
+      expect(roleService.hasPermissions).toHaveBeenCalledWith('EDITOR', ['licenses:annul', 'licenses:return'])
+      expect(mockNext).toHaveBeenCalled()
+    })
+
+    it('should return 403 when the permission is missing', async () => {
+      roleService.hasPermissions.mockResolvedValue(false)
+      const req = { user: { id: 1, role: 'READ_ONLY', type: 'admin' } }
+
+      await requirePermission('licenses:annul')(req, mockRes, mockNext)
+
+      expect(mockRes.status).toHaveBeenCalledWith(403)
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'PERMISSION_DENIED' }))
+      expect(mockNext).not.toHaveBeenCalled()
+    })
+
+    it('should reject customers even if their role name matches', async () => {
+      roleService.hasPermissions.mockResolvedValue(true)
+      const req = { user: { id: 9, role: 'SUPER_ADMIN', type: 'user' } }
+
+      await requirePermission('orders:read')(req, mockRes, mockNext)
+
+      expect(mockRes.status).toHaveBeenCalledWith(403)
+      expect(mockNext).not.toHaveBeenCalled()
+    })
+
+    it('should return 401 without an authenticated user', async () => {
+      await requirePermission('orders:read')({}, mockRes, mockNext)
+
+      expect(mockRes.status).toHaveBeenCalledWith(401)
+      expect(mockNext).not.toHaveBeenCalled()
+    })
+  })
+})
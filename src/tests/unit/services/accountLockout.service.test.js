@@ -0,0 +1,149 @@
+const accountLockoutService = require('../../../services/accountLockout.service')
+const auditService = require('../../../services/audit.service')
+const emailService = require('../../../services/email')
+const { AccountLockout, Admin } = require('../../../models')
+const { ACCOUNT_LOCKOUT } = require('../../../config')
+
+// Mock de las dependencias
+jest.mock('../../../models', () => ({
+  AccountLockout: {
+    findOne: jest.fn(),
+    findOrCreate: jest.fn(),
+    destroy: jest.fn()
+  },
+  Admin: { findOne: jest.fn() },
+  User: { findOne: jest.fn() }
+}))
+jest.mock('../../../utils/transactionManager', () => ({
+  executeCustomTransaction: jest.fn(async (work) => work({ LOCK: { UPDATE: 'UPDATE' } }))
+}))
+jest.mock('../../../services/audit.service', () => ({
+  record: jest.fn(),
+  pick: jest.fn((obj, fields) => Object.fromEntries(fields.map(field => [field, obj[field]])))
+}))
+jest.mock('../../../services/email', () => ({
+  queueAccountLockedEmail: jest.fn()
+}))
+jest.mock('../../../config/logger')
+
+describe('AccountLockoutService', () => {
+  const MINUTE_MS = 60 * 1000
+
+  // Registro de intentos con update que aplica los cambios
+  const mockRecord = (values = {}) => {
+    const record = {
+      id: 7,
+      scope: 'ADMIN',
+      identifier: 'ana@example.com',
+      failedAttempts: 0,
+      lockoutCount: 0,
+      lockedUntil: null,
+      lastFailedAt: null,
+      ...values
+    }
+    record.reload = jest.fn()
+    record.update = jest.fn(async (changes) => Object.assign(record, changes))
+    record.destroy = jest.fn()
+    return record
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    Object.assign(ACCOUNT_LOCKOUT, { maxAttempts: 5, attemptWindowMinutes: 15, lockMinutes: 15, maxLockMinutes: 1440 })
+  })
+
+  describe('recordFailure', () => {
+    it('should count failures per account and normalize the email', async () => {
+      const record = mockRecord({ failedAttempts: 2, lastFailedAt: new Date(Date.now() - MINUTE_MS) })
+      AccountLockout.findOrCreate.mockResolvedValue([record, false])
+
+      const result = await accountLockoutService.recordFailure('ADMIN', ' Ana@Example.com ', { ipAddress: '203.0.113.7' })
+
+      expect(AccountLockout.findOrCreate).toHaveBeenCalledWith(expect.objectContaining({
+        where: { scope: 'ADMIN', identifier: 'ana@example.com' }
+      }))
+      expect(result).toEqual({ locked: false, lockedUntil: null, remainingAttempts: 2 })
+      expect(record).toMatchObject({ failedAttempts: 3, lastFailedIp: '203.0.113.7' })
+    })
+
+    it('should restart the count when the last failure is outside the window', async () => {
+      const record = mockRecord({ failedAttempts: 4, lastFailedAt: new Date(Date.now() - 20 * MINUTE_MS) })
+      AccountLockout.findOrCreate.mockResolvedValue([record, false])
+
+      const result = await accountLockoutService.recordFailure('ADMIN', 'ana@example.com')
+
+      expect(result.locked).toBe(false)
+      expect(record.failedAttempts).toBe(1)
+    })
+
+    it('should lock the account, audit it and notify the owner on the last allowed attempt', async () => {
+      const record = mockRecord({ failedAttempts: 4, lastFailedAt: new Date() })
+      AccountLockout.findOrCreate.mockResolvedValue([record, false])
+      Admin.findOne.mockResolvedValue({ id: 4, name: 'Ana', email: 'ana@example.com' })
+
+      const result = await accountLockoutService.recordFailure('ADMIN', 'ana@example.com', { ipAddress: '203.0.113.7' })
+
+      expect(result.locked).toBe(true)
+      expect(result.lockedUntil.getTime() - Date.now()).toBeGreaterThan(14 * MINUTE_MS)
+      expect(record).toMatchObject({ failedAttempts: 0, lockoutCount: 1 })
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'account.lock', entityId: 7 }), expect.anything())
+      expect(emailService.queueAccountLockedEmail).toHaveBeenCalledWith(expect.objectContaining({
+        email: 'ana@example.com',
+        name: 'Ana',
+        scope: 'ADMIN',
+        attempts: 5,
+        ipAddress: '203.0.113.7'
+      }))
+    })
+
+    it('should double the lock duration on consecutive lockouts up to the maximum', () => {
+      expect(accountLockoutService.lockDuration(1)).toBe(15 * MINUTE_MS)
+      expect(accountLockoutService.lockDuration(3)).toBe(60 * MINUTE_MS)
+      expect(accountLockoutService.lockDuration(10)).toBe(1440 * MINUTE_MS)
+    })
+
+    it('should not notify when the email does not belong to an account', async () => {
+      AccountLockout.findOrCreate.mockResolvedValue([mockRecord({ failedAttempts: 4, lastFailedAt: new Date() }), true])
+      Admin.findOne.mockResolvedValue(null)
+
+      const result = await accountLockoutService.recordFailure('ADMIN', 'nobody@example.com')
+
+      expect(result.locked).toBe(true)
+      expect(emailService.queueAccountLockedEmail).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('assertNotLocked', () => {
+    it('should throw ACCOUNT_LOCKED while the lock is active', async () => {
+      const lockedUntil = new Date(Date.now() + 10 * MINUTE_MS)
+      AccountLockout.findOne.mockResolvedValue(mockRecord({ lockedUntil }))
+
+      await expect(accountLockoutService.assertNotLocked('ADMIN', 'ana@example.com'))
+        .rejects.toMatchObject({ code: 'ACCOUNT_LOCKED', lockedUntil })
+    })
+
+    it('should allow the attempt once the lock expired', async () => {
+      AccountLockout.findOne.mockResolvedValue(mockRecord({ lockedUntil: new Date(Date.now() - MINUTE_MS) }))
+
+      await expect(accountLockoutService.assertNotLocked('ADMIN', 'ana@example.com')).resolves.toBeUndefined()
+    })
+  })
+
+  describe('unlock', () => {
+    it('should remove the record and audit the actor', async () => {
+      const record = mockRecord({ lockoutCount: 2, lockedUntil: new Date(Date.now() + MINUTE_MS) })
+      AccountLockout.findOne.mockResolvedValue(record)
+
+      await accountLockoutService.unlock('ADMIN', 'ana@example.com', 1)
+
+      expect(record.destroy).toHaveBeenCalled()
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'account.unlock', actorId: 1 }), expect.anything())
+    })
+
+    it('should fail when there is nothing to unlock', async () => {
+      AccountLockout.findOne.mockResolvedValue(null)
+
+      await expect(accountLockoutService.unlock('CUSTOMER', 'john@example.com', 1)).rejects.toMatchObject({ code: 'LOCKOUT_NOT_FOUND' })
+    })
+  })
+})
@@ -0,0 +1,118 @@
+const adminService = require('../../../services/admin.service')
+const auditService = require('../../../services/audit.service')
+const adminSessionService = require('../../../services/adminSession.service')
+const roleService = require('../../../services/role.service')
+const { Admin } = require('../../../models')
+
+// Mock de las dependencias
+jest.mock('../../../models', () => ({
+  Admin: { findByPk: jest.fn(), findOne: jest.fn() }
+}))
+jest.mock('../../../utils/transactionManager', () => ({
+  executeCustomTransaction: jest.fn(async (work) => work({ LOCK: { UPDATE: 'UPDATE' } }))
+}))
+jest.mock('../../../services/audit.service', () => ({
+  record: jest.fn(),
+  pick: jest.fn((source, fields) => Object.fromEntries(fields.map(field => [field, source[field]])))
+}))
+jest.mock('../../../services/adminSession.service', () => ({
+  revokeAllSessions: jest.fn()
+}))
+jest.mock('../../../services/role.service', () => ({
+  assertCanManage: jest.fn(),
+  assertAssignable: jest.fn()
+}))
+jest.mock('../../../services/twoFactor.service', () => ({}))
+jest.mock('../../../services/accountLockout.service', () => ({}))
+jest.mock('../../../config/logger')
+
+describe('AdminService', () => {
+  // Instancia de Admin con update que aplica los cambios
+  const mockAdmin = (values = {}) => {
+    const admin = {
+      id: 8,
+      name: 'Luis',
+      email: 'luis@example.com',
+      role: 'EDITOR',
+      isActive: true,
+      ...values
+    }
+    admin.update = jest.fn(async (changes) => Object.assign(admin, changes))
+    admin.destroy = jest.fn()
+    admin.toJSON = () => ({ ...admin })
+    return admin
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe('actions on another admin', () => {
+    const escalation = () => Object.assign(new Error('No puedes otorgar permisos que no tienes: admins:manage'), { code: 'ROLE_ESCALATION' })
+
+    const actions = [
+      ['updateAdmin', () => adminService.updateAdmin(8, { name: 'Otro' }, 1, 'EDITOR')],
+      ['toggleAdminStatus', () => adminService.toggleAdminStatus(8, 1, 'EDITOR')],
+      ['deleteAdmin', () => adminService.deleteAdmin(8, 1, 'EDITOR')],
+      ['revokeSessions', () => adminService.revokeSessions(8, 1, 'EDITOR')],
+      ['resetPassword', () => adminService.resetPassword(8, 'nueva-clave', 1, 'EDITOR')]
+    ]
+
+    it.each(actions)('%s should not touch an admin with permissions the actor lacks', async (name, action) => {
+      const admin = mockAdmin({ role: 'SUPER_ADMIN' })
+      Admin.findByPk.mockResolvedValue(admin)
+      roleService.assertCanManage.mockRejectedValue(escalation())
+
+      await expect(action()).rejects.toMatchObject({ code: 'ROLE_ESCALATION' })
+
+      expect(roleService.assertCanManage).toHaveBeenCalledWith('EDITOR', 'SUPER_ADMIN')
+      expect(admin.update).not.toHaveBeenCalled()
+      expect(admin.destroy).not.toHaveBeenCalled()
+      expect(adminSessionService.revokeAllSessions).not.toHaveBeenCalled()
+      expect(auditService.record).not.toHaveBeenCalled()
+    })
+
+    it.each(actions)('%s should act on an admin within the actor permissions', async (name, action) => {
+      Admin.findByPk.mockResolvedValue(mockAdmin({ role: 'READ_ONLY' }))
+      roleService.assertCanManage.mockResolvedValue()
+      adminSessionService.revokeAllSessions.mockResolvedValue(2)
+
+      await expect(action()).resolves.toBeTruthy()
+
+      expect(roleService.assertCanManage).toHaveBeenCalledWith('EDITOR', 'READ_ONLY')
+    })
+  })
+
+  describe('toggleAdminStatus', () => {
+    it('should deactivate the admin, audit the change and close its sessions in one transaction', async () => {
+      const admin = mockAdmin()
+      Admin.findByPk.mockResolvedValue(admin)
+
+      const result = await adminService.toggleAdminStatus(8, 1)
+
+      expect(result.isActive).toBe(false)
+      const dbTransaction = admin.update.mock.calls[0][1].transaction
+      expect(auditService.record).toHaveBeenCalledWith({
+        action: 'admin.status_toggle',
+        entityType: 'Admin',
+        entityId: 8,
+        actorId: 1,
+        before: { isActive: true },
+        after: { isActive: false }
+      }, dbTransaction)
+      expect(adminSessionService.revokeAllSessions).toHaveBeenCalledWith(8, expect.objectContaining({ reason: 'DEACTIVATED', transaction: dbTransaction }))
+    })
+
+    it('should audit a reactivation without touching the sessions', async () => {
+      Admin.findByPk.mockResolvedValue(mockAdmin({ isActive: false }))
+
+      await adminService.toggleAdminStatus(8, 1)
+
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+        before: { isActive: false },
+        after: { isActive: true }
+      }), expect.anything())
+      expect(adminSessionService.revokeAllSessions).not.toHaveBeenCalled()
+    })
+  })
+})
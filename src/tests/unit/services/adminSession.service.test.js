@@ -0,0 +1,137 @@
+const jwt = require('jsonwebtoken')
+const adminSessionService = require('../../../services/adminSession.service')
+const auditService = require('../../../services/audit.service')
+const { Admin, AdminSession } = require('../../../models')
+const { JWT } = require('../../../config')
+
+// Mock de las dependencias
+jest.mock('../../../models', () => ({
+  Admin: { findByPk: jest.fn() },
+  AdminSession: { create: jest.fn(), findByPk: jest.fn(), update: jest.fn() }
+}))
+jest.mock('../../../services/audit.service', () => ({
+  record: jest.fn()
+}))
+jest.mock('../../../config/logger')
+
+describe('AdminSessionService', () => {
+  const admin = { id: 7, email: 'admin@example.com', role: 'EDITOR', isActive: true }
+  const sessionId = '1b4e28ba-2fa1-41d2-883f-0016d3cca427'
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    AdminSession.create.mockImplementation(async (values) => values)
+  })
+
+  // Simula la fila guardada a partir del refresh token emitido
+  const storedSession = (refreshToken, overrides = {}) => ({
+    id: sessionId,
+    adminId: admin.id,
+    refreshTokenHash: adminSessionService.hashSecret(refreshToken.split('.')[1]),
+    expiresAt: new Date(Date.now() + 60000),
+    revokedAt: null,
+    ...overrides
+  })
+
+  describe('createSession', () => {
+    it('should issue an access token bound to the session and store only the refresh token hash', async () => {
+      const result = await adminSessionService.createSession(admin)
+
+      const values = AdminSession.create.mock.calls[0][0]
+      const decoded = jwt.verify(result.token, JWT.secret)
+      expect(decoded).toMatchObject({ id: 7, role: 'EDITOR', type: 'admin', sid: values.id })
+      expect(result.refreshToken.startsWith(`${values.id}.`)).toBe(true)
+      expect(values.refreshTokenHash).toBe(adminSessionService.hashSecret(result.refreshToken.split('.')[1]))
+      expect(JSON.stringify(values)).not.toContain(result.refreshToken.split('.')[1])
+      expect(result.expiresIn).toBeGreaterThan(0)
+    })
+  })
+
+  describe('refresh', () => {
+    it('should rotate the refresh token', async () => {
+      const current = `${sessionId}.secret-1`
+      AdminSession.findByPk.mockResolvedValue(storedSession(current))
+      Admin.findByPk.mockResolvedValue(admin)
+      AdminSession.update.mockResolvedValue([1])
+
+      const result = await adminSessionService.refresh(current)
+
+      const [values, options] = AdminSession.update.mock.calls[0]
+      expect(options.where).toEqual({
+        id: sessionId,
+        refreshTokenHash: adminSessionService.hashSecret('secret-1'),
+        revokedAt: null
+      })
+      expect(result.refreshToken).not.toBe(current)
+      expect(values.refreshTokenHash).toBe(adminSessionService.hashSecret(result.refreshToken.split('.')[1]))
+      expect(jwt.verify(result.token, JWT.secret).sid).toBe(sessionId)
+    })
+
+    it('should revoke the session when a rotated token is reused', async () => {
+      AdminSession.findByPk.mockResolvedValue(storedSession(`${sessionId}.secret-2`))
+      AdminSession.update.mockResolvedValue([1])
+
+      await expect(adminSessionService.refresh(`${sessionId}.secret-1`))
+        .rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED' })
+
+      expect(AdminSession.update).toHaveBeenCalledWith(
+        expect.objectContaining({ revokedReason: 'REUSE_DETECTED' }),
+        { where: { id: sessionId, revokedAt: null } }
+      )
+      expect(Admin.findByPk).not.toHaveBeenCalled()
+    })
+
+    it('should reject revoked sessions and malformed tokens', async () => {
+      const current = `${sessionId}.secret-1`
+      AdminSession.findByPk.mockResolvedValue(storedSession(current, { revokedAt: new Date() }))
+
+      await expect(adminSessionService.refresh(current)).rejects.toMatchObject({ code: 'REFRESH_TOKEN_INVALID' })
+      await expect(adminSessionService.refresh('not-a-token')).rejects.toMatchObject({ code: 'REFRESH_TOKEN_INVALID' })
+      expect(AdminSession.findByPk).toHaveBeenCalledTimes(1)
+    })
+
+    it('should close the session if the admin was deactivated', async () => {
+      const current = `${sessionId}.secret-1`
+      AdminSession.findByPk.mockResolvedValue(storedSession(current))
+      Admin.findByPk.mockResolvedValue({ ...admin, isActive: false })
+      AdminSession.update.mockResolvedValue([1])
+
+      await expect(adminSessionService.refresh(current)).rejects.toMatchObject({ code: 'REFRESH_TOKEN_INVALID' })
+      expect(AdminSession.update).toHaveBeenCalledWith(
+        expect.objectContaining({ revokedReason: 'DEACTIVATED' }),
+        expect.anything()
+      )
+    })
+  })
+
+  describe('isSessionActive', () => {
+    it('should only accept open sessions of the same admin', async () => {
+      AdminSession.findByPk.mockResolvedValue(storedSession(`${sessionId}.secret-1`))
+
+      expect(await adminSessionService.isSessionActive(sessionId, 7)).toBe(true)
+      expect(await adminSessionService.isSessionActive(sessionId, 8)).toBe(false)
+      expect(await adminSessionService.isSessionActive(undefined, 7)).toBe(false)
+    })
+  })
+
+  describe('revokeAllSessions', () => {
+    it('should revoke open sessions inside the given transaction and audit it', async () => {
+      const t = { id: 'tx' }
+      AdminSession.update.mockResolvedValue([3])
+
+      const revoked = await adminSessionService.revokeAllSessions(7, { reason: 'PASSWORD_RESET', actorId: 1, transaction: t })
+
+      expect(revoked).toBe(3)
+      const [values, options] = AdminSession.update.mock.calls[0]
+      expect(values.revokedReason).toBe('PASSWORD_RESET')
+      expect(options.where).toMatchObject({ adminId: 7, revokedAt: null })
+      expect(options.transaction).toBe(t)
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'admin.sessions_revoke',
+        entityId: 7,
+        actorId: 1,
+        metadata: { reason: 'PASSWORD_RESET', revoked: 3 }
+      }), t)
+    })
+  })
+})
@@ -0,0 +1,99 @@
+const { Op } = require('sequelize')
+const auditService = require('../../../services/audit.service')
+const { AuditLog } = require('../../../models')
+const { requestContext } = require('../../../middlewares/requestContext')
+
+// Mock de las dependencias
+jest.mock('../../../models', () => ({
+  AuditLog: { create: jest.fn(), findAndCountAll: jest.fn() }
+}))
+jest.mock('../../../utils/licenseKeyVault', () => ({
+  mask: jest.fn(key => `***${key.slice(-4)}`)
+}))
+jest.mock('../../../config/logger')
+
+describe('AuditService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    AuditLog.create.mockImplementation(async (values) => ({ id: 1, ...values }))
+  })
+
+  describe('record', () => {
+    it('should store the diff, hide secrets and use the admin as actor', async () => {
+      const t = { id: 'tx' }
+
+      await auditService.record({
+        action: 'license.annul',
+        entityType: 'License',
+        entityId: 15,
+        actorId: 3,
+        before: { licenseKey: 'AAA-BBB-CCC-111', status: 'AVAILABLE', licenseKeyHash: 'abc' },
+        after: { licenseKey: 'ANULADA-C-111', status: 'ANNULLED', licenseKeyHash: 'def' }
+      }, t)
+
+      const [values, options] = AuditLog.create.mock.calls[0]
+      expect(options).toEqual({ transaction: t })
+      expect(values).toMatchObject({
+        actorType: 'ADMIN',
+        actorId: 3,
+        action: 'license.annul',
+        entityType: 'License',
+        entityId: '15',
+        before: { licenseKey: '***-111', status: 'AVAILABLE' },
+        changes: {
+          licenseKey: { from: '***-111', to: '***-111' },
+          status: { from: 'AVAILABLE', to: 'ANNULLED' }
+        },
+        requestId: null
+      })
+      expect(values.before).not.toHaveProperty('licenseKeyHash')
+    })
+
+    it('should take IP, user agent and request id from the current request', async () => {
+      const req = {
+        ip: '10.0.0.8',
+        get: (header) => ({ 'X-Request-Id': 'req-123', 'User-Agent': 'curl/8.0' })[header]
+      }
+      const res = { set: jest.fn() }
+
+      await new Promise((resolve, reject) => {
+        requestContext(req, res, () => {
+          auditService.record({
+            action: 'admin.password_reset',
+            entityType: 'Admin',
+            entityId: 2,
+            actorId: 1
+          }).then(resolve, reject)
+        })
+      })
+
+      expect(res.set).toHaveBeenCalledWith('X-Request-Id', 'req-123')
+      expect(AuditLog.create.mock.calls[0][0]).toMatchObject({
+        ipAddress: '10.0.0.8',
+        userAgent: 'curl/8.0',
+        requestId: 'req-123',
+        changes: null
+      })
+    })
+
+    it('should record actions without an admin as SYSTEM', async () => {
+      await auditService.record({ action: 'order.status_update', entityType: 'Order', entityId: 9 })
+
+      expect(AuditLog.create.mock.calls[0][0]).toMatchObject({ actorType: 'SYSTEM', actorId: null })
+    })
+  })
+
+  describe('list', () => {
+    it('should filter by action prefix and paginate', async () => {
+      AuditLog.findAndCountAll.mockResolvedValue({ count: 120, rows: [] })
+
+      const result = await auditService.list({ action: 'license.*', entityId: 15, page: 2, limit: 50 })
+
+      const options = AuditLog.findAndCountAll.mock.calls[0][0]
+      expect(options.where.action[Op.like]).toBe('license.%')
+      expect(options.where.entityId).toBe('15')
+      expect(options.offset).toBe(50)
+      expect(result.pagination).toEqual({ total: 120, page: 2, limit: 50, pages: 3 })
+    })
+  })
+})
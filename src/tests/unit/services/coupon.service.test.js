@@ -0,0 +1,106 @@
+const couponService = require('../../../services/coupon.service')
+const { Coupon, CouponRedemption, Discount } = require('../../../models')
+
+// Mock de las dependencias
+jest.mock('../../../models', () => ({
+  Coupon: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    create: jest.fn()
+  },
+  CouponRedemption: {
+    count: jest.fn(),
+    create: jest.fn()
+  },
+  Discount: {
+    findByPk: jest.fn()
+  }
+}))
+
+jest.mock('../../../config/logger')
+
+describe('CouponService', () => {
+  const t = { LOCK: { UPDATE: 'UPDATE' } }
+  const lines = [
+    { productRef: 'OFFICE-2024', subtotal: 10000, discountTotal: 0 },
+    { productRef: 'WIN-11-PRO', subtotal: 20000, discountTotal: 2000 }
+  ]
+
+  let coupon
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+
+    coupon = {
+      id: 3,
+      code: 'WELCOME10',
+      discountId: 1,
+      isActive: true,
+      maxRedemptions: 10,
+      perCustomerLimit: 1,
+      minOrderAmount: 0,
+      productRefs: null
+    }
+
+    Coupon.findOne.mockResolvedValue(coupon)
+    Discount.findByPk.mockResolvedValue({
+      id: 1,
+      amount: 10,
+      isActive: true,
+      startDate: new Date(Date.now() - 86400000),
+      endDate: new Date(Date.now() + 86400000)
+    })
+    CouponRedemption.count.mockResolvedValue(0)
+  })
+
+  describe('applyCoupon', () => {
+    it('should discount every line after automatic discounts', async () => {
+      const result = await couponService.applyCoupon({ code: ' welcome10 ', customerId: 7, lines }, t)
+
+      expect(Coupon.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { code: 'WELCOME10' },
+        lock: 'UPDATE'
+      }))
+      expect(result.lineDiscounts.get('OFFICE-2024')).toBe(1000)
+      expect(result.lineDiscounts.get('WIN-11-PRO')).toBe(1800)
+      expect(result.discountTotal).toBe(2800)
+    })
+
+    it('should only discount the products in scope', async () => {
+      coupon.productRefs = ['WIN-11-PRO']
+
+      const result = await couponService.applyCoupon({ code: 'WELCOME10', customerId: 7, lines }, t)
+
+      expect(result.lineDiscounts.has('OFFICE-2024')).toBe(false)
+      expect(result.discountTotal).toBe(1800)
+    })
+
+    it('should reject a coupon that reached its redemption limit', async () => {
+      CouponRedemption.count.mockResolvedValueOnce(10)
+
+      await expect(couponService.applyCoupon({ code: 'WELCOME10', customerId: 7, lines }, t))
+        .rejects.toThrow('Coupon WELCOME10 has reached its redemption limit')
+    })
+
+    it('should reject a coupon already used by the customer', async () => {
+      CouponRedemption.count.mockResolvedValueOnce(4).mockResolvedValueOnce(1)
+
+      await expect(couponService.applyCoupon({ code: 'WELCOME10', customerId: 7, lines }, t))
+        .rejects.toThrow('Coupon WELCOME10 has already been used by this customer')
+    })
+
+    it('should reject orders below the minimum amount', async () => {
+      coupon.minOrderAmount = 30000
+
+      await expect(couponService.applyCoupon({ code: 'WELCOME10', customerId: 7, lines }, t))
+        .rejects.toThrow('Order amount does not reach the coupon minimum (30000)')
+    })
+
+    it('should reject inactive coupons', async () => {
+      coupon.isActive = false
+
+      await expect(couponService.applyCoupon({ code: 'WELCOME10', customerId: 7, lines }, t))
+        .rejects.toThrow('Coupon WELCOME10 is not active')
+    })
+  })
+})
@@ -0,0 +1,76 @@
+const discountService = require('../../../services/discount.service')
+
+// Mock de las dependencias
+jest.mock('../../../models', () => ({
+  Discount: {},
+  Product: {}
+}))
+
+jest.mock('../../../config/logger')
+
+describe('DiscountService', () => {
+  describe('calculateDiscount', () => {
+    it('should apply a percentage of the subtotal', () => {
+      const discount = { type: 'PERCENTAGE', amount: 15 }
+
+      expect(discountService.calculateDiscount(discount, { subtotal: 9999, qty: 1, currency: 'USD' })).toBe(1499)
+    })
+
+    it('should treat discounts without type as percentage', () => {
+      expect(discountService.calculateDiscount({ amount: 10 }, { subtotal: 5000, qty: 1, currency: 'USD' })).toBe(500)
+    })
+
+    it('should apply a fixed amount per unit in the line currency', () => {
+      const discount = { type: 'FIXED', fixedAmounts: { COP: 500000, USD: 500 } }
+
+      expect(discountService.calculateDiscount(discount, { subtotal: 10000000, qty: 3, currency: 'COP' })).toBe(1500000)
+      expect(discountService.calculateDiscount(discount, { subtotal: 10000, qty: 1, currency: 'EUR' })).toBe(0)
+    })
+
+    it('should never discount more than the subtotal', () => {
+      const discount = { type: 'FIXED', fixedAmounts: { USD: 5000 } }
+
+      expect(discountService.calculateDiscount(discount, { subtotal: 2999, qty: 1, currency: 'USD' })).toBe(2999)
+    })
+
+    it('should apply the highest tier reached by the quantity', () => {
+      const discount = { type: 'TIERED', tiers: [{ minQty: 5, percent: 10 }, { minQty: 20, percent: 20 }] }
+
+      expect(discountService.calculateDiscount(discount, { subtotal: 4000, qty: 4, currency: 'USD' })).toBe(0)
+      expect(discountService.calculateDiscount(discount, { subtotal: 5000, qty: 5, currency: 'USD' })).toBe(500)
+      expect(discountService.calculateDiscount(discount, { subtotal: 25000, qty: 25, currency: 'USD' })).toBe(5000)
+    })
+  })
+
+  describe('validateDiscountConfig', () => {
+    it('should clear the fields of other discount types', () => {
+      const data = discountService.validateDiscountConfig({
+        name: 'Volumen',
+        type: 'TIERED',
+        amount: 10,
+        tiers: [{ minQty: 20, percent: 20 }, { minQty: 5, percent: 10 }]
+      })
+
+      expect(data.amount).toBeNull()
+      expect(data.fixedAmounts).toBeNull()
+      expect(data.tiers).toEqual([{ minQty: 5, percent: 10 }, { minQty: 20, percent: 20 }])
+    })
+
+    it('should reject percentages above 100', () => {
+      expect(() => discountService.validateDiscountConfig({ amount: 150 }))
+        .toThrow('El porcentaje de descuento debe ser un entero entre 1 y 100')
+    })
+
+    it('should reject fixed discounts without currencies', () => {
+      expect(() => discountService.validateDiscountConfig({ type: 'FIXED', fixedAmounts: {} }))
+        .toThrow('fixedAmounts debe definir al menos una moneda')
+    })
+
+    it('should reject repeated tiers', () => {
+      expect(() => discountService.validateDiscountConfig({
+        type: 'TIERED',
+        tiers: [{ minQty: 5, percent: 10 }, { minQty: 5, percent: 20 }]
+      })).toThrow('Los escalones no pueden repetir minQty')
+    })
+  })
+})
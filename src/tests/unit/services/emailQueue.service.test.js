@@ -0,0 +1,252 @@
+const emailQueueService = require('../../../services/emailQueue.service')
+const { EmailOutbox, EmailOutboxAttempt, Order } = require('../../../models')
+const { sendEmail } = require('../../../services/email/brevoService')
+
+// Mock de las dependencias
+jest.mock('../../../models', () => ({
+  EmailOutbox: {
+    create: jest.fn(),
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    update: jest.fn(),
+    count: jest.fn()
+  },
+  EmailOutboxAttempt: {
+    create: jest.fn()
+  },
+  Order: {
+    findByPk: jest.fn()
+  }
+}))
+jest.mock('../../../services/email/brevoService', () => ({
+  sendEmail: jest.fn()
+}))
+// Las claves se "cifran" con un prefijo reversible
+jest.mock('../../../utils/licenseKeyVault', () => ({
+  isEncrypted: jest.fn(value => value.startsWith('enc:')),
+  encrypt: jest.fn(value => `enc:${value}`),
+  decrypt: jest.fn(value => value.replace(/^enc:/, ''))
+}))
+jest.mock('../../../config/logger')
+
+describe('EmailQueueService', () => {
+  const buildEntry = (overrides = {}) => {
+    const entry = {
+      id: 10,
+      type: 'WAITLIST_NOTIFICATION',
+      status: 'SENDING',
+      orderId: 5,
+      recipient: 'john@example.com',
+      recipientName: 'John Doe',
+      subject: 'Estás en la lista de espera',
+      templateName: 'waitlist-notification',
+      variables: { orderId: 5 },
+      attempts: 0,
+      maxAttempts: 3,
+      nextAttemptAt: new Date(),
+      ...overrides
+    }
+    entry.update = jest.fn(async (values) => Object.assign(entry, values))
+    return entry
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    EmailOutboxAttempt.create.mockResolvedValue({})
+    EmailOutbox.update.mockResolvedValue([1])
+  })
+
+  describe('enqueue', () => {
+    it('should store the message inside the business transaction', async () => {
+      const dbTransaction = { id: 'tx' }
+      EmailOutbox.create.mockResolvedValue({ id: 1 })
+
+      await emailQueueService.enqueue({
+        type: 'LICENSE_DELIVERY',
+        orderId: 5,
+        message: {
+          to: { email: 'john@example.com', name: 'John Doe' },
+          subject: 'Tu producto está listo',
+          templateName: 'license-delivery',
+          variables: { licenseKey: 'AAA' }
+        }
+      }, dbTransaction)
+
+      expect(EmailOutbox.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'LICENSE_DELIVERY',
+        status: 'PENDING',
+        orderId: 5,
+        recipient: 'john@example.com',
+        templateName: 'license-delivery',
+        maxAttempts: emailQueueService.maxAttempts
+      }), { transaction: dbTransaction })
+    })
+
+    it('should encrypt license keys in the stored variables', async () => {
+      EmailOutbox.create.mockResolvedValue({ id: 1 })
+
+      await emailQueueService.enqueue({
+        type: 'LICENSE_DELIVERY',
+        message: {
+          to: { email: 'john@example.com' },
+          subject: 'Tu producto está listo',
+          templateName: 'license-delivery',
+          variables: { licenseKey: 'AAA', licenseKeys: ['AAA', 'BBB'], orderId: 5 }
+        }
+      })
+
+      expect(EmailOutbox.create.mock.calls[0][0].variables).toEqual({
+        licenseKey: 'enc:AAA',
+        licenseKeys: ['enc:AAA', 'enc:BBB'],
+        orderId: 5
+      })
+    })
+
+    it('should encrypt the OTP code in the stored variables', async () => {
+      EmailOutbox.create.mockResolvedValue({ id: 1 })
+
+      await emailQueueService.enqueue({
+        type: 'OTP',
+        message: {
+          to: { email: 'john@example.com' },
+          subject: 'Tu código de acceso',
+          templateName: 'otp-code',
+          variables: { code: '123456', expiresInMinutes: 10 }
+        }
+      })
+
+      expect(EmailOutbox.create.mock.calls[0][0].variables).toEqual({ code: 'enc:123456', expiresInMinutes: 10 })
+    })
+  })
+
+  describe('deliver', () => {
+    it('should mark the email as sent and log the Brevo messageId', async () => {
+      const entry = buildEntry()
+      sendEmail.mockResolvedValue({ success: true, messageId: '<msg-1>' })
+
+      await emailQueueService.deliver(entry)
+
+      expect(EmailOutboxAttempt.create).toHaveBeenCalledWith({
+        outboxId: 10,
+        attempt: 1,
+        success: true,
+        messageId: '<msg-1>',
+        error: null
+      })
+      expect(entry.status).toBe('SENT')
+      expect(entry.messageId).toBe('<msg-1>')
+    })
+
+    it('should send decrypted license keys and remove them once sent', async () => {
+      const entry = buildEntry({
+        type: 'LICENSE_CHANGE',
+        variables: { oldLicenseKey: 'enc:AAA', newLicenseKey: 'enc:BBB', orderId: 5 }
+      })
+      sendEmail.mockResolvedValue({ success: true, messageId: '<msg-2>' })
+
+      await emailQueueService.deliver(entry)
+
+      expect(sendEmail.mock.calls[0][0].variables).toEqual({ oldLicenseKey: 'AAA', newLicenseKey: 'BBB', orderId: 5 })
+      expect(entry.variables).toEqual({ orderId: 5 })
+    })
+
+    it('should remove the OTP code once sent', async () => {
+      const entry = buildEntry({ type: 'OTP', variables: { code: 'enc:123456', expiresInMinutes: 10 } })
+      sendEmail.mockResolvedValue({ success: true, messageId: '<msg-3>' })
+
+      await emailQueueService.deliver(entry)
+
+      expect(sendEmail.mock.calls[0][0].variables).toEqual({ code: '123456', expiresInMinutes: 10 })
+      expect(entry.variables).toEqual({ expiresInMinutes: 10 })
+    })
+
+    it('should keep the encrypted license keys while the email is retried', async () => {
+      const entry = buildEntry({ variables: { licenseKey: 'enc:AAA' } })
+      sendEmail.mockRejectedValue(new Error('Brevo 503'))
+
+      await emailQueueService.deliver(entry)
+
+      expect(entry.status).toBe('PENDING')
+      expect(entry.variables).toEqual({ licenseKey: 'enc:AAA' })
+    })
+
+    it('should schedule a retry with exponential backoff', async () => {
+      const entry = buildEntry({ attempts: 1 })
+      sendEmail.mockRejectedValue(new Error('Brevo 503'))
+      const before = Date.now()
+
+      await emailQueueService.deliver(entry)
+
+      expect(EmailOutboxAttempt.create).toHaveBeenCalledWith(expect.objectContaining({
+        attempt: 2,
+        success: false,
+        error: 'Brevo 503'
+      }))
+      expect(entry.status).toBe('PENDING')
+      expect(entry.attempts).toBe(2)
+      expect(entry.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + emailQueueService.getRetryDelay(2))
+    })
+
+    it('should fail the email once the attempts are exhausted', async () => {
+      const entry = buildEntry({ attempts: 2 })
+      sendEmail.mockRejectedValue(new Error('Brevo 503'))
+
+      await emailQueueService.deliver(entry)
+
+      expect(entry.status).toBe('FAILED')
+      expect(entry.lastError).toBe('Brevo 503')
+    })
+
+    it('should record license deliveries in the order shippingInfo', async () => {
+      const entry = buildEntry({ type: 'LICENSE_DELIVERY' })
+      const order = { shippingInfo: { email: { queued: true } }, update: jest.fn() }
+      sendEmail.mockResolvedValue({ success: true, messageId: '<msg-2>' })
+      Order.findByPk.mockResolvedValue(order)
+      EmailOutbox.count.mockResolvedValue(0)
+
+      await emailQueueService.deliver(entry)
+
+      expect(order.update).toHaveBeenCalledWith({
+        shippingInfo: {
+          email: expect.objectContaining({
+            sent: true,
+            messageId: '<msg-2>',
+            messageIds: ['<msg-2>'],
+            type: 'license_delivery'
+          })
+        }
+      })
+    })
+  })
+
+  describe('processPending', () => {
+    it('should skip emails claimed by another worker', async () => {
+      const entry = buildEntry({ status: 'PENDING' })
+      EmailOutbox.findAll.mockResolvedValue([entry])
+      EmailOutbox.update
+        .mockResolvedValueOnce([0]) // releaseStaleEntries
+        .mockResolvedValueOnce([0]) // claim
+
+      const result = await emailQueueService.processPending()
+
+      expect(sendEmail).not.toHaveBeenCalled()
+      expect(result.processed).toBe(0)
+    })
+  })
+
+  describe('getQueueStats', () => {
+    it('should report real counts per status', async () => {
+      EmailOutbox.findAll.mockResolvedValue([
+        { status: 'PENDING', type: 'LICENSE_DELIVERY', count: '2' },
+        { status: 'SENT', type: 'LICENSE_DELIVERY', count: '7' },
+        { status: 'FAILED', type: 'OTP', count: '1' }
+      ])
+      EmailOutbox.findOne.mockResolvedValue(null)
+
+      const stats = await emailQueueService.getQueueStats()
+
+      expect(stats).toMatchObject({ pending: 2, sent: 7, failed: 1, queueSize: 2 })
+      expect(stats.typeStats.LICENSE_DELIVERY).toEqual({ PENDING: 2, SENT: 7 })
+    })
+  })
+})
@@ -0,0 +1,136 @@
+const inventoryService = require('../../../services/inventory.service')
+const { Product, License, WaitlistEntry, StockAlert, Admin } = require('../../../models')
+const licenseService = require('../../../services/license.service')
+const emailService = require('../../../services/email')
+
+// Mock de las dependencias
+jest.mock('../../../models', () => ({
+  Product: { findAll: jest.fn() },
+  License: { findAll: jest.fn() },
+  WaitlistEntry: { findAll: jest.fn() },
+  StockAlert: { findAll: jest.fn(), bulkCreate: jest.fn() },
+  Admin: { findAll: jest.fn() }
+}))
+jest.mock('../../../services/license.service', () => ({
+  getStockSummary: jest.fn()
+}))
+jest.mock('../../../services/email', () => ({
+  queueInventoryAlert: jest.fn()
+}))
+jest.mock('../../../config/logger')
+
+describe('InventoryService', () => {
+  const office = { id: 1, productRef: 'OFFICE-2024', name: 'Office 2024', isActive: true, lowStockThreshold: null }
+  const windows = { id: 2, productRef: 'WIN-11', name: 'Windows 11', isActive: true, lowStockThreshold: 2 }
+
+  const stock = (available, extra = {}) => ({
+    available,
+    held: 0,
+    reservedForWaitlist: 0,
+    sold: 0,
+    annulled: 0,
+    returned: 0,
+    ...extra
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    inventoryService.defaultThreshold = 5
+    inventoryService.velocityDays = 30
+
+    Product.findAll.mockResolvedValue([office, windows])
+    licenseService.getStockSummary.mockResolvedValue({
+      'OFFICE-2024': stock(3, { held: 1, reservedForWaitlist: 2, sold: 40 }),
+      'WIN-11': stock(10)
+    })
+    WaitlistEntry.findAll.mockResolvedValue([])
+    License.findAll.mockResolvedValue([{ productRef: 'OFFICE-2024', count: '15' }])
+    StockAlert.findAll.mockResolvedValue([])
+    Admin.findAll.mockResolvedValue([{ id: 1, email: 'admin@example.com', name: 'Admin' }])
+  })
+
+  describe('getInventoryReport', () => {
+    it('should report stock, reservations and days of stock left per product', async () => {
+      const { products } = await inventoryService.getInventoryReport()
+
+      expect(products[0]).toMatchObject({
+        productRef: 'OFFICE-2024',
+        available: 3,
+        reserved: 3,
+        sold: 40,
+        recentSales: 15,
+        dailyVelocity: 0.5,
+        daysOfStockLeft: 6,
+        threshold: 5,
+        lowStock: true
+      })
+      expect(Product.findAll.mock.calls[0][0].where).toEqual({ license_type: true })
+    })
+
+    it('should use the product threshold and leave days empty without recent sales', async () => {
+      const { products } = await inventoryService.getInventoryReport()
+
+      expect(products[1]).toMatchObject({
+        productRef: 'WIN-11',
+        daysOfStockLeft: null,
+        threshold: 2,
+        lowStock: false
+      })
+    })
+  })
+
+  describe('checkAlerts', () => {
+    it('should open a low-stock alert and email the admins', async () => {
+      const result = await inventoryService.checkAlerts()
+
+      expect(result).toEqual({ processed: 1, alerts: 1, resolved: 0 })
+      expect(emailService.queueInventoryAlert).toHaveBeenCalledWith({
+        admin: expect.objectContaining({ email: 'admin@example.com' }),
+        alerts: [expect.objectContaining({ productRef: 'OFFICE-2024', type: 'LOW_STOCK', available: 3 })]
+      })
+      expect(StockAlert.bulkCreate).toHaveBeenCalledWith([
+        expect.objectContaining({ productRef: 'OFFICE-2024', type: 'LOW_STOCK', notifiedAdmins: 1 })
+      ])
+    })
+
+    it('should not repeat an alert that is still open', async () => {
+      StockAlert.findAll.mockResolvedValue([{ productRef: 'OFFICE-2024', type: 'LOW_STOCK', update: jest.fn() }])
+
+      const result = await inventoryService.checkAlerts()
+
+      expect(result.alerts).toBe(0)
+      expect(emailService.queueInventoryAlert).not.toHaveBeenCalled()
+    })
+
+    it('should resolve the alert once stock recovers', async () => {
+      const alert = { productRef: 'OFFICE-2024', type: 'LOW_STOCK', update: jest.fn().mockResolvedValue() }
+      StockAlert.findAll.mockResolvedValue([alert])
+      licenseService.getStockSummary.mockResolvedValue({
+        'OFFICE-2024': stock(20),
+        'WIN-11': stock(10)
+      })
+
+      const result = await inventoryService.checkAlerts()
+
+      expect(result.resolved).toBe(1)
+      expect(alert.update).toHaveBeenCalledWith({ resolvedAt: expect.any(Date) })
+    })
+
+    it('should alert again when the waitlist keeps growing', async () => {
+      const alert = { productRef: 'WIN-11', type: 'WAITLIST_GROWTH', waitlistCount: 2, update: jest.fn().mockResolvedValue() }
+      StockAlert.findAll.mockResolvedValue([
+        { productRef: 'OFFICE-2024', type: 'LOW_STOCK', update: jest.fn() },
+        alert
+      ])
+      WaitlistEntry.findAll.mockResolvedValue([{ productRef: 'WIN-11', count: '4' }])
+
+      const result = await inventoryService.checkAlerts()
+
+      expect(result.alerts).toBe(1)
+      expect(alert.update).toHaveBeenCalledWith({ resolvedAt: expect.any(Date) })
+      expect(StockAlert.bulkCreate).toHaveBeenCalledWith([
+        expect.objectContaining({ productRef: 'WIN-11', type: 'WAITLIST_GROWTH', waitlistCount: 4 })
+      ])
+    })
+  })
+})
@@ -0,0 +1,134 @@
+const jobRunService = require('../../../services/jobRun.service')
+const { JobRun } = require('../../../models')
+
+// Mock de las dependencias
+jest.mock('../../../models', () => ({
+  JobRun: {
+    create: jest.fn(),
+    findAndCountAll: jest.fn()
+  }
+}))
+jest.mock('../../../utils/jobLeaseManager', () => ({
+  nodeId: 'api-1:100:abc123'
+}))
+jest.mock('../../../config/logger')
+
+describe('JobRunService', () => {
+  let run
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    run = { update: jest.fn().mockResolvedValue() }
+    JobRun.create.mockResolvedValue(run)
+  })
+
+  describe('track', () => {
+    it('should record a manual run with counts and error summary', async () => {
+      const result = {
+        processed: 3,
+        successful: 2,
+        failed: 1,
+        errors: [{ transactionId: 9, error: 'Siigo timeout' }]
+      }
+
+      const returned = await jobRunService.track('invoiceProcessing', {
+        trigger: 'MANUAL',
+        adminId: 7,
+        options: { provider: 'siigo' }
+      }, async () => result)
+
+      expect(returned).toBe(result)
+      expect(JobRun.create).toHaveBeenCalledWith(expect.objectContaining({
+        jobName: 'invoiceProcessing',
+        trigger: 'MANUAL',
+        triggeredBy: 7,
+        nodeId: 'api-1:100:abc123',
+        status: 'RUNNING',
+        options: { provider: 'siigo' }
+      }))
+      expect(run.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'SUCCEEDED',
+        processedCount: 3,
+        failedCount: 1,
+        errorSummary: [{ transactionId: 9, error: 'Siigo timeout' }],
+        finishedAt: expect.any(Date),
+        durationMs: expect.any(Number)
+      }))
+    })
+
+    it('should mark the run as failed and rethrow when the job throws', async () => {
+      await expect(jobRunService.track('orderTimeout', {}, async () => {
+        throw new Error('DB down')
+      })).rejects.toThrow('DB down')
+
+      expect(run.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'FAILED',
+        errorMessage: 'DB down'
+      }))
+    })
+
+    it('should mark runs reported as unsuccessful as failed', async () => {
+      await jobRunService.track('waitlistProcessing', { trigger: 'MANUAL', adminId: 1 }, async () => ({
+        success: false,
+        error: 'No licenses'
+      }))
+
+      expect(run.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'FAILED',
+        errorMessage: 'No licenses'
+      }))
+    })
+
+    it('should not record idle cron runs of polling jobs', async () => {
+      await jobRunService.track('emailOutbox', { trigger: 'CRON', recordIdle: false }, async () => ({
+        processed: 0,
+        sent: 0,
+        failed: 0
+      }))
+
+      expect(JobRun.create).not.toHaveBeenCalled()
+    })
+
+    it('should record polling runs that did work once finished', async () => {
+      await jobRunService.track('emailOutbox', { trigger: 'CRON', recordIdle: false }, async () => ({
+        processed: 2,
+        sent: 1,
+        failed: 1
+      }))
+
+      expect(JobRun.create).toHaveBeenCalledTimes(1)
+      expect(JobRun.create).toHaveBeenCalledWith(expect.objectContaining({
+        jobName: 'emailOutbox',
+        trigger: 'CRON',
+        status: 'SUCCEEDED',
+        processedCount: 2,
+        failedCount: 1,
+        finishedAt: expect.any(Date)
+      }))
+    })
+
+    it('should still run the job when the history cannot be written', async () => {
+      JobRun.create.mockRejectedValue(new Error('relation "job_runs" does not exist'))
+
+      const result = await jobRunService.track('orderTimeout', {}, async () => ({ processed: 1 }))
+
+      expect(result).toEqual({ processed: 1 })
+    })
+  })
+
+  describe('listRuns', () => {
+    it('should page through the history of a job', async () => {
+      JobRun.findAndCountAll.mockResolvedValue({ count: 45, rows: [] })
+
+      const result = await jobRunService.listRuns('invoiceProcessing', { status: 'FAILED', page: 2, limit: 20 })
+
+      expect(JobRun.findAndCountAll).toHaveBeenCalledWith({
+        where: { jobName: 'invoiceProcessing', status: 'FAILED' },
+        order: [['startedAt', 'DESC']],
+        limit: 20,
+        offset: 20
+      })
+      expect(result.pagination).toEqual({ total: 45, page: 2, limit: 20, pages: 3 })
+    })
+  })
+})
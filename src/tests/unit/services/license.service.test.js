@@ -1,6 +1,8 @@
 const licenseService = require('../../../services/license.service')
-const { License, Product, sequelize } = require('../../../models')
+const { License, Product, LicenseReveal, sequelize } = require('../../../models')
 const TransactionManager = require('../../../utils/transactionManager')
+const waitlistService = require('../../../services/waitlist.service')
+const auditService = require('../../../services/audit.service')
 
 // Mock de las dependencias
 jest.mock('../../../models', () => ({
@@ -15,6 +17,9 @@ jest.mock('../../../models', () => ({
     findOne: jest.fn(),
     findAll: jest.fn()
   },
+  LicenseReveal: {
+    create: jest.fn()
+  },
   sequelize: {
     transaction: jest.fn()
   }
@@ -26,10 +31,27 @@ jest.mock('../../../utils/transactionManager', () => ({
   executeInventoryTransaction: jest.fn()
 }))
 
+jest.mock('../../../services/waitlist.service', () => ({
+  fulfillPending: jest.fn()
+}))
+
+jest.mock('../../../services/audit.service', () => ({
+  record: jest.fn(),
+  pick: jest.fn((source, fields) => source && Object.fromEntries(fields.map(field => [field, source[field]])))
+}))
+
+jest.mock('../../../utils/licenseKeyVault', () => ({
+  hash: jest.fn(key => `hash:${key}`),
+  mask: jest.fn(key => key && `***${key.slice(-4)}`)
+}))
+
 describe('LicenseService', () => {
+  const noWaitlist = { reserved: 0, served: 0, failed: 0, products: [] }
+
   beforeEach(() => {
     // Limpiar todos los mocks antes de cada prueba
     jest.clearAllMocks()
+    waitlistService.fulfillPending.mockResolvedValue(noWaitlist)
   })
 
   describe('create', () => {
@@ -67,6 +89,18 @@ describe('LicenseService', () => {
       expect(result).toEqual(mockCreatedLicense)
     })
 
+    it('should serve the waitlist of the product with the new license', async () => {
+      const license = { ...mockCreatedLicense, reload: jest.fn().mockResolvedValue() }
+      Product.findOne.mockResolvedValue({ productRef: 'SOFT-PRO-1Y', license_type: true })
+      License.create.mockResolvedValue(license)
+      waitlistService.fulfillPending.mockResolvedValue({ reserved: 1, served: 1, failed: 0, products: [] })
+
+      await licenseService.create(licenseData)
+
+      expect(waitlistService.fulfillPending).toHaveBeenCalledWith('SOFT-PRO-1Y')
+      expect(license.reload).toHaveBeenCalled()
+    })
+
     it('should throw error if product not found', async () => {
       // Configurar mocks
       Product.findOne.mockResolvedValue(null)
@@ -189,7 +223,7 @@ describe('LicenseService', () => {
 
       // Verificar
       expect(License.findOne).toHaveBeenCalledWith({
-        where: { licenseKey: 'AAA-BBB-CCC-111' },
+        where: { licenseKeyHash: 'hash:AAA-BBB-CCC-111' },
         lock: mockTransaction.LOCK.UPDATE,
         transaction: mockTransaction
       })
@@ -200,6 +234,13 @@ describe('LicenseService', () => {
         reservedAt: null
       }, { transaction: mockTransaction })
       expect(result).toEqual(annulledLicense)
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'license.annul',
+        entityType: 'License',
+        actorId: 1,
+        before: expect.objectContaining({ status: 'AVAILABLE' }),
+        after: expect.objectContaining({ status: 'ANNULLED' })
+      }), mockTransaction)
     })
 
     it('should throw error if license not found', async () => {
@@ -262,7 +303,7 @@ describe('LicenseService', () => {
 
       // Verificar
       expect(License.findOne).toHaveBeenCalledWith({
-        where: { licenseKey: 'AAA-BBB-CCC-111' },
+        where: { licenseKeyHash: 'hash:AAA-BBB-CCC-111' },
         lock: mockTransaction.LOCK.UPDATE,
         transaction: mockTransaction
       })
@@ -335,7 +376,35 @@ describe('LicenseService', () => {
       expect(License.bulkCreate).toHaveBeenCalledWith(csvRows, {
         ignoreDuplicates: true
       })
-      expect(result).toEqual(mockResult)
+      expect(result).toEqual({ licenses: mockResult, waitlist: noWaitlist })
+    })
+
+    it('should serve pending waitlist entries of the imported products', async () => {
+      const waitlist = {
+        reserved: 2,
+        served: 2,
+        failed: 0,
+        products: [{ productRef: 'SOFT-PRO-1Y', reserved: 2, served: 2, failed: 0 }]
+      }
+      Product.findAll.mockResolvedValue([{ productRef: 'SOFT-PRO-1Y', license_type: true }])
+      License.bulkCreate.mockResolvedValue(csvRows)
+      waitlistService.fulfillPending.mockResolvedValue(waitlist)
+
+      const result = await licenseService.bulkImport(csvRows)
+
+      expect(waitlistService.fulfillPending).toHaveBeenCalledWith(['SOFT-PRO-1Y'])
+      expect(result.waitlist).toBe(waitlist)
+    })
+
+    it('should keep the import when the waitlist cannot be served', async () => {
+      Product.findAll.mockResolvedValue([{ productRef: 'SOFT-PRO-1Y', license_type: true }])
+      License.bulkCreate.mockResolvedValue(csvRows)
+      waitlistService.fulfillPending.mockRejectedValue(new Error('Deadlock detected'))
+
+      const result = await licenseService.bulkImport(csvRows)
+
+      expect(result.licenses).toBe(csvRows)
+      expect(result.waitlist).toMatchObject({ served: 0, error: 'Deadlock detected' })
     })
 
     it('should throw error if products not found', async () => {
@@ -455,4 +524,47 @@ describe('LicenseService', () => {
         .rejects.toThrow('License not found')
     })
   })
+
+  describe('reveal', () => {
+    const mockLicense = {
+      id: 1,
+      productRef: 'SOFT-PRO-1Y',
+      licenseKey: 'AAA-BBB-CCC-111',
+      status: 'SOLD'
+    }
+
+    it('should record the reveal before returning the full key', async () => {
+      License.findByPk.mockResolvedValue(mockLicense)
+      LicenseReveal.create.mockResolvedValue({ id: 10 })
+
+      const result = await licenseService.reveal(1, {
+        adminId: 7,
+        reason: 'Soporte: cliente perdió el correo',
+        ipAddress: '10.0.0.1',
+        userAgent: 'jest'
+      })
+
+      expect(LicenseReveal.create).toHaveBeenCalledWith({
+        licenseId: 1,
+        adminId: 7,
+        reason: 'Soporte: cliente perdió el correo',
+        ipAddress: '10.0.0.1',
+        userAgent: 'jest'
+      })
+      expect(result).toEqual({
+        id: 1,
+        productRef: 'SOFT-PRO-1Y',
+        status: 'SOLD',
+        licenseKey: 'AAA-BBB-CCC-111'
+      })
+    })
+
+    it('should not record anything if the license does not exist', async () => {
+      License.findByPk.mockResolvedValue(null)
+
+      await expect(licenseService.reveal(99, { adminId: 7, reason: 'Soporte' }))
+        .rejects.toThrow('License not found')
+      expect(LicenseReveal.create).not.toHaveBeenCalled()
+    })
+  })
 })
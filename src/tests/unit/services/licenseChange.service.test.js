@@ -7,6 +7,11 @@ const emailService = require('../../../services/email')
 jest.mock('../../../models')
 jest.mock('../../../utils/transactionManager')
 jest.mock('../../../services/email')
+jest.mock('../../../services/audit.service')
+jest.mock('../../../utils/licenseKeyVault', () => ({
+  hash: jest.fn(key => `hash:${key}`),
+  mask: jest.fn(key => key)
+}))
 
 describe('LicenseChangeService', () => {
   let mockTransaction
@@ -123,6 +128,7 @@ describe('LicenseChangeService', () => {
       expect(mockLicense.update).toHaveBeenCalledWith({
         status: 'AVAILABLE',
         orderId: null,
+        orderItemId: null,
         soldAt: null,
         reservedAt: null
       }, { transaction: mockTransaction })
@@ -130,6 +136,7 @@ describe('LicenseChangeService', () => {
       expect(mockNewLicense.update).toHaveBeenCalledWith({
         status: 'SOLD',
         orderId: 1,
+        orderItemId: null,
         soldAt: expect.any(Date)
       }, { transaction: mockTransaction })
     })
@@ -0,0 +1,141 @@
+const { Op } = require('sequelize')
+const licenseHoldService = require('../../../services/licenseHold.service')
+const { License } = require('../../../models')
+
+// Mock de las dependencias
+jest.mock('../../../models', () => ({
+  License: {
+    count: jest.fn(),
+    findAll: jest.fn(),
+    update: jest.fn()
+  }
+}))
+jest.mock('../../../config/logger')
+
+describe('LicenseHoldService', () => {
+  const dbTransaction = { LOCK: { UPDATE: 'UPDATE' } }
+  const product = { productRef: 'OFFICE-2024', license_type: true }
+  const items = [{ id: 51, productRef: 'OFFICE-2024', qty: 2, product }]
+  const order = { id: 42, productRef: 'OFFICE-2024', qty: 2, createdAt: new Date('2025-01-01T10:00:00Z') }
+
+  const mockLicense = (id) => ({ id, update: jest.fn().mockResolvedValue() })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    licenseHoldService.enabled = true
+    licenseHoldService.holdMinutes = 30
+  })
+
+  describe('holdForOrder', () => {
+    it('should hold available licenses until the order times out', async () => {
+      const licenses = [mockLicense(1), mockLicense(2)]
+      License.count.mockResolvedValue(0)
+      License.findAll.mockResolvedValue(licenses)
+
+      const result = await licenseHoldService.holdForOrder(order, items, product, dbTransaction)
+
+      expect(result).toEqual({ held: 2, missing: 0, expiresAt: new Date('2025-01-01T10:30:00Z') })
+      expect(License.findAll.mock.calls[0][0]).toMatchObject({
+        where: { productRef: 'OFFICE-2024', status: 'AVAILABLE' },
+        limit: 2,
+        lock: 'UPDATE'
+      })
+      expect(licenses[0].update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'RESERVED',
+        orderId: 42,
+        orderItemId: 51,
+        holdExpiresAt: new Date('2025-01-01T10:30:00Z')
+      }), { transaction: dbTransaction })
+    })
+
+    it('should only hold the units not already held when called again', async () => {
+      License.count.mockResolvedValue(1)
+      License.findAll.mockResolvedValue([])
+
+      const result = await licenseHoldService.holdForOrder(order, items, product, dbTransaction)
+
+      expect(License.findAll.mock.calls[0][0].limit).toBe(1)
+      expect(result.missing).toBe(1)
+    })
+
+    it('should do nothing when holds are disabled', async () => {
+      licenseHoldService.enabled = false
+
+      const result = await licenseHoldService.holdForOrder(order, items, product, dbTransaction)
+
+      expect(result.held).toBe(0)
+      expect(License.findAll).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('claimLicenses', () => {
+    const line = { orderItemId: 51, productRef: 'OFFICE-2024', qty: 2 }
+
+    it('should use held licenses first and complete with available stock', async () => {
+      const held = mockLicense(1)
+      const available = mockLicense(7)
+      License.findAll
+        .mockResolvedValueOnce([held])
+        .mockResolvedValueOnce([available])
+
+      const licenses = await licenseHoldService.claimLicenses(order, line, dbTransaction)
+
+      expect(licenses).toEqual([held, available])
+      expect(License.findAll.mock.calls[0][0].where).toEqual({
+        orderId: 42,
+        status: 'RESERVED',
+        holdExpiresAt: { [Op.ne]: null },
+        orderItemId: 51,
+        productRef: 'OFFICE-2024'
+      })
+      expect(License.findAll.mock.calls[1][0]).toMatchObject({
+        where: { productRef: 'OFFICE-2024', status: 'AVAILABLE' },
+        limit: 1
+      })
+    })
+
+    it('should skip the held lookup when holds are disabled', async () => {
+      licenseHoldService.enabled = false
+      License.findAll.mockResolvedValue([])
+
+      await licenseHoldService.claimLicenses(order, line, dbTransaction)
+
+      expect(License.findAll).toHaveBeenCalledTimes(1)
+      expect(License.findAll.mock.calls[0][0].where.status).toBe('AVAILABLE')
+    })
+  })
+
+  describe('releaseForOrder', () => {
+    it('should return held licenses to stock', async () => {
+      License.update.mockResolvedValue([2])
+
+      const released = await licenseHoldService.releaseForOrder(42, dbTransaction, 'PAYMENT_FAILED')
+
+      expect(released).toBe(2)
+      expect(License.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'AVAILABLE', orderId: null, holdExpiresAt: null }),
+        {
+          where: { orderId: 42, status: 'RESERVED', holdExpiresAt: { [Op.ne]: null } },
+          transaction: dbTransaction
+        }
+      )
+    })
+  })
+
+  describe('releaseExpiredHolds', () => {
+    it('should release expired holds of orders that are no longer pending', async () => {
+      License.findAll.mockResolvedValue([
+        { orderId: 10, order: { id: 10, status: 'PENDING' } },
+        { orderId: 11, order: { id: 11, status: 'CANCELED' } },
+        { orderId: 11, order: { id: 11, status: 'CANCELED' } }
+      ])
+      License.update.mockResolvedValue([2])
+
+      const released = await licenseHoldService.releaseExpiredHolds()
+
+      expect(released).toBe(2)
+      expect(License.update).toHaveBeenCalledTimes(1)
+      expect(License.update.mock.calls[0][1].where.orderId).toBe(11)
+    })
+  })
+})
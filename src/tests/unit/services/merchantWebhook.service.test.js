@@ -0,0 +1,216 @@
+const crypto = require('crypto')
+const axios = require('axios')
+const merchantWebhookService = require('../../../services/merchantWebhook.service')
+const { WebhookSubscription, WebhookDelivery } = require('../../../models')
+
+// Mock de las dependencias
+jest.mock('axios')
+jest.mock('../../../models', () => ({
+  WebhookSubscription: {
+    create: jest.fn(),
+    findAll: jest.fn(),
+    findByPk: jest.fn()
+  },
+  WebhookDelivery: {
+    create: jest.fn(),
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    update: jest.fn()
+  },
+  WEBHOOK_EVENT_TYPES: ['order.paid', 'license.delivered', 'license.changed', 'order.canceled', 'invoice.issued', 'waitlist.fulfilled']
+}))
+jest.mock('../../../config/logger')
+
+describe('MerchantWebhookService', () => {
+  const subscription = {
+    id: 3,
+    url: 'https://lms.example.com/hooks',
+    secret: 'whsec_test',
+    isActive: true
+  }
+
+  const buildDelivery = (overrides = {}) => {
+    const delivery = {
+      id: 20,
+      subscriptionId: 3,
+      eventId: '9b1f5a8e-0000-4000-8000-000000000001',
+      eventType: 'order.paid',
+      payload: { id: '9b1f5a8e-0000-4000-8000-000000000001', type: 'order.paid', data: { orderId: 5 } },
+      status: 'SENDING',
+      attempts: 0,
+      maxAttempts: 3,
+      nextAttemptAt: new Date(),
+      ...overrides
+    }
+    delivery.update = jest.fn(async (values) => Object.assign(delivery, values))
+    return delivery
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    WebhookSubscription.findByPk.mockResolvedValue(subscription)
+  })
+
+  describe('createSubscription', () => {
+    it('should generate a signing secret and return it once', async () => {
+      WebhookSubscription.create.mockImplementation(async (data) => ({ id: 1, ...data, toJSON: () => ({ id: 1, ...data }) }))
+
+      const result = await merchantWebhookService.createSubscription({
+        url: 'https://lms.example.com/hooks',
+        events: ['order.paid', 'license.delivered', 'order.paid']
+      }, 7)
+
+      expect(result.secret).toMatch(/^whsec_[a-f0-9]{64}$/)
+      expect(result.events).toEqual(['order.paid', 'license.delivered'])
+      expect(result.createdBy).toBe(7)
+    })
+
+    it('should reject unsupported events', async () => {
+      await expect(merchantWebhookService.createSubscription({
+        url: 'https://lms.example.com/hooks',
+        events: ['order.refunded']
+      })).rejects.toThrow('Eventos no soportados: order.refunded')
+    })
+  })
+
+  describe('emit', () => {
+    it('should create one delivery per subscribed endpoint inside the transaction', async () => {
+      const dbTransaction = { id: 'tx' }
+      WebhookSubscription.findAll.mockResolvedValue([{ id: 3 }, { id: 4 }])
+      WebhookDelivery.create.mockImplementation(async (data) => data)
+
+      const deliveries = await merchantWebhookService.emit('order.paid', { orderId: 5 }, dbTransaction)
+
+      expect(deliveries).toHaveLength(2)
+      expect(WebhookDelivery.create).toHaveBeenCalledWith(expect.objectContaining({
+        subscriptionId: 3,
+        eventType: 'order.paid',
+        payload: expect.objectContaining({ type: 'order.paid', data: { orderId: 5 } })
+      }), { transaction: dbTransaction })
+      // Todas las suscripciones reciben el mismo eventId
+      expect(deliveries[0].eventId).toBe(deliveries[1].eventId)
+    })
+
+    it('should not create deliveries when nobody listens to the event', async () => {
+      WebhookSubscription.findAll.mockResolvedValue([])
+
+      const deliveries = await merchantWebhookService.emit('invoice.issued', { invoiceId: 1 })
+
+      expect(deliveries).toEqual([])
+      expect(WebhookDelivery.create).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('emitOrderCanceled', () => {
+    it('should emit order.canceled with the cancellation reason', async () => {
+      const dbTransaction = { id: 'tx' }
+      const emitSpy = jest.spyOn(merchantWebhookService, 'emit').mockResolvedValue([])
+
+      await merchantWebhookService.emitOrderCanceled({ id: 5, customerId: 9 }, { reason: 'PAYMENT_FAILED', licensesReturned: 2 }, dbTransaction)
+
+      expect(emitSpy).toHaveBeenCalledWith('order.canceled', {
+        orderId: 5,
+        customerId: 9,
+        reason: 'PAYMENT_FAILED',
+        licensesReturned: 2
+      }, dbTransaction)
+      emitSpy.mockRestore()
+    })
+  })
+
+  describe('emitLicensesDelivered', () => {
+    it('should emit license.delivered without the license keys', async () => {
+      const emitSpy = jest.spyOn(merchantWebhookService, 'emit').mockResolvedValue([])
+      const order = { id: 5, status: 'COMPLETED', customerId: 9, customer: { email: 'ana@example.com' }, grandTotal: 20000, items: [] }
+
+      await merchantWebhookService.emitLicensesDelivered(order, [{ id: 7, productRef: 'OFFICE-2024', orderItemId: 11, licenseKey: 'AAA' }], null)
+
+      expect(emitSpy).toHaveBeenCalledWith('license.delivered', expect.objectContaining({
+        orderId: 5,
+        status: 'COMPLETED',
+        licenses: [{ licenseId: 7, productRef: 'OFFICE-2024', orderItemId: 11 }]
+      }), null)
+      emitSpy.mockRestore()
+    })
+
+    it('should not emit anything without licenses', async () => {
+      const emitSpy = jest.spyOn(merchantWebhookService, 'emit')
+
+      await expect(merchantWebhookService.emitLicensesDelivered({ id: 5 }, [])).resolves.toEqual([])
+      expect(emitSpy).not.toHaveBeenCalled()
+      emitSpy.mockRestore()
+    })
+  })
+
+  describe('deliver', () => {
+    it('should post the payload signed with HMAC-SHA256', async () => {
+      const delivery = buildDelivery()
+      axios.post.mockResolvedValue({ status: 200, data: 'ok' })
+
+      await merchantWebhookService.deliver(delivery)
+
+      const [url, body, config] = axios.post.mock.calls[0]
+      const timestamp = config.headers['X-Webhook-Timestamp']
+      const expected = crypto.createHmac('sha256', 'whsec_test').update(`${timestamp}.${body}`).digest('hex')
+
+      expect(url).toBe('https://lms.example.com/hooks')
+      expect(config.headers['X-Webhook-Signature']).toBe(`sha256=${expected}`)
+      expect(config.headers['X-Webhook-Event']).toBe('order.paid')
+      expect(delivery.status).toBe('DELIVERED')
+      expect(delivery.responseStatus).toBe(200)
+    })
+
+    it('should schedule a retry with backoff when the endpoint fails', async () => {
+      const delivery = buildDelivery()
+      const error = new Error('Request failed with status code 500')
+      error.response = { status: 500, data: { error: 'boom' } }
+      axios.post.mockRejectedValue(error)
+
+      await merchantWebhookService.deliver(delivery)
+
+      expect(delivery.status).toBe('PENDING')
+      expect(delivery.attempts).toBe(1)
+      expect(delivery.responseStatus).toBe(500)
+      expect(delivery.responseBody).toBe('{"error":"boom"}')
+      expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now())
+    })
+
+    it('should fail the delivery once the attempts are exhausted', async () => {
+      const delivery = buildDelivery({ attempts: 2 })
+      axios.post.mockRejectedValue(new Error('timeout of 10000ms exceeded'))
+
+      await merchantWebhookService.deliver(delivery)
+
+      expect(delivery.status).toBe('FAILED')
+      expect(delivery.lastError).toBe('timeout of 10000ms exceeded')
+    })
+
+    it('should not call inactive subscriptions', async () => {
+      const delivery = buildDelivery()
+      WebhookSubscription.findByPk.mockResolvedValue({ ...subscription, isActive: false })
+
+      await merchantWebhookService.deliver(delivery)
+
+      expect(axios.post).not.toHaveBeenCalled()
+      expect(delivery.status).toBe('FAILED')
+    })
+  })
+
+  describe('replayDelivery', () => {
+    it('should resend the same event as a new delivery', async () => {
+      const original = buildDelivery({ status: 'FAILED', attempts: 3 })
+      WebhookDelivery.findByPk.mockResolvedValue(original)
+      WebhookDelivery.create.mockImplementation(async (data) => buildDelivery({ ...data, id: 21, attempts: 0 }))
+      axios.post.mockResolvedValue({ status: 204, data: '' })
+
+      const replay = await merchantWebhookService.replayDelivery(20)
+
+      expect(WebhookDelivery.create).toHaveBeenCalledWith(expect.objectContaining({
+        eventId: original.eventId,
+        replayOf: 20,
+        status: 'SENDING'
+      }))
+      expect(replay.status).toBe('DELIVERED')
+    })
+  })
+})
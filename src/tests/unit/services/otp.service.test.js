@@ -0,0 +1,125 @@
+const otpService = require('../../../services/otp.service')
+const emailService = require('../../../services/email')
+const accountLockoutService = require('../../../services/accountLockout.service')
+const { OtpCode } = require('../../../models')
+
+// Mock de las dependencias
+jest.mock('../../../models', () => ({
+  OtpCode: {
+    create: jest.fn(),
+    update: jest.fn(),
+    findOne: jest.fn(),
+    destroy: jest.fn()
+  }
+}))
+jest.mock('../../../services/email', () => ({
+  queueOtpEmail: jest.fn()
+}))
+jest.mock('../../../services/accountLockout.service', () => ({
+  assertNotLocked: jest.fn(),
+  recordFailure: jest.fn(),
+  recordSuccess: jest.fn(),
+  lockedError: jest.fn(lockedUntil => Object.assign(new Error('Cuenta bloqueada'), { code: 'ACCOUNT_LOCKED', lockedUntil }))
+}))
+jest.mock('../../../utils/transactionManager', () => ({
+  executeCustomTransaction: jest.fn(async (work) => work({ LOCK: { UPDATE: 'UPDATE' } }))
+}))
+jest.mock('../../../config/logger')
+
+describe('OtpService', () => {
+  let otpRecord
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+
+    otpRecord = { id: 1, update: jest.fn().mockResolvedValue(true) }
+    OtpCode.update.mockResolvedValue([1])
+    OtpCode.create.mockResolvedValue(otpRecord)
+    accountLockoutService.recordFailure.mockResolvedValue({ locked: false, lockedUntil: null, remainingAttempts: 4 })
+  })
+
+  describe('requestOtp', () => {
+    it('should email the code and record the delivery', async () => {
+      emailService.queueOtpEmail.mockResolvedValue({ success: true, messageId: 'msg-1' })
+
+      const result = await otpService.requestOtp('john@example.com')
+
+      const { code } = OtpCode.create.mock.calls[0][0]
+      expect(emailService.queueOtpEmail).toHaveBeenCalledWith({
+        email: 'john@example.com',
+        code,
+        expiresInMinutes: 10
+      })
+      expect(otpRecord.update).toHaveBeenCalledWith({ deliveryStatus: 'SENT', messageId: 'msg-1' })
+      expect(result.success).toBe(true)
+    })
+
+    it('should record the failure, invalidate the code and surface the error', async () => {
+      emailService.queueOtpEmail.mockRejectedValue(new Error('Brevo unavailable'))
+
+      await expect(otpService.requestOtp('john@example.com')).rejects.toMatchObject({
+        code: 'OTP_DELIVERY_FAILED'
+      })
+
+      expect(otpRecord.update).toHaveBeenCalledWith({
+        used: true,
+        deliveryStatus: 'FAILED',
+        deliveryError: 'Brevo unavailable'
+      })
+    })
+  })
+
+  describe('verifyOtp', () => {
+    const activeOtp = (values = {}) => {
+      const record = { id: 1, code: '123456', failedAttempts: 0, ...values }
+      record.update = jest.fn(async (changes) => Object.assign(record, changes))
+      return record
+    }
+
+    it('should accept the current code once and reset the failed attempts', async () => {
+      const record = activeOtp()
+      OtpCode.findOne.mockResolvedValue(record)
+
+      const result = await otpService.verifyOtp('john@example.com', '123456')
+
+      expect(result.success).toBe(true)
+      expect(record.used).toBe(true)
+      expect(accountLockoutService.recordSuccess).toHaveBeenCalledWith('CUSTOMER', 'john@example.com')
+    })
+
+    it('should count a wrong code against the OTP and the account', async () => {
+      const record = activeOtp()
+      OtpCode.findOne.mockResolvedValue(record)
+
+      const result = await otpService.verifyOtp('john@example.com', '000000', { ipAddress: '203.0.113.7' })
+
+      expect(result).toMatchObject({ success: false, code: 'OTP_INVALID' })
+      expect(record).toMatchObject({ failedAttempts: 1, used: false })
+      expect(accountLockoutService.recordFailure).toHaveBeenCalledWith('CUSTOMER', 'john@example.com', { ipAddress: '203.0.113.7' })
+    })
+
+    it('should invalidate the OTP after too many wrong codes', async () => {
+      const record = activeOtp({ failedAttempts: 2 })
+      OtpCode.findOne.mockResolvedValue(record)
+
+      const result = await otpService.verifyOtp('john@example.com', '000000')
+
+      expect(result).toMatchObject({ success: false, code: 'OTP_INVALIDATED' })
+      expect(record.used).toBe(true)
+    })
+
+    it('should throw ACCOUNT_LOCKED when the failure locks the account', async () => {
+      OtpCode.findOne.mockResolvedValue(activeOtp())
+      accountLockoutService.recordFailure.mockResolvedValue({ locked: true, lockedUntil: new Date(), remainingAttempts: 0 })
+
+      await expect(otpService.verifyOtp('john@example.com', '000000')).rejects.toMatchObject({ code: 'ACCOUNT_LOCKED' })
+    })
+
+    it('should not check the code while the account is locked', async () => {
+      accountLockoutService.assertNotLocked.mockRejectedValueOnce(Object.assign(new Error('Cuenta bloqueada'), { code: 'ACCOUNT_LOCKED' }))
+
+      await expect(otpService.verifyOtp('john@example.com', '123456')).rejects.toMatchObject({ code: 'ACCOUNT_LOCKED' })
+      expect(OtpCode.findOne).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,242 @@
+const refundService = require('../../../services/refund.service')
+const { Refund, Order, Transaction, License } = require('../../../models')
+const paymentService = require('../../../services/payment')
+
+// Mock de las dependencias
+jest.mock('../../../models', () => ({
+  Refund: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    sum: jest.fn()
+  },
+  Order: {
+    findByPk: jest.fn()
+  },
+  Transaction: {
+    findOne: jest.fn(),
+    findByPk: jest.fn()
+  },
+  License: {
+    create: jest.fn(),
+    findAll: jest.fn()
+  }
+}))
+
+jest.mock('../../../config/logger')
+
+jest.mock('../../../services/payment', () => ({
+  getProvider: jest.fn()
+}))
+
+jest.mock('../../../utils/transactionManager', () => ({
+  executeInventoryTransaction: jest.fn(async (fn) => fn({ LOCK: { UPDATE: 'UPDATE' } }))
+}))
+
+describe('RefundService', () => {
+  const buildRefund = (data) => ({
+    id: 1,
+    meta: null,
+    ...data,
+    update: jest.fn(function (values) {
+      Object.assign(this, values)
+      return this
+    })
+  })
+
+  let mockTransaction
+  let mockProvider
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+
+    mockTransaction = {
+      id: 10,
+      orderId: 5,
+      gateway: 'mock',
+      gatewayRef: 'mock-123',
+      amount: 20000,
+      currency: 'COP',
+      status: 'PAID',
+      meta: {},
+      update: jest.fn(function (values) {
+        Object.assign(this, values)
+        return this
+      })
+    }
+    mockProvider = { refund: jest.fn() }
+
+    Order.findByPk.mockResolvedValue({ id: 5 })
+    Transaction.findOne.mockResolvedValue(mockTransaction)
+    Transaction.findByPk.mockResolvedValue(mockTransaction)
+    Refund.create.mockImplementation(async (data) => buildRefund(data))
+    paymentService.getProvider.mockResolvedValue(mockProvider)
+  })
+
+  describe('createRefund', () => {
+    it('should refund the full amount and return licenses to stock', async () => {
+      const soldLicense = {
+        id: 7,
+        productRef: 'OFFICE-2024',
+        licenseKey: 'AAAAA-BBBBB-12345',
+        instructions: 'Instalar',
+        status: 'SOLD',
+        update: jest.fn()
+      }
+      Refund.sum.mockResolvedValue(null)
+      License.findAll.mockResolvedValue([soldLicense])
+      License.create.mockResolvedValue({ id: 8 })
+      mockProvider.refund.mockResolvedValue({ refundRef: 'refund-1', status: 'REFUNDED', amount: 20000 })
+
+      const refund = await refundService.createRefund(5, { reason: 'Cliente insatisfecho' }, 1)
+
+      expect(Refund.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'FULL',
+        amount: 20000,
+        status: 'PROCESSING',
+        licenseIds: [7]
+      }), expect.any(Object))
+      expect(mockProvider.refund).toHaveBeenCalledWith({ transaction: mockTransaction, amount: 20000, reason: 'Cliente insatisfecho' })
+      expect(soldLicense.update).toHaveBeenCalledWith({ licenseKey: 'DEVUELTA-12345', status: 'RETURNED' }, expect.any(Object))
+      expect(License.create).toHaveBeenCalledWith(expect.objectContaining({
+        licenseKey: 'AAAAA-BBBBB-12345',
+        status: 'AVAILABLE'
+      }), expect.any(Object))
+      expect(mockTransaction.status).toBe('REFUNDED')
+      expect(refund.status).toBe('COMPLETED')
+      expect(refund.gatewayRefundRef).toBe('refund-1')
+    })
+
+    it('should keep the transaction PAID on a partial refund', async () => {
+      Refund.sum.mockResolvedValue(0)
+      mockProvider.refund.mockResolvedValue({ refundRef: 'refund-2', status: 'REFUNDED', amount: 5000 })
+
+      const refund = await refundService.createRefund(5, { amount: 5000 }, 1)
+
+      expect(refund.type).toBe('PARTIAL')
+      expect(refund.licenseIds).toEqual([])
+      expect(mockTransaction.status).toBe('PAID')
+      expect(mockTransaction.meta.refundedAmount).toBe(5000)
+    })
+
+    it('should leave manual gateways pending confirmation', async () => {
+      Refund.sum.mockResolvedValue(0)
+      License.findAll.mockResolvedValue([])
+      mockProvider.refund.mockResolvedValue({ refundRef: null, status: 'PENDING_MANUAL', amount: 20000 })
+
+      const refund = await refundService.createRefund(5, {}, 1)
+
+      expect(refund.status).toBe('PENDING_MANUAL')
+      expect(mockTransaction.update).not.toHaveBeenCalled()
+    })
+
+    it('should reject amounts above the refundable balance', async () => {
+      Refund.sum.mockResolvedValue(15000)
+
+      await expect(refundService.createRefund(5, { amount: 6000 }, 1))
+        .rejects.toThrow('Refund amount exceeds refundable balance (5000)')
+      expect(Refund.create).not.toHaveBeenCalled()
+    })
+
+    it('should mark the refund FAILED when the gateway fails', async () => {
+      Refund.sum.mockResolvedValue(0)
+      License.findAll.mockResolvedValue([])
+      mockProvider.refund.mockRejectedValue(new Error('Gateway down'))
+
+      await expect(refundService.createRefund(5, {}, 1)).rejects.toThrow('Gateway down')
+
+      const refund = await Refund.create.mock.results[0].value
+      expect(refund.status).toBe('FAILED')
+      expect(refund.meta).toEqual({ error: 'Gateway down' })
+    })
+
+    it('should leave the refund PENDING_MANUAL when the gateway refunded but completion failed', async () => {
+      const transactionManager = require('../../../utils/transactionManager')
+      Refund.sum.mockResolvedValue(0)
+      License.findAll.mockResolvedValue([])
+      mockProvider.refund.mockResolvedValue({ refundRef: 'refund-3', status: 'REFUNDED', amount: 20000 })
+      transactionManager.executeInventoryTransaction
+        .mockImplementationOnce(async (fn) => fn({ LOCK: { UPDATE: 'UPDATE' } }))
+        .mockRejectedValueOnce(new Error('Deadlock detected'))
+
+      const refund = await refundService.createRefund(5, {}, 1)
+
+      expect(refund.status).toBe('PENDING_MANUAL')
+      expect(refund.gatewayRefundRef).toBe('refund-3')
+      expect(refund.meta).toEqual({
+        gatewayResponse: { refundRef: 'refund-3', status: 'REFUNDED', amount: 20000 },
+        completeError: 'Deadlock detected'
+      })
+      expect(mockProvider.refund).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('confirmRefund', () => {
+    it('should only confirm PENDING_MANUAL refunds', async () => {
+      Refund.findOne.mockResolvedValue(buildRefund({ status: 'COMPLETED' }))
+
+      await expect(refundService.confirmRefund(5, 1, {}, 1))
+        .rejects.toThrow('Cannot process refund with status COMPLETED')
+    })
+
+    it('should complete a manual refund with the gateway reference', async () => {
+      const pending = buildRefund({
+        orderId: 5,
+        transactionId: 10,
+        amount: 20000,
+        status: 'PENDING_MANUAL',
+        licenseAction: 'NONE',
+        licenseIds: []
+      })
+      Refund.findOne.mockResolvedValue(pending)
+      Refund.sum.mockResolvedValue(0)
+
+      const refund = await refundService.confirmRefund(5, 1, { gatewayRefundRef: 'EP-999' }, 2)
+
+      expect(refund.status).toBe('COMPLETED')
+      expect(refund.gatewayRefundRef).toBe('EP-999')
+      expect(refund.confirmedBy).toBe(2)
+      expect(mockTransaction.status).toBe('REFUNDED')
+    })
+  })
+
+  describe('findRecordedFromGateway', () => {
+    it('should match a recorded refund by gateway reference before the amount', async () => {
+      const recorded = buildRefund({ id: 3, status: 'COMPLETED', gatewayRefundRef: 'refund-1' })
+      Refund.findOne.mockResolvedValueOnce(recorded)
+
+      const refund = await refundService.findRecordedFromGateway(mockTransaction, { amount: 5000, gatewayRefundRef: 'refund-1' }, {})
+
+      expect(refund).toBe(recorded)
+      expect(Refund.findOne).toHaveBeenCalledTimes(1)
+      expect(Refund.findOne.mock.calls[0][0].where).toMatchObject({ transactionId: 10, gatewayRefundRef: 'refund-1' })
+    })
+
+    it('should fall back to a recorded refund for the same amount', async () => {
+      Refund.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(buildRefund({ id: 4, amount: 5000 }))
+
+      const refund = await refundService.findRecordedFromGateway(mockTransaction, { amount: 5000, gatewayRefundRef: 'evt-1' }, {})
+
+      expect(refund.id).toBe(4)
+      expect(Refund.findOne.mock.calls[1][0].where).toMatchObject({ transactionId: 10, amount: 5000 })
+    })
+  })
+
+  describe('completePendingFromGateway', () => {
+    it('should only match a pending refund for the same amount', async () => {
+      Refund.findOne.mockResolvedValue(null)
+
+      const refund = await refundService.completePendingFromGateway(mockTransaction, { amount: 20000 }, { LOCK: { UPDATE: 'UPDATE' } })
+
+      expect(refund).toBeNull()
+      expect(Refund.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { transactionId: 10, status: 'PENDING_MANUAL', amount: 20000 }
+      }))
+    })
+
+    it('should not match any refund when the event has no amount', async () => {
+      await expect(refundService.completePendingFromGateway(mockTransaction, {}, {})).resolves.toBeNull()
+      expect(Refund.findOne).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,146 @@
+const refundHandler = require('../../../services/webhook/handlers/refundHandler')
+const { Admin, Order } = require('../../../models')
+const transactionHandler = require('../../../services/webhook/handlers/transactionHandler')
+const licenseService = require('../../../services/license.service')
+const refundService = require('../../../services/refund.service')
+const emailService = require('../../../services/email')
+
+// Mock de las dependencias
+jest.mock('../../../models', () => ({
+  Admin: { findAll: jest.fn() },
+  Order: { findByPk: jest.fn() }
+}))
+
+jest.mock('../../../config/logger')
+
+jest.mock('../../../utils/transactionManager', () => ({
+  executeWebhookTransaction: jest.fn(async (work) => work({ LOCK: { UPDATE: 'UPDATE' } }))
+}))
+
+jest.mock('../../../services/webhook/handlers/transactionHandler', () => ({
+  findTransaction: jest.fn()
+}))
+
+jest.mock('../../../services/license.service', () => ({
+  revokeOrderLicenses: jest.fn()
+}))
+
+jest.mock('../../../services/refund.service', () => ({
+  findRecordedFromGateway: jest.fn(),
+  completePendingFromGateway: jest.fn(),
+  recordChargeback: jest.fn()
+}))
+
+jest.mock('../../../services/email', () => ({
+  sendPaymentReversalAlert: jest.fn()
+}))
+
+describe('RefundHandler', () => {
+  let mockTransaction
+
+  const buildEvent = (data) => ({
+    provider: 'cobre',
+    type: 'refund',
+    externalRef: 'mm-123',
+    eventId: 'evt-1',
+    amount: 5000,
+    payload: { id: 'evt-1' },
+    ...data
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+
+    mockTransaction = {
+      id: 10,
+      orderId: 5,
+      gateway: 'cobre',
+      amount: 20000,
+      status: 'PAID',
+      meta: {},
+      update: jest.fn(function (values) {
+        Object.assign(this, values)
+        return this
+      }),
+      reload: jest.fn()
+    }
+
+    transactionHandler.findTransaction.mockResolvedValue(mockTransaction)
+    refundService.findRecordedFromGateway.mockResolvedValue(null)
+    refundService.completePendingFromGateway.mockResolvedValue(null)
+    Admin.findAll.mockResolvedValue([{ id: 1, email: 'admin@example.com' }])
+    Order.findByPk.mockResolvedValue({ id: 5, customer: { email: 'ana@example.com' } })
+  })
+
+  it('should treat the webhook of a partial refund already completed as idempotent', async () => {
+    refundService.findRecordedFromGateway.mockResolvedValue({ id: 3, status: 'COMPLETED', amount: 5000 })
+
+    const result = await refundHandler.handle(buildEvent())
+
+    expect(result).toEqual({
+      success: true,
+      reason: 'refund_already_recorded',
+      transactionId: 10,
+      refundId: 3
+    })
+    expect(refundService.findRecordedFromGateway).toHaveBeenCalledWith(
+      mockTransaction,
+      expect.objectContaining({ amount: 5000, gatewayRefundRef: 'evt-1' }),
+      expect.any(Object)
+    )
+    expect(licenseService.revokeOrderLicenses).not.toHaveBeenCalled()
+    expect(refundService.recordChargeback).not.toHaveBeenCalled()
+    expect(mockTransaction.update).not.toHaveBeenCalled()
+    expect(emailService.sendPaymentReversalAlert).not.toHaveBeenCalled()
+  })
+
+  it('should confirm a pending manual refund for the same amount', async () => {
+    refundService.completePendingFromGateway.mockResolvedValue({ id: 4, licenseIds: [] })
+
+    const result = await refundHandler.handle(buildEvent())
+
+    expect(result).toMatchObject({ success: true, refundId: 4, isChargeback: false })
+    expect(licenseService.revokeOrderLicenses).not.toHaveBeenCalled()
+  })
+
+  it('should flag an unmatched refund for review without revoking anything', async () => {
+    const result = await refundHandler.handle(buildEvent())
+
+    expect(result).toMatchObject({ success: true, reason: 'refund_needs_review', revokedLicenses: 0 })
+    expect(licenseService.revokeOrderLicenses).not.toHaveBeenCalled()
+    expect(refundService.recordChargeback).not.toHaveBeenCalled()
+    expect(mockTransaction.status).toBe('PAID')
+    expect(mockTransaction.meta.unmatchedRefunds).toEqual([
+      expect.objectContaining({ eventId: 'evt-1', amount: 5000 })
+    ])
+    expect(emailService.sendPaymentReversalAlert).toHaveBeenCalledWith(expect.objectContaining({
+      isChargeback: false,
+      needsReview: true
+    }))
+  })
+
+  it('should not flag the same unmatched refund twice', async () => {
+    mockTransaction.meta = { unmatchedRefunds: [{ eventId: 'evt-1', amount: 5000 }] }
+
+    const result = await refundHandler.handle(buildEvent())
+
+    expect(result.reason).toBe('refund_needs_review')
+    expect(mockTransaction.update).not.toHaveBeenCalled()
+    expect(emailService.sendPaymentReversalAlert).not.toHaveBeenCalled()
+  })
+
+  it('should annul the licenses only for chargeback events', async () => {
+    licenseService.revokeOrderLicenses.mockResolvedValue([{ licenseId: 7 }])
+    refundService.recordChargeback.mockResolvedValue({ id: 9 })
+
+    const result = await refundHandler.handle(buildEvent({ type: 'chargeback', amount: 20000 }))
+
+    expect(refundService.findRecordedFromGateway).not.toHaveBeenCalled()
+    expect(licenseService.revokeOrderLicenses).toHaveBeenCalledWith(
+      { orderId: 5, action: 'ANNUL', reason: 'CHARGEBACK' },
+      expect.any(Object)
+    )
+    expect(result).toMatchObject({ newStatus: 'REVERSED', revokedLicenses: 1, isChargeback: true })
+    expect(mockTransaction.status).toBe('REVERSED')
+  })
+})
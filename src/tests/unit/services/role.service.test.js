@@ -0,0 +1,129 @@
+const roleService = require('../../../services/role.service')
+const auditService = require('../../../services/audit.service')
+const { Role, Admin } = require('../../../models')
+const { SYSTEM_ROLES } = require('../../../config/permissions')
+
+// Mock de las dependencias
+jest.mock('../../../models', () => ({
+  Role: {
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    findOrCreate: jest.fn(),
+    create: jest.fn()
+  },
+  Admin: {
+    findAll: jest.fn(),
+    count: jest.fn()
+  }
+}))
+jest.mock('../../../utils/transactionManager', () => ({
+  executeCustomTransaction: jest.fn(async (work) => work({}))
+}))
+jest.mock('../../../services/audit.service', () => ({
+  record: jest.fn(),
+  pick: jest.fn((obj, fields) => Object.fromEntries(fields.map(field => [field, obj[field]])))
+}))
+jest.mock('../../../config/logger')
+
+describe('RoleService', () => {
+  const mockRole = (values = {}) => {
+    const role = { name: 'SOPORTE', description: null, permissions: ['orders:read'], isSystem: false, ...values }
+    role.update = jest.fn(async (changes) => Object.assign(role, changes))
+    role.destroy = jest.fn()
+    return role
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    roleService.invalidateCache()
+    Role.findAll.mockResolvedValue([
+      { name: 'EDITOR', permissions: SYSTEM_ROLES.EDITOR.permissions },
+      { name: 'SOPORTE', permissions: ['orders:read', 'licenses:resend_email'] }
+    ])
+  })
+
+  describe('permissions', () => {
+    it('should resolve permissions from the roles table and cache them', async () => {
+      await expect(roleService.hasPermissions('SOPORTE', ['orders:read', 'licenses:resend_email'])).resolves.toBe(true)
+      await expect(roleService.hasPermissions('SOPORTE', ['licenses:annul'])).resolves.toBe(false)
+
+      expect(Role.findAll).toHaveBeenCalledTimes(1)
+    })
+
+    it('should fall back to the system role definition when the role is not stored', async () => {
+      await expect(roleService.hasPermissions('SUPER_ADMIN', ['admins:manage', 'audit:read'])).resolves.toBe(true)
+      await expect(roleService.hasPermissions('UNKNOWN', ['orders:read'])).resolves.toBe(false)
+    })
+  })
+
+  describe('createRole', () => {
+    it('should reject unknown permissions', async () => {
+      await expect(roleService.createRole({ name: 'SOPORTE', permissions: ['orders:fly'] }))
+        .rejects.toMatchObject({ code: 'INVALID_PERMISSION' })
+      expect(Role.create).not.toHaveBeenCalled()
+    })
+
+    it('should not let an admin grant permissions it does not have', async () => {
+      await expect(roleService.createRole({ name: 'AUDITOR', permissions: ['audit:read'] }, { id: 2, role: 'EDITOR' }))
+        .rejects.toMatchObject({ code: 'ROLE_ESCALATION' })
+      expect(Role.create).not.toHaveBeenCalled()
+    })
+
+    it('should create the role, audit it and refresh the cache', async () => {
+      Role.findOne.mockResolvedValue(null)
+      Role.create.mockImplementation(async (values) => mockRole(values))
+      await roleService.loadRoles()
+
+      const role = await roleService.createRole(
+        { name: 'AUDITOR', permissions: ['audit:read', 'audit:read'] },
+        { id: 1, role: 'SUPER_ADMIN' }
+      )
+
+      expect(role.permissions).toEqual(['audit:read'])
+      expect(auditService.record).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'role.create', entityId: 'AUDITOR', actorId: 1 }),
+        expect.anything()
+      )
+      await roleService.loadRoles()
+      expect(Role.findAll).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  describe('updateRole and deleteRole', () => {
+    it('should not modify SUPER_ADMIN', async () => {
+      Role.findOne.mockResolvedValue(mockRole({ name: 'SUPER_ADMIN', isSystem: true }))
+
+      await expect(roleService.updateRole('SUPER_ADMIN', { permissions: [] }, { id: 1, role: 'SUPER_ADMIN' }))
+        .rejects.toMatchObject({ code: 'ROLE_PROTECTED' })
+    })
+
+    it('should not delete system roles or roles in use', async () => {
+      Role.findOne.mockResolvedValueOnce(mockRole({ name: 'EDITOR', isSystem: true }))
+      await expect(roleService.deleteRole('EDITOR')).rejects.toMatchObject({ code: 'ROLE_PROTECTED' })
+
+      const role = mockRole()
+      Role.findOne.mockResolvedValueOnce(role)
+      Admin.count.mockResolvedValue(2)
+      await expect(roleService.deleteRole('SOPORTE')).rejects.toMatchObject({ code: 'ROLE_IN_USE' })
+      expect(role.destroy).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('assertCanManage', () => {
+    it('should only let an admin act on admins whose permissions it already has', async () => {
+      await expect(roleService.assertCanManage('READ_ONLY', 'SOPORTE')).rejects.toMatchObject({ code: 'ROLE_ESCALATION' })
+      await expect(roleService.assertCanManage('EDITOR', 'SUPER_ADMIN')).rejects.toMatchObject({ code: 'ROLE_ESCALATION' })
+      await expect(roleService.assertCanManage('EDITOR', 'SOPORTE')).resolves.toBeUndefined()
+      await expect(roleService.assertCanManage('EDITOR', 'EDITOR')).resolves.toBeUndefined()
+      await expect(roleService.assertCanManage(null, 'SUPER_ADMIN')).resolves.toBeUndefined()
+    })
+  })
+
+  describe('assertAssignable', () => {
+    it('should fail for roles that do not exist', async () => {
+      Role.findOne.mockResolvedValue(null)
+
+      await expect(roleService.assertAssignable('GHOST', 'SUPER_ADMIN')).rejects.toMatchObject({ code: 'ROLE_NOT_FOUND' })
+    })
+  })
+})
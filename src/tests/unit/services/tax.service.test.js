@@ -0,0 +1,71 @@
+const taxService = require('../../../services/tax.service')
+
+describe('TaxService', () => {
+  const originalEnv = process.env
+
+  beforeEach(() => {
+    process.env = { ...originalEnv }
+  })
+
+  afterAll(() => {
+    process.env = originalEnv
+  })
+
+  describe('calculateTax', () => {
+    it('should extract IVA from prices that include tax', () => {
+      expect(taxService.calculateTax({ amount: 119000, taxClass: 'IVA_19', includesTax: true })).toEqual({
+        taxClass: 'IVA_19',
+        taxRate: 19,
+        taxBase: 100000,
+        taxTotal: 19000,
+        grandTotal: 119000
+      })
+    })
+
+    it('should keep base + tax consistent when the included price does not split evenly', () => {
+      const result = taxService.calculateTax({ amount: 9999, taxClass: 'IVA_19', includesTax: true })
+
+      expect(result.taxBase).toBe(8403)
+      expect(result.taxTotal).toBe(Math.round(8403 * 0.19))
+      expect(result.grandTotal).toBe(result.taxBase + result.taxTotal)
+    })
+
+    it('should add IVA to prices that exclude tax', () => {
+      const result = taxService.calculateTax({ amount: 100000, taxClass: 'IVA_19', includesTax: false })
+
+      expect(result.taxBase).toBe(100000)
+      expect(result.taxTotal).toBe(19000)
+      expect(result.grandTotal).toBe(119000)
+    })
+
+    it('should not charge tax on exempt and excluded products', () => {
+      expect(taxService.calculateTax({ amount: 50000, taxClass: 'EXEMPT' })).toMatchObject({ taxTotal: 0, grandTotal: 50000 })
+      expect(taxService.calculateTax({ amount: 50000, taxClass: 'EXCLUDED' })).toMatchObject({ taxTotal: 0, grandTotal: 50000 })
+    })
+
+    it('should read the pricing mode from PRICES_INCLUDE_TAX', () => {
+      process.env.PRICES_INCLUDE_TAX = 'false'
+
+      expect(taxService.calculateTax({ amount: 1000, taxClass: 'IVA_19' }).grandTotal).toBe(1190)
+    })
+
+    it('should reject unknown tax classes', () => {
+      expect(() => taxService.calculateTax({ amount: 1000, taxClass: 'IVA_5' })).toThrow('Unknown tax class: IVA_5')
+    })
+  })
+
+  describe('getSiigoTaxId', () => {
+    it('should map tax classes to the configured Siigo taxes', () => {
+      process.env.SIIGO_TAX_ID = '13156'
+
+      expect(taxService.getSiigoTaxId('IVA_19')).toBe(13156)
+      expect(taxService.getSiigoTaxId('EXCLUDED')).toBeNull()
+    })
+
+    it('should fail when the Siigo tax is not configured', () => {
+      delete process.env.SIIGO_TAX_EXEMPT_ID
+
+      expect(() => taxService.getSiigoTaxId('EXEMPT')).toThrow('SIIGO_TAX_EXEMPT_ID must be configured')
+    })
+  })
+})
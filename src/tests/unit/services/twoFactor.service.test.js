@@ -0,0 +1,178 @@
+const jwt = require('jsonwebtoken')
+const twoFactorService = require('../../../services/twoFactor.service')
+const adminSessionService = require('../../../services/adminSession.service')
+const auditService = require('../../../services/audit.service')
+const roleService = require('../../../services/role.service')
+const totp = require('../../../utils/totp')
+const { Admin } = require('../../../models')
+const { JWT, ADMIN_2FA } = require('../../../config')
+
+// Mock de las dependencias
+jest.mock('../../../models', () => ({
+  Admin: { findByPk: jest.fn() }
+}))
+jest.mock('../../../utils/transactionManager', () => ({
+  executeCustomTransaction: jest.fn(async (work) => work({ LOCK: { UPDATE: 'UPDATE' } }))
+}))
+// El secreto se "cifra" con un prefijo reversible
+jest.mock('../../../utils/licenseKeyVault', () => ({
+  encrypt: jest.fn(value => `enc:${value}`),
+  decrypt: jest.fn(value => value.replace(/^enc:/, ''))
+}))
+jest.mock('../../../services/audit.service', () => ({
+  record: jest.fn()
+}))
+jest.mock('../../../services/adminSession.service', () => ({
+  revokeAllSessions: jest.fn()
+}))
+jest.mock('../../../services/role.service', () => ({
+  assertCanManage: jest.fn()
+}))
+jest.mock('../../../config/logger')
+
+describe('TwoFactorService', () => {
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ'
+
+  // Instancia de Admin con update que aplica los cambios
+  const mockAdmin = (values = {}) => {
+    const admin = {
+      id: 4,
+      email: 'ana@example.com',
+      role: 'SUPER_ADMIN',
+      isActive: true,
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorBackupCodes: null,
+      twoFactorLastStep: null,
+      ...values
+    }
+    admin.update = jest.fn(async (changes) => Object.assign(admin, changes))
+    return admin
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    ADMIN_2FA.requiredRoles = ['SUPER_ADMIN']
+  })
+
+  describe('setup and enable', () => {
+    it('should store an encrypted pending secret and return the otpauth URI', async () => {
+      const admin = mockAdmin()
+
+      const result = await twoFactorService.beginSetup(admin)
+
+      expect(admin.twoFactorSecret).toBe(`enc:${result.secret}`)
+      expect(admin.twoFactorEnabled).toBe(false)
+      expect(result.otpauthUri).toContain(`secret=${result.secret}`)
+      expect(result.otpauthUri).toContain('ana%40example.com')
+    })
+
+    it('should enable 2FA with a valid code and return one-time backup codes', async () => {
+      const admin = mockAdmin({ twoFactorSecret: `enc:${secret}` })
+
+      const backupCodes = await twoFactorService.enable(admin, totp.generate(secret))
+
+      expect(admin.twoFactorEnabled).toBe(true)
+      expect(backupCodes).toHaveLength(10)
+      expect(admin.twoFactorBackupCodes).toEqual(backupCodes.map(code => twoFactorService.hashBackupCode(code)))
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'admin.2fa_enable' }), expect.anything())
+    })
+
+    it('should reject an invalid code', async () => {
+      const admin = mockAdmin({ twoFactorSecret: `enc:${secret}` })
+
+      await expect(twoFactorService.enable(admin, '000000')).rejects.toMatchObject({ code: 'TWO_FACTOR_INVALID_CODE' })
+      expect(admin.twoFactorEnabled).toBe(false)
+    })
+  })
+
+  describe('verify', () => {
+    it('should accept a TOTP code only once', async () => {
+      const admin = mockAdmin({ twoFactorEnabled: true, twoFactorSecret: `enc:${secret}` })
+      Admin.findByPk.mockResolvedValue(admin)
+      const code = totp.generate(secret)
+
+      await expect(twoFactorService.verify(4, { code })).resolves.toMatchObject({ method: 'TOTP' })
+      await expect(twoFactorService.verify(4, { code })).rejects.toMatchObject({ code: 'TWO_FACTOR_INVALID_CODE' })
+    })
+
+    it('should consume backup codes', async () => {
+      const admin = mockAdmin({
+        twoFactorEnabled: true,
+        twoFactorSecret: `enc:${secret}`,
+        twoFactorBackupCodes: ['abcde-12345', 'fffff-00000'].map(code => twoFactorService.hashBackupCode(code))
+      })
+      Admin.findByPk.mockResolvedValue(admin)
+
+      const result = await twoFactorService.verify(4, { backupCode: 'ABCDE12345' })
+
+      expect(result).toEqual({ method: 'BACKUP_CODE', backupCodesRemaining: 1 })
+      await expect(twoFactorService.verify(4, { backupCode: 'abcde-12345' })).rejects.toMatchObject({ code: 'TWO_FACTOR_INVALID_CODE' })
+    })
+  })
+
+  describe('regenerateBackupCodes', () => {
+    it('should replace the backup codes and audit it in the same transaction', async () => {
+      const admin = mockAdmin({
+        twoFactorEnabled: true,
+        twoFactorSecret: `enc:${secret}`,
+        twoFactorBackupCodes: [twoFactorService.hashBackupCode('abcde-12345')]
+      })
+      Admin.findByPk.mockResolvedValue(admin)
+
+      const backupCodes = await twoFactorService.regenerateBackupCodes(admin, totp.generate(secret))
+
+      expect(admin.twoFactorBackupCodes).toEqual(backupCodes.map(code => twoFactorService.hashBackupCode(code)))
+      const dbTransaction = admin.update.mock.calls[admin.update.mock.calls.length - 1][1].transaction
+      expect(auditService.record).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'admin.2fa_backup_codes_regenerate', entityId: 4, actorId: 4 }),
+        dbTransaction
+      )
+    })
+  })
+
+  describe('disable and reset', () => {
+    it('should not let an admin disable 2FA when the role requires it', async () => {
+      const admin = mockAdmin({ twoFactorEnabled: true, twoFactorSecret: `enc:${secret}` })
+
+      await expect(twoFactorService.disable(admin, totp.generate(secret))).rejects.toMatchObject({ code: 'TWO_FACTOR_REQUIRED' })
+      expect(admin.twoFactorEnabled).toBe(true)
+    })
+
+    it('should clear 2FA and close the sessions of another admin', async () => {
+      const admin = mockAdmin({ twoFactorEnabled: true, twoFactorSecret: `enc:${secret}` })
+
+      await twoFactorService.reset(admin, 1, 'SUPER_ADMIN')
+
+      expect(roleService.assertCanManage).toHaveBeenCalledWith('SUPER_ADMIN', 'SUPER_ADMIN')
+      expect(admin).toMatchObject({ twoFactorEnabled: false, twoFactorSecret: null, twoFactorBackupCodes: null })
+      expect(adminSessionService.revokeAllSessions).toHaveBeenCalledWith(4, expect.objectContaining({ reason: 'TWO_FACTOR_RESET', actorId: 1 }))
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'admin.2fa_reset', actorId: 1 }), expect.anything())
+    })
+  })
+
+  describe('reset permissions', () => {
+    it('should not reset the 2FA of an admin with permissions the actor lacks', async () => {
+      const admin = mockAdmin({ twoFactorEnabled: true, twoFactorSecret: `enc:${secret}` })
+      roleService.assertCanManage.mockRejectedValueOnce(Object.assign(new Error('No puedes otorgar permisos que no tienes'), { code: 'ROLE_ESCALATION' }))
+
+      await expect(twoFactorService.reset(admin, 2, 'EDITOR')).rejects.toMatchObject({ code: 'ROLE_ESCALATION' })
+
+      expect(roleService.assertCanManage).toHaveBeenCalledWith('EDITOR', 'SUPER_ADMIN')
+      expect(admin.update).not.toHaveBeenCalled()
+      expect(adminSessionService.revokeAllSessions).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('challenge', () => {
+    it('should only accept 2FA challenge tokens', async () => {
+      const admin = mockAdmin()
+      Admin.findByPk.mockResolvedValue(admin)
+
+      await expect(twoFactorService.resolveChallenge(twoFactorService.createChallenge(admin))).resolves.toBe(admin)
+
+      const accessToken = jwt.sign({ id: 4, type: 'admin', sid: 'session-1' }, JWT.secret)
+      await expect(twoFactorService.resolveChallenge(accessToken)).rejects.toMatchObject({ code: 'TWO_FACTOR_CHALLENGE_INVALID' })
+    })
+  })
+})
@@ -15,7 +15,9 @@ jest.mock('../../../models', () => ({
 }))
 
 jest.mock('../../../config/logger')
-jest.mock('../../../utils/pseudoMailer')
+jest.mock('../../../services/email', () => ({
+  sendWelcomeEmail: jest.fn().mockResolvedValue({ success: true })
+}))
 
 describe('UserService', () => {
   beforeEach(() => {
@@ -0,0 +1,346 @@
+const waitlistService = require('../../../services/waitlist.service')
+const { WaitlistEntry, License, Order, OrderItem, Refund } = require('../../../models')
+const TransactionManager = require('../../../utils/transactionManager')
+const merchantWebhookService = require('../../../services/merchantWebhook.service')
+const refundService = require('../../../services/refund.service')
+
+// Mock de las dependencias
+jest.mock('../../../models', () => ({
+  WaitlistEntry: { findAll: jest.fn(), findOne: jest.fn(), count: jest.fn(), update: jest.fn() },
+  License: { count: jest.fn(), findAll: jest.fn() },
+  Order: { findByPk: jest.fn(), update: jest.fn() },
+  OrderItem: { findByPk: jest.fn() },
+  Refund: { sum: jest.fn() },
+  User: {},
+  Product: {}
+}))
+jest.mock('../../../utils/transactionManager', () => ({
+  executeInventoryTransaction: jest.fn()
+}))
+jest.mock('../../../services/email', () => ({}))
+jest.mock('../../../services/emailQueue.service', () => ({}))
+jest.mock('../../../services/merchantWebhook.service', () => ({
+  emit: jest.fn()
+}))
+jest.mock('../../../services/refund.service', () => ({
+  reserveRefund: jest.fn(),
+  processReservedRefund: jest.fn()
+}))
+jest.mock('../../../config/logger')
+
+describe('WaitlistService', () => {
+  describe('fulfillPending', () => {
+    let reserveSpy
+    let processSpy
+
+    beforeEach(() => {
+      jest.clearAllMocks()
+      reserveSpy = jest.spyOn(waitlistService, 'reserveAvailableLicenses').mockResolvedValue({ reserved: 2 })
+      processSpy = jest.spyOn(waitlistService, 'processWaitlistEntryWithEmail').mockResolvedValue(true)
+    })
+
+    afterEach(() => {
+      reserveSpy.mockRestore()
+      processSpy.mockRestore()
+    })
+
+    it('should reserve and deliver the waitlist of each product in priority order', async () => {
+      const first = { id: 1, priority: 1 }
+      const second = { id: 2, priority: 2 }
+      WaitlistEntry.findAll.mockResolvedValue([first, second])
+
+      const result = await waitlistService.fulfillPending(['OFFICE-2024'])
+
+      expect(reserveSpy).toHaveBeenCalledWith('OFFICE-2024')
+      expect(WaitlistEntry.findAll.mock.calls[0][0]).toMatchObject({
+        where: { productRef: 'OFFICE-2024', status: 'READY_FOR_EMAIL' },
+        order: [['priority', 'ASC']]
+      })
+      expect(processSpy.mock.calls.map(call => call[0])).toEqual([first, second])
+      expect(result).toEqual({
+        reserved: 2,
+        served: 2,
+        failed: 0,
+        products: [{ productRef: 'OFFICE-2024', reserved: 2, served: 2, failed: 0 }]
+      })
+    })
+
+    it('should keep serving the rest when one delivery fails', async () => {
+      WaitlistEntry.findAll.mockResolvedValue([{ id: 1 }, { id: 2 }])
+      processSpy
+        .mockRejectedValueOnce(new Error('Customer email not available'))
+        .mockResolvedValueOnce(true)
+
+      const result = await waitlistService.fulfillPending('OFFICE-2024')
+
+      expect(processSpy).toHaveBeenCalledTimes(2)
+      expect(result.served).toBe(1)
+      expect(result.failed).toBe(1)
+    })
+
+    it('should not count entries already claimed by another process', async () => {
+      WaitlistEntry.findAll.mockResolvedValue([{ id: 1 }, { id: 2 }])
+      processSpy.mockResolvedValueOnce(false)
+
+      const result = await waitlistService.fulfillPending('OFFICE-2024')
+
+      expect(result.served).toBe(1)
+      expect(result.failed).toBe(0)
+    })
+  })
+
+  describe('reserveAvailableLicenses', () => {
+    const t = { LOCK: { UPDATE: 'UPDATE' } }
+    const buildRow = (id) => ({ id, orderId: 100 + id, update: jest.fn() })
+
+    beforeEach(() => {
+      jest.clearAllMocks()
+      TransactionManager.executeInventoryTransaction.mockImplementation(async (fn) => fn(t))
+      WaitlistEntry.count.mockResolvedValue(3)
+      License.count.mockResolvedValue(3)
+    })
+
+    it('should only pair the entries it could lock when another reservation holds the rest', async () => {
+      const licenses = [buildRow(1), buildRow(2), buildRow(3)]
+      const entries = [buildRow(11)]
+      License.findAll.mockResolvedValue(licenses)
+      WaitlistEntry.findAll.mockResolvedValue(entries)
+
+      const result = await waitlistService.reserveAvailableLicenses('OFFICE-2024')
+
+      expect(WaitlistEntry.findAll).toHaveBeenCalledWith(expect.objectContaining({ lock: 'UPDATE', skipLocked: true }))
+      expect(License.findAll).toHaveBeenCalledWith(expect.objectContaining({ lock: 'UPDATE', skipLocked: true }))
+      expect(result.reserved).toBe(1)
+      expect(result.reservations).toEqual([{ licenseId: 1, waitlistEntryId: 11, orderId: 111 }])
+      expect(licenses[1].update).not.toHaveBeenCalled()
+      expect(entries[0].update).toHaveBeenCalledWith({ status: 'READY_FOR_EMAIL', licenseId: 1 }, { transaction: t })
+    })
+  })
+
+  describe('processWaitlistEntryWithEmail', () => {
+    let completeSpy
+
+    beforeEach(() => {
+      jest.clearAllMocks()
+      completeSpy = jest.spyOn(waitlistService, 'completeWaitlistEntry').mockResolvedValue()
+    })
+
+    afterEach(() => {
+      completeSpy.mockRestore()
+    })
+
+    const readyEntry = () => ({
+      id: 7,
+      orderId: 3,
+      licenseId: 11,
+      order: { customer: { email: 'ana@example.com' }, product: { productRef: 'OFFICE-2024' } },
+      license: { id: 11 }
+    })
+
+    it('should claim the entry atomically before delivering it', async () => {
+      WaitlistEntry.update.mockResolvedValue([1])
+
+      await expect(waitlistService.processWaitlistEntryWithEmail(readyEntry())).resolves.toBe(true)
+
+      expect(WaitlistEntry.update).toHaveBeenCalledWith({ status: 'PROCESSING' }, {
+        where: { id: 7, status: 'READY_FOR_EMAIL' }
+      })
+      expect(completeSpy).toHaveBeenCalledTimes(1)
+    })
+
+    it('should skip an entry another process already claimed', async () => {
+      WaitlistEntry.update.mockResolvedValue([0])
+
+      await expect(waitlistService.processWaitlistEntryWithEmail(readyEntry())).resolves.toBe(false)
+
+      expect(completeSpy).not.toHaveBeenCalled()
+    })
+
+    it('should release its own claim when the delivery fails', async () => {
+      WaitlistEntry.update.mockResolvedValue([1])
+      completeSpy.mockRejectedValue(new Error('Deadlock detected'))
+
+      await expect(waitlistService.processWaitlistEntryWithEmail(readyEntry())).rejects.toThrow('Deadlock detected')
+
+      expect(WaitlistEntry.update).toHaveBeenLastCalledWith(
+        { status: 'READY_FOR_EMAIL', errorMessage: 'Deadlock detected' },
+        { where: { id: 7, status: 'PROCESSING' } }
+      )
+    })
+  })
+
+  describe('getQueuePosition', () => {
+    it('should count the pending entries ahead for the same product', async () => {
+      const priority = new Date('2025-03-01T10:00:00Z')
+      WaitlistEntry.count.mockResolvedValue(3)
+
+      const position = await waitlistService.getQueuePosition({ id: 9, productRef: 'OFFICE-2024', priority })
+
+      expect(position).toBe(4)
+      expect(WaitlistEntry.count.mock.calls[0][0].where).toMatchObject({ productRef: 'OFFICE-2024', status: 'PENDING' })
+    })
+  })
+
+  describe('estimateDelivery', () => {
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+
+    beforeEach(() => {
+      jest.clearAllMocks()
+      waitlistService.etaHistoryDays = 90
+    })
+
+    it('should estimate the window from restock size and cadence', async () => {
+      License.count.mockResolvedValue(0)
+      // Tres cargas de 5 licencias cada 10 días, la última hace 4 días
+      License.findAll.mockResolvedValue([
+        ...Array(5).fill({ createdAt: daysAgo(24) }),
+        ...Array(5).fill({ createdAt: daysAgo(14) }),
+        ...Array(5).fill({ createdAt: daysAgo(4) })
+      ])
+
+      const eta = await waitlistService.estimateDelivery('OFFICE-2024', 8)
+
+      expect(eta).toEqual({ minDays: 6, maxDays: 16, restocks: 3, historyDays: 90 })
+    })
+
+    it('should expect a prompt delivery when stock already covers the position', async () => {
+      License.count.mockResolvedValue(4)
+
+      const eta = await waitlistService.estimateDelivery('OFFICE-2024', 2)
+
+      expect(eta).toMatchObject({ minDays: 0, maxDays: 1 })
+      expect(License.findAll).not.toHaveBeenCalled()
+    })
+
+    it('should return null without restock history', async () => {
+      License.count.mockResolvedValue(0)
+      License.findAll.mockResolvedValue([])
+
+      expect(await waitlistService.estimateDelivery('OFFICE-2024', 1)).toBeNull()
+    })
+  })
+
+  describe('cancelCustomerEntry', () => {
+    const t = { LOCK: { UPDATE: 'UPDATE' } }
+    let entry
+
+    beforeEach(() => {
+      jest.clearAllMocks()
+      TransactionManager.executeInventoryTransaction.mockImplementation(async (fn) => fn(t))
+      entry = {
+        id: 5,
+        orderId: 42,
+        orderItemId: 51,
+        productRef: 'OFFICE-2024',
+        status: 'PENDING',
+        update: jest.fn(async function (values) { Object.assign(entry, values) })
+      }
+      WaitlistEntry.findOne.mockResolvedValue(entry)
+      WaitlistEntry.findAll.mockResolvedValue([])
+      OrderItem.findByPk.mockResolvedValue({ id: 51, qty: 2, grandTotal: 59800 })
+    })
+
+    const paidTransaction = { id: 9, gateway: 'mock' }
+
+    it('should cancel the entry and refund one unit of its line', async () => {
+      const refund = { id: 77, status: 'COMPLETED', amount: 29900 }
+      refundService.reserveRefund.mockResolvedValue({ refund, transaction: paidTransaction })
+      refundService.processReservedRefund.mockResolvedValue(refund)
+      WaitlistEntry.count.mockResolvedValue(0)
+      License.count.mockResolvedValue(0)
+
+      const result = await waitlistService.cancelCustomerEntry(1, 5)
+
+      expect(WaitlistEntry.findOne.mock.calls[0][0].where).toEqual({ id: 5, customerId: 1 })
+      // El reembolso se reserva en la misma transacción que cancela la entrada
+      expect(refundService.reserveRefund).toHaveBeenCalledWith(42, {
+        amount: 29900,
+        reason: 'WAITLIST_CANCELED',
+        licenseAction: 'NONE'
+      }, null, t)
+      expect(entry.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'CANCELED', refundId: 77 }), { transaction: t })
+      expect(refundService.processReservedRefund).toHaveBeenCalledWith(refund, paidTransaction)
+      expect(result.entry.status).toBe('CANCELED')
+      expect(result.entry.refundId).toBe(77)
+      expect(Order.update).toHaveBeenCalledWith({ status: 'CANCELED' }, expect.objectContaining({
+        where: { id: 42, status: 'IN_PROCESS' }
+      }))
+      expect(merchantWebhookService.emit).toHaveBeenCalledWith('waitlist.canceled', expect.objectContaining({
+        waitlistEntryId: 5,
+        refundId: 77
+      }), t)
+    })
+
+    it('should round each unit down and refund the remainder with the last unit of the line', async () => {
+      const refund = { id: 78, status: 'COMPLETED' }
+      refundService.reserveRefund.mockResolvedValue({ refund, transaction: paidTransaction })
+      refundService.processReservedRefund.mockResolvedValue(refund)
+      WaitlistEntry.count.mockResolvedValue(1)
+      OrderItem.findByPk.mockResolvedValue({ id: 51, qty: 3, grandTotal: 10000 })
+
+      await waitlistService.cancelCustomerEntry(1, 5)
+      expect(refundService.reserveRefund.mock.calls[0][1].amount).toBe(3333)
+
+      entry.status = 'PENDING'
+      WaitlistEntry.findAll.mockResolvedValue([{ refundId: 70 }, { refundId: 71 }])
+      Refund.sum.mockResolvedValue(6666)
+
+      await waitlistService.cancelCustomerEntry(1, 5)
+      expect(refundService.reserveRefund.mock.calls[1][1].amount).toBe(3334)
+      expect(WaitlistEntry.findAll.mock.calls[1][0].where).toMatchObject({ orderItemId: 51, status: 'CANCELED' })
+    })
+
+    it('should never refund more than the unrefunded balance of the line', async () => {
+      WaitlistEntry.findAll.mockResolvedValue([{ refundId: 70 }])
+      Refund.sum.mockResolvedValue(59000)
+      refundService.reserveRefund.mockResolvedValue({ refund: { id: 79, status: 'COMPLETED' }, transaction: paidTransaction })
+      refundService.processReservedRefund.mockResolvedValue({})
+      WaitlistEntry.count.mockResolvedValue(0)
+      License.count.mockResolvedValue(0)
+
+      await waitlistService.cancelCustomerEntry(1, 5)
+
+      expect(refundService.reserveRefund.mock.calls[0][1].amount).toBe(800)
+    })
+
+    it('should not cancel the entry when the line is already fully refunded', async () => {
+      WaitlistEntry.findAll.mockResolvedValue([{ refundId: 70 }])
+      Refund.sum.mockResolvedValue(59800)
+
+      await expect(waitlistService.cancelCustomerEntry(1, 5))
+        .rejects.toMatchObject({ code: 'WAITLIST_REFUND_FAILED' })
+      expect(refundService.reserveRefund).not.toHaveBeenCalled()
+      expect(entry.status).toBe('PENDING')
+    })
+
+    it('should reject entries that already have a license reserved', async () => {
+      entry.status = 'READY_FOR_EMAIL'
+
+      await expect(waitlistService.cancelCustomerEntry(1, 5))
+        .rejects.toMatchObject({ code: 'WAITLIST_ENTRY_NOT_CANCELABLE' })
+      expect(refundService.reserveRefund).not.toHaveBeenCalled()
+    })
+
+    it('should keep the entry in the queue when the refund cannot be reserved', async () => {
+      refundService.reserveRefund.mockRejectedValue(new Error('No paid transaction found for this order'))
+
+      await expect(waitlistService.cancelCustomerEntry(1, 5))
+        .rejects.toMatchObject({ code: 'WAITLIST_REFUND_FAILED' })
+      expect(entry.status).toBe('PENDING')
+      expect(refundService.processReservedRefund).not.toHaveBeenCalled()
+      expect(Order.update).not.toHaveBeenCalled()
+    })
+
+    it('should put the entry back in the queue only if still canceled by this refund when the gateway fails', async () => {
+      refundService.reserveRefund.mockResolvedValue({ refund: { id: 77, status: 'PROCESSING' }, transaction: paidTransaction })
+      refundService.processReservedRefund.mockRejectedValue(new Error('Gateway down'))
+
+      await expect(waitlistService.cancelCustomerEntry(1, 5))
+        .rejects.toMatchObject({ code: 'WAITLIST_REFUND_FAILED' })
+      expect(WaitlistEntry.update).toHaveBeenCalledWith({ status: 'PENDING', processedAt: null, refundId: null }, {
+        where: { id: 5, status: 'CANCELED', refundId: 77 }
+      })
+      expect(Order.update).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,69 @@
+const cron = require('../../../utils/cron')
+
+describe('cron', () => {
+  describe('parse', () => {
+    it('should parse lists, ranges, steps and names', () => {
+      const schedule = cron.parse('0-30/15 9,17 * JAN-MAR MON-FRI')
+
+      expect([...schedule.minute]).toEqual([0, 15, 30])
+      expect([...schedule.hour]).toEqual([9, 17])
+      expect([...schedule.month]).toEqual([1, 2, 3])
+      expect([...schedule.dayOfWeek]).toEqual([1, 2, 3, 4, 5])
+      expect([...schedule.second]).toEqual([0])
+    })
+
+    it('should reject invalid expressions', () => {
+      expect(cron.isValid('61 * * * *')).toBe(false)
+      expect(cron.isValid('* * *')).toBe(false)
+      expect(cron.isValid('*/0 * * * *')).toBe(false)
+      expect(cron.isValid('@daily')).toBe(true)
+    })
+  })
+
+  describe('getNextRun', () => {
+    it('should evaluate the expression in the given timezone', () => {
+      const next = cron.getNextRun('0 2 * * *', {
+        from: new Date('2025-01-01T12:00:00Z'),
+        timezone: 'America/Bogota'
+      })
+
+      // 2 AM en Bogotá (UTC-5)
+      expect(next.toISOString()).toBe('2025-01-02T07:00:00.000Z')
+    })
+
+    it('should support a seconds field', () => {
+      const next = cron.getNextRun('*/30 * * * * *', {
+        from: new Date('2025-01-01T12:00:10Z'),
+        timezone: 'UTC'
+      })
+
+      expect(next.toISOString()).toBe('2025-01-01T12:00:30.000Z')
+    })
+
+    it('should match either day of month or day of week when both are restricted', () => {
+      // 2025-01-01 es miércoles; el próximo lunes es el 6 y el día 15 viene después
+      const next = cron.getNextRun('0 0 15 * MON', {
+        from: new Date('2025-01-01T12:00:00Z'),
+        timezone: 'UTC'
+      })
+
+      expect(next.toISOString()).toBe('2025-01-06T00:00:00.000Z')
+    })
+
+    it('should return null when the expression never matches', () => {
+      expect(cron.getNextRun('0 0 30 2 *', { timezone: 'UTC' })).toBeNull()
+    })
+  })
+
+  describe('fromIntervalSeconds', () => {
+    it('should convert intervals to cron expressions', () => {
+      expect(cron.fromIntervalSeconds(30)).toBe('*/30 * * * * *')
+      expect(cron.fromIntervalSeconds(600)).toBe('*/10 * * * *')
+    })
+  })
+
+  it('should validate IANA timezones', () => {
+    expect(cron.isValidTimezone('America/Bogota')).toBe(true)
+    expect(cron.isValidTimezone('Mars/Olympus')).toBe(false)
+  })
+})
@@ -0,0 +1,30 @@
+const currency = require('../../../utils/currency')
+
+describe('currency utils', () => {
+  describe('toMajorUnits', () => {
+    it('should convert cents to major units', () => {
+      expect(currency.toMajorUnits(1050, 'USD')).toBe(10.5)
+      expect(currency.toMajorUnits(19900000, 'COP')).toBe(199000)
+      expect(currency.toMajorUnits(89999, 'MXN')).toBe(899.99)
+    })
+  })
+
+  describe('getOrderCurrency', () => {
+    it('should prefer the currency stored on the order', () => {
+      expect(currency.getOrderCurrency({ currency: 'MXN', product: { currency: 'COP' } })).toBe('MXN')
+    })
+
+    it('should fall back to the product currency for legacy orders', () => {
+      expect(currency.getOrderCurrency({ currency: null, product: { currency: 'COP' } })).toBe('COP')
+      expect(currency.getOrderCurrency({ currency: null }, { currency: 'EUR' })).toBe('EUR')
+      expect(currency.getOrderCurrency({})).toBe('USD')
+    })
+  })
+
+  describe('isSupported', () => {
+    it('should only accept the configured currencies', () => {
+      expect(currency.isSupported('COP')).toBe(true)
+      expect(currency.isSupported('BRL')).toBe(false)
+    })
+  })
+})
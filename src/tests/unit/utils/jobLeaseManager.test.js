@@ -0,0 +1,106 @@
+const { Op } = require('sequelize')
+const jobLeaseManager = require('../../../utils/jobLeaseManager')
+const { JobLease } = require('../../../models')
+
+// Mock de las dependencias
+jest.mock('../../../models', () => ({
+  JobLease: {
+    bulkCreate: jest.fn(),
+    update: jest.fn(),
+    findByPk: jest.fn(),
+    findAll: jest.fn()
+  }
+}))
+jest.mock('../../../config/logger')
+
+describe('JobLeaseManager', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    JobLease.bulkCreate.mockResolvedValue([])
+  })
+
+  describe('acquire', () => {
+    it('should renew the lease when this node already owns it', async () => {
+      JobLease.update.mockResolvedValueOnce([1])
+
+      const owned = await jobLeaseManager.acquire('orderTimeout', 60000)
+
+      expect(owned).toBe(true)
+      expect(JobLease.update).toHaveBeenCalledTimes(1)
+      expect(JobLease.update.mock.calls[0][1].where).toEqual({ jobName: 'orderTimeout', ownerId: jobLeaseManager.nodeId })
+    })
+
+    it('should take over a free or expired lease', async () => {
+      JobLease.update
+        .mockResolvedValueOnce([0])
+        .mockResolvedValueOnce([1])
+
+      const owned = await jobLeaseManager.acquire('orderTimeout', 60000)
+
+      expect(owned).toBe(true)
+      const [values, { where }] = JobLease.update.mock.calls[1]
+      expect(values.ownerId).toBe(jobLeaseManager.nodeId)
+      expect(where[Op.or]).toEqual([
+        { ownerId: null },
+        { expiresAt: { [Op.lt]: expect.any(Date) } }
+      ])
+    })
+
+    it('should not acquire a lease held by a live node', async () => {
+      JobLease.update.mockResolvedValue([0])
+
+      const owned = await jobLeaseManager.acquire('orderTimeout', 60000)
+
+      expect(owned).toBe(false)
+    })
+  })
+
+  describe('runExclusive', () => {
+    it('should run the work and release the run lock', async () => {
+      JobLease.update.mockResolvedValue([1])
+      const work = jest.fn().mockResolvedValue({ processed: 3 })
+
+      const outcome = await jobLeaseManager.runExclusive('waitlistProcessing', 60000, work)
+
+      expect(outcome).toEqual({ executed: true, result: { processed: 3 } })
+      const endRun = JobLease.update.mock.calls[JobLease.update.mock.calls.length - 1]
+      expect(endRun[0]).toMatchObject({ runningBy: null, lastRunBy: jobLeaseManager.nodeId })
+    })
+
+    it('should release the run lock when the work fails', async () => {
+      JobLease.update.mockResolvedValue([1])
+
+      await expect(jobLeaseManager.runExclusive('waitlistProcessing', 60000, () => {
+        throw new Error('boom')
+      })).rejects.toThrow('boom')
+
+      const endRun = JobLease.update.mock.calls[JobLease.update.mock.calls.length - 1]
+      expect(endRun[0]).toMatchObject({ runningBy: null })
+    })
+
+    it('should skip when another node is running the job', async () => {
+      JobLease.update.mockResolvedValue([0])
+      JobLease.findByPk.mockResolvedValue({ runningBy: 'api-2:42:abc123' })
+      const work = jest.fn()
+
+      const outcome = await jobLeaseManager.runExclusive('waitlistProcessing', 60000, work)
+
+      expect(work).not.toHaveBeenCalled()
+      expect(outcome).toEqual({ executed: false, runningBy: 'api-2:42:abc123' })
+    })
+  })
+
+  describe('getLeases', () => {
+    it('should hide owners of expired leases', async () => {
+      JobLease.findAll.mockResolvedValue([
+        { jobName: 'emailOutbox', ownerId: jobLeaseManager.nodeId, expiresAt: new Date(Date.now() + 60000) },
+        { jobName: 'orderTimeout', ownerId: 'api-2:42:abc123', expiresAt: new Date(Date.now() - 1000) }
+      ])
+
+      const leases = await jobLeaseManager.getLeases()
+
+      expect(leases[0]).toMatchObject({ ownerId: jobLeaseManager.nodeId, ownedByThisNode: true })
+      expect(leases[1]).toMatchObject({ ownerId: null, ownedByThisNode: false })
+    })
+  })
+})
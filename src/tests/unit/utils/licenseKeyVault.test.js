@@ -0,0 +1,104 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const crypto = require('crypto')
+const licenseKeyVault = require('../../../utils/licenseKeyVault')
+const { LocalKeyProvider } = require('../../../utils/licenseKeyVault')
+
+describe('licenseKeyVault', () => {
+  const k1 = crypto.randomBytes(32).toString('base64')
+  const k2 = crypto.randomBytes(32).toString('base64')
+  const hashKey = crypto.randomBytes(32).toString('base64')
+
+  const keyringFile = path.join(os.tmpdir(), `license-keyring-${process.pid}.json`)
+
+  // Llavero con el mismo formato del archivo LICENSE_KEYRING_FILE
+  const useKeyring = (current, keys) => {
+    fs.writeFileSync(keyringFile, JSON.stringify({ current, keys, hashKey }))
+    licenseKeyVault.useProvider(new LocalKeyProvider({ file: keyringFile }))
+  }
+
+  afterAll(() => {
+    fs.rmSync(keyringFile, { force: true })
+  })
+
+  describe('encrypt / decrypt', () => {
+    it('should round-trip a key with a different ciphertext each time', () => {
+      useKeyring('k1', { k1 })
+
+      const first = licenseKeyVault.encrypt('AAA-BBB-CCC-111')
+      const second = licenseKeyVault.encrypt('AAA-BBB-CCC-111')
+
+      expect(first).toMatch(/^v1:k1:/)
+      expect(first).not.toContain('AAA-BBB-CCC-111')
+      expect(first).not.toBe(second)
+      expect(licenseKeyVault.decrypt(first)).toBe('AAA-BBB-CCC-111')
+    })
+
+    it('should store the same normalized key that hash() covers', () => {
+      useKeyring('k1', { k1 })
+
+      const envelope = licenseKeyVault.encrypt('  AAA-BBB-CCC-111\n')
+
+      expect(licenseKeyVault.decrypt(envelope)).toBe('AAA-BBB-CCC-111')
+      expect(licenseKeyVault.hash(licenseKeyVault.decrypt(envelope))).toBe(licenseKeyVault.hash('  AAA-BBB-CCC-111\n'))
+    })
+
+    it('should pass legacy plaintext keys through', () => {
+      useKeyring('k1', { k1 })
+
+      expect(licenseKeyVault.decrypt('AAA-BBB-CCC-111')).toBe('AAA-BBB-CCC-111')
+    })
+
+    it('should decrypt keys wrapped with a previous master key after rotation', () => {
+      useKeyring('k1', { k1 })
+      const old = licenseKeyVault.encrypt('AAA-BBB-CCC-111')
+
+      useKeyring('k2', { k1, k2 })
+
+      expect(licenseKeyVault.keyIdOf(old)).toBe('k1')
+      expect(licenseKeyVault.decrypt(old)).toBe('AAA-BBB-CCC-111')
+      expect(licenseKeyVault.keyIdOf(licenseKeyVault.encrypt('AAA-BBB-CCC-111'))).toBe('k2')
+    })
+
+    it('should reject a tampered envelope', () => {
+      useKeyring('k1', { k1 })
+      const parts = licenseKeyVault.encrypt('AAA-BBB-CCC-111').split(':')
+      parts[5] = Buffer.from('XXX-BBB-CCC-111').toString('base64')
+
+      expect(() => licenseKeyVault.decrypt(parts.join(':'))).toThrow()
+    })
+
+    it('should fail with a clear error when no keyring is configured', () => {
+      const provider = new LocalKeyProvider({ file: null })
+      delete process.env.LICENSE_ENCRYPTION_KEY
+      licenseKeyVault.useProvider(provider)
+
+      expect(() => licenseKeyVault.encrypt('AAA-BBB-CCC-111'))
+        .toThrow(expect.objectContaining({ code: 'LICENSE_KEYRING_INVALID' }))
+    })
+  })
+
+  describe('hash', () => {
+    it('should be deterministic and independent from the master key', () => {
+      useKeyring('k1', { k1 })
+      const before = licenseKeyVault.hash('AAA-BBB-CCC-111')
+
+      useKeyring('k2', { k1, k2 })
+
+      expect(licenseKeyVault.hash('AAA-BBB-CCC-111')).toBe(before)
+      expect(licenseKeyVault.hash(' AAA-BBB-CCC-111 ')).toBe(before)
+      expect(licenseKeyVault.hash('AAA-BBB-CCC-112')).not.toBe(before)
+      expect(before).toMatch(/^[0-9a-f]{64}$/)
+    })
+  })
+
+  describe('mask', () => {
+    it('should keep separators and the last 4 characters', () => {
+      expect(licenseKeyVault.mask('AAA-BBB-CCC-111')).toBe('***-***-**C-111')
+      expect(licenseKeyVault.mask('ABCDEFGH')).toBe('****EFGH')
+      expect(licenseKeyVault.mask('AB1')).toBe('AB1')
+      expect(licenseKeyVault.mask(null)).toBeNull()
+    })
+  })
+})
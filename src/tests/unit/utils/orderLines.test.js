@@ -0,0 +1,76 @@
+const orderLines = require('../../../utils/orderLines')
+
+describe('orderLines', () => {
+  const office = { productRef: 'OFFICE-2024', name: 'Office', price: 10000, license_type: true }
+  const course = { productRef: 'CURSO-BASICO', name: 'Curso', price: 5000, license_type: false }
+
+  const multiItemOrder = {
+    id: 1,
+    productRef: 'OFFICE-2024',
+    qty: 3,
+    product: office,
+    items: [
+      { id: 10, productRef: 'OFFICE-2024', qty: 2, product: office, unitPrice: 10000, subtotal: 20000, discountTotal: 0, taxTotal: 0, grandTotal: 20000 },
+      { id: 11, productRef: 'CURSO-BASICO', qty: 1, product: course, unitPrice: 5000, subtotal: 5000, discountTotal: 0, taxTotal: 0, grandTotal: 5000 }
+    ]
+  }
+
+  describe('getLines', () => {
+    it('should map order items to lines', () => {
+      const lines = orderLines.getLines(multiItemOrder)
+
+      expect(lines).toHaveLength(2)
+      expect(lines[0]).toMatchObject({ orderItemId: 10, productRef: 'OFFICE-2024', qty: 2, product: office, grandTotal: 20000 })
+      expect(lines[1]).toMatchObject({ orderItemId: 11, productRef: 'CURSO-BASICO', qty: 1, product: course })
+    })
+
+    it('should synthesize a single line for legacy orders without items', () => {
+      const legacyOrder = { productRef: 'OFFICE-2024', qty: 2, product: office, subtotal: 20000, discountTotal: 2000, taxTotal: 0, grandTotal: 18000 }
+
+      const lines = orderLines.getLines(legacyOrder)
+
+      expect(lines).toEqual([{
+        orderItemId: null,
+        productRef: 'OFFICE-2024',
+        qty: 2,
+        product: office,
+        unitPrice: 10000,
+        subtotal: 20000,
+        discountTotal: 2000,
+        taxClass: null,
+        taxRate: null,
+        taxBase: null,
+        taxTotal: 0,
+        grandTotal: 18000
+      }])
+    })
+  })
+
+  describe('getLicenseLines', () => {
+    it('should only return lines whose product delivers licenses', () => {
+      const lines = orderLines.getLicenseLines(multiItemOrder)
+
+      expect(lines).toHaveLength(1)
+      expect(lines[0].productRef).toBe('OFFICE-2024')
+      expect(orderLines.hasLicenseProducts(multiItemOrder)).toBe(true)
+    })
+  })
+
+  describe('groupLicensesByLine', () => {
+    it('should group licenses by orderItemId and fall back to productRef', () => {
+      const licenses = [
+        { id: 1, productRef: 'OFFICE-2024', orderItemId: 10 },
+        { id: 2, productRef: 'OFFICE-2024', orderItemId: null },
+        { id: 3, productRef: 'OTHER-PRODUCT', orderItemId: null }
+      ]
+
+      const groups = orderLines.groupLicensesByLine(multiItemOrder, licenses)
+
+      expect(groups).toHaveLength(2)
+      expect(groups[0].line.orderItemId).toBe(10)
+      expect(groups[0].licenses.map(l => l.id)).toEqual([1, 2])
+      expect(groups[1].line).toMatchObject({ productRef: 'OTHER-PRODUCT', product: null })
+      expect(groups[1].licenses.map(l => l.id)).toEqual([3])
+    })
+  })
+})
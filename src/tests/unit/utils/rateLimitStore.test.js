@@ -0,0 +1,99 @@
+const { MemoryStore } = require('express-rate-limit')
+const { createStore, PostgresStore } = require('../../../utils/rateLimitStore')
+const { RateLimitHit, sequelize } = require('../../../models')
+
+// Mock de las dependencias
+jest.mock('../../../models', () => ({
+  RateLimitHit: {
+    decrement: jest.fn(),
+    findByPk: jest.fn(),
+    destroy: jest.fn()
+  },
+  sequelize: { query: jest.fn() }
+}))
+jest.mock('../../../config/logger')
+
+describe('rateLimitStore', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    RateLimitHit.destroy.mockResolvedValue(0)
+  })
+
+  describe('createStore', () => {
+    it('should create a store per backend', () => {
+      expect(createStore('orders:', 'memory')).toBeInstanceOf(MemoryStore)
+      expect(createStore('orders:', 'postgres')).toMatchObject({ prefix: 'orders:', localKeys: false })
+      expect(() => createStore('orders:', 'redis')).toThrow('RATE_LIMIT_STORE desconocido')
+    })
+
+    it('should count hits per key in memory', async () => {
+      const store = createStore('orders:', 'memory')
+      store.init({ windowMs: 60000 })
+
+      await store.increment('email:ana@example.com')
+      const { totalHits } = await store.increment('email:ana@example.com')
+      const other = await store.increment('email:luis@example.com')
+
+      expect(totalHits).toBe(2)
+      expect(other.totalHits).toBe(1)
+      store.shutdown()
+    })
+  })
+
+  describe('PostgresStore', () => {
+    it('should increment atomically with the prefixed key and the limiter window', async () => {
+      const resetAt = new Date(Date.now() + 60000)
+      sequelize.query.mockResolvedValue([{ hits: 3, reset_at: resetAt }])
+      const store = new PostgresStore('orders:')
+      store.init({ windowMs: 60000 })
+
+      const result = await store.increment('1.2.3.4')
+
+      expect(result).toEqual({ totalHits: 3, resetTime: resetAt })
+      expect(sequelize.query).toHaveBeenCalledWith(
+        expect.stringContaining('ON CONFLICT ("key") DO UPDATE'),
+        expect.objectContaining({ replacements: { key: 'orders:1.2.3.4', windowMs: 60000 } })
+      )
+    })
+
+    it('should clean up expired keys at most once per interval', async () => {
+      sequelize.query.mockResolvedValue([{ hits: 1, reset_at: new Date() }])
+      const store = new PostgresStore('orders:')
+
+      await store.increment('a')
+      await store.increment('b')
+
+      expect(RateLimitHit.destroy).toHaveBeenCalledTimes(1)
+    })
+
+    it('should ignore expired counters on get', async () => {
+      const store = new PostgresStore('orders:')
+      RateLimitHit.findByPk.mockResolvedValue({ hits: 4, resetAt: new Date(Date.now() - 1000) })
+
+      await expect(store.get('1.2.3.4')).resolves.toBeUndefined()
+      expect(RateLimitHit.findByPk).toHaveBeenCalledWith('orders:1.2.3.4')
+    })
+  })
+
+  describe('RATE_LIMIT_POLICIES', () => {
+    const originalPolicies = process.env.RATE_LIMIT_POLICIES
+
+    afterEach(() => {
+      if (originalPolicies === undefined) {
+        delete process.env.RATE_LIMIT_POLICIES
+      } else {
+        process.env.RATE_LIMIT_POLICIES = originalPolicies
+      }
+    })
+
+    it('should apply JSON overrides on top of the defaults', () => {
+      process.env.RATE_LIMIT_POLICIES = JSON.stringify({ orderCreationPerEmail: { max: 2 } })
+
+      jest.isolateModules(() => {
+        const { RATE_LIMIT_POLICIES } = require('../../../config/rateLimits')
+        expect(RATE_LIMIT_POLICIES.orderCreationPerEmail).toEqual({ windowMs: 60 * 60 * 1000, max: 2 })
+        expect(RATE_LIMIT_POLICIES.payment).toEqual({ windowMs: 5 * 60 * 1000, max: 5 })
+      })
+    })
+  })
+})
@@ -0,0 +1,66 @@
+const totp = require('../../../utils/totp')
+
+describe('totp', () => {
+  // Secretos del apéndice B del RFC 6238 (uno por algoritmo)
+  const secrets = {
+    sha1: Buffer.from('12345678901234567890', 'ascii'),
+    sha256: Buffer.from('12345678901234567890123456789012', 'ascii'),
+    sha512: Buffer.from('1234567890123456789012345678901234567890123456789012345678901234', 'ascii')
+  }
+
+  const vectors = [
+    { seconds: 59, sha1: '94287082', sha256: '46119246', sha512: '90693936' },
+    { seconds: 1111111109, sha1: '07081804', sha256: '68084774', sha512: '25091201' },
+    { seconds: 1111111111, sha1: '14050471', sha256: '67062674', sha512: '99943326' },
+    { seconds: 1234567890, sha1: '89005924', sha256: '91819424', sha512: '93441116' },
+    { seconds: 2000000000, sha1: '69279037', sha256: '90698825', sha512: '38618901' },
+    { seconds: 20000000000, sha1: '65353130', sha256: '77737706', sha512: '47863826' }
+  ]
+
+  describe('generate', () => {
+    it.each(vectors)('should match the RFC 6238 vectors at T=$seconds', (vector) => {
+      for (const algorithm of ['sha1', 'sha256', 'sha512']) {
+        expect(totp.generate(secrets[algorithm], { time: vector.seconds * 1000, digits: 8, algorithm }))
+          .toBe(vector[algorithm])
+      }
+    })
+
+    it('should match the RFC 4226 HOTP vectors', () => {
+      const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489']
+
+      expected.forEach((code, counter) => {
+        expect(totp.hotp(secrets.sha1, counter)).toBe(code)
+      })
+    })
+  })
+
+  describe('base32', () => {
+    it('should round-trip secrets', () => {
+      const encoded = totp.base32Encode(secrets.sha1)
+
+      expect(encoded).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ')
+      expect(totp.base32Decode(encoded.toLowerCase())).toEqual(secrets.sha1)
+      expect(totp.generate(encoded, { time: 59000, digits: 8 })).toBe('94287082')
+    })
+  })
+
+  describe('verify', () => {
+    it('should accept one step of clock drift and return the matched step', () => {
+      const time = 1111111109 * 1000
+      const previous = totp.generate(secrets.sha1, { time: time - 30000 })
+
+      expect(totp.verify(previous, secrets.sha1, { time })).toBe(totp.timeStep(time) - 1)
+      expect(totp.verify(previous, secrets.sha1, { time: time + 30000 })).toBeNull()
+      expect(totp.verify('12345', secrets.sha1, { time })).toBeNull()
+      expect(totp.verify('abcdef', secrets.sha1, { time })).toBeNull()
+    })
+  })
+
+  describe('keyUri', () => {
+    it('should build an otpauth URI', () => {
+      const uri = totp.keyUri({ secret: 'JBSWY3DPEHPK3PXP', accountName: 'ana@example.com', issuer: 'Innovate Learning' })
+
+      expect(uri).toBe('otpauth://totp/Innovate%20Learning%3Aana%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=Innovate+Learning&algorithm=SHA1&digits=6&period=30')
+    })
+  })
+})
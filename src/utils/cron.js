@@ -0,0 +1,266 @@
+/**
+ * Utilidades de expresiones cron
+ * Soporta 5 campos (minuto hora día mes día-semana) o 6 con segundos al inicio,
+ * con `*`, listas, rangos, pasos (`0-59/15`, `1-10/2`), nombres (JAN, MON) y los alias @hourly, @daily...
+ * Los horarios se evalúan en la zona horaria indicada (por defecto America/Bogota).
+ */
+
+const DEFAULT_TIMEZONE = 'America/Bogota'
+
+// Límite de búsqueda de la próxima ejecución (expresiones imposibles como 30 de febrero)
+const MAX_SEARCH_YEARS = 5
+
+const ALIASES = Object.freeze({
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+})
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC']
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT']
+
+const FIELDS = Object.freeze([
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, namesOffset: 1 },
+  { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES, namesOffset: 0 }
+])
+
+const formatters = new Map()
+
+/**
+ * Formateador de fecha/hora local de una zona horaria (cacheado por zona)
+ */
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }))
+  }
+  return formatters.get(timeZone)
+}
+
+/**
+ * Hora local de un instante en la zona horaria, expresada como ms "UTC de pared"
+ */
+const toWallTime = (instant, timeZone) => {
+  const parts = {}
+  for (const part of getFormatter(timeZone).formatToParts(new Date(instant))) {
+    parts[part.type] = parseInt(part.value, 10)
+  }
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+}
+
+/**
+ * Instante correspondiente a una hora local de pared en la zona horaria
+ */
+const fromWallTime = (wall, timeZone) => {
+  let instant = wall - (toWallTime(wall, timeZone) - wall)
+  // Segunda pasada para los cambios de horario (DST)
+  instant = wall - (toWallTime(instant, timeZone) - instant)
+  return instant
+}
+
+const parseValue = (value, field) => {
+  const upper = value.toUpperCase()
+  if (field.names && field.names.includes(upper)) {
+    return field.names.indexOf(upper) + field.namesOffset
+  }
+
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Valor inválido "${value}" en el campo ${field.name}`)
+  }
+
+  const number = parseInt(value, 10)
+  if (number < field.min || number > field.max) {
+    throw new Error(`Valor ${number} fuera de rango (${field.min}-${field.max}) en el campo ${field.name}`)
+  }
+  return number
+}
+
+const parseField = (text, field) => {
+  const values = new Set()
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/')
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10)
+    if (!step || step < 1 || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`Paso inválido "${part}" en el campo ${field.name}`)
+    }
+
+    let start
+    let end
+    if (range === '*') {
+      start = field.min
+      end = field.max
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-')
+      start = parseValue(from, field)
+      end = parseValue(to, field)
+      if (start > end) {
+        throw new Error(`Rango inválido "${range}" en el campo ${field.name}`)
+      }
+    } else {
+      start = parseValue(range, field)
+      end = stepText === undefined ? start : field.max
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value)
+    }
+  }
+
+  // En día de la semana 7 también es domingo
+  if (field.name === 'dayOfWeek' && values.has(7)) {
+    values.delete(7)
+    values.add(0)
+  }
+
+  return values
+}
+
+const cron = {
+  DEFAULT_TIMEZONE,
+
+  /**
+   * Interpreta una expresión cron
+   * @param {string} expression - Expresión de 5 o 6 campos, o alias (@daily...)
+   * @returns {Object} Conjuntos de valores permitidos por campo
+   * @throws {Error} Si la expresión es inválida
+   */
+  parse (expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+      throw new Error('La expresión cron es requerida')
+    }
+
+    const normalized = ALIASES[expression.trim().toLowerCase()] || expression.trim()
+    const parts = normalized.split(/\s+/)
+
+    if (parts.length !== 5 && parts.length !== 6) {
+      throw new Error('La expresión cron debe tener 5 campos (o 6 con segundos)')
+    }
+    if (parts.length === 5) {
+      parts.unshift('0')
+    }
+
+    const schedule = {}
+    FIELDS.forEach((field, index) => {
+      schedule[field.name] = parseField(parts[index], field)
+    })
+
+    // Semántica estándar: si se restringen día del mes y día de la semana, basta con uno
+    schedule.dayOfMonthRestricted = parts[3] !== '*' && parts[3] !== '?'
+    schedule.dayOfWeekRestricted = parts[5] !== '*' && parts[5] !== '?'
+
+    return schedule
+  },
+
+  /**
+   * Indica si una expresión cron es válida
+   * @param {string} expression - Expresión cron
+   * @returns {boolean}
+   */
+  isValid (expression) {
+    try {
+      cron.parse(expression)
+      return true
+    } catch (error) {
+      return false
+    }
+  },
+
+  /**
+   * Indica si una zona horaria IANA es válida
+   * @param {string} timeZone - Zona horaria (p. ej. America/Bogota)
+   * @returns {boolean}
+   */
+  isValidTimezone (timeZone) {
+    try {
+      getFormatter(timeZone)
+      return true
+    } catch (error) {
+      return false
+    }
+  },
+
+  /**
+   * Próxima ejecución estrictamente posterior a `from`
+   * @param {string} expression - Expresión cron
+   * @param {Object} options
+   * @param {Date} options.from - Instante de referencia (por defecto ahora)
+   * @param {string} options.timezone - Zona horaria de la expresión
+   * @returns {Date|null} Próxima ejecución, o null si no hay ninguna en los próximos años
+   */
+  getNextRun (expression, { from = new Date(), timezone = DEFAULT_TIMEZONE } = {}) {
+    const schedule = cron.parse(expression)
+
+    // Buscar en hora de pared (ms "UTC" que representan la hora local) y convertir al final
+    const start = toWallTime(from.getTime(), timezone)
+    let wall = new Date(Math.floor(start / 1000) * 1000 + 1000)
+    const limit = start + MAX_SEARCH_YEARS * 366 * 24 * 60 * 60 * 1000
+
+    const dayMatches = (date) => {
+      const dom = schedule.dayOfMonth.has(date.getUTCDate())
+      const dow = schedule.dayOfWeek.has(date.getUTCDay())
+      if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+        return dom || dow
+      }
+      return dom && dow
+    }
+
+    while (wall.getTime() <= limit) {
+      if (!schedule.month.has(wall.getUTCMonth() + 1)) {
+        wall = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth() + 1, 1))
+        continue
+      }
+      if (!dayMatches(wall)) {
+        wall = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate() + 1))
+        continue
+      }
+      if (!schedule.hour.has(wall.getUTCHours())) {
+        wall = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(), wall.getUTCHours() + 1))
+        continue
+      }
+      if (!schedule.minute.has(wall.getUTCMinutes())) {
+        wall = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(), wall.getUTCHours(), wall.getUTCMinutes() + 1))
+        continue
+      }
+      if (!schedule.second.has(wall.getUTCSeconds())) {
+        wall = new Date(wall.getTime() + 1000)
+        continue
+      }
+
+      return new Date(fromWallTime(wall.getTime(), timezone))
+    }
+
+    return null
+  },
+
+  /**
+   * Expresión cron equivalente a un intervalo en segundos
+   * Intervalos menores a un minuto usan el campo de segundos
+   * @param {number} seconds - Intervalo
+   * @returns {string} Expresión cron
+   */
+  fromIntervalSeconds (seconds) {
+    if (seconds < 60) {
+      return `*/${seconds} * * * * *`
+    }
+    return `*/${Math.max(Math.round(seconds / 60), 1)} * * * *`
+  }
+}
+
+module.exports = cron
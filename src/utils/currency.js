@@ -0,0 +1,49 @@
+/**
+ * Utilidades de moneda.
+ * Todos los montos del sistema se guardan en unidades menores (centavos);
+ * las pasarelas que esperan unidades mayores convierten con toMajorUnits.
+ */
+const currency = {
+  /**
+   * Monedas soportadas para precios y órdenes
+   */
+  SUPPORTED_CURRENCIES: Object.freeze(['USD', 'EUR', 'COP', 'MXN']),
+
+  /**
+   * Decimales de cada moneda (todas las soportadas usan centavos)
+   */
+  DECIMALS: Object.freeze({ USD: 2, EUR: 2, COP: 2, MXN: 2 }),
+
+  /**
+   * Indica si una moneda está soportada
+   * @param {string} code - Código ISO 4217
+   * @returns {boolean}
+   */
+  isSupported (code) {
+    return currency.SUPPORTED_CURRENCIES.includes(code)
+  },
+
+  /**
+   * Convierte un monto de unidades menores a unidades mayores
+   * @param {number} amount - Monto en centavos
+   * @param {string} code - Código ISO 4217
+   * @returns {number} Monto en unidades mayores (p. ej. 1050 USD -> 10.5)
+   */
+  toMajorUnits (amount, code) {
+    const decimals = currency.DECIMALS[code] ?? 2
+    return Number((amount / Math.pow(10, decimals)).toFixed(decimals))
+  },
+
+  /**
+   * Moneda de una orden
+   * Las órdenes anteriores a las listas de precios no guardan moneda y usan la del producto
+   * @param {Order} order - Orden
+   * @param {Product} product - Producto principal (opcional)
+   * @returns {string} Código ISO 4217
+   */
+  getOrderCurrency (order, product = null) {
+    return order.currency || (product || order.product)?.currency || 'USD'
+  }
+}
+
+module.exports = currency
@@ -0,0 +1,215 @@
+const os = require('os')
+const crypto = require('crypto')
+const { Op } = require('sequelize')
+const { JobLease } = require('../models')
+const logger = require('../config/logger')
+
+/**
+ * Job Lease Manager - Coordinación de jobs entre réplicas de la API usando Postgres
+ *
+ * Cada job tiene una fila en job_leases con dos candados independientes:
+ * - Lease de liderazgo (ownerId/expiresAt): solo el dueño ejecuta las corridas programadas.
+ *   Se renueva en cada tick; si el nodo muere, otro lo toma al vencer.
+ * - Candado de ejecución (runningBy/heartbeatAt): una sola corrida a la vez, programada o manual.
+ *   La corrida late periódicamente; si el nodo muere a mitad, el candado vence sin latidos.
+ */
+class JobLeaseManager {
+  constructor () {
+    this.nodeId = process.env.JOB_NODE_ID || `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`
+    this.graceMs = (parseInt(process.env.JOB_LEASE_TTL_SECONDS) || 60) * 1000
+    this.ensured = new Set()
+  }
+
+  /**
+   * Crear la fila del job si no existe (ON CONFLICT DO NOTHING)
+   * @param {string} jobName - Nombre del job
+   */
+  async ensureLease (jobName) {
+    if (this.ensured.has(jobName)) {
+      return
+    }
+
+    await JobLease.bulkCreate([{ jobName }], { ignoreDuplicates: true })
+    this.ensured.add(jobName)
+  }
+
+  /**
+   * Adquirir o renovar el lease de liderazgo de un job
+   * @param {string} jobName - Nombre del job
+   * @param {number} durationMs - Duración del lease (intervalo del job + margen)
+   * @returns {Promise<boolean>} true si este nodo es el dueño
+   */
+  async acquire (jobName, durationMs) {
+    await this.ensureLease(jobName)
+
+    const now = new Date()
+    const expiresAt = new Date(now.getTime() + durationMs)
+
+    // Renovar si ya somos dueños
+    const [renewed] = await JobLease.update(
+      { expiresAt },
+      { where: { jobName, ownerId: this.nodeId } }
+    )
+    if (renewed > 0) {
+      return true
+    }
+
+    // Tomar el lease si está libre o vencido (otro nodo murió o lo liberó)
+    const [taken] = await JobLease.update(
+      { ownerId: this.nodeId, acquiredAt: now, expiresAt },
+      {
+        where: {
+          jobName,
+          [Op.or]: [
+            { ownerId: null },
+            { expiresAt: { [Op.lt]: now } }
+          ]
+        }
+      }
+    )
+
+    if (taken > 0) {
+      logger.logBusiness('job:lease.acquired', {
+        jobName,
+        nodeId: this.nodeId,
+        expiresAt
+      })
+      return true
+    }
+
+    return false
+  }
+
+  /**
+   * Iniciar una ejecución si no hay otra en curso (o la que hay dejó de latir)
+   * @param {string} jobName - Nombre del job
+   * @returns {Promise<boolean>} true si este nodo puede ejecutar
+   */
+  async beginRun (jobName) {
+    await this.ensureLease(jobName)
+
+    const now = new Date()
+    const staleBefore = new Date(now.getTime() - this.graceMs)
+
+    const [started] = await JobLease.update(
+      { runningBy: this.nodeId, runningSince: now, heartbeatAt: now },
+      {
+        where: {
+          jobName,
+          [Op.or]: [
+            { runningBy: null },
+            { heartbeatAt: { [Op.lt]: staleBefore } }
+          ]
+        }
+      }
+    )
+
+    return started > 0
+  }
+
+  /**
+   * Latido de una ejecución en curso; también extiende el lease si este nodo es el dueño
+   * @param {string} jobName - Nombre del job
+   * @param {number} durationMs - Duración del lease a partir de ahora
+   */
+  async heartbeat (jobName, durationMs) {
+    const now = new Date()
+
+    await JobLease.update(
+      { heartbeatAt: now },
+      { where: { jobName, runningBy: this.nodeId } }
+    )
+    await JobLease.update(
+      { expiresAt: new Date(now.getTime() + durationMs) },
+      { where: { jobName, ownerId: this.nodeId } }
+    )
+  }
+
+  /**
+   * Terminar la ejecución en curso de este nodo
+   * @param {string} jobName - Nombre del job
+   */
+  async endRun (jobName) {
+    await JobLease.update(
+      {
+        runningBy: null,
+        runningSince: null,
+        heartbeatAt: null,
+        lastRunAt: new Date(),
+        lastRunBy: this.nodeId
+      },
+      { where: { jobName, runningBy: this.nodeId } }
+    )
+  }
+
+  /**
+   * Liberar el lease de liderazgo para que otro nodo lo tome de inmediato
+   * @param {string} jobName - Nombre del job
+   */
+  async release (jobName) {
+    const [released] = await JobLease.update(
+      { ownerId: null, expiresAt: null },
+      { where: { jobName, ownerId: this.nodeId } }
+    )
+
+    if (released > 0) {
+      logger.logBusiness('job:lease.released', {
+        jobName,
+        nodeId: this.nodeId
+      })
+    }
+  }
+
+  /**
+   * Ejecutar una función bajo el candado de ejecución, latiendo mientras corre
+   * @param {string} jobName - Nombre del job
+   * @param {number} durationMs - Duración del lease que extiende cada latido
+   * @param {Function} fn - Trabajo a ejecutar
+   * @returns {Promise<Object>} { executed, result, runningBy }
+   */
+  async runExclusive (jobName, durationMs, fn) {
+    if (!await this.beginRun(jobName)) {
+      const lease = await JobLease.findByPk(jobName)
+      return { executed: false, runningBy: lease ? lease.runningBy : null }
+    }
+
+    const beat = setInterval(() => {
+      this.heartbeat(jobName, durationMs).catch(error => {
+        logger.logError(error, { operation: 'jobLease.heartbeat', jobName })
+      })
+    }, Math.max(Math.floor(this.graceMs / 3), 1000))
+
+    try {
+      const result = await fn()
+      return { executed: true, result }
+    } finally {
+      clearInterval(beat)
+      await this.endRun(jobName)
+    }
+  }
+
+  /**
+   * Estado de los leases de todos los jobs
+   * @returns {Promise<Array<Object>>}
+   */
+  async getLeases () {
+    const leases = await JobLease.findAll({ order: [['jobName', 'ASC']] })
+    const now = new Date()
+
+    return leases.map(lease => ({
+      jobName: lease.jobName,
+      ownerId: lease.expiresAt && lease.expiresAt > now ? lease.ownerId : null,
+      ownedByThisNode: lease.ownerId === this.nodeId && lease.expiresAt > now,
+      acquiredAt: lease.acquiredAt,
+      expiresAt: lease.expiresAt,
+      runningBy: lease.runningBy,
+      runningSince: lease.runningSince,
+      heartbeatAt: lease.heartbeatAt,
+      lastRunAt: lease.lastRunAt,
+      lastRunBy: lease.lastRunBy
+    }))
+  }
+}
+
+// Exportar singleton
+module.exports = new JobLeaseManager()
@@ -0,0 +1,254 @@
+const fs = require('fs')
+const crypto = require('crypto')
+
+const ENVELOPE_VERSION = 'v1'
+const CIPHER = 'aes-256-gcm'
+const IV_BYTES = 12
+const KEY_BYTES = 32
+
+/**
+ * Error de configuración del llavero (sin llaves o llave inválida)
+ */
+function keyringError (message) {
+  const error = new Error(message)
+  error.code = 'LICENSE_KEYRING_INVALID'
+  return error
+}
+
+/**
+ * Decodifica una llave en base64 y valida su longitud (AES-256)
+ */
+function decodeKey (value, name) {
+  const key = Buffer.from(String(value || ''), 'base64')
+  if (key.length !== KEY_BYTES) {
+    throw keyringError(`${name} debe ser una llave de ${KEY_BYTES} bytes en base64`)
+  }
+  return key
+}
+
+function seal (key, plaintext) {
+  const iv = crypto.randomBytes(IV_BYTES)
+  const cipher = crypto.createCipheriv(CIPHER, key, iv)
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()])
+  return { iv, tag: cipher.getAuthTag(), ciphertext }
+}
+
+function open (key, { iv, tag, ciphertext }) {
+  const decipher = crypto.createDecipheriv(CIPHER, key, iv)
+  decipher.setAuthTag(tag)
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()])
+}
+
+/**
+ * Proveedor de llaves local (sustituto de un KMS)
+ *
+ * Lee el llavero desde LICENSE_KEYRING_FILE:
+ *   { "current": "k2", "keys": { "k1": "<base64>", "k2": "<base64>" }, "hashKey": "<base64>" }
+ * o, sin archivo, desde LICENSE_ENCRYPTION_KEY (llave "env") y LICENSE_HASH_KEY.
+ * Las llaves viejas se conservan en el archivo para descifrar lo que aún no se re-cifró.
+ * Un proveedor KMS solo necesita exponer la misma interfaz (currentKeyId, wrapKey, unwrapKey, hashKey).
+ */
+class LocalKeyProvider {
+  constructor ({ file = process.env.LICENSE_KEYRING_FILE } = {}) {
+    this.file = file
+    this.keyring = null
+  }
+
+  load () {
+    if (this.keyring) {
+      return this.keyring
+    }
+
+    let config
+    if (this.file) {
+      try {
+        config = JSON.parse(fs.readFileSync(this.file, 'utf8'))
+      } catch (error) {
+        throw keyringError(`No se pudo leer el llavero de licencias (${this.file}): ${error.message}`)
+      }
+    } else if (process.env.LICENSE_ENCRYPTION_KEY) {
+      config = {
+        current: 'env',
+        keys: { env: process.env.LICENSE_ENCRYPTION_KEY },
+        hashKey: process.env.LICENSE_HASH_KEY
+      }
+    } else {
+      throw keyringError('Llavero de licencias no configurado: define LICENSE_KEYRING_FILE o LICENSE_ENCRYPTION_KEY')
+    }
+
+    const keys = {}
+    for (const [id, value] of Object.entries(config.keys || {})) {
+      if (!/^[A-Za-z0-9_-]+$/.test(id)) {
+        throw keyringError(`Identificador de llave inválido: ${id}`)
+      }
+      keys[id] = decodeKey(value, `La llave ${id}`)
+    }
+
+    if (!keys[config.current]) {
+      throw keyringError(`La llave actual "${config.current}" no está en el llavero`)
+    }
+
+    this.keyring = {
+      current: config.current,
+      keys,
+      hashKey: decodeKey(config.hashKey, 'La llave de hash (hashKey / LICENSE_HASH_KEY)')
+    }
+    return this.keyring
+  }
+
+  currentKeyId () {
+    return this.load().current
+  }
+
+  hashKey () {
+    return this.load().hashKey
+  }
+
+  /**
+   * Cifra una llave de datos con la llave maestra actual
+   * @returns {{ keyId: string, wrapped: string }}
+   */
+  wrapKey (dataKey) {
+    const { current, keys } = this.load()
+    const { iv, tag, ciphertext } = seal(keys[current], dataKey)
+    return { keyId: current, wrapped: Buffer.concat([iv, tag, ciphertext]).toString('base64') }
+  }
+
+  unwrapKey (keyId, wrapped) {
+    const key = this.load().keys[keyId]
+    if (!key) {
+      throw keyringError(`La llave ${keyId} no está en el llavero`)
+    }
+    const raw = Buffer.from(wrapped, 'base64')
+    return open(key, {
+      iv: raw.subarray(0, IV_BYTES),
+      tag: raw.subarray(IV_BYTES, IV_BYTES + 16),
+      ciphertext: raw.subarray(IV_BYTES + 16)
+    })
+  }
+}
+
+/**
+ * Cifrado de claves de licencia en reposo (envelope encryption)
+ *
+ * Cada clave se cifra con una llave de datos aleatoria (AES-256-GCM) y esa llave
+ * se guarda envuelta por la llave maestra del proveedor:
+ *   v1:<keyId>:<llave de datos envuelta>:<iv>:<tag>:<texto cifrado>
+ * Como el texto cifrado no es determinístico, las búsquedas y la unicidad usan
+ * hash(): un HMAC-SHA256 con una llave separada que no rota junto con la maestra.
+ */
+class LicenseKeyVault {
+  constructor () {
+    this.provider = new LocalKeyProvider()
+  }
+
+  /**
+   * Reemplazar el proveedor de llaves (KMS o pruebas)
+   */
+  useProvider (provider) {
+    this.provider = provider
+  }
+
+  isEncrypted (value) {
+    return typeof value === 'string' && value.startsWith(`${ENVELOPE_VERSION}:`)
+  }
+
+  /**
+   * Normalizar una clave antes de cifrarla o calcular su hash (sin espacios en los extremos)
+   * encrypt() y hash() la aplican igual, así el hash siempre corresponde a la clave guardada
+   * @param {string} plaintext - Clave en claro
+   * @returns {string}
+   */
+  normalize (plaintext) {
+    if (plaintext === null || plaintext === undefined) {
+      return plaintext
+    }
+    return String(plaintext).trim()
+  }
+
+  /**
+   * Cifrar una clave de licencia (normalizada)
+   * @param {string} plaintext - Clave en claro
+   * @returns {string} Sobre cifrado
+   */
+  encrypt (plaintext) {
+    if (plaintext === null || plaintext === undefined) {
+      return plaintext
+    }
+
+    const dataKey = crypto.randomBytes(KEY_BYTES)
+    const { keyId, wrapped } = this.provider.wrapKey(dataKey)
+    const { iv, tag, ciphertext } = seal(dataKey, Buffer.from(this.normalize(plaintext), 'utf8'))
+
+    return [ENVELOPE_VERSION, keyId, wrapped, iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':')
+  }
+
+  /**
+   * Descifrar una clave de licencia
+   * Los valores en claro (filas anteriores a la migración) se devuelven sin cambios
+   * @param {string} value - Sobre cifrado o clave heredada
+   * @returns {string} Clave en claro
+   */
+  decrypt (value) {
+    if (!this.isEncrypted(value)) {
+      return value
+    }
+
+    const [, keyId, wrapped, iv, tag, ciphertext] = value.split(':')
+    const dataKey = this.provider.unwrapKey(keyId, wrapped)
+
+    return open(dataKey, {
+      iv: Buffer.from(iv, 'base64'),
+      tag: Buffer.from(tag, 'base64'),
+      ciphertext: Buffer.from(ciphertext, 'base64')
+    }).toString('utf8')
+  }
+
+  /**
+   * Llave maestra con la que se cifró un sobre (null si está en claro)
+   */
+  keyIdOf (value) {
+    return this.isEncrypted(value) ? value.split(':')[1] : null
+  }
+
+  /**
+   * Hash determinístico de una clave (normalizada) para búsquedas y unicidad
+   * @param {string} plaintext - Clave en claro
+   * @returns {string} HMAC-SHA256 en hexadecimal
+   */
+  hash (plaintext) {
+    return crypto.createHmac('sha256', this.provider.hashKey())
+      .update(String(this.normalize(plaintext)))
+      .digest('hex')
+  }
+
+  /**
+   * Enmascarar una clave para mostrarla en listados
+   * Conserva separadores y los últimos 4 caracteres: AAA-BBB-CCC-111 -> ***-***-**C-111
+   */
+  mask (plaintext) {
+    if (!plaintext) {
+      return plaintext
+    }
+
+    let visible = 4
+    return String(plaintext)
+      .split('')
+      .reverse()
+      .map(char => {
+        if (!/[A-Za-z0-9]/.test(char)) {
+          return char
+        }
+        if (visible > 0) {
+          visible--
+          return char
+        }
+        return '*'
+      })
+      .reverse()
+      .join('')
+  }
+}
+
+module.exports = new LicenseKeyVault()
+module.exports.LocalKeyProvider = LocalKeyProvider
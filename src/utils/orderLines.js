@@ -0,0 +1,99 @@
+/**
+ * Utilidades para trabajar con las líneas (OrderItem) de una orden.
+ * Las órdenes creadas antes del carrito no tienen items; para ellas se
+ * sintetiza una única línea a partir de productRef/qty/product de la orden.
+ */
+const orderLines = {
+  /**
+   * Include de Sequelize para cargar las líneas con su producto
+   */
+  ITEMS_INCLUDE: Object.freeze({ association: 'items', include: [{ association: 'product' }] }),
+
+  /**
+   * Obtiene las líneas de una orden
+   * @param {Order} order - Orden con `items` (y opcionalmente `product`) cargados
+   * @returns {Array<Object>} - Líneas normalizadas
+   */
+  getLines (order) {
+    if (order.items && order.items.length > 0) {
+      return order.items.map(item => ({
+        orderItemId: item.id,
+        productRef: item.productRef,
+        qty: item.qty,
+        product: item.product || (order.product?.productRef === item.productRef ? order.product : null),
+        unitPrice: item.unitPrice,
+        subtotal: item.subtotal,
+        discountTotal: item.discountTotal,
+        taxClass: item.taxClass,
+        taxRate: item.taxRate,
+        taxBase: item.taxBase,
+        taxTotal: item.taxTotal,
+        grandTotal: item.grandTotal
+      }))
+    }
+
+    // Orden legacy (un solo producto)
+    return [{
+      orderItemId: null,
+      productRef: order.productRef,
+      qty: order.qty || 1,
+      product: order.product || null,
+      unitPrice: order.product?.price ?? Math.round(order.subtotal / (order.qty || 1)),
+      subtotal: order.subtotal,
+      discountTotal: order.discountTotal || 0,
+      taxClass: null,
+      taxRate: null,
+      taxBase: null,
+      taxTotal: order.taxTotal || 0,
+      grandTotal: order.grandTotal
+    }]
+  },
+
+  /**
+   * Obtiene solo las líneas cuyo producto entrega licencias
+   * @param {Order} order - Orden
+   * @returns {Array<Object>} - Líneas con license_type
+   */
+  getLicenseLines (order) {
+    return this.getLines(order).filter(line => line.product && line.product.license_type)
+  },
+
+  /**
+   * Indica si la orden contiene al menos un producto con licencias
+   * @param {Order} order - Orden
+   * @returns {boolean}
+   */
+  hasLicenseProducts (order) {
+    return this.getLicenseLines(order).length > 0
+  },
+
+  /**
+   * Agrupa licencias por la línea de la orden a la que pertenecen
+   * @param {Order} order - Orden
+   * @param {Array<License>} licenses - Licencias asignadas a la orden
+   * @returns {Array<{line: Object, licenses: Array<License>}>} - Grupos en el orden de las líneas
+   */
+  groupLicensesByLine (order, licenses) {
+    const lines = this.getLines(order)
+    const groups = lines.map(line => ({ line, licenses: [] }))
+
+    for (const license of licenses) {
+      const group = groups.find(g => license.orderItemId && g.line.orderItemId === license.orderItemId) ||
+        groups.find(g => g.line.productRef === license.productRef)
+
+      if (group) {
+        group.licenses.push(license)
+      } else {
+        // Licencia de un producto que ya no está en las líneas (p. ej. cambio de licencia)
+        groups.push({
+          line: { orderItemId: license.orderItemId || null, productRef: license.productRef, qty: 1, product: null },
+          licenses: [license]
+        })
+      }
+    }
+
+    return groups.filter(group => group.licenses.length > 0)
+  }
+}
+
+module.exports = orderLines
@@ -2,7 +2,8 @@ const logger = require('../config/logger')
 
 /**
  * Servicio ficticio de envío de correos.
- * En producción se deberá conectar con Brevo, SendGrid o SMTP.
+ * Solo se usa como sustituto en pruebas; los correos reales (OTP, bienvenida)
+ * se envían con services/email a través de Brevo.
  */
 const pseudoMailer = {
   /**
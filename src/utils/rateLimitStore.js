@@ -0,0 +1,134 @@
+const { MemoryStore } = require('express-rate-limit')
+const { Op, QueryTypes } = require('sequelize')
+const { RateLimitHit, sequelize } = require('../models')
+const { RATE_LIMIT_STORE } = require('../config/rateLimits')
+const logger = require('../config/logger')
+
+// Los contadores vencidos se borran como mucho con esta frecuencia por limitador
+const CLEANUP_INTERVAL_MS = 5 * 60 * 1000
+
+// Incremento atómico: si la ventana venció se reinicia en 1, si no se suma 1.
+// Varias réplicas pueden golpear la misma clave a la vez sin perder conteos.
+const INCREMENT_SQL = `
+  INSERT INTO rate_limit_hits ("key", hits, reset_at)
+  VALUES (:key, 1, NOW() + :windowMs * INTERVAL '1 millisecond')
+  ON CONFLICT ("key") DO UPDATE SET
+    hits = CASE WHEN rate_limit_hits.reset_at <= NOW() THEN 1 ELSE rate_limit_hits.hits + 1 END,
+    reset_at = CASE WHEN rate_limit_hits.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limit_hits.reset_at END
+  RETURNING hits, reset_at
+`
+
+/**
+ * Store de express-rate-limit sobre Postgres (tabla rate_limit_hits)
+ *
+ * Ventana fija por clave, compartida por todas las réplicas de la API. Implementa
+ * la interfaz Store de express-rate-limit, así que sirve igual para rateLimit,
+ * slowDown o un contador propio (p. ej. CobreProvider). Otro backend (Redis) solo
+ * necesita implementar los mismos métodos y registrarse en createStore.
+ */
+class PostgresStore {
+  /**
+   * @param {string} prefix - Prefijo de las claves; debe ser único por limitador
+   */
+  constructor (prefix) {
+    this.prefix = prefix
+    this.localKeys = false
+    this.windowMs = 60 * 1000
+    this.lastCleanupAt = 0
+  }
+
+  init (options) {
+    this.windowMs = options.windowMs
+  }
+
+  prefixKey (key) {
+    return `${this.prefix}${key}`
+  }
+
+  /**
+   * Sumar un golpe a la clave
+   * @returns {Promise<Object>} { totalHits, resetTime }
+   */
+  async increment (key) {
+    const [row] = await sequelize.query(INCREMENT_SQL, {
+      replacements: { key: this.prefixKey(key), windowMs: this.windowMs },
+      type: QueryTypes.SELECT
+    })
+
+    this.cleanupExpired()
+
+    return {
+      totalHits: Number(row.hits),
+      resetTime: new Date(row.reset_at)
+    }
+  }
+
+  async decrement (key) {
+    await RateLimitHit.decrement('hits', {
+      where: {
+        key: this.prefixKey(key),
+        hits: { [Op.gt]: 0 },
+        resetAt: { [Op.gt]: new Date() }
+      }
+    })
+  }
+
+  async get (key) {
+    const record = await RateLimitHit.findByPk(this.prefixKey(key))
+    if (!record || record.resetAt <= new Date()) {
+      return undefined
+    }
+    return { totalHits: record.hits, resetTime: record.resetAt }
+  }
+
+  async resetKey (key) {
+    await RateLimitHit.destroy({ where: { key: this.prefixKey(key) } })
+  }
+
+  async resetAll () {
+    await RateLimitHit.destroy({ where: { key: { [Op.startsWith]: this.prefix } } })
+  }
+
+  /**
+   * Borrar los contadores vencidos de este limitador sin demorar la petición
+   */
+  cleanupExpired () {
+    const now = Date.now()
+    if (now - this.lastCleanupAt < CLEANUP_INTERVAL_MS) {
+      return
+    }
+    this.lastCleanupAt = now
+
+    RateLimitHit.destroy({
+      where: {
+        key: { [Op.startsWith]: this.prefix },
+        resetAt: { [Op.lt]: new Date(now) }
+      }
+    }).catch(error => {
+      logger.logError(error, { operation: 'rateLimitStore.cleanupExpired', prefix: this.prefix })
+    })
+  }
+}
+
+/**
+ * Crear el store de un limitador según RATE_LIMIT_STORE
+ * - postgres: compartido entre réplicas (por defecto)
+ * - memory: contadores por proceso (tests, desarrollo o una sola réplica)
+ * express-rate-limit no permite compartir una instancia entre limitadores: crear una por limitador.
+ * @param {string} prefix - Prefijo único del limitador (p. ej. 'order-creation:')
+ */
+function createStore (prefix, backend = RATE_LIMIT_STORE) {
+  switch (backend) {
+    case 'memory':
+      return new MemoryStore()
+    case 'postgres':
+      return new PostgresStore(prefix)
+    default:
+      throw new Error(`RATE_LIMIT_STORE desconocido: ${backend}`)
+  }
+}
+
+module.exports = {
+  createStore,
+  PostgresStore
+}
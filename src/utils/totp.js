@@ -0,0 +1,150 @@
+const crypto = require('crypto')
+
+/**
+ * Utilidades de contraseñas de un solo uso (HOTP RFC 4226 / TOTP RFC 6238)
+ * Compatibles con Google Authenticator, Authy, 1Password y similares:
+ * secreto en base32, 6 dígitos, pasos de 30 segundos y HMAC-SHA1 por defecto.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+const DEFAULTS = Object.freeze({
+  digits: 6,
+  step: 30,
+  algorithm: 'sha1'
+})
+
+const totp = {
+  /**
+   * Generar un secreto aleatorio en base32
+   * @param {number} bytes - Longitud del secreto (20 bytes = 160 bits, recomendado por el RFC 4226)
+   * @returns {string}
+   */
+  generateSecret (bytes = 20) {
+    return totp.base32Encode(crypto.randomBytes(bytes))
+  },
+
+  base32Encode (buffer) {
+    let bits = 0
+    let value = 0
+    let output = ''
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte
+      bits += 8
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+        bits -= 5
+      }
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+    }
+    return output
+  },
+
+  /**
+   * Decodificar base32 (ignora espacios, guiones, relleno y mayúsculas/minúsculas)
+   */
+  base32Decode (input) {
+    const clean = String(input).toUpperCase().replace(/[\s=-]/g, '')
+    const bytes = []
+    let bits = 0
+    let value = 0
+
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char)
+      if (index === -1) {
+        throw new Error(`Carácter base32 inválido: ${char}`)
+      }
+      value = (value << 5) | index
+      bits += 5
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255)
+        bits -= 8
+      }
+    }
+    return Buffer.from(bytes)
+  },
+
+  /**
+   * Código HOTP para un contador (RFC 4226)
+   * @param {Buffer} key - Secreto en bytes
+   * @param {number} counter - Contador
+   * @param {Object} options - { digits, algorithm }
+   * @returns {string}
+   */
+  hotp (key, counter, { digits = DEFAULTS.digits, algorithm = DEFAULTS.algorithm } = {}) {
+    const message = Buffer.alloc(8)
+    message.writeBigUInt64BE(BigInt(counter))
+
+    const hmac = crypto.createHmac(algorithm, key).update(message).digest()
+    const offset = hmac[hmac.length - 1] & 0x0f
+    const code = hmac.readUInt32BE(offset) & 0x7fffffff
+
+    return String(code % 10 ** digits).padStart(digits, '0')
+  },
+
+  /**
+   * Paso de tiempo (contador TOTP) de un instante
+   */
+  timeStep (time = Date.now(), step = DEFAULTS.step) {
+    return Math.floor(time / 1000 / step)
+  },
+
+  /**
+   * Código TOTP de un instante (RFC 6238)
+   * @param {Buffer|string} secret - Secreto en bytes o en base32
+   * @param {Object} options - { time, step, digits, algorithm }
+   * @returns {string}
+   */
+  generate (secret, { time = Date.now(), step = DEFAULTS.step, ...options } = {}) {
+    const key = Buffer.isBuffer(secret) ? secret : totp.base32Decode(secret)
+    return totp.hotp(key, totp.timeStep(time, step), options)
+  },
+
+  /**
+   * Verificar un código aceptando `window` pasos de desfase de reloj en cada sentido
+   * @param {string} code - Código ingresado por el usuario
+   * @param {Buffer|string} secret - Secreto en bytes o en base32
+   * @param {Object} options - { window, time, step, digits, algorithm }
+   * @returns {number|null} Paso que coincidió (para evitar reutilizar el código) o null
+   */
+  verify (code, secret, { window = 1, time = Date.now(), step = DEFAULTS.step, ...options } = {}) {
+    const digits = options.digits || DEFAULTS.digits
+    const candidate = String(code || '').replace(/\s/g, '')
+    if (!new RegExp(`^\\d{${digits}}$`).test(candidate)) {
+      return null
+    }
+
+    const key = Buffer.isBuffer(secret) ? secret : totp.base32Decode(secret)
+    const current = totp.timeStep(time, step)
+
+    for (let offset = -window; offset <= window; offset++) {
+      const expected = totp.hotp(key, current + offset, options)
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+        return current + offset
+      }
+    }
+    return null
+  },
+
+  /**
+   * URI otpauth:// para registrar el secreto en la app (se suele mostrar como QR)
+   * @param {Object} params - { secret, accountName, issuer }
+   * @returns {string}
+   */
+  keyUri ({ secret, accountName, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`)
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: DEFAULTS.algorithm.toUpperCase(),
+      digits: String(DEFAULTS.digits),
+      period: String(DEFAULTS.step)
+    })
+    return `otpauth://totp/${label}?${params.toString()}`
+  }
+}
+
+module.exports = totp